@@ -0,0 +1,26 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { computeAnalytics } from '../src/services/analytics.js';
+import { ApiError, sendApiError } from '../src/services/errors.js';
+import { getAccessGuard, setCorsHeaders } from '../src/services/access.js';
+import { parseAnalyticsRequest } from '../src/services/validation.js';
+
+/**
+ * POST /api/analytics { messages, range? } -> ChatAnalytics
+ * The app computes the same thing in the browser; this is for other clients
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse): Promise<void> {
+  setCorsHeaders(req, res, 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') { res.status(200).end(); return; }
+  if (req.method !== 'POST') { sendApiError(res, null, new ApiError('METHOD_NOT_ALLOWED')); return; }
+
+  try {
+    getAccessGuard().checkOrigin(req);
+    const { messages, range } = parseAnalyticsRequest(req.body);
+    res.status(200).json(computeAnalytics(messages, range));
+
+  } catch (err) {
+    if (!(err instanceof ApiError)) console.error('Analytics error:', err);
+    sendApiError(res, null, err, 'Falha ao calcular estatísticas');
+  }
+}
@@ -0,0 +1,118 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import type { AskResponse } from '../src/types/index.js';
+import { CHUNK_TOKENS, estimateMessageTokens } from '../src/services/chunker.js';
+import { retrieveMessages, formatExcerptsForAI, findCitations, messageText } from '../src/services/retrieval.js';
+import { resolveLanguage } from '../src/services/language.js';
+import { createRedactor } from '../src/services/redaction.js';
+import { answerQuestion } from '../src/services/groq.js';
+import { ProviderError } from '../src/services/llm.js';
+import { ApiError, sendApiError } from '../src/services/errors.js';
+import { getAccessGuard, setCorsHeaders } from '../src/services/access.js';
+import type { AccessGrant } from '../src/services/access.js';
+import { parseAskRequest } from '../src/services/validation.js';
+import { wantsEventStream, openEventStream, abortOnDisconnect } from '../src/services/sse.js';
+import type { EventStream } from '../src/services/sse.js';
+
+/**
+ * POST /api/ask { question, messages, privacy?, model?, language?, history? }
+ * Answers a question about the messages, citing the ones it used.
+ * Streams like /api/summarize with ?stream=1 ("token" events, then "done").
+ *
+ * Messages and question are redacted before retrieval, so names in the
+ * question match the pseudonyms in the messages.
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse): Promise<void> {
+  setCorsHeaders(req, res, 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') { res.status(200).end(); return; }
+  if (req.method !== 'POST') { sendApiError(res, null, new ApiError('METHOD_NOT_ALLOWED')); return; }
+
+  const startTime = Date.now();
+  const signal = abortOnDisconnect(res);
+  let stream: EventStream | null = null;
+  let grant: AccessGrant | undefined;
+
+  try {
+    const { question, messages, privacy: privacyMode, model: modelType, language, history } = parseAskRequest(req.body);
+    const includeNames = privacyMode !== 'anonymous';
+
+    // Retrieval keeps at most one chunk of messages
+    const estimatedTokens = Math.min(
+      messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0),
+      CHUNK_TOKENS[modelType]
+    );
+    grant = await getAccessGuard().admit(req, { tokens: estimatedTokens });
+
+    const redactor = createRedactor();
+    const redacted = redactor.redactMessages(messages);
+    const redactedQuestion = redactor.redactText(question);
+    const turns = history.map(turn => ({
+      question: redactor.redactText(turn.question),
+      answer: redactor.redactText(turn.answer)
+    }));
+
+    // Follow-ups ("e quando foi isso?") are searched with the previous question
+    const query = [turns.at(-1)?.question, redactedQuestion].filter(Boolean).join(' ');
+    const retrieval = await retrieveMessages(redacted, query, {
+      maxTokens: CHUNK_TOKENS[modelType],
+      provider: grant.provider,
+      signal
+    });
+
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+    }
+    const onToken = stream ? (text: string) => stream?.send({ text }, 'token') : undefined;
+
+    const { answer, tokensUsed, cached } = await answerQuestion(
+      redactedQuestion,
+      formatExcerptsForAI(retrieval.excerpts, includeNames),
+      privacyMode,
+      {
+        model: modelType,
+        language: resolveLanguage(language, messages.map(messageText)),
+        history: turns,
+        onToken,
+        signal,
+        provider: grant.provider
+      }
+    );
+    await grant.charge(tokensUsed);
+
+    const citations = findCitations(answer, retrieval.excerpts, includeNames).map(citation => ({
+      ...citation,
+      ...(citation.sender ? { sender: redactor.restore(citation.sender, true) } : {}),
+      content: redactor.restore(citation.content, includeNames)
+    }));
+
+    const response: AskResponse = {
+      answer: redactor.restore(answer, includeNames),
+      citations,
+      stats: {
+        totalMessages: messages.length,
+        retrieved: retrieval.excerpts.flat().length,
+        hits: retrieval.hits,
+        method: retrieval.method,
+        tokensUsed,
+        cached,
+        processingTime: Date.now() - startTime
+      }
+    };
+
+    if (stream) {
+      stream.send(response, 'done');
+      stream.close();
+    } else {
+      res.status(200).json(response);
+    }
+
+  } catch (err) {
+    if (err instanceof ProviderError && err.kind === 'aborted') return;
+
+    if (!(err instanceof ApiError)) console.error('Ask error:', err);
+    sendApiError(res, stream, err, 'Falha ao responder a pergunta');
+  } finally {
+    // Tokens reserved but not used go back to the budgets
+    await grant?.release();
+  }
+}
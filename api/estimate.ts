@@ -0,0 +1,27 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { estimateSummary } from '../src/services/estimate.js';
+import { ApiError, sendApiError } from '../src/services/errors.js';
+import { getAccessGuard, setCorsHeaders } from '../src/services/access.js';
+import { parseEstimateRequest } from '../src/services/validation.js';
+
+/**
+ * POST /api/estimate { messages, level?, model?, output?, range?, mode? } -> SummaryEstimate
+ * Tokens, calls and time of a summary before running it; nothing is sent
+ * to the model. The app computes the same thing in the browser.
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse): Promise<void> {
+  setCorsHeaders(req, res, 'POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') { res.status(200).end(); return; }
+  if (req.method !== 'POST') { sendApiError(res, null, new ApiError('METHOD_NOT_ALLOWED')); return; }
+
+  try {
+    getAccessGuard().checkOrigin(req);
+    const { messages, ...options } = parseEstimateRequest(req.body);
+    res.status(200).json(estimateSummary(messages, options));
+
+  } catch (err) {
+    if (!(err instanceof ApiError)) console.error('Estimate error:', err);
+    sendApiError(res, null, err, 'Falha ao estimar o resumo');
+  }
+}
@@ -0,0 +1,106 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import type { JobRequest, JobInfo } from '../src/types/index.js';
+import { ApiError, sendApiError } from '../src/services/errors.js';
+import { getAccessGuard, setCorsHeaders } from '../src/services/access.js';
+import type { GrantTicket } from '../src/services/access.js';
+import { estimateMessageTokens } from '../src/services/chunker.js';
+import { parseJobRequest } from '../src/services/validation.js';
+import {
+  createJob, getJob, advanceJob, cancelJob, subscribeToJob, isJobFinished, jobsRunInBackground, jobSliceMs
+} from '../src/services/jobs.js';
+import { wantsEventStream, openEventStream } from '../src/services/sse.js';
+import type { EventStream } from '../src/services/sse.js';
+
+/**
+ * Summarization jobs (server-side map-reduce)
+ *
+ * POST   /api/jobs          -> 202 { id, status, ... }   creates a job
+ * GET    /api/jobs?id=...   -> job status (with result when done)
+ * GET    /api/jobs?id=...&stream=1 (or Accept: text/event-stream) -> SSE updates
+ * DELETE /api/jobs?id=...   -> cancels the job
+ *
+ * Jobs belong to the client that created them (same X-Session-Id, or IP);
+ * anyone else gets 404. With JOB_RUNNER=requests (Vercel) the job runs
+ * while it is followed: each GET runs it for JOB_SLICE_SECONDS before
+ * answering, and the stream closes after that (the app connects again).
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse): Promise<void> {
+  setCorsHeaders(req, res, 'GET, POST, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') { res.status(200).end(); return; }
+
+  let stream: EventStream | null = null;
+
+  try {
+    const guard = getAccessGuard();
+    const owner = guard.clientId(req);
+
+    if (req.method === 'POST') {
+      const request: JobRequest = parseJobRequest(req.body);
+      // The whole conversation goes through the model at least once
+      const estimatedTokens = request.messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+      const grant = await guard.admit(req, { tokens: estimatedTokens });
+      res.status(202).json(await createJob(request, { owner, grant }));
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'DELETE') {
+      throw new ApiError('METHOD_NOT_ALLOWED');
+    }
+
+    const id = typeof req.query.id === 'string' ? req.query.id : '';
+    const inBackground = jobsRunInBackground();
+    // Tokens go to the budgets reserved when the job was created
+    const advance = (timeMs: number) => advanceJob(id, owner, {
+      timeMs,
+      grantFor: (ticket: GrantTicket) => guard.resume(req, ticket)
+    });
+
+    if (req.method === 'DELETE') {
+      let job = await cancelJob(id, owner);
+      // Nobody may be running it: end it here, giving back its reservation
+      if (job && !inBackground) job = await advance(0);
+      if (!job) throw new ApiError('JOB_NOT_FOUND');
+      res.status(200).json(job);
+      return;
+    }
+
+    if (!wantsEventStream(req)) {
+      const job = inBackground ? await getJob(id, owner) : await advance(jobSliceMs());
+      if (!job) throw new ApiError('JOB_NOT_FOUND');
+      res.status(200).json(job);
+      return;
+    }
+
+    // Server-Sent Events: one unnamed event per job update, closed when the
+    // job ends (or, running it here, when the slice ends)
+    const job = await getJob(id, owner);
+    if (!job) throw new ApiError('JOB_NOT_FOUND');
+
+    stream = openEventStream(res);
+    stream.send(job);
+    if (isJobFinished(job)) {
+      stream.close();
+      return;
+    }
+
+    const open = stream;
+    const unsubscribe = subscribeToJob(id, (info: JobInfo) => {
+      open.send(info);
+      if (isJobFinished(info)) {
+        unsubscribe();
+        open.close();
+      }
+    });
+    res.on('close', unsubscribe);
+
+    if (!inBackground) {
+      const last = await advance(jobSliceMs());
+      unsubscribe();
+      if (last) open.send(last);
+      open.close();
+    }
+  } catch (err) {
+    sendApiError(res, stream, err);
+  }
+}
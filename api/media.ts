@@ -0,0 +1,64 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import type { MediaResponse, MediaInfoResponse } from '../src/types/index.js';
+import { attachmentKind } from '../src/services/parser.js';
+import { extractMediaText, getMediaProcessor } from '../src/services/media.js';
+import { ProviderError } from '../src/services/llm.js';
+import { ApiError, sendApiError } from '../src/services/errors.js';
+import { getAccessGuard, setCorsHeaders } from '../src/services/access.js';
+import { parseMediaRequest } from '../src/services/validation.js';
+import { abortOnDisconnect } from '../src/services/sse.js';
+
+/**
+ * Files above this are skipped (base64 has to fit Vercel's 4.5 MB body limit)
+ */
+const MAX_MEDIA_BYTES = 3 * 1024 * 1024;
+
+/**
+ * GET /api/media -> MediaInfoResponse (which kinds of files can be read)
+ * POST /api/media { fileName, data (base64) } -> MediaResponse
+ *
+ * The client sends the attachments of the chosen days one by one; the
+ * text goes back into the messages before summarizing.
+ */
+export default async function handler(req: VercelRequest, res: VercelResponse): Promise<void> {
+  setCorsHeaders(req, res, 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') { res.status(200).end(); return; }
+
+  if (req.method === 'GET') {
+    const processor = getMediaProcessor();
+    const info: MediaInfoResponse = { backend: processor.name, kinds: processor.kinds, maxBytes: MAX_MEDIA_BYTES };
+    res.status(200).json(info);
+    return;
+  }
+
+  if (req.method !== 'POST') { sendApiError(res, null, new ApiError('METHOD_NOT_ALLOWED')); return; }
+
+  const signal = abortOnDisconnect(res);
+
+  try {
+    const { fileName, data } = parseMediaRequest(req.body);
+    // Transcription has no token budget, only the rate limits
+    await getAccessGuard().admit(req);
+
+    const kind = attachmentKind(fileName);
+    if (!getMediaProcessor().kinds.includes(kind)) {
+      throw new ApiError('UNSUPPORTED_MEDIA');
+    }
+
+    const bytes = Buffer.from(data, 'base64');
+    if (bytes.length > MAX_MEDIA_BYTES) {
+      throw new ApiError('MEDIA_TOO_LARGE');
+    }
+
+    const { text, cached } = await extractMediaText({ fileName, kind, data: bytes }, signal);
+    const response: MediaResponse = { text, kind, cached };
+    res.status(200).json(response);
+
+  } catch (err) {
+    if (err instanceof ProviderError && err.kind === 'aborted') return;
+
+    if (!(err instanceof ApiError)) console.error('Media error:', err);
+    sendApiError(res, null, err, 'Falha ao processar o arquivo');
+  }
+}
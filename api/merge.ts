@@ -1,78 +1,99 @@
 import type { VercelRequest, VercelResponse } from '@vercel/node';
-import Groq from 'groq-sdk';
-import type { SummaryLevel, PrivacyMode } from '../src/types/index.js';
-
-interface MergeRequestBody {
-  summaries: string[];
-  level: SummaryLevel;
-  privacy: PrivacyMode;
-}
-
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-const MODEL = 'meta-llama/llama-4-scout-17b-16e-instruct'; // 30K TPM - best!
-
-const LEVEL_CONFIGS: Record<SummaryLevel, { maxTokens: number; prompt: string }> = {
-  1: { maxTokens: 200, prompt: 'Crie um resumo ULTRA-CURTO em 2-3 frases.' },
-  2: { maxTokens: 500, prompt: 'Crie um resumo CURTO com parágrafos breves.' },
-  3: { maxTokens: 800, prompt: 'Crie um resumo DETALHADO cobrindo todos os assuntos.' },
-  4: { maxTokens: 1200, prompt: 'Crie um resumo COMPLETO com todos os detalhes.' }
-};
-
-const PRIVACY_INSTRUCTIONS: Record<PrivacyMode, string> = {
-  'anonymous': 'NÃO mencione nomes. Use termos genéricos.',
-  'with-names': 'Mencione nomes quando relevante.',
-  'smart': 'Mencione nomes apenas para contribuições importantes.'
-};
+import type { MergeResponse } from '../src/types/index.js';
+import { mergeSummaries } from '../src/services/groq.js';
+import { estimateTokens } from '../src/services/chunker.js';
+import { mergeStructuredSummaries, structuredToMarkdown } from '../src/services/extraction.js';
+import { createRedactor } from '../src/services/redaction.js';
+import { resolveLanguage } from '../src/services/language.js';
+import { ProviderError } from '../src/services/llm.js';
+import { ApiError, sendApiError } from '../src/services/errors.js';
+import { getAccessGuard, setCorsHeaders } from '../src/services/access.js';
+import type { AccessGrant } from '../src/services/access.js';
+import { parseMergeRequest } from '../src/services/validation.js';
+import { wantsEventStream, openEventStream, abortOnDisconnect } from '../src/services/sse.js';
+import type { EventStream } from '../src/services/sse.js';
 
+/**
+ * POST /api/merge
+ * Streams like /api/summarize with ?stream=1 ("token" events, then "done")
+ * Partial summaries are masked again (phones, emails, links) before the merge,
+ * and the names of the `senders` sent along are pseudonymized; the web app
+ * sends summaries that are already pseudonymized instead
+ */
 export default async function handler(req: VercelRequest, res: VercelResponse): Promise<void> {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  setCorsHeaders(req, res, 'POST, OPTIONS');
 
   if (req.method === 'OPTIONS') { res.status(200).end(); return; }
-  if (req.method !== 'POST') { res.status(405).json({ error: 'Method not allowed' }); return; }
+  if (req.method !== 'POST') { sendApiError(res, null, new ApiError('METHOD_NOT_ALLOWED')); return; }
+
+  const signal = abortOnDisconnect(res);
+  let stream: EventStream | null = null;
+  let grant: AccessGrant | undefined;
 
   try {
-    const { summaries, level = 3, privacy = 'smart' } = req.body as MergeRequestBody;
+    const params = parseMergeRequest(req.body);
 
-    if (!summaries || !Array.isArray(summaries) || summaries.length === 0) {
-      res.status(400).json({ error: 'No summaries provided' });
+    // Structured extractions are merged deterministically, no AI call needed
+    if (params.output === 'structured') {
+      getAccessGuard().checkOrigin(req);
+      const structured = mergeStructuredSummaries(params.extractions);
+      const response: MergeResponse = {
+        summary: structuredToMarkdown(structured),
+        structured,
+        stats: { tokensUsed: 0, cached: false }
+      };
+      if (wantsEventStream(req)) {
+        stream = openEventStream(res);
+        stream.send(response, 'done');
+        stream.close();
+      } else {
+        res.status(200).json(response);
+      }
       return;
     }
 
-    const config = LEVEL_CONFIGS[level as SummaryLevel] || LEVEL_CONFIGS[3];
-    const privacyNote = PRIVACY_INSTRUCTIONS[privacy as PrivacyMode] || PRIVACY_INSTRUCTIONS['smart'];
+    const { summaries, level, privacy, language, template, range, ranges, senders } = params;
+    // The partial summaries are already in the language asked for
+    const summaryLanguage = resolveLanguage(language, summaries);
+    grant = await getAccessGuard().admit(req, { tokens: estimateTokens(summaries.join('\n')) });
 
-    const systemPrompt = `Você é um assistente que consolida múltiplos resumos de conversa em português brasileiro.
-${config.prompt}
-${privacyNote}
-Combine os resumos parciais em um único resumo coeso, removendo redundâncias.
-Organize por temas/assuntos. Use markdown para formatação.`;
-
-    const combined = summaries.map((s, i) => `### Parte ${i + 1}\n${s}`).join('\n\n');
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+    }
 
-    const completion = await groq.chat.completions.create({
-      model: MODEL,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Combine estes ${summaries.length} resumos parciais em um resumo final unificado:\n\n${combined}` }
-      ],
-      max_tokens: config.maxTokens,
-      temperature: 0.3,
+    // Multi-day ranges get an overall summary plus a day-by-day digest
+    const redactor = createRedactor();
+    redactor.addSenders(senders);
+    const merged = await mergeSummaries(summaries.map(s => redactor.redactText(s)), level, privacy, {
+      range,
+      partRanges: ranges,
+      template,
+      language: summaryLanguage,
+      onToken: stream ? text => stream?.send({ text }, 'token') : undefined,
+      signal,
+      provider: grant.provider
     });
+    await grant.charge(merged.tokensUsed);
 
-    res.status(200).json({
-      summary: completion.choices[0]?.message?.content || '',
-      stats: { tokensUsed: completion.usage?.total_tokens || 0 }
-    });
+    const response: MergeResponse = {
+      summary: redactor.restore(merged.summary, privacy !== 'anonymous'),
+      stats: { tokensUsed: merged.tokensUsed, cached: merged.cached }
+    };
 
-  } catch (err) {
-    console.error('Merge error:', err);
-    if (err instanceof Error && err.message.includes('rate')) {
-      res.status(429).json({ error: 'Limite de tokens excedido. Aguarde um momento.' });
-      return;
+    if (stream) {
+      stream.send(response, 'done');
+      stream.close();
+    } else {
+      res.status(200).json(response);
     }
-    res.status(500).json({ error: 'Falha ao combinar resumos' });
+
+  } catch (err) {
+    if (err instanceof ProviderError && err.kind === 'aborted') return;
+
+    if (!(err instanceof ApiError)) console.error('Merge error:', err);
+    sendApiError(res, stream, err, 'Falha ao combinar resumos');
+  } finally {
+    // Tokens reserved but not used go back to the budgets
+    await grant?.release();
   }
 }
-
@@ -1,140 +1,152 @@
 import type { VercelRequest, VercelResponse } from '@vercel/node';
-import Groq from 'groq-sdk';
-import type { SummaryLevel, PrivacyMode } from '../src/types/index.js';
-
-interface ParsedMessage {
-  date: string;
-  time: string;
-  sender: string;
-  content: string;
-  isMedia: boolean;
-}
-
-type ModelType = 'fast' | 'balanced' | 'powerful';
-
-interface SummarizeRequestBody {
-  messages: ParsedMessage[];
-  level: SummaryLevel;
-  privacy: PrivacyMode;
-  model?: ModelType;
-  isPartial?: boolean;
-}
-
-const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
-
-// Models - TESTED for Vercel 10s timeout
-// llama-4-scout is THE BEST: 250 msgs/chunk, 1.3s, 30K TPM!
-const MODELS = {
-  fast: 'llama-3.1-8b-instant',                        // 6K TPM, 80 msgs
-  balanced: 'llama-3.3-70b-versatile',                 // 12K TPM, 120 msgs
-  powerful: 'meta-llama/llama-4-scout-17b-16e-instruct' // 30K TPM, 250 msgs - BEST!
-};
-
-// Max messages per request (TESTED - must complete in <10s)
-const MAX_MESSAGES = {
-  fast: 80,       // 6K TPM limit
-  balanced: 120,  // 12K TPM limit  
-  powerful: 250   // 30K TPM - 1300 msgs = 6 chunks in ~8s total!
-};
-
-const LEVEL_CONFIGS: Record<SummaryLevel, { maxTokens: number; prompt: string }> = {
-  1: { maxTokens: 150, prompt: 'Faça um resumo ULTRA-CURTO em 2-3 frases.' },
-  2: { maxTokens: 300, prompt: 'Faça um resumo CURTO com parágrafos breves.' },
-  3: { maxTokens: 500, prompt: 'Faça um resumo DETALHADO dos assuntos.' },
-  4: { maxTokens: 700, prompt: 'Faça um resumo COMPLETO incluindo quem disse o quê.' }
-};
-
-const PRIVACY_INSTRUCTIONS: Record<PrivacyMode, string> = {
-  'anonymous': 'NÃO mencione nomes. Use termos genéricos.',
-  'with-names': 'Mencione os nomes das pessoas quando relevante.',
-  'smart': 'Mencione nomes APENAS para contribuições importantes.'
-};
-
-function formatMessages(messages: ParsedMessage[], includeNames: boolean): string {
-  return messages
-    .filter(msg => msg.sender !== '__system__')
-    .map(msg => {
-      if (msg.isMedia) {
-        return includeNames ? `[${msg.time}] ${msg.sender}: [mídia]` : `[${msg.time}] [mídia]`;
-      }
-      return includeNames ? `[${msg.time}] ${msg.sender}: ${msg.content}` : `[${msg.time}] ${msg.content}`;
-    })
-    .join('\n');
-}
-
+import type { SummarizeResponse, DateRange, StructuredSummary, TopicSummary } from '../src/types/index.js';
+import { formatMessagesForAI } from '../src/services/parser.js';
+import { takeWithinBudget, formatContextForAI, CHUNK_TOKENS } from '../src/services/chunker.js';
+import { getMessagesRange } from '../src/services/dateExtractor.js';
+import { structuredToMarkdown } from '../src/services/extraction.js';
+import { topicsToMarkdown } from '../src/services/topics.js';
+import { messageText } from '../src/services/retrieval.js';
+import { resolveLanguage } from '../src/services/language.js';
+import { createRedactor } from '../src/services/redaction.js';
+import { generateSummary, extractStructured, summarizeTopics } from '../src/services/groq.js';
+import { ProviderError } from '../src/services/llm.js';
+import { ApiError, sendApiError } from '../src/services/errors.js';
+import { getAccessGuard, setCorsHeaders } from '../src/services/access.js';
+import type { AccessGrant } from '../src/services/access.js';
+import { parseSummarizeRequest } from '../src/services/validation.js';
+import { wantsEventStream, openEventStream, abortOnDisconnect } from '../src/services/sse.js';
+import type { EventStream } from '../src/services/sse.js';
+
+/**
+ * POST /api/summarize
+ * With ?stream=1 (or Accept: text/event-stream) the answer is streamed as
+ * "token" events ({ text }) followed by a "done" event with the full response.
+ *
+ * Messages are redacted (redaction.ts) before reaching the provider; the
+ * answer gets links, and names unless anonymous, back. Tokens are streamed
+ * as the model wrote them (with pseudonyms), only "done" is restored.
+ */
 export default async function handler(req: VercelRequest, res: VercelResponse): Promise<void> {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  setCorsHeaders(req, res, 'POST, OPTIONS');
 
   if (req.method === 'OPTIONS') { res.status(200).end(); return; }
-  if (req.method !== 'POST') { res.status(405).json({ error: 'Method not allowed' }); return; }
+  if (req.method !== 'POST') { sendApiError(res, null, new ApiError('METHOD_NOT_ALLOWED')); return; }
 
   const startTime = Date.now();
+  const signal = abortOnDisconnect(res);
+  let stream: EventStream | null = null;
+  let grant: AccessGrant | undefined;
 
   try {
-    const { messages, level = 3, privacy = 'smart', model = 'powerful', isPartial = false } = req.body as SummarizeRequestBody;
+    const {
+      messages, context: contextMessages, level: summaryLevel, privacy: privacyMode, model: modelType,
+      output: outputMode, language: outputLanguage, template, isPartial, range
+    } = parseSummarizeRequest(req.body);
+    const includeNames = privacyMode !== 'anonymous';
+    const maxTokens = CHUNK_TOKENS[modelType];
 
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      res.status(400).json({ error: 'No messages provided' });
-      return;
-    }
+    // Pseudonymize and mask PII, then keep what fits the model's token budget;
+    // the rest is reported in stats
+    const redactor = createRedactor();
+    const redacted = redactor.redactMessages([...contextMessages, ...messages]);
+    const redactedContext = redacted.slice(0, contextMessages.length);
+    const { messages: messagesToProcess, tokens: inputTokens } = takeWithinBudget(redacted.slice(contextMessages.length), maxTokens);
+    const droppedMessages = messages.length - messagesToProcess.length;
 
-    const summaryLevel: SummaryLevel = ([1, 2, 3, 4].includes(level) ? level : 3) as SummaryLevel;
-    const privacyMode: PrivacyMode = ['anonymous', 'with-names', 'smart'].includes(privacy) ? privacy : 'smart';
-    const includeNames = privacyMode !== 'anonymous';
-    const modelType: ModelType = ['fast', 'balanced', 'powerful'].includes(model) ? model : 'powerful';
-    
-    const selectedModel = MODELS[modelType];
-    const maxMessages = MAX_MESSAGES[modelType];
-
-    // Limit messages based on model capacity
-    const messagesToProcess = messages.slice(0, maxMessages);
-    const wasLimited = messages.length > maxMessages;
-
-    const config = LEVEL_CONFIGS[summaryLevel];
-    const privacyNote = PRIVACY_INSTRUCTIONS[privacyMode];
-    const messagesText = formatMessages(messagesToProcess, includeNames);
+    // Rate limits and daily budget (access.ts), or the user's own key
+    grant = await getAccessGuard().admit(req, { tokens: inputTokens });
+
+    // Whole selection (for partial chunks of a range) or the days sent
+    const summaryRange: DateRange = range ?? getMessagesRange(messagesToProcess);
+    const isMultiDay = summaryRange.start !== summaryRange.end;
+
+    const messagesText = formatContextForAI(redactedContext, includeNames, isMultiDay) +
+      formatMessagesForAI(messagesToProcess, includeNames, isMultiDay);
     const participants = new Set(messagesToProcess.map(m => m.sender).filter(s => s !== '__system__'));
+    const summaryLanguage = resolveLanguage(outputLanguage, messagesToProcess.map(messageText));
 
-    const systemPrompt = `Você é um assistente que resume conversas de grupo do WhatsApp em português brasileiro.
-${config.prompt}
-${privacyNote}
-${isPartial ? 'Este é uma PARTE da conversa. Resuma esta parte.' : ''}
-Organize por temas. Use markdown.`;
-
-    const completion = await groq.chat.completions.create({
-      model: selectedModel,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: `Resuma:\n\n${messagesText}` }
-      ],
-      max_tokens: config.maxTokens,
-      temperature: 0.3,
-    });
-
-    res.status(200).json({
-      summary: completion.choices[0]?.message?.content || '',
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+    }
+    const onToken = stream ? (text: string) => stream?.send({ text }, 'token') : undefined;
+
+    let summary: string;
+    let structured: StructuredSummary | undefined;
+    let topics: TopicSummary[] | undefined;
+    let tokensUsed: number;
+    let cached: boolean;
+
+    if (outputMode === 'structured') {
+      // JSON extraction (not streamed), with a markdown rendering for copy/share
+      ({ structured, tokensUsed, cached } = await extractStructured(messagesText, privacyMode, {
+        model: modelType,
+        language: summaryLanguage,
+        signal,
+        provider: grant.provider
+      }));
+      structured = redactor.restoreStructured(structured, includeNames);
+      summary = structuredToMarkdown(structured);
+    } else if (outputMode === 'topics') {
+      // One summary per topic (not streamed); positions refer to the messages sent
+      ({ topics, tokensUsed, cached } = await summarizeTopics(messagesToProcess, summaryLevel, privacyMode, {
+        model: modelType,
+        language: summaryLanguage,
+        signal,
+        provider: grant.provider
+      }));
+      topics = redactor.restoreTopics(topics, includeNames);
+      summary = topicsToMarkdown(topics);
+    } else {
+      ({ summary, tokensUsed, cached } = await generateSummary(messagesText, summaryLevel, privacyMode, {
+        isPartial,
+        model: modelType,
+        range: summaryRange,
+        template,
+        language: summaryLanguage,
+        onToken,
+        signal,
+        provider: grant.provider
+      }));
+      summary = redactor.restore(summary, includeNames);
+    }
+
+    await grant.charge(tokensUsed);
+
+    const response: SummarizeResponse = {
+      summary,
+      structured,
+      topics,
       stats: {
         totalMessages: messagesToProcess.length,
         originalCount: messages.length,
         participants: participants.size,
-        tokensUsed: completion.usage?.total_tokens || 0,
+        tokensUsed,
         processingTime: Date.now() - startTime,
-        wasLimited,
-        maxMessages,
-        model: modelType
+        wasLimited: droppedMessages > 0,
+        droppedMessages,
+        maxTokens,
+        model: modelType,
+        language: summaryLanguage,
+        range: getMessagesRange(messagesToProcess),
+        cached
       }
-    });
+    };
 
-  } catch (err) {
-    console.error('Summarize error:', err);
-    
-    if (err instanceof Error && (err.message.includes('rate') || err.message.includes('429') || err.message.includes('413'))) {
-      res.status(429).json({ error: 'Limite de tokens. Aguarde um momento.' });
-      return;
+    if (stream) {
+      stream.send(response, 'done');
+      stream.close();
+    } else {
+      res.status(200).json(response);
     }
 
-    res.status(500).json({ error: 'Falha ao gerar resumo' });
+  } catch (err) {
+    // Client disconnected or cancelled: nobody is listening
+    if (err instanceof ProviderError && err.kind === 'aborted') return;
+
+    if (!(err instanceof ApiError)) console.error('Summarize error:', err);
+    sendApiError(res, stream, err, 'Falha ao gerar resumo');
+  } finally {
+    // Tokens reserved but not used go back to the budgets
+    await grant?.release();
   }
 }
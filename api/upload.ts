@@ -1,7 +1,9 @@
 import type { VercelRequest, VercelResponse } from '@vercel/node';
 import formidable from 'formidable';
 import { readFile } from 'fs/promises';
-import type { ErrorResponse } from '../src/types/index.js';
+import { analyzeChat } from '../src/services/chat.js';
+import { ApiError, sendApiError } from '../src/services/errors.js';
+import { getAccessGuard, setCorsHeaders } from '../src/services/access.js';
 
 // Disable body parsing - we handle it with formidable
 export const config = {
@@ -10,52 +12,19 @@ export const config = {
   },
 };
 
-// Regex to match WhatsApp message format
-const MESSAGE_REGEX = /^(\d{2}\/\d{2}\/\d{4}) (\d{2}:\d{2}) - ([^:]+): (.*)$/;
-
-function convertDate(brDate: string): string {
-  const [day, month, year] = brDate.split('/');
-  return `${year}-${month}-${day}`;
-}
-
-function isMediaMessage(content: string): boolean {
-  const mediaPatterns = ['<mídia oculta>', '<media omitted>', 'imagem ocultada'];
-  return mediaPatterns.some(pattern => content.toLowerCase().includes(pattern));
-}
-
-interface ParsedMessage {
-  date: string;
-  time: string;
-  sender: string;
-  content: string;
-  isMedia: boolean;
-}
-
-interface DateInfo {
-  date: string;
-  messageCount: number;
-  participants: number;
-  preview: string;
-}
-
-interface MessagesByDate {
-  [date: string]: ParsedMessage[];
-}
-
 /**
  * POST /api/upload
  * 
  * Receives a WhatsApp export file and returns all parsed data
- * Client stores this data and sends it back for summarization
+ * Fallback for browsers where the parser worker can't run -
+ * normally the client parses the file locally (public/parser-worker.js)
  */
 export default async function handler(
   req: VercelRequest,
   res: VercelResponse
 ): Promise<void> {
   // Set CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  setCorsHeaders(req, res, 'POST, OPTIONS');
 
   if (req.method === 'OPTIONS') {
     res.status(200).end();
@@ -63,15 +32,13 @@ export default async function handler(
   }
 
   if (req.method !== 'POST') {
-    const error: ErrorResponse = { 
-      error: 'Method not allowed', 
-      code: 'METHOD_NOT_ALLOWED' 
-    };
-    res.status(405).json(error);
+    sendApiError(res, null, new ApiError('METHOD_NOT_ALLOWED'));
     return;
   }
 
   try {
+    getAccessGuard().checkOrigin(req);
+
     // Parse multipart form data
     const form = formidable({
       maxFileSize: 10 * 1024 * 1024, // 10MB max
@@ -82,111 +49,34 @@ export default async function handler(
     
     const uploadedFile = files.file?.[0];
     if (!uploadedFile) {
-      const error: ErrorResponse = { 
-        error: 'No file uploaded', 
-        code: 'NO_FILE' 
-      };
-      res.status(400).json(error);
-      return;
+      throw new ApiError('NO_FILE');
     }
 
     // Read file content
     const fileContent = await readFile(uploadedFile.filepath, 'utf-8');
 
     if (!fileContent.trim()) {
-      const error: ErrorResponse = { 
-        error: 'File is empty', 
-        code: 'EMPTY_FILE' 
-      };
-      res.status(400).json(error);
-      return;
+      throw new ApiError('EMPTY_FILE');
     }
 
-    // Parse messages
-    const lines = fileContent.split('\n');
-    const messagesByDate: MessagesByDate = {};
-    let currentMessage: ParsedMessage | null = null;
-
-    for (const line of lines) {
-      if (!line.trim() && !currentMessage) continue;
+    // Parse messages (export dialect is auto-detected)
+    const result = analyzeChat(fileContent);
 
-      const messageMatch = line.match(MESSAGE_REGEX);
-      
-      if (messageMatch) {
-        if (currentMessage) {
-          // Save previous message
-          if (!messagesByDate[currentMessage.date]) {
-            messagesByDate[currentMessage.date] = [];
-          }
-          messagesByDate[currentMessage.date].push(currentMessage);
-        }
-
-        const [, brDate, time, sender, content] = messageMatch;
-        currentMessage = {
-          date: convertDate(brDate),
-          time,
-          sender: sender.trim(),
-          content: content,
-          isMedia: isMediaMessage(content)
-        };
-      } else if (currentMessage && line.trim()) {
-        // Multi-line message continuation
-        currentMessage.content += '\n' + line;
-      }
+    // No message lines: not a WhatsApp export (or a dialect we don't know)
+    if (result.totalMessages === 0) {
+      throw new ApiError('INVALID_FORMAT');
     }
 
-    // Don't forget the last message
-    if (currentMessage) {
-      if (!messagesByDate[currentMessage.date]) {
-        messagesByDate[currentMessage.date] = [];
-      }
-      messagesByDate[currentMessage.date].push(currentMessage);
-    }
-
-    // Check if we got any messages
-    const totalMessages = Object.values(messagesByDate).reduce((sum, msgs) => sum + msgs.length, 0);
-    
-    if (totalMessages === 0) {
-      const error: ErrorResponse = { 
-        error: 'No messages found. Make sure this is a WhatsApp export file.', 
-        code: 'NO_MESSAGES' 
-      };
-      res.status(400).json(error);
-      return;
-    }
-
-    // Build date info
-    const dates: DateInfo[] = Object.entries(messagesByDate)
-      .map(([date, messages]) => {
-        const participants = new Set(messages.map(m => m.sender).filter(s => s !== '__system__'));
-        const firstMsg = messages.find(m => !m.isMedia && m.sender !== '__system__');
-        const preview = firstMsg ? firstMsg.content.substring(0, 50) + (firstMsg.content.length > 50 ? '...' : '') : '';
-        
-        return {
-          date,
-          messageCount: messages.length,
-          participants: participants.size,
-          preview
-        };
-      })
-      .sort((a, b) => b.date.localeCompare(a.date)); // Most recent first
-
     // Return all data to client
-    res.status(200).json({
-      messagesByDate,
-      dates,
-      totalMessages,
-      totalDays: dates.length,
-      oldestDate: dates[dates.length - 1]?.date || '',
-      newestDate: dates[0]?.date || ''
-    });
+    res.status(200).json(result);
 
   } catch (err) {
-    console.error('Upload error:', err);
-    const error: ErrorResponse = { 
-      error: 'Failed to process file', 
-      code: 'PROCESSING_ERROR' 
-    };
-    res.status(500).json(error);
+    // formidable rejects files above maxFileSize with httpCode 413
+    if ((err as { httpCode?: number } | null)?.httpCode === 413) {
+      sendApiError(res, null, new ApiError('PAYLOAD_TOO_LARGE', { message: 'Arquivo maior que 10 MB' }));
+      return;
+    }
+    if (!(err instanceof ApiError)) console.error('Upload error:', err);
+    sendApiError(res, null, err, 'Falha ao processar o arquivo');
   }
 }
@@ -0,0 +1,67 @@
+/**
+ * Daily digests from the command line (src/services/digest.ts)
+ * Run with: npm run digest -- <export.txt | folder> [options]
+ *
+ * Uses the provider and cache configured in .env, like dev-server.js.
+ * For scheduled digests, run it from cron; --watch keeps it running and
+ * digests the files of a folder as they are added or replaced.
+ */
+
+import 'dotenv/config';
+import { watch } from 'fs';
+import { stat } from 'fs/promises';
+import { join } from 'path';
+import { parseDigestArgs, runDigest, findExports, DIGEST_USAGE } from './src/services/digest.ts';
+
+const WATCH_DEBOUNCE_MS = 2000;   // Exports are written in several steps
+
+async function main(args) {
+  if (args.includes('--help') || args.includes('-h')) {
+    console.log(DIGEST_USAGE);
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = parseDigestArgs(args);
+  } catch (err) {
+    console.error(`${err.message}\n\n${DIGEST_USAGE}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const { input, watch: watching, options } = parsed;
+  const isFolder = (await stat(input)).isDirectory();
+  const files = isFolder ? await findExports(input) : [input];
+
+  for (const file of files) {
+    await runDigest(file, options);
+  }
+
+  if (!watching) return;
+  if (!isFolder) {
+    console.error('--watch needs a folder');
+    process.exitCode = 2;
+    return;
+  }
+
+  // One run at a time, each file once per burst of changes
+  console.log(`Watching ${input} for exports...`);
+  const timers = new Map();
+  let queue = Promise.resolve();
+  watch(input, (_, fileName) => {
+    if (!fileName || !/\.txt$/i.test(fileName)) return;
+    clearTimeout(timers.get(fileName));
+    timers.set(fileName, setTimeout(() => {
+      timers.delete(fileName);
+      queue = queue
+        .then(() => runDigest(join(input, fileName), options))
+        .catch(err => console.error(`${fileName}:`, err.message));
+    }, WATCH_DEBOUNCE_MS));
+  });
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
@@ -5,15 +5,21 @@
 // ==============================================
 // Constants
 // ==============================================
-// TESTED limits for Vercel 10s timeout
-// llama-4-scout is THE BEST: 250 msgs, 1.3s, 30K TPM!
+// Messages per chunk, used if the token-aware chunker can't load and to flag
+// big days in the list (TESTED limits for Vercel 10s timeout)
 const MODEL_LIMITS = {
   fast: 80,       // llama-3.1-8b-instant - 6K TPM
   balanced: 120,  // llama-3.3-70b-versatile - 12K TPM
   powerful: 250   // llama-4-scout - 30K TPM, 1300 msgs in ~8s!
 };
 const DEFAULT_MODEL = 'powerful'; // Best: 250 msgs/chunk!
-const FULL_MODE_THRESHOLD = 250; // Show modal above this
+const MODEL_NAMES = { fast: 'Leve', balanced: 'Equilibrado', powerful: 'Potente' };
+const LAST_SUMMARIZED_KEY = 'lastSummarizedDate'; // For "since my last visit"
+const TEMPLATES_KEY = 'summaryTemplates';          // Templates created by the user
+const SESSION_KEY = 'sessionId';                   // Anonymous id for the server's rate limits
+const GROQ_KEY = 'groqApiKey';                     // User's own Groq key, only kept here
+const PENDING_JOB_KEY = 'pendingJob';              // Server job not followed to the end yet
+const GROQ_KEY_PATTERN = /^gsk_[A-Za-z0-9]{20,100}$/;
 
 // ==============================================
 // State
@@ -21,10 +27,20 @@ const FULL_MODE_THRESHOLD = 250; // Show modal above this
 const state = {
   messagesByDate: {},
   allDates: [],
-  selectedDate: null,
-  selectedDateInfo: null,
+  range: null,          // { start, end } - start === end for a single day
+  filter: null,         // { label, messages } when summarizing search results instead of the whole range
+  analyticsFrom: 'dates',  // Step to go back to from analytics
+  historyFrom: 'upload',   // Step to go back to from history
+  chat: null,           // { id, name } of the loaded export, for the history
+  changes: null,        // { since, newDays, changedDays } vs the previous export of this chat
+  media: null,          // Map of file name -> JSZip entry, for ZIP exports with media
+  readMedia: true,      // Transcribe / read attachments before summarizing
+  ask: null,            // { rangeKey, turns } of the questions about the selected range
   level: 3,
   privacy: 'smart',
+  output: 'summary',    // 'summary' (markdown), 'structured' (decisions/tasks/...) or 'topics'
+  language: 'auto',     // 'auto' (the chat's), 'pt', 'en' or 'es'
+  template: '',         // Template id, '' for the level's
   model: DEFAULT_MODEL
 };
 
@@ -44,20 +60,78 @@ const elements = {
   recentDates: $('recent-dates'),
   allDates: $('all-dates'),
   loadMoreDates: $('load-more-dates'),
+  rangePicker: $('range-picker'),
+  rangeStart: $('range-start'),
+  rangeEnd: $('range-end'),
+  rangeSinceLast: $('range-since-last'),
+  rangeNew: $('range-new'),
+  btnRange: $('btn-range'),
+  search: $('search'),
+  searchInput: $('search-input'),
+  btnSearchFilters: $('btn-search-filters'),
+  searchFilters: $('search-filters'),
+  searchSender: $('search-sender'),
+  searchStart: $('search-start'),
+  searchEnd: $('search-end'),
+  searchMedia: $('search-media'),
+  searchLink: $('search-link'),
+  searchResults: $('search-results'),
   btnBackUpload: $('btn-back-upload'),
   selectedDateInfo: $('selected-date-info'),
   levelOptions: $('level-options'),
   privacyOptions: $('privacy-options'),
+  outputOptions: $('output-options'),
+  mediaOption: $('media-option'),
+  mediaInput: $('media-input'),
+  mediaCount: $('media-count'),
+  templateOption: $('template-option'),
+  templateSelect: $('template-select'),
+  customTemplates: $('custom-templates'),
+  btnDeleteTemplate: $('btn-delete-template'),
+  templateForm: $('template-form'),
+  templateName: $('template-name'),
+  templateInstructions: $('template-instructions'),
+  ownKey: $('own-key'),
+  ownKeyStatus: $('own-key-status'),
+  ownKeyForm: $('own-key-form'),
+  ownKeyInput: $('own-key-input'),
+  btnRemoveKey: $('btn-remove-key'),
+  languageSelect: $('language-select'),
   btnBackDates: $('btn-back-dates'),
   btnSummarize: $('btn-summarize'),
+  btnAnalytics: $('btn-analytics'),
+  btnAnalyticsAll: $('btn-analytics-all'),
+  btnBackAnalytics: $('btn-back-analytics'),
+  analyticsRange: $('analytics-range'),
+  analyticsContent: $('analytics-content'),
+  btnAsk: $('btn-ask'),
+  btnBackAsk: $('btn-back-ask'),
+  askRange: $('ask-range'),
+  askThread: $('ask-thread'),
+  askForm: $('ask-form'),
+  askInput: $('ask-input'),
+  btnAskSend: $('btn-ask-send'),
+  btnHistory: $('btn-history'),
+  btnHistoryDates: $('btn-history-dates'),
+  btnBackHistory: $('btn-back-history'),
+  historyContent: $('history-content'),
+  btnBackCompare: $('btn-back-compare'),
+  compareRange: $('compare-range'),
+  compareContent: $('compare-content'),
+  resultTitle: $('result-title'),
   resultDate: $('result-date'),
   summaryText: $('summary-text'),
   summaryStats: $('summary-stats'),
   btnCopy: $('btn-copy'),
   btnShare: $('btn-share'),
+  btnExport: $('btn-export'),
+  exportOptions: $('export-options'),
+  exportParts: $('export-parts'),
   btnNewDate: $('btn-new-date'),
+  btnStop: $('btn-stop'),
   loading: $('loading'),
   loadingText: $('loading-text'),
+  btnCancel: $('btn-cancel'),
   toast: $('toast'),
   tokenBar: $('token-bar')
 };
@@ -67,7 +141,7 @@ const elements = {
 // ==============================================
 
 function showStep(name) {
-  ['upload', 'dates', 'options', 'result'].forEach(s => {
+  ['upload', 'dates', 'options', 'analytics', 'ask', 'history', 'compare', 'result'].forEach(s => {
     $(`step-${s}`)?.classList.toggle('active', s === name);
   });
 }
@@ -100,291 +174,2090 @@ function formatDateShort(dateStr) {
   return `${day}/${month}/${year}`;
 }
 
+function formatRange(range) {
+  if (range.start === range.end) return formatDate(range.start);
+  return `${formatDateShort(range.start)} a ${formatDateShort(range.end)}`;
+}
+
+function formatRangeShort(range) {
+  if (range.start === range.end) return formatDateShort(range.start);
+  return `${formatDateShort(range.start)} a ${formatDateShort(range.end)}`;
+}
+
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Messages of every day in the range, in chronological order
+ */
+function getRangeMessages(range) {
+  return Object.keys(state.messagesByDate)
+    .filter(date => date >= range.start && date <= range.end)
+    .sort()
+    .flatMap(date => state.messagesByDate[date]);
+}
+
+/**
+ * Messages to summarize or ask about: the search results picked, or the range
+ */
+function getSelectedMessages() {
+  return state.filter?.messages ?? getRangeMessages(state.range);
+}
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
+/**
+ * Only http(s) links become clickable (no javascript:, data:...)
+ */
+function isWebUrl(url) {
+  try {
+    return /^https?:\/\//i.test(url) && ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
 function formatTime(seconds) {
   if (seconds < 60) return `${seconds}s`;
   return `${Math.floor(seconds / 60)}min ${seconds % 60}s`;
 }
 
+function formatTokens(tokens) {
+  if (tokens < 1000) return `${tokens} tokens`;
+  return `${(tokens / 1000).toLocaleString('pt-BR', { maximumFractionDigits: 1 })}K tokens`;
+}
+
 // ==============================================
 // API Calls
 // ==============================================
 
+/**
+ * Parse the export in a Web Worker so it never leaves the browser
+ * Rejects with a `workerFailed` error if the worker can't run at all
+ */
+function parseFileLocally(file) {
+  return new Promise((resolve, reject) => {
+    let worker;
+    try {
+      worker = new Worker('/parser-worker.js', { type: 'module' });
+    } catch (err) {
+      reject(Object.assign(err, { workerFailed: true }));
+      return;
+    }
+
+    worker.onmessage = e => {
+      worker.terminate();
+      if (e.data.ok) resolve(e.data.result);
+      else reject(new Error(e.data.error || 'Erro ao analisar arquivo'));
+    };
+    worker.onerror = e => {
+      e.preventDefault();
+      worker.terminate();
+      reject(Object.assign(new Error(e.message || 'Worker indisponível'), { workerFailed: true }));
+    };
+    worker.postMessage({ file });
+  });
+}
+
+/**
+ * Parse locally, falling back to /api/upload when workers are unavailable
+ */
+async function parseFile(file) {
+  try {
+    return await parseFileLocally(file);
+  } catch (err) {
+    if (!err.workerFailed) throw err;
+    console.warn('Parser worker unavailable, falling back to /api/upload:', err.message);
+    return uploadFile(file);
+  }
+}
+
 async function uploadFile(file) {
   const formData = new FormData();
   formData.append('file', file);
-  const res = await fetch('/api/upload', { method: 'POST', body: formData });
-  if (!res.ok) throw new Error((await res.json()).error || 'Erro no upload');
+  const res = await apiFetch('/api/upload', { method: 'POST', body: formData });
+  if (!res.ok) throw await responseError(res, 'Erro no upload');
   return res.json();
 }
 
-async function summarizeChunk(messages, isPartial = false) {
-  const res = await fetch('/api/summarize', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ 
-      messages, 
-      level: state.level, 
-      privacy: state.privacy, 
-      model: state.model,
-      isPartial 
-    })
+// ==============================================
+// API access (src/services/access.ts)
+// ==============================================
+
+/**
+ * Anonymous id of this browser, so the server's limits count per person
+ * instead of per network
+ */
+function getSessionId() {
+  let id = localStorage.getItem(SESSION_KEY);
+  if (!id) {
+    id = crypto.randomUUID?.() ??
+      Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem(SESSION_KEY, id);
+  }
+  return id;
+}
+
+/**
+ * fetch() for the API routes: sends the session id and, when the user
+ * saved one, their own Groq key
+ */
+function apiFetch(url, options = {}) {
+  const headers = new Headers(options.headers);
+  headers.set('X-Session-Id', getSessionId());
+  const groqKey = localStorage.getItem(GROQ_KEY);
+  if (groqKey) headers.set('X-Groq-Key', groqKey);
+  return fetch(url, { ...options, headers });
+}
+
+function renderOwnKey() {
+  const saved = Boolean(localStorage.getItem(GROQ_KEY));
+  elements.ownKeyStatus.textContent = saved ? '(em uso)' : '';
+  elements.btnRemoveKey.hidden = !saved;
+  elements.ownKeyInput.placeholder = saved ? 'gsk_... (salva)' : 'gsk_...';
+}
+
+function saveOwnKey(key) {
+  key = key.trim();
+  if (!GROQ_KEY_PATTERN.test(key)) {
+    showToast('A chave da Groq começa com gsk_', 'error');
+    return;
+  }
+  localStorage.setItem(GROQ_KEY, key);
+  elements.ownKeyForm.reset();
+  elements.ownKey.open = false;
+  renderOwnKey();
+  showToast('Chave salva neste aparelho', 'success');
+}
+
+function removeOwnKey() {
+  localStorage.removeItem(GROQ_KEY);
+  renderOwnKey();
+  showToast('Chave removida');
+}
+
+// ==============================================
+// API errors
+// ==============================================
+
+/**
+ * What to tell the user for each error code of the API (src/services/errors.ts)
+ * Codes left out keep the server's message
+ */
+const ERROR_MESSAGES = {
+  INVALID_REQUEST: 'O app enviou um pedido inválido. Recarregue a página e tente de novo.',
+  EMPTY_FILE: 'O arquivo está vazio.',
+  INVALID_FORMAT: 'Este arquivo não parece uma conversa exportada do WhatsApp.',
+  UNSUPPORTED_MEDIA: 'Tipo de anexo não suportado.',
+  MEDIA_TOO_LARGE: 'Anexo grande demais para ser lido.',
+  JOB_NOT_FOUND: 'O resumo expirou no servidor. Tente novamente.',
+  FORBIDDEN_ORIGIN: 'Este site não tem permissão para usar o servidor de resumos.',
+  TOO_MANY_REQUESTS: 'Muitos pedidos seguidos. Aguarde um momento.',
+  QUOTA_EXCEEDED: 'A cota diária de resumos acabou. Tente amanhã ou use sua própria chave da Groq nas opções.',
+  INVALID_API_KEY: 'Sua chave da Groq foi recusada. Confira ou remova a chave nas opções.',
+  RATE_LIMITED: 'Limite de uso da IA atingido. Aguarde 1 minuto e tente novamente.',
+  PROVIDER_TIMEOUT: 'A IA demorou demais para responder. Tente novamente.',
+  PROVIDER_UNAVAILABLE: 'O serviço de IA está indisponível no momento. Tente mais tarde.',
+  BAD_MODEL_RESPONSE: 'A IA respondeu num formato inválido. Tente novamente.'
+};
+
+/**
+ * Error for an API error body ({ error, code, retryAfter })
+ * Older servers answer without a code: a 429 is still a rate limit
+ */
+function apiError(data, status, fallbackError) {
+  const code = data?.code || (status === 429 ? 'RATE_LIMITED' : undefined);
+  const message = ERROR_MESSAGES[code] || data?.error || fallbackError;
+  return Object.assign(new Error(message), { code, status, retryAfter: data?.retryAfter });
+}
+
+async function responseError(res, fallbackError) {
+  const data = await res.json().catch(() => null);
+  return apiError(data, res.status, fallbackError);
+}
+
+/**
+ * Errors that can go away by themselves: attempts after the first, and
+ * what to say while waiting
+ */
+const RETRIES = {
+  RATE_LIMITED: { attempts: 3, note: 'Limite de uso da IA atingido.' },
+  TOO_MANY_REQUESTS: { attempts: 3, note: 'Muitos pedidos seguidos.' },
+  PROVIDER_TIMEOUT: { attempts: 2, note: 'A IA demorou demais para responder.' },
+  PROVIDER_UNAVAILABLE: { attempts: 2, note: 'Serviço de IA indisponível.' },
+  BAD_MODEL_RESPONSE: { attempts: 1, note: 'A IA respondeu num formato inválido.' }
+};
+const MAX_RETRY_WAIT = 60;   // Seconds
+
+/**
+ * Wait, unless the request in progress is cancelled
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
   });
-  if (!res.ok) throw new Error((await res.json()).error || 'Erro ao resumir');
-  return res.json();
 }
 
-async function mergeSummaries(summaries) {
-  const res = await fetch('/api/merge', {
+/**
+ * Run a request, trying again on the codes above: after the time the
+ * server asked for (Retry-After), otherwise with a growing pause
+ */
+async function withRetries(request) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (err) {
+      const retry = RETRIES[err.code];
+      if (err.name === 'AbortError' || !retry || attempt >= retry.attempts) throw err;
+      const seconds = Math.min(err.retryAfter ?? 5 * 2 ** attempt, MAX_RETRY_WAIT);
+      showToast(`${retry.note} Tentando de novo em ${seconds}s...`);
+      await wait(seconds * 1000, activeRequest?.signal);
+    }
+  }
+}
+
+/**
+ * POST to an API route in streaming mode (SSE over fetch, EventSource can't POST)
+ * Calls onToken with the text so far on each "token" event and resolves with
+ * the "done" payload. Failures that can go away are retried (the text
+ * starts over).
+ */
+function postStream(url, body, onToken, fallbackError) {
+  return withRetries(() => postStreamOnce(url, body, onToken, fallbackError));
+}
+
+async function postStreamOnce(url, body, onToken, fallbackError) {
+  const res = await apiFetch(`${url}?stream=1`, {
     method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ summaries, level: state.level, privacy: state.privacy })
+    headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+    body: JSON.stringify(body),
+    signal: activeRequest?.signal
   });
-  if (!res.ok) throw new Error((await res.json()).error || 'Erro ao combinar');
-  return res.json();
+  
+  // Validation errors (and older servers) answer with plain JSON
+  if (!(res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    if (!res.ok) throw await responseError(res, fallbackError);
+    return res.json();
+  }
+  
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = done ? '' : events.pop();
+    
+    for (const raw of events) {
+      const event = raw.match(/^event: (.+)$/m)?.[1];
+      const data = raw.match(/^data: (.+)$/m)?.[1];
+      if (!data) continue;
+      
+      const payload = JSON.parse(data);
+      if (event === 'token') {
+        text += payload.text;
+        onToken?.(text);
+      }
+      if (event === 'error') throw apiError(payload, payload.status, fallbackError);
+      if (event === 'done') return payload;
+    }
+    if (done) throw new Error(fallbackError);
+  }
+}
+
+async function summarizeChunk(messages, isPartial = false, onToken, context) {
+  return postStream('/api/summarize', {
+    messages, 
+    level: state.level, 
+    privacy: state.privacy, 
+    model: state.model,
+    output: state.output,
+    language: summaryLanguage,
+    template: getTemplateRef(),
+    isPartial,
+    range: state.range,
+    context
+  }, onToken, 'Erro ao resumir');
+}
+
+async function mergeSummaries(summaries, ranges, extractions, onToken) {
+  return postStream('/api/merge', {
+    summaries,
+    ranges,
+    extractions,
+    output: state.output,
+    language: summaryLanguage,
+    template: getTemplateRef(),
+    range: state.range,
+    level: state.level,
+    privacy: state.privacy
+  }, onToken, 'Erro ao combinar');
+}
+
+// ==============================================
+// Cancellation
+// ==============================================
+
+// AbortController of the summary in progress (null when idle)
+let activeRequest = null;
+
+function startCancellable() {
+  activeRequest = new AbortController();
+  elements.btnCancel.hidden = false;
+  return activeRequest.signal;
+}
+
+function endCancellable() {
+  activeRequest = null;
+  elements.btnCancel.hidden = true;
+  elements.btnStop.hidden = true;
+}
+
+function cancelSummary() {
+  activeRequest?.abort();
+}
+
+/**
+ * Show a failed or cancelled summary
+ */
+function handleSummaryError(err) {
+  hideLoading();
+  elements.stepResult.classList.remove('streaming');
+  if (err.name === 'AbortError') {
+    showToast('Resumo cancelado');
+    showStep('options');
+    return;
+  }
+  // API errors already carry the message for their code
+  showToast(err.message, 'error');
+}
+
+// ==============================================
+// Mode Selection Modal
+// ==============================================
+
+// Pre-flight estimates shared with the server (public/lib, npm run build:client)
+let estimatePromise = null;
+
+function loadEstimate() {
+  estimatePromise ??= import('./lib/services/estimate.js').catch(() => null);
+  return estimatePromise;
+}
+
+/**
+ * Tokens, time and free tier of each model, so the model can be picked
+ * knowing what the summary will cost (only the parts without the module)
+ */
+async function showModeModal(messages, chunkCount) {
+  const estimator = await loadEstimate();
+  const options = { level: state.level, output: state.output, range: state.range ?? undefined };
+  const estimates = {};   // "model:mode" -> estimate
+  const estimate = (model, mode) => {
+    estimates[`${model}:${mode}`] ??= estimator.estimateSummary(messages, { ...options, model, mode });
+    return estimates[`${model}:${mode}`];
+  };
+  
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  
+  const render = () => {
+    let quick, full, models = '';
+    if (estimator) {
+      quick = estimate(state.model, 'quick');
+      full = estimate(state.model, 'full');
+      models = `
+        <div class="model-options">
+          ${Object.keys(MODEL_NAMES).map(model => {
+            const { inputTokens, outputTokens, seconds, fitsFreeTier } = estimate(model, 'full');
+            return `
+              <button class="model-option ${model === state.model ? 'selected' : ''}" data-model="${model}">
+                <strong>${MODEL_NAMES[model]}</strong>
+                <span>${formatTokens(inputTokens + outputTokens)} • ~${formatTime(seconds)}</span>
+                <span class="free-tier ${fitsFreeTier ? '' : 'over'}">${fitsFreeTier ? 'Cabe na cota grátis' : 'Acima da cota grátis'}</span>
+              </button>`;
+          }).join('')}
+        </div>`;
+    } else {
+      quick = { messages: Math.floor(messages.length / chunkCount) };
+      full = { chunks: chunkCount, merges: 0 };
+    }
+    const tokens = e => e.inputTokens ? `<p class="mode-tokens">até ${formatTokens(e.inputTokens + e.outputTokens)}</p>` : '';
+    const time = e => e.seconds !== undefined ? `<div class="mode-time">~${formatTime(e.seconds)}</div>` : '';
+    
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h2>📊 ${messages.length.toLocaleString()} mensagens</h2>
+        <p class="modal-subtitle">Escolha ${estimator ? 'o modelo e ' : ''}como processar:</p>
+        ${models}
+        <div class="mode-options">
+          <div class="mode-card" data-mode="quick">
+            <div class="mode-icon">⚡</div>
+            <h3>Rápido</h3>
+            <p>${quick.messages < messages.length ? `Amostra de ~${quick.messages.toLocaleString()} mensagens` : 'Todas as mensagens'}</p>
+            ${tokens(quick)}
+            ${time(quick)}
+          </div>
+          
+          <div class="mode-card" data-mode="full">
+            <div class="mode-icon">📖</div>
+            <h3>Completo</h3>
+            <p>${full.chunks} ${full.chunks === 1 ? 'parte' : 'partes processadas em sequência'}${full.merges > 1 ? `, ${full.merges} junções` : ''}</p>
+            ${tokens(full)}
+            ${time(full)}
+          </div>
+        </div>
+        
+        <button class="btn-link modal-cancel">Cancelar</button>
+      </div>
+    `;
+    
+    modal.querySelectorAll('.model-option').forEach(button => {
+      button.onclick = () => { state.model = button.dataset.model; render(); };
+    });
+    modal.querySelectorAll('.mode-card').forEach(card => {
+      card.onclick = () => { modal.remove(); startSummarization(card.dataset.mode); };
+    });
+    modal.querySelector('.modal-cancel').onclick = () => modal.remove();
+  };
+  
+  render();
+  document.body.appendChild(modal);
+  modal.onclick = e => { if (e.target === modal) modal.remove(); };
+}
+
+// ==============================================
+// Summarization
+// ==============================================
+
+// PII redaction shared with the server (public/lib, npm run build:client)
+let redactionPromise = null;
+let redactor = null;  // Redactor of the summary in progress
+let summarizedMessages = [];  // Messages of the summary in progress (topics point into them)
+
+// Language detection shared with the server (public/lib)
+let languagePromise = null;
+let summaryLanguage = 'auto';  // Language of the summary in progress
+
+/**
+ * The redaction module; nothing goes to the model without it, so a failed
+ * load is an error (tried again on the next summary or question)
+ */
+function loadRedaction() {
+  redactionPromise ??= import('./lib/services/redaction.js').catch(err => {
+    console.error('Redaction module failed to load:', err);
+    redactionPromise = null;
+    throw new Error('Não foi possível carregar a proteção de dados pessoais. Recarregue a página e tente de novo.');
+  });
+  return redactionPromise;
+}
+
+function loadLanguage() {
+  languagePromise ??= import('./lib/services/language.js').catch(() => null);
+  return languagePromise;
+}
+
+/**
+ * The chosen language, or the chat's with 'auto', so every chunk and merge
+ * is written in the same one (the server detects it per request when the
+ * module can't be loaded)
+ */
+async function resolveSummaryLanguage(messages) {
+  const language = await loadLanguage();
+  return language ? language.resolveLanguage(state.language, messages.map(m => m.content)) : state.language;
+}
+
+/**
+ * Put links, and names unless anonymous, back into the model's answer
+ */
+function reveal(text) {
+  return redactor ? redactor.restore(text, state.privacy !== 'anonymous') : text;
+}
+
+function revealStructured(structured) {
+  return redactor && structured
+    ? redactor.restoreStructured(structured, state.privacy !== 'anonymous')
+    : structured;
+}
+
+/**
+ * Topics with names back and their original messages instead of positions
+ */
+function revealTopics(topics) {
+  if (!topics) return topics;
+  const revealed = redactor ? redactor.restoreTopics(topics, state.privacy !== 'anonymous') : topics;
+  return revealed.map(topic => ({
+    ...topic,
+    messages: topic.messages.map(index => summarizedMessages[index]).filter(Boolean)
+  }));
+}
+
+async function startSummarization(mode) {
+  const signal = startCancellable();
+  
+  try {
+    let selected = getSelectedMessages();
+    if (state.readMedia) {
+      await readAttachments(selected, signal);
+    } else {
+      selected = withoutAttachmentText(selected);
+    }
+    summarizedMessages = selected;
+    summaryLanguage = await resolveSummaryLanguage(selected);
+    
+    // Pseudonyms and masks are applied here, so names never leave the browser
+    redactor = (await loadRedaction()).createRedactor();
+    const messages = redactor.redactMessages(selected);
+    
+    if (mode === 'quick') {
+      await processQuick(messages);
+    } else {
+      await processFull(messages);
+    }
+  } catch (err) {
+    handleSummaryError(err);
+  } finally {
+    endCancellable();
+  }
+}
+
+async function processQuick(messages) {
+  showLoading('Gerando resumo...');
+  
+  // Sample evenly if it doesn't fit the model's token budget
+  const chunks = await planChunks(messages);
+  let sample = null;   // Positions of the sampled messages
+  let toProcess = messages;
+  if (chunks.length > 1) {
+    const sampleSize = Math.floor(messages.length / chunks.length);
+    const step = messages.length / sampleSize;
+    sample = Array.from({ length: sampleSize }, (_, i) => Math.floor(i * step));
+    toProcess = sample.map(index => messages[index]);
+  }
+  
+  // The summary shows up as the model writes it
+  const result = await summarizeChunk(toProcess, false, displayStreaming);
+  
+  // Sampled, or trimmed by the server to fit: say how much was read
+  let summary = result.summary;
+  if (result.stats.totalMessages < messages.length) {
+    summary += `\n\n---\n_Resumo de ${result.stats.totalMessages} de ${messages.length} mensagens_`;
+  }
+  
+  // Topics point into the sample, the result into all the messages
+  const topics = sample && result.topics
+    ? result.topics.map(topic => ({ ...topic, messages: topic.messages.map(index => sample[index]) }))
+    : result.topics;
+  
+  displayResult(summary, { ...result.stats, totalMessages: messages.length }, result.structured, topics);
+}
+
+// Token-aware chunker shared with the server (public/lib, npm run build:client)
+let chunkerPromise = null;
+
+function loadChunker() {
+  chunkerPromise ??= import('./lib/services/chunker.js').catch(() => null);
+  return chunkerPromise;
+}
+
+/**
+ * Plan the chunks for the selected model: [{ messages, context }]
+ * Cuts at pauses and day changes, sized by estimated tokens
+ */
+async function planChunks(messages) {
+  const chunker = await loadChunker();
+  if (!chunker) {
+    return buildChunks(messages, MODEL_LIMITS[state.model]).map(chunk => ({ messages: chunk, context: [] }));
+  }
+  return chunker.splitIntoChunks(messages, chunker.CHUNK_TOKENS[state.model]);
+}
+
+/**
+ * Fallback when the chunker module can't be loaded:
+ * split messages into chunks of at most chunkSize without mixing a day
+ * into someone else's chunk: small days are packed together whole,
+ * big days are split on their own
+ */
+function buildChunks(messages, chunkSize) {
+  const chunks = [];
+  let current = [];
+  
+  const days = [];
+  for (const msg of messages) {
+    const last = days[days.length - 1];
+    if (last && last[0].date === msg.date) last.push(msg);
+    else days.push([msg]);
+  }
+  
+  for (const day of days) {
+    if (current.length + day.length <= chunkSize) {
+      current.push(...day);
+      continue;
+    }
+    if (current.length) chunks.push(current);
+    current = [];
+    for (let i = 0; i < day.length; i += chunkSize) {
+      const slice = day.slice(i, i + chunkSize);
+      if (slice.length === chunkSize) chunks.push(slice);
+      else current = slice;
+    }
+  }
+  if (current.length) chunks.push(current);
+  
+  return chunks;
+}
+
+/**
+ * Full summary: the server runs the whole map-reduce job (chunks, rate
+ * limits, retries, merges). Falls back to the browser loop when the
+ * jobs API isn't available (e.g. serverless deploy without shared memory).
+ */
+async function processFull(messages) {
+  showProgressUI(0);
+  const job = await runServerJob(messages);
+  if (!job) return processFullInBrowser(messages);
+  
+  const { result } = job;
+  displayResult(result.summary, result.stats, result.structured, result.topics);
+}
+
+/**
+ * Start a job on the server and wait for it
+ * Returns null when the jobs API is unavailable
+ */
+async function runServerJob(messages) {
+  let res;
+  try {
+    res = await apiFetch('/api/jobs', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        messages,
+        level: state.level,
+        privacy: state.privacy,
+        model: state.model,
+        output: state.output,
+        language: summaryLanguage,
+        template: getTemplateRef(),
+        range: state.range
+      }),
+      signal: activeRequest?.signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') throw err;
+    return null;
+  }
+  if (res.status === 404 || res.status === 405) return null;
+  if (!res.ok) throw await responseError(res, 'Erro ao resumir');
+  
+  const { id } = await res.json();
+  // Until it ends, so closing the page doesn't lose it (see resumePendingJob)
+  rememberJob(id);
+  try {
+    return await followJob(id, jobProgressHandler(), activeRequest?.signal);
+  } finally {
+    localStorage.removeItem(PENDING_JOB_KEY);
+  }
+}
+
+const JOB_POLL_MS = 1500;  // Pause before asking for a job again
+
+/**
+ * Follow a job until it ends, connecting again each time the server
+ * closes the stream (on Vercel it runs the job only while it's followed)
+ * Resolves with the finished job, or null if the server lost it.
+ * Aborting the signal deletes the job on the server.
+ */
+async function followJob(id, onUpdate, signal) {
+  const url = `/api/jobs?id=${encodeURIComponent(id)}`;
+  const onAbort = () => apiFetch(url, { method: 'DELETE' }).catch(() => {});
+  signal?.addEventListener('abort', onAbort, { once: true });
+  
+  try {
+    for (;;) {
+      const job = await readJob(url, onUpdate, signal);
+      if (!job) return null;
+      if (job.status === 'done') return job;
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        throw apiError({ error: job.error, code: job.errorCode }, 0, 'Resumo cancelado');
+      }
+      await wait(JOB_POLL_MS, signal);
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * One request for a job: its updates while the server keeps the stream
+ * open (fetch, so the session id goes along; EventSource can't send it),
+ * or a single JSON answer. Resolves with the last state, null on 404.
+ */
+async function readJob(url, onUpdate, signal) {
+  const res = await apiFetch(`${url}&stream=1`, { headers: { 'Accept': 'text/event-stream' }, signal });
+  if (res.status === 404) return null;
+  if (!(res.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    if (!res.ok) throw await responseError(res, 'Erro ao resumir');
+    const job = await res.json();
+    onUpdate?.(job);
+    return job;
+  }
+  
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let job = null;
+  
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = done ? '' : events.pop();
+    
+    for (const raw of events) {
+      const event = raw.match(/^event: (.+)$/m)?.[1];
+      const data = raw.match(/^data: (.+)$/m)?.[1];
+      if (!data) continue;
+      
+      const payload = JSON.parse(data);
+      if (event === 'error') {
+        if (payload.code === 'JOB_NOT_FOUND') return null;
+        throw apiError(payload, payload.status, 'Erro ao resumir');
+      }
+      job = payload;
+      onUpdate?.(job);
+    }
+    if (done) return job;
+  }
+}
+
+/**
+ * Progress and partial summaries of the job on screen
+ */
+function jobProgressHandler() {
+  const shownPartials = new Set();
+  return job => {
+    updateJobProgress(job);
+    job.partials?.forEach((summary, index) => {
+      if (!summary || shownPartials.has(index)) return;
+      shownPartials.add(index);
+      addPartialPreview(index, summary);
+    });
+  };
+}
+
+/**
+ * Keep what's needed to finish a job after the page is closed: its id, the
+ * pseudonyms and links to put back, and the history fields
+ */
+function rememberJob(id) {
+  if (!state.chat) return;
+  localStorage.setItem(PENDING_JOB_KEY, JSON.stringify({
+    id,
+    redaction: redactor.snapshot(),
+    meta: historyMeta()
+  }));
+}
+
+/**
+ * Follow the job left running when the page was closed and put its summary
+ * in the history. Topics point into messages that are gone, so only the
+ * text is kept.
+ */
+async function resumePendingJob() {
+  let pending = null;
+  try {
+    pending = JSON.parse(localStorage.getItem(PENDING_JOB_KEY));
+  } catch {}
+  if (!pending?.id) return;
+  
+  try {
+    const job = await followJob(pending.id);
+    if (job) {
+      const names = pending.meta.privacy !== 'anonymous';
+      const restorer = (await loadRedaction()).createRedactor(pending.redaction);
+      const { summary, stats, structured } = job.result;
+      await saveToHistory(
+        pending.meta,
+        restorer.restore(summary, names),
+        stats,
+        structured && restorer.restoreStructured(structured, names),
+        null
+      );
+      showToast(`O resumo de "${pending.meta.chatName}" ficou pronto e está no histórico`, 'success');
+    }
+  } catch (err) {
+    // Offline: try again next time
+    if (err instanceof TypeError) return;
+    console.warn('Pending summary not finished:', err);
+  }
+  localStorage.removeItem(PENDING_JOB_KEY);
+}
+
+function updateJobProgress(job) {
+  const { totalChunks, completedChunks, mergeRound, waitingMs } = job.progress;
+  let text = `Parte ${Math.min(completedChunks + 1, totalChunks)}/${totalChunks}...`;
+  if (waitingMs > 0) {
+    text = `Aguardando limite de tokens (${Math.ceil(waitingMs / 1000)}s)...`;
+  } else if (job.status === 'merging') {
+    text = `Combinando resumos (rodada ${mergeRound})...`;
+  } else if (job.status === 'queued') {
+    text = 'Iniciando...';
+  }
+  updateProgressUI(completedChunks, totalChunks || 1, text);
+}
+
+/**
+ * Legacy full mode: chunks are sent one by one from the browser
+ */
+async function processFullInBrowser(messages) {
+  const chunks = await planChunks(messages);
+  
+  showProgressUI(chunks.length);
+  const summaries = [];
+  const ranges = [];
+  const extractions = [];
+  const topics = [];
+  let offset = 0;   // Position of the chunk's first message, for its topics
+  let tokensUsed = 0;
+  // The model's tokens per minute, the same limit the estimate waits for
+  const estimator = await loadEstimate();
+  const tokensPerMinute = estimator?.FREE_TIER_LIMITS[state.model].tokensPerMinute;
+  
+  for (let i = 0; i < chunks.length; i++) {
+    updateProgressUI(i, chunks.length, `Parte ${i + 1}/${chunks.length}...`);
+    
+    const result = await summarizeChunk(chunks[i].messages, true, undefined, chunks[i].context);
+    summaries.push(result.summary);
+    ranges.push(result.stats.range);
+    if (result.structured) extractions.push(result.structured);
+    result.topics?.forEach(topic => topics.push({ ...topic, messages: topic.messages.map(index => index + offset) }));
+    offset += chunks[i].messages.length;
+    tokensUsed += result.stats?.tokensUsed || 0;
+    addPartialPreview(i, result.summary);
+    
+    // Check if approaching TPM limit - only wait if needed
+    if (tokensPerMinute && tokensUsed > tokensPerMinute * 0.9 && i < chunks.length - 1) {
+      updateProgressUI(i + 1, chunks.length, 'Aguardando reset de tokens...');
+      await new Promise(r => setTimeout(r, 60000)); // Wait 1 min for reset
+      activeRequest?.signal.throwIfAborted();
+      tokensUsed = 0; // Reset counter
+    }
+  }
+  
+  // Merge all summaries (streamed into the result as it's written)
+  updateProgressUI(chunks.length, chunks.length, 'Combinando resumos...');
+  
+  // Topics of each part are kept as they are, no merge needed
+  let finalSummary;
+  let finalStructured = extractions[0];
+  if (summaries.length === 1 || state.output === 'topics') {
+    finalSummary = summaries.join('\n\n');
+  } else {
+    const mergeResult = await mergeSummaries(summaries, ranges, extractions, displayStreaming);
+    finalSummary = mergeResult.summary;
+    finalStructured = mergeResult.structured;
+  }
+  
+  displayResult(finalSummary, {
+    totalMessages: messages.length,
+    participants: new Set(messages.map(m => m.sender)).size,
+    chunks: chunks.length
+  }, finalStructured, state.output === 'topics' ? topics : undefined);
+}
+
+function showProgressUI(total) {
+  elements.loading.hidden = false;
+  elements.loadingText.innerHTML = `
+    <div class="progress-container">
+      <div class="progress-bar"><div class="progress-fill" style="width:0%"></div></div>
+      <div class="progress-text">Iniciando... 0/${total}</div>
+      <div class="partial-list"></div>
+    </div>
+  `;
+}
+
+/**
+ * Show a partial summary under the progress bar as soon as its chunk is done
+ */
+function addPartialPreview(index, summary) {
+  const list = document.querySelector('.partial-list');
+  if (!list || !summary) return;
+  
+  const item = document.createElement('div');
+  item.className = 'partial-preview summary-text';
+  item.innerHTML = `<strong>Parte ${index + 1}</strong>${renderMarkdown(reveal(summary))}`;
+  list.appendChild(item);
+  list.scrollTop = list.scrollHeight;
+}
+
+function updateProgressUI(current, total, text) {
+  const pct = (current / total) * 100;
+  const fill = document.querySelector('.progress-fill');
+  const txt = document.querySelector('.progress-text');
+  if (fill) fill.style.width = `${pct}%`;
+  if (txt) txt.textContent = text;
+}
+
+/**
+ * Render structured output as checklists (tasks) and cards (events)
+ */
+function renderStructured(structured) {
+  const source = s => {
+    const when = s.date ? `${formatDateShort(s.date)} ${s.time}` : s.time;
+    return `<span class="source-ref">${escapeHtml(when)}${s.sender ? ` • ${escapeHtml(s.sender)}` : ''}</span>`;
+  };
+  const section = (title, items, render) => items.length
+    ? `<section class="structured-section"><h2>${title}</h2>${items.map(render).join('')}</section>`
+    : '';
+  
+  const html = [
+    section('✅ Decisões', structured.decisions, d => `
+      <div class="structured-item">${escapeHtml(d.text)} ${source(d.source)}</div>`),
+    section('📌 Tarefas', structured.tasks, t => `
+      <label class="structured-item task-item">
+        <input type="checkbox">
+        <span>${escapeHtml(t.task)}
+          ${t.owner ? `<span class="task-meta">👤 ${escapeHtml(t.owner)}</span>` : ''}
+          ${t.due ? `<span class="task-meta">⏰ ${escapeHtml(t.due)}</span>` : ''}
+          ${source(t.source)}</span>
+      </label>`),
+    section('📅 Eventos', structured.events, e => `
+      <div class="event-card">
+        <strong>${escapeHtml(e.title)}</strong>
+        <div class="event-details">
+          ${e.date ? `<span>📅 ${escapeHtml(e.date)}</span>` : ''}
+          ${e.time ? `<span>🕐 ${escapeHtml(e.time)}</span>` : ''}
+          ${e.place ? `<span>📍 ${escapeHtml(e.place)}</span>` : ''}
+        </div>
+        ${source(e.source)}
+      </div>`),
+    section('🔗 Links', structured.links, l => `
+      <div class="structured-item">
+        ${isWebUrl(l.url)
+          ? `<a href="${escapeHtml(l.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(l.url)}</a>`
+          : escapeHtml(l.url)}
+        ${l.description ? ` — ${escapeHtml(l.description)}` : ''} ${source(l.source)}
+      </div>`),
+    section('❓ Perguntas sem resposta', structured.unansweredQuestions, q => `
+      <div class="structured-item">${escapeHtml(q.question)} ${source(q.source)}</div>`)
+  ].join('');
+  
+  return html || '<p>Nenhuma decisão, tarefa ou evento encontrado.</p>';
+}
+
+/**
+ * Render topics as cards; each one opens to show its original messages
+ */
+function renderTopics(topics) {
+  if (!topics.length) return '<p>Nenhum assunto encontrado.</p>';
+  const isMultiDay = new Set(topics.map(t => t.date)).size > 1;
+  
+  return topics.map(topic => {
+    const time = topic.start === topic.end ? topic.start : `${topic.start}–${topic.end}`;
+    const when = `${isMultiDay ? `${formatDateShort(topic.date)} ` : ''}${time}`;
+    const count = topic.messages.length;
+    const details = [when, `${count} ${count === 1 ? 'mensagem' : 'mensagens'}`, topic.participants.join(', ')];
+    const lines = topic.messages.map(msg => {
+      const content = msg.content || (msg.attachment ? `📎 ${msg.attachment.fileName}` : '[mídia]');
+      const day = isMultiDay ? `${formatDateShort(msg.date).slice(0, 5)} ` : '';
+      return `<div class="topic-line">${day}${msg.time} <strong>${escapeHtml(msg.sender)}</strong>: ${escapeHtml(content)}</div>`;
+    });
+    
+    return `
+      <section class="topic">
+        <h2>${escapeHtml(topic.title)}</h2>
+        <div class="topic-meta">${escapeHtml(details.filter(Boolean).join(' • '))}</div>
+        <p>${escapeHtml(topic.summary)}</p>
+        ${lines.length ? `
+          <details class="topic-messages">
+            <summary>Ver mensagens</summary>
+            ${lines.join('')}
+          </details>` : ''}
+      </section>`;
+  }).join('');
+}
+
+function renderMarkdown(text) {
+  return escapeHtml(text)
+    .replace(/###\s*(.+)/g, '<h3>$1</h3>')
+    .replace(/##\s*(.+)/g, '<h2>$1</h2>')
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\n\n/g, '</p><p>')
+    .replace(/^/, '<p>').replace(/$/, '</p>');
+}
+
+function setResultHeader() {
+  const isRange = state.range.start !== state.range.end;
+  elements.resultTitle.textContent = state.filter ? 'Resumo da busca'
+    : isRange ? 'Resumo do período' : 'Resumo do dia';
+  elements.resultDate.textContent = state.filter
+    ? `🔎 ${state.filter.label} • ${formatRange(state.range)}`
+    : formatRange(state.range);
+}
+
+/**
+ * Show the summary while the model is still writing it
+ */
+function displayStreaming(text) {
+  hideLoading();
+  elements.stepResult.classList.add('streaming');
+  elements.btnStop.hidden = !activeRequest;
+  elements.summaryText.dataset.markdown = '';
+  elements.summaryText.innerHTML = renderMarkdown(reveal(text));
+  elements.summaryStats.innerHTML = '';
+  setResultHeader();
+  showStep('result');
+}
+
+function displayResult(summary, stats, structured, topics) {
+  summary = reveal(summary);
+  structured = revealStructured(structured);
+  topics = revealTopics(topics);
+  renderResult(summary, stats, structured, topics, {
+    chatName: state.chat?.name,
+    range: state.range,
+    level: state.level,
+    output: state.output,
+    filter: state.filter?.label,
+    template: getTemplateName()
+  });
+  if (state.chat) {
+    saveToHistory(historyMeta(), summary, stats, structured, topics)
+      .catch(err => console.warn('Summary not saved to history:', err));
+  }
+  
+  // Search results don't cover their days, so they don't count as read
+  const lastSummarized = localStorage.getItem(LAST_SUMMARIZED_KEY);
+  if (!state.filter && (!lastSummarized || state.range.end > lastSummarized)) {
+    localStorage.setItem(LAST_SUMMARIZED_KEY, state.range.end);
+  }
+}
+
+function renderSummaryContent(summary, structured, topics) {
+  if (topics) return renderTopics(topics);
+  return structured ? renderStructured(structured) : renderMarkdown(summary);
+}
+
+/**
+ * Show a finished summary (new or re-opened from the history)
+ * meta describes it for the exports: chatName, range, level, output, filter
+ */
+function renderResult(summary, stats, structured, topics, meta) {
+  hideLoading();
+  elements.stepResult.classList.remove('streaming');
+  elements.btnStop.hidden = true;
+  
+  // Copy/share/export use the markdown, not the rendered text
+  elements.summaryText.dataset.markdown = summary;
+  exportMeta = { ...meta, stats };
+  closeExportOptions();
+  elements.summaryText.innerHTML = renderSummaryContent(summary, structured, topics);
+  
+  elements.summaryStats.innerHTML = `
+    <div class="stat-item"><span class="stat-value">${stats.totalMessages}</span><span class="stat-label">mensagens</span></div>
+    <div class="stat-item"><span class="stat-value">${stats.participants || '-'}</span><span class="stat-label">participantes</span></div>
+    <div class="stat-item"><span class="stat-value">${stats.chunks || 1}</span><span class="stat-label">partes</span></div>
+  `;
+  
+  setResultHeader();
+  elements.btnShare.hidden = !navigator.share;
+  showStep('result');
+}
+
+// ==============================================
+// Analytics
+// ==============================================
+
+const WEEKDAYS = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+// Same computation as /api/analytics, compiled to public/lib
+let analyticsPromise = null;
+
+function loadAnalytics() {
+  analyticsPromise ??= import('./lib/services/analytics.js').catch(() => null);
+  return analyticsPromise;
+}
+
+async function getAnalytics(range) {
+  const messages = Object.keys(state.messagesByDate).sort().flatMap(date => state.messagesByDate[date]);
+  const analytics = await loadAnalytics();
+  if (analytics) return analytics.computeAnalytics(messages, range);
+  
+  const res = await apiFetch('/api/analytics', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ messages, range })
+  });
+  if (!res.ok) throw await responseError(res, 'Erro ao calcular estatísticas');
+  return res.json();
+}
+
+function renderAnalytics(a) {
+  const section = (title, body) => `<section class="analytics-section"><h3>${title}</h3>${body}</section>`;
+  const maxParticipant = a.participants[0]?.messages || 1;
+  const maxHeat = Math.max(1, ...a.heatmap.flat());
+  const maxTrend = Math.max(1, ...a.trend.map(t => t.messages));
+  
+  const participants = a.participants.slice(0, 10).map(p => `
+    <div class="bar-row">
+      <span class="bar-label">${escapeHtml(p.sender)}</span>
+      <div class="bar" style="width:${(p.messages / maxParticipant) * 100}%"></div>
+      <span class="bar-value">${p.messages}${p.media ? ` • ${p.media} mídias` : ''}</span>
+    </div>`).join('');
+  
+  const heatmap = `<div class="heatmap">
+    ${a.heatmap.map((hours, day) => `<span>${WEEKDAYS[day]}</span>` + hours.map((count, hour) =>
+      `<div class="heatmap-cell" style="opacity:${count ? 0.15 + (count / maxHeat) * 0.85 : 0.05}" title="${WEEKDAYS[day]} ${hour}h: ${count}"></div>`
+    ).join('')).join('')}
+  </div>`;
+  
+  const topHours = a.topHours.map(h => `<span class="chip">${h.hour}h • ${h.messages}</span>`).join(' ');
+  
+  const threads = a.longestThreads.map(t => `
+    <li>${formatDateShort(t.date)} ${t.start}–${t.end} • ${t.messages} mensagens, ${t.participants} pessoas
+      <small>${escapeHtml(t.preview)}</small></li>`).join('');
+  
+  const membership = a.membership.map(m => `
+    <li>${m.type === 'joined' ? '➕' : '➖'} ${escapeHtml(m.name)}
+      <small>${formatDateShort(m.date)} ${m.time}${m.by ? ` • por ${escapeHtml(m.by)}` : ''}</small></li>`).join('');
+  
+  const trend = `<div class="trend">${a.trend.map(t =>
+    `<div class="trend-bar" style="height:${(t.messages / maxTrend) * 100}%" title="${formatDateShort(t.date)}: ${t.messages} mensagens"></div>`
+  ).join('')}</div>`;
+  
+  return `
+    <div class="summary-stats">
+      <div class="stat-item"><span class="stat-value">${a.totalMessages.toLocaleString()}</span><span class="stat-label">mensagens</span></div>
+      <div class="stat-item"><span class="stat-value">${a.participants.length}</span><span class="stat-label">participantes</span></div>
+      <div class="stat-item"><span class="stat-value">${Math.round(a.mediaShare * 100)}%</span><span class="stat-label">mídia</span></div>
+    </div>
+    ${section('👥 Quem mais fala', participants || '<p>Nenhuma mensagem</p>')}
+    ${section('🕐 Horários mais ativos', topHours || '-')}
+    ${section('🔥 Atividade por dia da semana e hora', heatmap)}
+    ${threads ? section('🧵 Conversas mais longas', `<ul class="analytics-list">${threads}</ul>`) : ''}
+    ${membership ? section('🚪 Entradas e saídas', `<ul class="analytics-list">${membership}</ul>`) : ''}
+    ${section(`📈 Conversa inteira, por ${a.trendUnit === 'week' ? 'semana' : 'dia'}`, trend)}
+  `;
+}
+
+/**
+ * Show analytics for a range (the whole export when range is undefined)
+ */
+async function showAnalytics(range, from) {
+  try {
+    showLoading('Calculando estatísticas...');
+    const analytics = await getAnalytics(range);
+    
+    elements.analyticsRange.textContent = analytics.range.start ? formatRange(analytics.range) : '';
+    elements.analyticsContent.innerHTML = renderAnalytics(analytics);
+    state.analyticsFrom = from;
+    
+    hideLoading();
+    showStep('analytics');
+  } catch (err) {
+    hideLoading();
+    showToast(err.message, 'error');
+  }
+}
+
+// ==============================================
+// History (IndexedDB, stays on this device)
+// ==============================================
+
+const HISTORY_DB = 'resumo-grupo';
+const HISTORY_STORE = 'summaries';
+const CHATS_STORE = 'chats';   // Per-day digests of the last exports of each chat
+const FINGERPRINT_MESSAGES = 20;
+const LEVEL_NAMES = { 1: '⚡ Flash', 2: '📝 Resumido', 3: '📋 Padrão', 4: '📖 Completo' };
+const PRIVACY_NAMES = { anonymous: 'anônimo', smart: 'inteligente', 'with-names': 'com nomes' };
+const LANGUAGE_NAMES = { pt: 'português', en: 'inglês', es: 'espanhol' };
+
+// Entries of the last rendered history, by key
+let historyEntries = new Map();
+let historyDbPromise = null;
+
+/**
+ * FNV-1a (32 bits) as hex: cheap, stable fingerprints, not for security
+ */
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (const char of text) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function messagesText(messages) {
+  return messages.map(m => `${m.date} ${m.time} ${m.sender}: ${m.content}`).join('\n');
+}
+
+/**
+ * Identify a chat across exports by hashing its first messages and who
+ * sent them (newer exports of the same group only add messages at the end)
+ */
+function chatFingerprint(result) {
+  const first = (result.messagesByDate[result.oldestDate] || []).slice(0, FINGERPRINT_MESSAGES);
+  return hashText(messagesText(first));
+}
+
+/**
+ * Group name from the export's file name ("Conversa do WhatsApp com Família.txt")
+ */
+function chatName(fileName) {
+  return fileName
+    .replace(/\.(txt|zip)$/i, '')
+    .replace(/^(Conversa do WhatsApp com|WhatsApp Chat with|WhatsApp Chat -|Chat de WhatsApp con)\s*/i, '')
+    .trim() || 'Conversa';
+}
+
+function openHistoryDb() {
+  historyDbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(HISTORY_DB, 2);
+    request.onupgradeneeded = event => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        db.createObjectStore(HISTORY_STORE, { keyPath: 'key' }).createIndex('chat', 'chat');
+      }
+      if (event.oldVersion < 2) {
+        db.createObjectStore(CHATS_STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return historyDbPromise;
+}
+
+/**
+ * Run a request on a store (summaries by default) and resolve with its result
+ */
+async function historyRequest(mode, makeRequest, storeName = HISTORY_STORE) {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * One entry per chat + period + search + level + privacy + model + format:
+ * summarizing again with the same options replaces it
+ */
+function historyKey(entry) {
+  const { chat, range, level, privacy, model, output, filter, template, language } = entry;
+  const key = [chat, range.start, range.end, level, privacy, model, output];
+  // Parts added later only when set, so older entries keep their keys
+  if (filter) key.push(filter);
+  if (template) key.push(`template:${template.id}`);
+  if (language && language !== 'pt') key.push(language);
+  return key.join('|');
+}
+
+/**
+ * What the history keeps about the summary in progress, besides its result
+ */
+function historyMeta() {
+  return {
+    chat: state.chat.id,
+    chatName: state.chat.name,
+    range: state.range,
+    level: state.level,
+    privacy: state.privacy,
+    model: state.model,
+    output: state.output,
+    filter: state.filter?.label ?? null,
+    template: state.output === 'summary' && state.template ? { id: state.template, name: getTemplateName() } : null,
+    language: summaryLanguage
+  };
+}
+
+async function saveToHistory(meta, summary, stats, structured, topics) {
+  if (!('indexedDB' in window)) return;
+  
+  const entry = {
+    ...meta,
+    summary,
+    structured: structured || null,
+    topics: topics || null,
+    stats,
+    createdAt: Date.now()
+  };
+  entry.key = historyKey(entry);
+  await historyRequest('readwrite', store => store.put(entry));
+}
+
+async function clearChatHistory(chat) {
+  const keys = await historyRequest('readonly', store => store.index('chat').getAllKeys(chat));
+  for (const key of keys) {
+    await historyRequest('readwrite', store => store.delete(key));
+  }
+}
+
+/**
+ * Remember this export and compare it with the previous one of the same chat
+ * Days are compared by message count and hash, so a day that was still
+ * going on in the last export shows up as changed. Re-opening the same
+ * export keeps comparing with the one before it.
+ * Returns { since, newDays, changedDays }, or null the first time
+ */
+async function trackExport(result) {
+  if (!state.chat || !('indexedDB' in window)) return null;
+  
+  const days = {};
+  for (const [date, messages] of Object.entries(result.messagesByDate)) {
+    days[date] = { count: messages.length, hash: hashText(messagesText(messages)) };
+  }
+  const snapshot = { importedAt: Date.now(), days };
+  
+  const record = await historyRequest('readonly', store => store.get(state.chat.id), CHATS_STORE);
+  const isSameExport = record && JSON.stringify(record.current.days) === JSON.stringify(days);
+  const base = isSameExport ? record.previous : record?.current;
+  
+  if (!isSameExport) {
+    await historyRequest('readwrite', store => store.put({
+      id: state.chat.id,
+      name: state.chat.name,
+      current: snapshot,
+      previous: record?.current ?? null
+    }), CHATS_STORE);
+  }
+  if (!base) return null;
+  
+  const newDays = new Set();
+  const changedDays = new Set();
+  for (const [date, digest] of Object.entries(days)) {
+    const before = base.days[date];
+    if (!before) newDays.add(date);
+    else if (before.hash !== digest.hash) changedDays.add(date);
+  }
+  return { since: base.importedAt, newDays, changedDays };
+}
+
+function describeEntry(entry) {
+  const saved = new Date(entry.createdAt).toLocaleString('pt-BR', {
+    day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+  });
+  const format = entry.template ? escapeHtml(entry.template.name)
+    : { structured: 'decisões e tarefas', topics: 'por assunto' }[entry.output] ?? 'resumo';
+  const filter = entry.filter ? `🔎 ${escapeHtml(entry.filter)} • ` : '';
+  const language = entry.language && entry.language !== 'pt' ? `${LANGUAGE_NAMES[entry.language] ?? entry.language} • ` : '';
+  return `${filter}${format} • ${language}${PRIVACY_NAMES[entry.privacy]} • ${entry.model} • ${saved}`;
+}
+
+/**
+ * Past summaries grouped by chat (the loaded one first), then by period
+ */
+function renderHistory(entries) {
+  if (!entries.length) {
+    return '<p class="history-empty">Nenhum resumo salvo ainda. Os resumos que você gerar aparecem aqui.</p>';
+  }
+  
+  const chats = new Map();
+  for (const entry of entries) {
+    const chat = chats.get(entry.chat) ?? { name: entry.chatName, latest: 0, ranges: new Map() };
+    const rangeKey = `${entry.range.start}|${entry.range.end}`;
+    const range = chat.ranges.get(rangeKey) ?? { range: entry.range, entries: [] };
+    range.entries.push(entry);
+    chat.ranges.set(rangeKey, range);
+    chat.latest = Math.max(chat.latest, entry.createdAt);
+    chats.set(entry.chat, chat);
+  }
+  
+  const ordered = [...chats.entries()].sort(([idA, a], [idB, b]) =>
+    (idB === state.chat?.id) - (idA === state.chat?.id) || b.latest - a.latest
+  );
+  
+  return ordered.map(([id, chat]) => {
+    const ranges = [...chat.ranges.values()]
+      .sort((a, b) => b.range.end.localeCompare(a.range.end) || b.range.start.localeCompare(a.range.start))
+      .map(({ range, entries: items }) => `
+        <div class="history-range">
+          <div class="history-range-title">${formatRange(range)}</div>
+          ${items.sort((a, b) => a.level - b.level || b.createdAt - a.createdAt).map(entry => `
+            <div class="history-entry">
+              ${items.length > 1 ? `<input type="checkbox" data-compare="${escapeHtml(entry.key)}" aria-label="Selecionar para comparar">` : ''}
+              <button class="history-open" data-open="${escapeHtml(entry.key)}">
+                <strong>${LEVEL_NAMES[entry.level]}</strong>
+                <small>${describeEntry(entry)}</small>
+              </button>
+            </div>`).join('')}
+          ${items.length > 1 ? '<button class="chip history-compare" disabled>Comparar 2 selecionados</button>' : ''}
+        </div>`).join('');
+    
+    return `
+      <div class="history-chat">
+        <div class="history-chat-header">
+          <h3>${escapeHtml(chat.name)}${id === state.chat?.id ? ' <small>(aberta)</small>' : ''}</h3>
+          <button class="btn-link" data-clear="${escapeHtml(id)}">Apagar</button>
+        </div>
+        ${ranges}
+      </div>`;
+  }).join('');
+}
+
+async function showHistory(from) {
+  try {
+    const entries = 'indexedDB' in window
+      ? await historyRequest('readonly', store => store.getAll())
+      : [];
+    historyEntries = new Map(entries.map(entry => [entry.key, entry]));
+    elements.historyContent.innerHTML = renderHistory(entries);
+    if (from) state.historyFrom = from;
+    showStep('history');
+  } catch (err) {
+    showToast('Não foi possível abrir o histórico', 'error');
+  }
+}
+
+/**
+ * Show a saved summary without calling the API again
+ */
+function openHistoryEntry(entry) {
+  state.range = entry.range;
+  // Only the label of a search is kept, for the header
+  state.filter = entry.filter ? { label: entry.filter, messages: [] } : null;
+  renderResult(entry.summary, entry.stats, entry.structured, entry.topics, {
+    chatName: entry.chatName,
+    range: entry.range,
+    level: entry.level,
+    output: entry.output ?? 'summary',
+    filter: entry.filter,
+    template: entry.template?.name
+  });
+}
+
+function renderCompareColumn(entry) {
+  return `
+    <div class="result-content compare-column">
+      <div class="compare-title">
+        <strong>${LEVEL_NAMES[entry.level]}</strong>
+        <small>${describeEntry(entry)}</small>
+      </div>
+      <div class="summary-text">${renderSummaryContent(entry.summary, entry.structured, entry.topics)}</div>
+    </div>`;
+}
+
+/**
+ * Two summaries of the same period side by side (less detailed first)
+ */
+function showCompare(a, b) {
+  const [left, right] = a.level <= b.level ? [a, b] : [b, a];
+  elements.compareRange.textContent = `${a.chatName} • ${formatRange(a.range)}`;
+  elements.compareContent.innerHTML = renderCompareColumn(left) + renderCompareColumn(right);
+  showStep('compare');
+}
+
+// ==============================================
+// Summary templates (templates.ts on the server)
+// ==============================================
+
+// Presets known to the server; the ones created by the user live in localStorage
+const PRESET_TEMPLATES = { ata: 'Ata de reunião', pais: 'Grupo de pais da escola' };
+
+function getCustomTemplates() {
+  try {
+    return JSON.parse(localStorage.getItem(TEMPLATES_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * What requests send: nothing for the level's template, a preset's id,
+ * or a user template whole
+ */
+function getTemplateRef() {
+  if (state.output !== 'summary' || !state.template) return undefined;
+  return getCustomTemplates().find(t => t.id === state.template) ?? state.template;
+}
+
+function getTemplateName() {
+  if (state.output !== 'summary' || !state.template) return null;
+  return PRESET_TEMPLATES[state.template] ?? getCustomTemplates().find(t => t.id === state.template)?.name ?? null;
+}
+
+function renderTemplateOptions() {
+  const templates = getCustomTemplates();
+  elements.customTemplates.innerHTML = templates
+    .map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`)
+    .join('');
+  elements.customTemplates.hidden = !templates.length;
+  elements.templateSelect.value = state.template;
+}
+
+function selectTemplate(id) {
+  state.template = id;
+  elements.templateSelect.value = id;
+  elements.btnDeleteTemplate.hidden = !getCustomTemplates().some(t => t.id === id);
+}
+
+function saveTemplate(name, instructions) {
+  name = name.trim();
+  instructions = instructions.trim();
+  if (!name || instructions.length < 10) {
+    showToast('Dê um nome e descreva o modelo', 'error');
+    return;
+  }
+  
+  const id = `meu-${Date.now().toString(36)}`;
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify([...getCustomTemplates(), { id, name, instructions }]));
+  elements.templateForm.reset();
+  elements.templateForm.closest('details').open = false;
+  renderTemplateOptions();
+  selectTemplate(id);
+  showToast('Modelo salvo!', 'success');
+}
+
+function deleteTemplate(id) {
+  localStorage.setItem(TEMPLATES_KEY, JSON.stringify(getCustomTemplates().filter(t => t.id !== id)));
+  renderTemplateOptions();
+  selectTemplate('');
+}
+
+// ==============================================
+// Date Selection
+// ==============================================
+
+function createDateCard(info) {
+  const div = document.createElement('div');
+  div.className = 'date-card';
+  div.dataset.date = info.date;
+  
+  // Rough hint: likely more than one request with the selected model
+  const isLarge = info.messageCount > MODEL_LIMITS[state.model];
+  
+  // New or changed since the previous export of this chat
+  const isNew = state.changes?.newDays.has(info.date);
+  const isChanged = state.changes?.changedDays.has(info.date);
+  div.classList.toggle('is-new', Boolean(isNew || isChanged));
+  const badge = isNew ? 'novo' : isChanged ? 'atualizado' : '';
+  
+  div.innerHTML = `
+    <div class="date-info">
+      <span class="date-value">${formatDate(info.date)}${badge ? ` <span class="date-badge">${badge}</span>` : ''}</span>
+      <span class="date-preview">${escapeHtml(info.preview || '')}</span>
+    </div>
+    <div class="date-stats">
+      <span class="message-count ${isLarge ? 'large' : ''}">${info.messageCount} msgs</span>
+      <span class="participant-count">${info.participants} pessoas</span>
+    </div>
+  `;
+  
+  div.onclick = () => selectDate(info);
+  return div;
+}
+
+function renderDates(dates, container, clear = true) {
+  if (clear) container.innerHTML = '';
+  dates.forEach(d => container.appendChild(createDateCard(d)));
+}
+
+function selectDate(info) {
+  selectRange({ start: info.date, end: info.date });
+}
+
+function selectRange(range) {
+  const messageCount = getRangeMessages(range).length;
+  if (!messageCount) {
+    showToast('Nenhuma mensagem nesse período', 'error');
+    return;
+  }
+  
+  state.range = range;
+  state.filter = null;
+  
+  document.querySelectorAll('.date-card').forEach(c => 
+    c.classList.toggle('selected', c.dataset.date >= range.start && c.dataset.date <= range.end)
+  );
+  
+  elements.selectedDateInfo.textContent = `${formatRange(range)} • ${messageCount} mensagens`;
+  elements.mediaOption.hidden = true;
+  updateMediaOption(getRangeMessages(range));
+  showStep('options');
+}
+
+/**
+ * Preset ranges count calendar days back from the newest day in the export
+ */
+function selectLastDays(days) {
+  const newest = state.allDates[0].date;
+  const oldest = state.allDates[state.allDates.length - 1].date;
+  const start = addDays(newest, -(days - 1));
+  selectRange({ start: start < oldest ? oldest : start, end: newest });
+}
+
+function setupRangePicker(result) {
+  elements.rangeStart.min = elements.rangeEnd.min = result.oldestDate;
+  elements.rangeStart.max = elements.rangeEnd.max = result.newestDate;
+  elements.rangeStart.value = addDays(result.newestDate, -6) < result.oldestDate
+    ? result.oldestDate
+    : addDays(result.newestDate, -6);
+  elements.rangeEnd.value = result.newestDate;
+  
+  const lastSummarized = localStorage.getItem(LAST_SUMMARIZED_KEY);
+  elements.rangeSinceLast.hidden = !lastSummarized || lastSummarized >= result.newestDate;
+  
+  const newRange = getNewRange();
+  elements.rangeNew.hidden = !newRange;
+  if (newRange) {
+    const since = new Date(state.changes.since).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' });
+    elements.rangeNew.textContent = `✨ Novidades desde a exportação de ${since}`;
+  }
+  elements.rangePicker.hidden = result.totalDays < 2 && !newRange;
+}
+
+/**
+ * Days added or changed since the previous export, as one range
+ * (from the first of them to the newest day)
+ */
+function getNewRange() {
+  if (!state.changes) return null;
+  const days = [...state.changes.newDays, ...state.changes.changedDays].sort();
+  return days.length ? { start: days[0], end: state.allDates[0].date } : null;
+}
+
+// ==============================================
+// Search
+// ==============================================
+
+const SEARCH_PAGE = 50;          // Hits rendered at a time
+const SEARCH_CONTEXT = 1;        // Messages shown before and after each hit
+const SEARCH_DELAY = 200;        // ms after the last keystroke
+
+// Index built in public/search-worker.js; on the main thread when workers can't load modules
+let searchWorker = null;
+let searchIndex = null;
+let searchRequests = new Map();  // Request id -> { resolve, reject }
+let searchRequestId = 0;
+let searchRun = 0;               // Only the latest search is shown
+let searchTimer = null;
+let searchResult = null;         // { total, matches, terms, filters } being shown
+let searchShown = 0;
+
+function callSearchWorker(message) {
+  const id = ++searchRequestId;
+  return new Promise((resolve, reject) => {
+    searchRequests.set(id, { resolve, reject });
+    searchWorker.postMessage({ ...message, id });
+  });
+}
+
+function stopSearch() {
+  searchWorker?.terminate();
+  searchWorker = null;
+  searchIndex = null;
+  searchRequests = new Map();
+  searchResult = null;
+  clearTimeout(searchTimer);
+}
+
+/**
+ * Index the whole export; resolves with its senders, or null when search can't load
+ */
+async function buildSearchIndex(messagesByDate) {
+  stopSearch();
+  
+  try {
+    const worker = new Worker('/search-worker.js', { type: 'module' });
+    worker.onmessage = e => {
+      const request = searchRequests.get(e.data.id);
+      searchRequests.delete(e.data.id);
+      if (e.data.ok) request?.resolve(e.data.result);
+      else request?.reject(new Error(e.data.error));
+    };
+    worker.onerror = e => {
+      e.preventDefault();
+      for (const request of searchRequests.values()) request.reject(new Error(e.message || 'Search worker failed'));
+      searchRequests.clear();
+    };
+    searchWorker = worker;
+    const { senders } = await callSearchWorker({ type: 'index', messagesByDate });
+    return senders;
+  } catch (err) {
+    console.warn('Search worker unavailable, indexing on the main thread:', err);
+    searchWorker?.terminate();
+    searchWorker = null;
+  }
+  
+  const search = await import('./lib/services/search.js').catch(() => null);
+  if (!search) return null;
+  searchIndex = search.createSearchIndex(messagesByDate);
+  return searchIndex.senders;
+}
+
+async function setupSearch(result) {
+  elements.search.hidden = true;
+  elements.searchResults.hidden = true;
+  elements.searchInput.value = '';
+  elements.searchStart.value = elements.searchEnd.value = '';
+  elements.searchStart.min = elements.searchEnd.min = result.oldestDate;
+  elements.searchStart.max = elements.searchEnd.max = result.newestDate;
+  elements.searchMedia.value = 'any';
+  elements.searchLink.checked = false;
+  
+  const senders = await buildSearchIndex(result.messagesByDate);
+  if (!senders) return;
+  elements.searchSender.innerHTML = '<option value="">Todos</option>' +
+    senders.map(s => `<option>${escapeHtml(s)}</option>`).join('');
+  elements.search.hidden = false;
+}
+
+function getSearchFilters() {
+  return {
+    query: elements.searchInput.value.trim(),
+    sender: elements.searchSender.value,
+    start: elements.searchStart.value,
+    end: elements.searchEnd.value,
+    media: elements.searchMedia.value,
+    hasLink: elements.searchLink.checked
+  };
+}
+
+async function runSearch() {
+  const filters = getSearchFilters();
+  const run = ++searchRun;
+  const isEmpty = !filters.query && !filters.sender && !filters.start && !filters.end &&
+    filters.media === 'any' && !filters.hasLink;
+  
+  if (isEmpty) {
+    searchResult = null;
+    elements.searchResults.hidden = true;
+    return;
+  }
+  
+  try {
+    const result = searchWorker
+      ? await callSearchWorker({ type: 'search', filters })
+      : searchIndex?.search(filters);
+    if (run !== searchRun || !result) return;
+    searchResult = { ...result, filters };
+    searchShown = 0;
+    renderSearchResults();
+  } catch (err) {
+    if (run === searchRun) showToast('Erro na busca: ' + err.message, 'error');
+  }
+}
+
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, SEARCH_DELAY);
+}
+
+/**
+ * Escaped text with the words starting with a search term in <mark>
+ */
+function highlightTerms(text, terms) {
+  if (!terms.length) return escapeHtml(text);
+  const fold = word => word.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+  return text.split(/([\p{L}\p{N}]+)/u).map((part, i) =>
+    i % 2 && terms.some(term => fold(part).startsWith(term))
+      ? `<mark>${escapeHtml(part)}</mark>`
+      : escapeHtml(part)
+  ).join('');
 }
 
-// ==============================================
-// Mode Selection Modal
-// ==============================================
+function renderSearchLine(msg, terms, isHit) {
+  const content = msg.content || (msg.attachment ? `📎 ${msg.attachment.fileName}` : '[mídia]');
+  const sender = msg.sender === '__system__' ? '' : `<strong>${escapeHtml(msg.sender)}</strong>: `;
+  const text = isHit ? highlightTerms(content, terms) : escapeHtml(content);
+  return `<div class="search-line${isHit ? ' is-hit' : ''}">${msg.time} ${sender}${text}</div>`;
+}
 
-function showModeModal(messageCount) {
-  const chunkSize = MODEL_LIMITS[state.model];
-  const chunks = Math.ceil(messageCount / chunkSize);
-  // With 70K TPM, chunks process quickly in sequence (no waits between)
-  const estimatedTime = chunks * 5 + 5; // ~5s per chunk + 5s for merge
+/**
+ * A matching message with the ones around it on the same day
+ */
+function renderSearchHit({ date, index }, terms) {
+  const day = state.messagesByDate[date];
+  const from = Math.max(0, index - SEARCH_CONTEXT);
+  const lines = day.slice(from, index + SEARCH_CONTEXT + 1)
+    .map((msg, i) => renderSearchLine(msg, terms, from + i === index));
   
-  const modal = document.createElement('div');
-  modal.className = 'modal-overlay';
-  modal.innerHTML = `
-    <div class="modal-content">
-      <h2>📊 ${messageCount.toLocaleString()} mensagens</h2>
-      <p class="modal-subtitle">Escolha como processar:</p>
-      
-      <div class="mode-options">
-        <div class="mode-card" data-mode="quick">
-          <div class="mode-icon">⚡</div>
-          <h3>Rápido</h3>
-          <p>Amostra de ~${chunkSize} mensagens</p>
-          <div class="mode-time">~5 segundos</div>
-        </div>
-        
-        <div class="mode-card" data-mode="full">
-          <div class="mode-icon">📖</div>
-          <h3>Completo</h3>
-          <p>${chunks} partes processadas em sequência</p>
-          <div class="mode-time">~${formatTime(estimatedTime)}</div>
-        </div>
+  return `
+    <div class="search-hit">
+      <div class="search-hit-header">
+        <span>${formatDateShort(date)}</span>
+        <button class="btn-link" data-day="${date}">Ver dia →</button>
       </div>
-      
-      <button class="btn-link modal-cancel">Cancelar</button>
+      ${lines.join('')}
+    </div>`;
+}
+
+function renderSearchResults() {
+  const { total, matches, terms } = searchResult;
+  searchShown = Math.min(total, searchShown + SEARCH_PAGE);
+  
+  elements.searchResults.innerHTML = `
+    <div class="search-summary">
+      <span>${total ? `${total.toLocaleString()} ${total === 1 ? 'mensagem' : 'mensagens'}` : 'Nenhuma mensagem encontrada'}</span>
+      ${total ? '<button class="chip" data-summarize>✨ Resumir resultados</button>' : ''}
     </div>
-  `;
+    ${matches.slice(0, searchShown).map(match => renderSearchHit(match, terms)).join('')}
+    ${searchShown < total ? '<button class="btn-link search-more" data-more>Mostrar mais</button>' : ''}`;
+  elements.searchResults.hidden = false;
+}
+
+/**
+ * Short description of the filters, for the headers and the history
+ * (dates show up in the range)
+ */
+function describeSearch(filters) {
+  return [
+    filters.query,
+    filters.sender,
+    filters.media === 'only' ? 'só mídia' : filters.media === 'none' ? 'só texto' : '',
+    filters.hasLink ? 'com link' : ''
+  ].filter(Boolean).join(' • ') || 'busca';
+}
+
+/**
+ * Summarize (or ask about) only the matching messages
+ */
+function selectSearchResults() {
+  const messages = [...searchResult.matches].reverse()
+    .map(({ date, index }) => state.messagesByDate[date][index]);
   
-  document.body.appendChild(modal);
+  state.filter = { label: describeSearch(searchResult.filters), messages };
+  state.range = { start: messages[0].date, end: messages[messages.length - 1].date };
   
-  modal.querySelectorAll('.mode-card').forEach(card => {
-    card.onclick = () => { modal.remove(); startSummarization(card.dataset.mode); };
-  });
-  modal.querySelector('.modal-cancel').onclick = () => modal.remove();
-  modal.onclick = e => { if (e.target === modal) modal.remove(); };
+  document.querySelectorAll('.date-card').forEach(c => c.classList.remove('selected'));
+  elements.selectedDateInfo.textContent =
+    `🔎 ${state.filter.label} • ${formatRange(state.range)} • ${messages.length} mensagens`;
+  elements.mediaOption.hidden = true;
+  updateMediaOption(messages);
+  showStep('options');
 }
 
 // ==============================================
-// Summarization
+// Questions
 // ==============================================
 
-async function startSummarization(mode) {
-  const messages = state.messagesByDate[state.selectedDate];
-  
-  if (mode === 'quick') {
-    await processQuick(messages);
-  } else {
-    await processFull(messages);
+let askRedactor = null;   // Same pseudonyms for every question about the range
+
+function showAsk() {
+  const rangeKey = `${state.range.start}|${state.range.end}|${state.filter?.label ?? ''}`;
+  if (state.ask?.rangeKey !== rangeKey) {
+    state.ask = { rangeKey, turns: [] };
+    askRedactor = null;
+    elements.askThread.innerHTML = '';
   }
+  elements.askRange.textContent = state.filter
+    ? `🔎 ${state.filter.label} • ${formatRange(state.range)}`
+    : formatRange(state.range);
+  showStep('ask');
+  elements.askInput.focus();
 }
 
-async function processQuick(messages) {
+function setAskPending(pending) {
+  elements.askInput.disabled = pending;
+  elements.btnAskSend.textContent = pending ? '⏹ Parar' : 'Perguntar';
+}
+
+function renderCitations(citations, show) {
+  if (!citations?.length) return '';
+  return `
+    <div class="ask-sources">
+      <h4>Mensagens citadas</h4>
+      <ul>${citations.map(c => `
+        <li>
+          <span class="ask-source-time">${formatDateShort(c.date).slice(0, 5)} ${c.time}</span>
+          ${c.sender ? `<strong>${escapeHtml(show(c.sender))}</strong>:` : ''}
+          ${escapeHtml(show(c.content).slice(0, 200))}
+        </li>`).join('')}
+      </ul>
+    </div>`;
+}
+
+// Previous turns sent with a question (the server takes up to 20)
+const ASK_HISTORY_TURNS = 10;
+
+/**
+ * Ask about the selected range; the answer streams into the thread
+ * Messages and question are redacted here, like summaries, and the
+ * previous turns go along (still pseudonymized) for follow-ups
+ */
+async function askQuestion(question) {
   try {
-    showLoading('Gerando resumo...');
-    
-    const maxMsgs = MODEL_LIMITS[state.model];
-    let toProcess = messages;
-    let sampled = false;
-    
-    // Sample if above model limit
-    if (messages.length > maxMsgs) {
-      const step = Math.floor(messages.length / maxMsgs);
-      toProcess = messages.filter((_, i) => i % step === 0).slice(0, maxMsgs);
-      sampled = true;
-    }
-    
-    const result = await summarizeChunk(toProcess, false);
-    
-    let summary = result.summary;
-    if (sampled) {
-      summary += `\n\n---\n_Resumo de ${toProcess.length} de ${messages.length} mensagens_`;
-    }
-    
-    displayResult(summary, { ...result.stats, totalMessages: messages.length });
+    askRedactor ??= (await loadRedaction()).createRedactor();
   } catch (err) {
-    hideLoading();
     showToast(err.message, 'error');
+    return;
   }
-}
-
-async function processFull(messages) {
-  const chunkSize = MODEL_LIMITS[state.model];
-  const chunks = [];
-  for (let i = 0; i < messages.length; i += chunkSize) {
-    chunks.push(messages.slice(i, i + chunkSize));
-  }
+  const withNames = state.privacy !== 'anonymous';
+  const show = text => askRedactor.restore(text, withNames);
   
-  showProgressUI(chunks.length);
-  const summaries = [];
-  let tokensUsed = 0;
-  const TPM_LIMIT = 70000; // compound-beta has 70K TPM
+  let messages = getSelectedMessages();
+  if (!state.readMedia) messages = withoutAttachmentText(messages);
+  messages = askRedactor.redactMessages(messages);
+  const redactedQuestion = askRedactor.redactText(question);
   
+  const turn = document.createElement('div');
+  turn.className = 'ask-turn';
+  turn.innerHTML = `
+    <div class="ask-question">${escapeHtml(question)}</div>
+    <div class="ask-answer summary-text"><p class="ask-note">Procurando na conversa...</p></div>`;
+  elements.askThread.appendChild(turn);
+  const answer = turn.querySelector('.ask-answer');
+  
+  startCancellable();
+  setAskPending(true);
   try {
-    for (let i = 0; i < chunks.length; i++) {
-      updateProgressUI(i, chunks.length, `Parte ${i + 1}/${chunks.length}...`);
-      
-      const result = await summarizeChunk(chunks[i], true);
-      summaries.push(result.summary);
-      tokensUsed += result.stats?.tokensUsed || 0;
-      
-      // Check if approaching TPM limit - only wait if needed
-      if (tokensUsed > TPM_LIMIT * 0.9 && i < chunks.length - 1) {
-        updateProgressUI(i + 1, chunks.length, 'Aguardando reset de tokens...');
-        await new Promise(r => setTimeout(r, 60000)); // Wait 1 min for reset
-        tokensUsed = 0; // Reset counter
-      }
-      // No delay needed otherwise - use all 70K TPM!
-    }
-    
-    // Merge all summaries
-    updateProgressUI(chunks.length, chunks.length, 'Combinando resumos...');
-    
-    let finalSummary;
-    if (summaries.length === 1) {
-      finalSummary = summaries[0];
-    } else {
-      const mergeResult = await mergeSummaries(summaries);
-      finalSummary = mergeResult.summary;
-    }
-    
-    hideLoading();
-    displayResult(finalSummary, {
-      totalMessages: messages.length,
-      participants: new Set(messages.map(m => m.sender)).size,
-      chunks: chunks.length
-    });
+    const result = await postStream('/api/ask', {
+      question: redactedQuestion,
+      messages,
+      privacy: state.privacy,
+      model: state.model,
+      language: state.language,
+      history: state.ask.turns.slice(-ASK_HISTORY_TURNS)
+    }, text => {
+      answer.innerHTML = renderMarkdown(show(text));
+    }, 'Erro ao responder');
     
+    state.ask.turns.push({ question: redactedQuestion, answer: result.answer });
+    answer.innerHTML = renderMarkdown(show(result.answer)) + renderCitations(result.citations, show);
   } catch (err) {
-    hideLoading();
-    // If rate limited, show helpful message
-    if (err.message.includes('429') || err.message.includes('Limite')) {
-      showToast('Limite de tokens atingido. Aguarde 1 minuto e tente novamente.', 'error');
-    } else {
-      showToast(err.message, 'error');
-    }
+    const note = err.name === 'AbortError' ? 'Pergunta cancelada' : err.message;
+    answer.innerHTML = `<p class="ask-note">${escapeHtml(note)}</p>`;
+  } finally {
+    endCancellable();
+    setAskPending(false);
+    turn.scrollIntoView({ behavior: 'smooth', block: 'end' });
   }
 }
 
-function showProgressUI(total) {
-  elements.loading.hidden = false;
-  elements.loadingText.innerHTML = `
-    <div class="progress-container">
-      <div class="progress-bar"><div class="progress-fill" style="width:0%"></div></div>
-      <div class="progress-text">Iniciando... 0/${total}</div>
-    </div>
-  `;
+// ==============================================
+// Attachments (ZIP exports "with media")
+// ==============================================
+
+let mediaInfoPromise = null;
+
+/**
+ * What the server can read (GET /api/media), null when unavailable
+ */
+function loadMediaInfo() {
+  mediaInfoPromise ??= apiFetch('/api/media')
+    .then(res => res.ok ? res.json() : null)
+    .catch(() => null);
+  return mediaInfoPromise;
 }
 
-function updateProgressUI(current, total, text) {
-  const pct = (current / total) * 100;
-  const fill = document.querySelector('.progress-fill');
-  const txt = document.querySelector('.progress-text');
-  if (fill) fill.style.width = `${pct}%`;
-  if (txt) txt.textContent = text;
+/**
+ * Attachments of these messages that are in the ZIP (linked by file name)
+ */
+function linkedAttachments(messages) {
+  if (!state.media) return [];
+  return messages.map(m => m.attachment).filter(a => a && state.media.has(a.fileName));
 }
 
-function displayResult(summary, stats) {
-  hideLoading();
-  
-  elements.summaryText.innerHTML = summary
-    .replace(/##\s*(.+)/g, '<h2>$1</h2>')
-    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
-    .replace(/\n\n/g, '</p><p>')
-    .replace(/^/, '<p>').replace(/$/, '</p>');
-  
-  elements.summaryStats.innerHTML = `
-    <div class="stat-item"><span class="stat-value">${stats.totalMessages}</span><span class="stat-label">mensagens</span></div>
-    <div class="stat-item"><span class="stat-value">${stats.participants || '-'}</span><span class="stat-label">participantes</span></div>
-    <div class="stat-item"><span class="stat-value">${stats.chunks || 1}</span><span class="stat-label">partes</span></div>
-  `;
-  
-  elements.resultDate.textContent = formatDate(state.selectedDate);
-  elements.btnShare.hidden = !navigator.share;
-  showStep('result');
+/**
+ * Linked attachments the server knows how to read
+ */
+async function readableAttachments(messages) {
+  const attachments = linkedAttachments(messages);
+  const info = attachments.length ? await loadMediaInfo() : null;
+  return info ? attachments.filter(a => info.kinds.includes(a.kind)) : [];
 }
 
-// ==============================================
-// Date Selection
-// ==============================================
+const MEDIA_STOP_CODES = ['RATE_LIMITED', 'TOO_MANY_REQUESTS', 'FORBIDDEN_ORIGIN'];
 
-function createDateCard(info) {
-  const div = document.createElement('div');
-  div.className = 'date-card';
-  div.dataset.date = info.date;
+/**
+ * Transcribe / extract the text of the attachments, one file at a time
+ * The text is kept in the messages, so other summaries of these days reuse it
+ */
+async function readAttachments(messages, signal) {
+  const pending = (await readableAttachments(messages)).filter(a => a.text === undefined);
+  if (!pending.length) return;
   
-  const isLarge = info.messageCount > FULL_MODE_THRESHOLD;
+  const { maxBytes } = await loadMediaInfo();
+  let failed = 0;
   
-  div.innerHTML = `
-    <div class="date-info">
-      <span class="date-value">${formatDate(info.date)}</span>
-      <span class="date-preview">${info.preview || ''}</span>
-    </div>
-    <div class="date-stats">
-      <span class="message-count ${isLarge ? 'large' : ''}">${info.messageCount} msgs</span>
-      <span class="participant-count">${info.participants} pessoas</span>
-    </div>
-  `;
+  for (const [i, attachment] of pending.entries()) {
+    showLoading(`Lendo anexos ${i + 1}/${pending.length}...`);
+    const data = await state.media.get(attachment.fileName).async('base64');
+    if (data.length * 3 / 4 > maxBytes) {
+      attachment.text = '';   // Too large, stays "[áudio]", "[imagem]"...
+      continue;
+    }
+    
+    try {
+      attachment.text = await withRetries(async () => {
+        const res = await apiFetch('/api/media', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ fileName: attachment.fileName, data }),
+          signal
+        });
+        if (!res.ok) throw await responseError(res);
+        return (await res.json()).text;
+      });
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      // Offline, still rate limited or refused: the rest would fail too
+      if (err.status === undefined || MEDIA_STOP_CODES.includes(err.code)) {
+        failed += pending.length - i;
+        break;
+      }
+      failed++;
+    }
+  }
   
-  div.onclick = () => selectDate(info);
-  return div;
+  if (failed) {
+    showToast(`${failed} ${failed === 1 ? 'anexo não pôde ser lido' : 'anexos não puderam ser lidos'}`, 'error');
+  }
 }
 
-function renderDates(dates, container, clear = true) {
-  if (clear) container.innerHTML = '';
-  dates.forEach(d => container.appendChild(createDateCard(d)));
+/**
+ * Messages as if the attachments had not been read (option turned off)
+ */
+function withoutAttachmentText(messages) {
+  return messages.map(m => m.attachment?.text
+    ? { ...m, attachment: { fileName: m.attachment.fileName, kind: m.attachment.kind } }
+    : m);
 }
 
-function selectDate(info) {
-  state.selectedDate = info.date;
-  state.selectedDateInfo = info;
-  
-  document.querySelectorAll('.date-card').forEach(c => 
-    c.classList.toggle('selected', c.dataset.date === info.date)
-  );
-  
-  elements.selectedDateInfo.textContent = `${formatDate(info.date)} • ${info.messageCount} mensagens`;
-  showStep('options');
+async function updateMediaOption(messages) {
+  const attachments = await readableAttachments(messages);
+  elements.mediaOption.hidden = !attachments.length;
+  elements.mediaCount.textContent = `${attachments.length} ${attachments.length === 1 ? 'arquivo' : 'arquivos'} selecionados no ZIP`;
 }
 
 // ==============================================
 // File Upload
 // ==============================================
 
-async function extractTxtFromZip(zipFile) {
+/**
+ * Largest .txt of the ZIP (the chat), plus the other files by name:
+ * exports "with media" reference them from the messages
+ */
+async function readZipExport(zipFile) {
   try {
     const zip = await JSZip.loadAsync(zipFile);
     
     // Find all .txt files and get the largest one
     let largestTxt = null;
     let largestSize = 0;
+    const media = new Map();
     
     for (const [filename, file] of Object.entries(zip.files)) {
-      if (filename.endsWith('.txt') && !file.dir) {
+      if (file.dir) continue;
+      media.set(filename.split('/').pop(), file);
+      if (filename.endsWith('.txt')) {
         const content = await file.async('string');
         if (content.length > largestSize) {
           largestSize = content.length;
@@ -396,9 +2269,10 @@ async function extractTxtFromZip(zipFile) {
     if (!largestTxt) {
       throw new Error('Nenhum arquivo .txt encontrado no ZIP');
     }
+    media.delete(largestTxt.name.split('/').pop());
     
-    console.log(`Extracted ${largestTxt.name} (${(largestSize / 1024).toFixed(1)} KB) from ZIP`);
-    return largestTxt;
+    console.log(`Extracted ${largestTxt.name} (${(largestSize / 1024).toFixed(1)} KB) and ${media.size} other files from ZIP`);
+    return { ...largestTxt, media };
   } catch (err) {
     throw new Error('Erro ao extrair ZIP: ' + err.message);
   }
@@ -415,11 +2289,13 @@ async function handleFile(file) {
     return;
   }
   
-  // If ZIP, extract the largest .txt file
+  // If ZIP, extract the largest .txt file (and keep the media files)
+  let media = null;
   if (isZip) {
     try {
       showLoading('Extraindo arquivo do ZIP...');
-      const extracted = await extractTxtFromZip(file);
+      const extracted = await readZipExport(file);
+      media = extracted.media;
       // Create a new File object from the extracted content
       file = new File([extracted.content], extracted.name, { type: 'text/plain' });
       showToast(`Extraído: ${extracted.name}`, 'success');
@@ -432,13 +2308,29 @@ async function handleFile(file) {
   
   try {
     showLoading('Analisando...');
-    const result = await uploadFile(file);
+    const result = await parseFile(file);
+    
+    if (!result.totalMessages) {
+      throw new Error('Nenhuma mensagem encontrada. Verifique se é um arquivo exportado do WhatsApp.');
+    }
     
     state.messagesByDate = result.messagesByDate;
     state.allDates = result.dates;
+    state.media = media?.size ? media : null;
+    state.chat = { id: chatFingerprint(result), name: chatName(file.name) };
+    state.changes = await trackExport(result).catch(err => {
+      console.warn('Could not compare with the previous export:', err);
+      return null;
+    });
     
-    elements.datesInfo.textContent = `${result.totalMessages.toLocaleString()} mensagens em ${result.totalDays} dias`;
+    const newCount = state.changes ? state.changes.newDays.size + state.changes.changedDays.size : 0;
+    const attachmentCount = linkedAttachments(Object.values(result.messagesByDate).flat()).length;
+    elements.datesInfo.textContent = `${result.totalMessages.toLocaleString()} mensagens em ${result.totalDays} dias` +
+      (attachmentCount ? ` • ${attachmentCount} ${attachmentCount === 1 ? 'anexo' : 'anexos'}` : '') +
+      (newCount ? ` • ${newCount} ${newCount === 1 ? 'dia novo' : 'dias novos'} desde a última exportação` : '');
     renderDates(result.dates.slice(0, 3), elements.recentDates);
+    setupRangePicker(result);
+    setupSearch(result).catch(err => console.warn('Search unavailable:', err));
     elements.loadMoreDates.hidden = result.totalDays <= 3;
     elements.allDates.hidden = true;
     
@@ -451,15 +2343,16 @@ async function handleFile(file) {
 }
 
 async function handleSummarize() {
-  const messages = state.messagesByDate[state.selectedDate];
+  const messages = getSelectedMessages();
   if (!messages?.length) {
     showToast('Nenhuma mensagem', 'error');
     return;
   }
   
-  // Show modal for large conversations
-  if (messages.length > FULL_MODE_THRESHOLD) {
-    showModeModal(messages.length);
+  // Show modal when it doesn't fit in a single request
+  const chunks = await planChunks(messages);
+  if (chunks.length > 1) {
+    await showModeModal(messages, chunks.length);
   } else {
     await startSummarization('quick');
   }
@@ -492,12 +2385,52 @@ elements.loadMoreDates?.addEventListener('click', () => {
 elements.btnBackUpload?.addEventListener('click', () => {
   state.messagesByDate = {};
   state.allDates = [];
+  state.chat = null;
+  state.changes = null;
+  state.media = null;
+  state.ask = null;
+  stopSearch();
   elements.fileInput.value = '';
   showStep('upload');
 });
 
+elements.rangePicker?.addEventListener('click', e => {
+  const days = e.target.dataset?.days;
+  if (days) selectLastDays(parseInt(days));
+});
+
+elements.rangeSinceLast?.addEventListener('click', () => {
+  const lastSummarized = localStorage.getItem(LAST_SUMMARIZED_KEY);
+  selectRange({ start: addDays(lastSummarized, 1), end: state.allDates[0].date });
+});
+
+elements.rangeNew?.addEventListener('click', () => selectRange(getNewRange()));
+
+elements.btnRange?.addEventListener('click', () => {
+  const start = elements.rangeStart.value;
+  const end = elements.rangeEnd.value;
+  if (!start || !end || start > end) {
+    showToast('Escolha um período válido', 'error');
+    return;
+  }
+  selectRange({ start, end });
+});
+
+elements.searchInput?.addEventListener('input', scheduleSearch);
+elements.searchFilters?.addEventListener('change', runSearch);
+elements.btnSearchFilters?.addEventListener('click', () => {
+  elements.searchFilters.hidden = !elements.searchFilters.hidden;
+});
+
+elements.searchResults?.addEventListener('click', e => {
+  const day = e.target.closest('[data-day]');
+  if (day) selectDate({ date: day.dataset.day });
+  else if (e.target.closest('[data-more]')) renderSearchResults();
+  else if (e.target.closest('[data-summarize]')) selectSearchResults();
+});
+
 elements.btnBackDates?.addEventListener('click', () => showStep('dates'));
-elements.btnNewDate?.addEventListener('click', () => showStep('dates'));
+elements.btnNewDate?.addEventListener('click', () => showStep(state.allDates.length ? 'dates' : 'upload'));
 
 elements.levelOptions?.addEventListener('change', e => {
   if (e.target.name === 'level') {
@@ -517,21 +2450,233 @@ elements.privacyOptions?.addEventListener('change', e => {
   }
 });
 
+elements.outputOptions?.addEventListener('change', e => {
+  if (e.target.name === 'output') {
+    state.output = e.target.value;
+    document.querySelectorAll('#output-options .radio-card').forEach(c => 
+      c.classList.toggle('selected', c.querySelector('input').checked)
+    );
+    // Templates shape free-form summaries only
+    elements.templateOption.hidden = state.output !== 'summary';
+  }
+});
+
+elements.languageSelect?.addEventListener('change', e => {
+  state.language = e.target.value;
+});
+
+elements.templateSelect?.addEventListener('change', e => selectTemplate(e.target.value));
+
+elements.btnDeleteTemplate?.addEventListener('click', () => {
+  const template = getCustomTemplates().find(t => t.id === state.template);
+  if (template && confirm(`Apagar o modelo "${template.name}"?`)) deleteTemplate(template.id);
+});
+
+elements.templateForm?.addEventListener('submit', e => {
+  e.preventDefault();
+  saveTemplate(elements.templateName.value, elements.templateInstructions.value);
+});
+
+elements.ownKeyForm?.addEventListener('submit', e => {
+  e.preventDefault();
+  saveOwnKey(elements.ownKeyInput.value);
+});
+
+elements.btnRemoveKey?.addEventListener('click', removeOwnKey);
+
+elements.mediaInput?.addEventListener('change', e => {
+  state.readMedia = e.target.checked;
+});
+
 elements.btnSummarize?.addEventListener('click', handleSummarize);
+elements.btnAnalytics?.addEventListener('click', () => showAnalytics(state.range, 'options'));
+elements.btnAsk?.addEventListener('click', showAsk);
+elements.btnBackAsk?.addEventListener('click', () => showStep('options'));
 
-elements.btnCopy?.addEventListener('click', async () => {
+elements.askForm?.addEventListener('submit', e => {
+  e.preventDefault();
+  if (activeRequest) {
+    cancelSummary();
+    return;
+  }
+  const question = elements.askInput.value.trim();
+  if (!question) return;
+  elements.askInput.value = '';
+  askQuestion(question);
+});
+
+elements.btnAnalyticsAll?.addEventListener('click', () => showAnalytics(undefined, 'dates'));
+elements.btnBackAnalytics?.addEventListener('click', () => showStep(state.analyticsFrom));
+elements.btnHistory?.addEventListener('click', () => showHistory('upload'));
+elements.btnHistoryDates?.addEventListener('click', () => showHistory('dates'));
+elements.btnBackHistory?.addEventListener('click', () => showStep(state.historyFrom));
+elements.btnBackCompare?.addEventListener('click', () => showStep('history'));
+
+elements.historyContent?.addEventListener('click', async e => {
+  const open = e.target.closest('[data-open]');
+  if (open) {
+    openHistoryEntry(historyEntries.get(open.dataset.open));
+    return;
+  }
+  
+  const clear = e.target.closest('[data-clear]');
+  if (clear && confirm('Apagar os resumos salvos desta conversa?')) {
+    await clearChatHistory(clear.dataset.clear);
+    await showHistory();
+    return;
+  }
+  
+  const compare = e.target.closest('.history-compare');
+  if (compare) {
+    const keys = [...compare.parentElement.querySelectorAll('[data-compare]:checked')].map(c => c.dataset.compare);
+    showCompare(historyEntries.get(keys[0]), historyEntries.get(keys[1]));
+  }
+});
+
+// Comparing needs exactly two summaries of the same period
+elements.historyContent?.addEventListener('change', e => {
+  const group = e.target.closest('.history-range');
+  if (!group) return;
+  const checked = group.querySelectorAll('[data-compare]:checked').length;
+  group.querySelector('.history-compare').disabled = checked !== 2;
+});
+
+elements.btnCancel?.addEventListener('click', cancelSummary);
+elements.btnStop?.addEventListener('click', cancelSummary);
+
+// ==============================================
+// Export
+// ==============================================
+
+// Export formats compiled to public/lib (npm run build:client)
+let exportPromise = null;
+let exportMeta = null;  // Header of the summary on screen
+
+function loadExport() {
+  exportPromise ??= import('./lib/services/export.js').catch(() => null);
+  return exportPromise;
+}
+
+function getSummaryText() {
+  return elements.summaryText.dataset.markdown || elements.summaryText.innerText;
+}
+
+/**
+ * The summary as WhatsApp messages (the markdown as is without the module)
+ */
+async function getWhatsAppMessages() {
+  const exporter = await loadExport();
+  return exporter ? exporter.toWhatsAppMessages(getSummaryText(), exportMeta) : [getSummaryText()];
+}
+
+async function copyText(text, message = 'Copiado!') {
   try {
-    await navigator.clipboard.writeText(elements.summaryText.innerText);
-    showToast('Copiado!', 'success');
+    await navigator.clipboard.writeText(text);
+    showToast(message, 'success');
   } catch { showToast('Erro ao copiar', 'error'); }
+}
+
+function downloadFile(content, fileName, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * PDF: the HTML page printed from a hidden frame ("Salvar como PDF")
+ */
+function printHtml(html) {
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0;';
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
+
+/**
+ * Summaries over WhatsApp's limit are copied one message at a time
+ */
+function showWhatsAppParts(parts) {
+  elements.exportParts.innerHTML = `<span>Longo demais para uma mensagem: copie cada parte.</span>` +
+    parts.map((_, i) => `<button class="btn-secondary" data-part="${i}">📋 Parte ${i + 1}/${parts.length}</button>`).join('');
+  elements.exportParts.hidden = false;
+  elements.exportParts.onclick = e => {
+    const button = e.target.closest('[data-part]');
+    if (button) copyText(parts[button.dataset.part], `Parte ${Number(button.dataset.part) + 1} copiada!`);
+  };
+}
+
+function closeExportOptions() {
+  elements.exportOptions.hidden = true;
+  elements.exportParts.hidden = true;
+  elements.btnExport.setAttribute('aria-expanded', 'false');
+}
+
+async function exportSummary(format) {
+  if (format === 'whatsapp') {
+    const parts = await getWhatsAppMessages();
+    if (parts.length > 1) showWhatsAppParts(parts);
+    else copyText(parts[0], 'Copiado no formato do WhatsApp!');
+    return;
+  }
+
+  const exporter = await loadExport();
+  if (!exporter || !exportMeta) {
+    showToast('Exportação indisponível offline', 'error');
+    return;
+  }
+  const markdown = getSummaryText();
+  if (format === 'md') {
+    downloadFile(exporter.toMarkdownDocument(markdown, exportMeta), exporter.exportFileName(exportMeta, 'md'), 'text/markdown;charset=utf-8');
+  } else if (format === 'html') {
+    downloadFile(exporter.toHtmlDocument(markdown, exportMeta), exporter.exportFileName(exportMeta, 'html'), 'text/html;charset=utf-8');
+  } else if (format === 'pdf') {
+    printHtml(exporter.toHtmlDocument(markdown, exportMeta));
+  }
+}
+
+elements.btnCopy?.addEventListener('click', async () => {
+  const parts = await getWhatsAppMessages();
+  if (parts.length > 1) {
+    elements.exportOptions.hidden = false;
+    elements.btnExport.setAttribute('aria-expanded', 'true');
+    showWhatsAppParts(parts);
+    return;
+  }
+  copyText(parts[0]);
 });
 
 elements.btnShare?.addEventListener('click', async () => {
+  const parts = await getWhatsAppMessages();
+  if (parts.length > 1) showToast(`Compartilhando a parte 1 de ${parts.length}; as outras estão em Exportar`, 'info');
   try {
-    await navigator.share({ title: `Resumo - ${formatDateShort(state.selectedDate)}`, text: elements.summaryText.innerText });
+    await navigator.share({ title: `Resumo - ${formatRangeShort(state.range)}`, text: parts[0] });
   } catch {}
 });
 
+elements.btnExport?.addEventListener('click', () => {
+  if (!elements.exportOptions.hidden) {
+    closeExportOptions();
+    return;
+  }
+  elements.exportOptions.hidden = false;
+  elements.btnExport.setAttribute('aria-expanded', 'true');
+});
+
+elements.exportOptions?.addEventListener('click', e => {
+  const button = e.target.closest('[data-export]');
+  if (button) exportSummary(button.dataset.export);
+});
+
 // ==============================================
 // Initialize
 // ==============================================
@@ -541,6 +2686,9 @@ if ('serviceWorker' in navigator) {
 }
 
 (async function init() {
+  renderTemplateOptions();
+  renderOwnKey();
+  
   const content = sessionStorage.getItem('sharedFileContent');
   const name = sessionStorage.getItem('sharedFileName');
   if (content && name) {
@@ -548,5 +2696,6 @@ if ('serviceWorker' in navigator) {
     sessionStorage.removeItem('sharedFileName');
     await handleFile(new File([content], name, { type: 'text/plain' }));
   }
+  resumePendingJob();
   console.log('App initialized');
 })();
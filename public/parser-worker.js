@@ -0,0 +1,20 @@
+/**
+ * Parser Worker - parses the WhatsApp export off the main thread
+ *
+ * Runs the same parser as /api/upload (compiled to /lib by
+ * `npm run build:client`), so the chat never leaves the browser.
+ *
+ * In:  { file: File }
+ * Out: { ok: true, result: UploadResponse } | { ok: false, error: string }
+ */
+
+import { analyzeChat } from './lib/services/chat.js';
+
+self.onmessage = async (event) => {
+  try {
+    const content = await event.data.file.text();
+    self.postMessage({ ok: true, result: analyzeChat(content) });
+  } catch (err) {
+    self.postMessage({ ok: false, error: err.message });
+  }
+};
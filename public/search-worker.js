@@ -0,0 +1,27 @@
+/**
+ * Search Worker - indexes the export and answers searches off the main thread
+ *
+ * Runs src/services/search.ts (compiled to /lib by `npm run build:client`).
+ *
+ * In:  { id, type: 'index', messagesByDate } | { id, type: 'search', filters }
+ * Out: { id, ok: true, result } | { id, ok: false, error: string }
+ *      (result is { senders } for 'index', SearchResult for 'search')
+ */
+
+import { createSearchIndex } from './lib/services/search.js';
+
+let index = null;
+
+self.onmessage = (event) => {
+  const { id, type } = event.data;
+  try {
+    if (type === 'index') {
+      index = createSearchIndex(event.data.messagesByDate);
+      self.postMessage({ id, ok: true, result: { senders: index.senders } });
+    } else {
+      self.postMessage({ id, ok: true, result: index.search(event.data.filters) });
+    }
+  } catch (err) {
+    self.postMessage({ id, ok: false, error: err.message });
+  }
+};
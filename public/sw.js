@@ -1,9 +1,22 @@
-const CACHE_NAME = 'resumo-grupo-v1';
+const CACHE_NAME = 'resumo-grupo-v25';
 const STATIC_ASSETS = [
   '/',
   '/index.html',
   '/styles.css',
   '/app.js',
+  '/parser-worker.js',
+  '/search-worker.js',
+  '/lib/services/chat.js',
+  '/lib/services/parser.js',
+  '/lib/services/dateExtractor.js',
+  '/lib/services/chunker.js',
+  '/lib/services/analytics.js',
+  '/lib/services/redaction.js',
+  '/lib/services/search.js',
+  '/lib/services/export.js',
+  '/lib/services/language.js',
+  '/lib/services/templates.js',
+  '/lib/services/estimate.js',
   '/manifest.json'
 ];
 
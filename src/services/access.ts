@@ -0,0 +1,450 @@
+import type { IncomingMessage, ServerResponse } from 'http';
+import { createHash } from 'node:crypto';
+import { createGroqProvider, getProvider } from './llm.js';
+import type { LLMProvider } from './llm.js';
+import { createRedisRestClient } from './cache.js';
+import type { RedisLikeClient } from './cache.js';
+import { ApiError } from './errors.js';
+
+/**
+ * Abuse protection for the public API
+ *
+ * The routes that call the model spend the server's key, so they go
+ * through admit() first:
+ * - origin allowlist (ALLOWED_ORIGINS): pages on other sites are refused;
+ *   requests without an Origin header (scripts) still face the limits
+ * - requests per minute per client (RATE_LIMIT_PER_MINUTE) and per IP
+ *   (RATE_LIMIT_IP_PER_MINUTE), in fixed one-minute windows
+ * - daily token budgets per client (DAILY_TOKEN_BUDGET), per IP
+ *   (DAILY_TOKEN_BUDGET_IP) and for the whole server (DAILY_TOKEN_BUDGET_TOTAL).
+ *   The estimate is reserved when the request is admitted, so concurrent
+ *   requests can't overshoot, and settled with the real count afterwards
+ * - own key: with an X-Groq-Key header the request runs on the user's
+ *   Groq account and skips the budgets. The web app keeps the key in the
+ *   browser only; the server uses it for that request and never stores it
+ *   (ALLOW_USER_KEYS=false turns this off; needs LLM_PROVIDER=groq).
+ *
+ * A client is the anonymous session token the web app sends in
+ * X-Session-Id, or its IP when there is none. Sessions are chosen by the
+ * client, so only the first SESSIONS_PER_IP of an IP each day count apart;
+ * newer ones share the IP's limits. The IP is the socket's, or the one in
+ * X-Forwarded-For when TRUST_PROXY says how many proxies set it (1 on Vercel).
+ * Counters live in a LimitStore selected by RATE_LIMIT_BACKEND:
+ * - memory (default): in the process, for dev-server.js
+ * - redis: the REST Redis of the cache (REDIS_REST_URL, REDIS_REST_TOKEN),
+ *   shared by serverless instances
+ * - none: nothing is counted, only origins and budgets of 0 are enforced
+ */
+
+export interface LimitStore {
+  name: string;
+  /** Add to a counter and return its total; a new counter expires after ttlMs */
+  increment(key: string, amount: number, ttlMs: number): Promise<number>;
+  get(key: string): Promise<number>;
+}
+
+export interface AccessLimits {
+  allowedOrigins: string[];      // Empty: any origin
+  requestsPerMinute: number;     // Per client
+  ipRequestsPerMinute: number;
+  dailyTokens: number;           // Per client
+  ipDailyTokens: number;
+  totalDailyTokens: number;      // Whole server (Infinity: no budget)
+  sessionsPerIp: number;         // Sessions per IP and day with their own limits
+  trustedProxies: number;        // Proxies in front that append to X-Forwarded-For
+  allowUserKeys: boolean;
+}
+
+/**
+ * What an admitted request runs on, and how to account for it
+ */
+export interface AccessGrant {
+  provider: LLMProvider;
+  ownKey: boolean;               // Runs on the user's key, nothing is charged
+  /** Count tokens used; they come out of the reservation first */
+  charge(tokens: number): Promise<void>;
+  /** Give back what is left of the reservation, once the request is over */
+  release(): Promise<void>;
+  /** What is left of the grant, to go on in a later request (resume) */
+  ticket(): GrantTicket;
+}
+
+/**
+ * A grant as plain data (kept with a job between requests, jobs.ts)
+ */
+export interface GrantTicket {
+  ownKey: boolean;
+  budgets: string[];             // Counters the tokens are charged to
+  reserved: number;              // Tokens reserved and not used yet
+}
+
+export interface AccessGuard {
+  limits: AccessLimits;
+  /** Refuse pages on origins that are not allowed */
+  checkOrigin(req: IncomingMessage): void;
+  /** Check origin, rate limits and, for ~tokens, the daily budgets (reserving them) */
+  admit(req: IncomingMessage, options?: { tokens?: number }): Promise<AccessGrant>;
+  /**
+   * Go on with a grant admitted by an earlier request: no new limits are
+   * checked, tokens go to the same budgets (an own key must be sent again)
+   */
+  resume(req: IncomingMessage, ticket: GrantTicket): AccessGrant;
+  /** Who is asking: the session, or the IP without one (jobs are bound to it) */
+  clientId(req: IncomingMessage): string;
+}
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_MEMORY_COUNTERS = 10000;
+const SESSION_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+const GROQ_KEY_PATTERN = /^gsk_[A-Za-z0-9]{20,100}$/;
+
+const ACCESS_HEADERS = 'Content-Type, X-Session-Id, X-Groq-Key';
+
+/**
+ * Counters in the process, dropped when they expire
+ * Past maxCounters the oldest are dropped to make room, expired or not
+ */
+export function createMemoryLimitStore(maxCounters: number = MAX_MEMORY_COUNTERS): LimitStore {
+  const counters = new Map<string, { value: number; expiresAt: number }>();
+
+  const live = (key: string) => {
+    const counter = counters.get(key);
+    if (counter && counter.expiresAt <= Date.now()) {
+      counters.delete(key);
+      return undefined;
+    }
+    return counter;
+  };
+
+  return {
+    name: 'memory',
+
+    async increment(key, amount, ttlMs) {
+      let counter = live(key);
+      if (!counter) {
+        for (const oldest of counters.keys()) {
+          if (counters.size < maxCounters) break;
+          counters.delete(oldest);
+        }
+        counter = { value: 0, expiresAt: Date.now() + ttlMs };
+        counters.set(key, counter);
+      }
+      counter.value += amount;
+      return counter.value;
+    },
+
+    async get(key) {
+      return live(key)?.value ?? 0;
+    }
+  };
+}
+
+/**
+ * Counters in Redis: the key is created with its expiry (SET NX), then
+ * INCRBY, so no counter is left without one
+ */
+export function createRedisLimitStore(client: RedisLikeClient, prefix: string = 'resumo:limit:'): LimitStore {
+  return {
+    name: 'redis',
+
+    async increment(key, amount, ttlMs) {
+      await client.set(prefix + key, '0', 'PX', ttlMs, 'NX');
+      return client.incrby(prefix + key, amount);
+    },
+
+    async get(key) {
+      return Number(await client.get(prefix + key)) || 0;
+    }
+  };
+}
+
+/**
+ * Store that counts nothing (RATE_LIMIT_BACKEND=none)
+ */
+export function createNullLimitStore(): LimitStore {
+  return {
+    name: 'none',
+    async increment() { return 0; },
+    async get() { return 0; }
+  };
+}
+
+/**
+ * Build the limit store configured by the environment
+ */
+export function createLimitStoreFromEnv(env: NodeJS.ProcessEnv = process.env): LimitStore {
+  const name = env.RATE_LIMIT_BACKEND || 'memory';
+
+  switch (name) {
+    case 'memory':
+      return createMemoryLimitStore();
+    case 'redis':
+      if (!env.REDIS_REST_URL) {
+        throw new Error('REDIS_REST_URL is required when RATE_LIMIT_BACKEND=redis');
+      }
+      return createRedisLimitStore(createRedisRestClient(env.REDIS_REST_URL, env.REDIS_REST_TOKEN));
+    case 'none':
+      return createNullLimitStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_BACKEND "${name}" (use memory, redis or none)`);
+  }
+}
+
+/**
+ * First value of a request header
+ */
+function header(req: IncomingMessage, name: string): string | undefined {
+  const value = req.headers[name];
+  return (Array.isArray(value) ? value[0] : value)?.trim() || undefined;
+}
+
+/**
+ * Client IP: the socket's, or behind trusted proxies the X-Forwarded-For
+ * entry the outermost one appended (entries before it are the client's word)
+ */
+export function clientIp(req: IncomingMessage, trustedProxies: number = 0): string {
+  const forwarded = trustedProxies > 0
+    ? header(req, 'x-forwarded-for')?.split(',').map(entry => entry.trim()).filter(Boolean)
+    : undefined;
+  return forwarded?.at(-Math.min(trustedProxies, forwarded.length)) || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Check an Origin header against the allowlist
+ * No Origin (same-origin GET, scripts) and the server's own host always pass
+ */
+export function isAllowedOrigin(origin: string | undefined, host: string | undefined, allowedOrigins: string[]): boolean {
+  if (!origin || allowedOrigins.length === 0) return true;
+  if (allowedOrigins.includes(origin.replace(/\/+$/, ''))) return true;
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Counter failures never fail the request: limits are off while the store is down
+ */
+async function tryStore<T>(operation: () => Promise<T>, fallback: T): Promise<T> {
+  try {
+    return await operation();
+  } catch (err) {
+    console.warn('Limit store failed:', err);
+    return fallback;
+  }
+}
+
+/**
+ * Guard enforcing the limits with the given store
+ * userProvider builds the provider for an X-Groq-Key (Groq by default)
+ */
+export function createAccessGuard(options: {
+  store: LimitStore;
+  limits: AccessLimits;
+  userProvider?: (apiKey: string) => LLMProvider;
+  now?: () => number;
+}): AccessGuard {
+  const { store, limits, userProvider = createGroqProvider, now = Date.now } = options;
+
+  const checkOrigin = (req: IncomingMessage): void => {
+    if (!isAllowedOrigin(header(req, 'origin'), header(req, 'host'), limits.allowedOrigins)) {
+      throw new ApiError('FORBIDDEN_ORIGIN');
+    }
+  };
+
+  const userKeyOf = (req: IncomingMessage): string | undefined => {
+    const userKey = header(req, 'x-groq-key');
+    if (userKey && !limits.allowUserKeys) {
+      throw new ApiError('INVALID_API_KEY', { message: 'Este servidor não aceita chaves próprias' });
+    }
+    if (userKey && !GROQ_KEY_PATTERN.test(userKey)) {
+      throw new ApiError('INVALID_API_KEY');
+    }
+    return userKey;
+  };
+
+  const addTo = (budgets: string[], amount: number) =>
+    tryStore(() => Promise.all(budgets.map(key => store.increment(key, amount, DAY_MS))), budgets.map(() => 0));
+
+  /**
+   * Tokens are charged to the budgets, first out of the reservation
+   */
+  const grantFor = (provider: LLMProvider, { ownKey, budgets, reserved }: GrantTicket): AccessGrant => ({
+    provider,
+    ownKey,
+    async charge(tokensUsed) {
+      const covered = Math.min(reserved, Math.max(tokensUsed, 0));
+      reserved -= covered;
+      if (tokensUsed > covered) await addTo(budgets, tokensUsed - covered);
+    },
+    async release() {
+      const unused = reserved;
+      reserved = 0;
+      if (unused > 0) await addTo(budgets, -unused);
+    },
+    ticket() {
+      return { ownKey, budgets: [...budgets], reserved };
+    }
+  });
+
+  return {
+    limits,
+    checkOrigin,
+
+    async admit(req, { tokens = 0 } = {}) {
+      checkOrigin(req);
+      const userKey = userKeyOf(req);
+
+      const time = now();
+      const day = new Date(time).toISOString().slice(0, 10);
+      const ipKey = `ip:${clientIp(req, limits.trustedProxies)}`;
+      const session = header(req, 'x-session-id');
+      let client = ipKey;
+
+      // The first request of a session each day counts it for the IP; past
+      // the limit the session is marked to share the IP's limits
+      if (session && SESSION_PATTERN.test(session)) {
+        const shared = await tryStore(async () => {
+          const sessionKey = `${ipKey}:${session}:${day}`;
+          if (await store.increment(`seen:${sessionKey}`, 1, DAY_MS) > 1) {
+            return await store.get(`shared:${sessionKey}`) > 0;
+          }
+          if (await store.increment(`sessions:${ipKey}:${day}`, 1, DAY_MS) <= limits.sessionsPerIp) return false;
+          await store.increment(`shared:${sessionKey}`, 1, DAY_MS);
+          return true;
+        }, false);
+        if (!shared) client = `session:${session}`;
+      }
+
+      // Requests per minute; without a session the IP is the client
+      const minute = Math.floor(time / MINUTE_MS);
+      const [ipCount, clientCount] = await tryStore(async () => {
+        const ipTotal = await store.increment(`rpm:${ipKey}:${minute}`, 1, MINUTE_MS);
+        return [ipTotal, client === ipKey ? ipTotal : await store.increment(`rpm:${client}:${minute}`, 1, MINUTE_MS)];
+      }, [0, 0]);
+      if (ipCount > limits.ipRequestsPerMinute || clientCount > limits.requestsPerMinute) {
+        throw new ApiError('TOO_MANY_REQUESTS', { retryAfterMs: (minute + 1) * MINUTE_MS - time });
+      }
+
+      if (userKey) {
+        return grantFor(userProvider(userKey), { ownKey: true, budgets: [], reserved: 0 });
+      }
+
+      // Daily budgets, reset at midnight UTC
+      const budgets: Array<[string, number]> = [[`tokens:${client}:${day}`, limits.dailyTokens]];
+      if (client !== ipKey) budgets.push([`tokens:${ipKey}:${day}`, limits.ipDailyTokens]);
+      if (Number.isFinite(limits.totalDailyTokens)) budgets.push([`tokens:total:${day}`, limits.totalDailyTokens]);
+      const keys = budgets.map(([key]) => key);
+      const add = (amount: number) => addTo(keys, amount);
+
+      // Reserve first and check the totals, so requests admitted at the same
+      // time see each other's reservations
+      let reserved = 0;
+      if (tokens > 0) {
+        const totals = await add(tokens);
+        // A request over a whole budget is refused even when nothing is counted
+        if (budgets.some(([, budget], i) => Math.max(totals[i], tokens) > budget)) {
+          await add(-tokens);
+          throw new ApiError('QUOTA_EXCEEDED', { retryAfterMs: (Math.floor(time / DAY_MS) + 1) * DAY_MS - time });
+        }
+        reserved = tokens;
+      }
+
+      return grantFor(getProvider(), { ownKey: false, budgets: keys, reserved });
+    },
+
+    resume(req, ticket) {
+      checkOrigin(req);
+      if (!ticket.ownKey) return grantFor(getProvider(), ticket);
+
+      const userKey = userKeyOf(req);
+      if (!userKey) {
+        throw new ApiError('INVALID_API_KEY', { message: 'Envie a mesma chave da Groq para continuar este resumo' });
+      }
+      return grantFor(userProvider(userKey), ticket);
+    },
+
+    clientId(req) {
+      const session = header(req, 'x-session-id');
+      // Hashed: the session works as a password for what it created
+      return session && SESSION_PATTERN.test(session)
+        ? `session:${createHash('sha256').update(session).digest('hex')}`
+        : `ip:${clientIp(req, limits.trustedProxies)}`;
+    }
+  };
+}
+
+/**
+ * A limit from the environment: empty uses the default, 0 is a valid limit
+ */
+function limitFromEnv(env: NodeJS.ProcessEnv, name: string, fallback: number): number {
+  const value = env[name]?.trim();
+  if (!value) return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 0) {
+    throw new Error(`${name} must be a whole number, got "${value}"`);
+  }
+  return limit;
+}
+
+/**
+ * Build the guard configured by the environment
+ */
+export function createAccessGuardFromEnv(env: NodeJS.ProcessEnv = process.env): AccessGuard {
+  return createAccessGuard({
+    store: createLimitStoreFromEnv(env),
+    limits: {
+      allowedOrigins: (env.ALLOWED_ORIGINS ?? '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean),
+      requestsPerMinute: limitFromEnv(env, 'RATE_LIMIT_PER_MINUTE', 30),
+      ipRequestsPerMinute: limitFromEnv(env, 'RATE_LIMIT_IP_PER_MINUTE', 120),
+      dailyTokens: limitFromEnv(env, 'DAILY_TOKEN_BUDGET', 200000),
+      ipDailyTokens: limitFromEnv(env, 'DAILY_TOKEN_BUDGET_IP', 1000000),
+      totalDailyTokens: limitFromEnv(env, 'DAILY_TOKEN_BUDGET_TOTAL', 1000000),
+      sessionsPerIp: limitFromEnv(env, 'SESSIONS_PER_IP', 4),
+      trustedProxies: limitFromEnv(env, 'TRUST_PROXY', env.VERCEL ? 1 : 0),
+      allowUserKeys: env.ALLOW_USER_KEYS !== 'false' && (env.LLM_PROVIDER || 'groq') === 'groq'
+    }
+  });
+}
+
+let guard: AccessGuard | null = null;
+
+/**
+ * Get the active guard (created from the environment on first use)
+ */
+export function getAccessGuard(): AccessGuard {
+  if (!guard) {
+    guard = createAccessGuardFromEnv();
+  }
+  return guard;
+}
+
+/**
+ * Replace the active guard (tests, or null to re-read the environment
+ * and start counting again)
+ */
+export function setAccessGuard(next: AccessGuard | null): void {
+  guard = next;
+}
+
+/**
+ * CORS headers of an API route: any origin without an allowlist,
+ * otherwise only the allowed origin that asked
+ */
+export function setCorsHeaders(req: IncomingMessage, res: ServerResponse, methods: string): void {
+  const { allowedOrigins } = getAccessGuard().limits;
+  const origin = header(req, 'origin');
+
+  if (allowedOrigins.length === 0) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+  } else {
+    res.setHeader('Vary', 'Origin');
+    if (origin && isAllowedOrigin(origin, header(req, 'host'), allowedOrigins)) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+    }
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', ACCESS_HEADERS);
+}
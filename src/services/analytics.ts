@@ -0,0 +1,200 @@
+import type {
+  ParsedMessage,
+  DateRange,
+  ChatAnalytics,
+  ParticipantStats,
+  ThreadStats,
+  MembershipEvent
+} from '../types/index.js';
+
+/**
+ * Chat analytics computed from parsed messages
+ * Pure functions with no Node dependencies: also compiled for the browser
+ * (tsconfig.client.json) and served as JSON by /api/analytics.
+ */
+
+const THREAD_GAP_MINUTES = 30;    // A longer pause starts a new thread
+const MAX_THREADS = 5;
+const TOP_HOURS = 3;
+const MAX_DAILY_TREND = 120;      // Longer exports get a weekly trend
+
+/**
+ * Join/leave system messages (pt, en, es)
+ * Groups: actor (who did it) and/or subject (who joined/left)
+ */
+const MEMBERSHIP_PATTERNS: Array<{ regex: RegExp; type: 'joined' | 'left'; subject: 1 | 2; by?: 1 }> = [
+  { regex: /^(.+?) (?:entrou usando o link de convite|joined using this group's invite link|se unió usando el enlace)/i, type: 'joined', subject: 1 },
+  { regex: /^(.+?) (?:adicionou|added|añadió a) (.+)$/i, type: 'joined', subject: 2, by: 1 },
+  { regex: /^(.+?) (?:removeu|removed|eliminó a) (.+)$/i, type: 'left', subject: 2, by: 1 },
+  { regex: /^(.+?) (?:entrou|joined|se unió)\.?$/i, type: 'joined', subject: 1 },
+  { regex: /^(.+?) (?:saiu|left|salió)\.?$/i, type: 'left', subject: 1 }
+];
+
+/**
+ * Minutes since epoch for a message (dates/times are local to the export)
+ */
+function toMinutes(msg: ParsedMessage): number {
+  return Date.parse(`${msg.date}T${msg.time}:00Z`) / 60000;
+}
+
+/**
+ * Monday of the week of a YYYY-MM-DD date
+ */
+function weekStart(date: string): string {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse join/leave system messages
+ * "Ana adicionou Bia e Caio" gives two events
+ */
+export function parseMembershipEvents(messages: ParsedMessage[]): MembershipEvent[] {
+  const events: MembershipEvent[] = [];
+
+  for (const msg of messages) {
+    if (msg.sender !== '__system__') continue;
+    const content = msg.content.trim();
+
+    for (const pattern of MEMBERSHIP_PATTERNS) {
+      const match = content.match(pattern.regex);
+      if (!match) continue;
+
+      const by = pattern.by ? match[pattern.by].trim() : null;
+      const names = match[pattern.subject].split(/,\s*|\s+(?:e|and|y)\s+/).map(n => n.trim()).filter(Boolean);
+      for (const name of names) {
+        events.push({ date: msg.date, time: msg.time, type: pattern.type, name, by });
+      }
+      break;
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Split messages into threads (runs without pauses over THREAD_GAP_MINUTES)
+ */
+export function findThreads(messages: ParsedMessage[]): ThreadStats[] {
+  const threads: ThreadStats[] = [];
+  let current: ParsedMessage[] = [];
+
+  const close = (): void => {
+    if (current.length === 0) return;
+    const first = current[0];
+    const preview = current.find(m => !m.isMedia)?.content ?? '';
+    threads.push({
+      date: first.date,
+      start: first.time,
+      end: current[current.length - 1].time,
+      messages: current.length,
+      participants: new Set(current.map(m => m.sender)).size,
+      preview: preview.length > 60 ? preview.substring(0, 60) + '...' : preview
+    });
+    current = [];
+  };
+
+  for (const msg of messages) {
+    const last = current[current.length - 1];
+    if (last && toMinutes(msg) - toMinutes(last) > THREAD_GAP_MINUTES) close();
+    current.push(msg);
+  }
+  close();
+
+  return threads;
+}
+
+/**
+ * Message count trend over all messages, per day or per week
+ */
+function buildTrend(messages: ParsedMessage[]): Pick<ChatAnalytics, 'trend' | 'trendUnit'> {
+  const days = new Set(messages.map(m => m.date));
+  const trendUnit = days.size > MAX_DAILY_TREND ? 'week' : 'day';
+  const buckets = new Map<string, { messages: number; senders: Set<string> }>();
+
+  for (const msg of messages) {
+    const key = trendUnit === 'week' ? weekStart(msg.date) : msg.date;
+    const bucket = buckets.get(key) ?? { messages: 0, senders: new Set<string>() };
+    bucket.messages++;
+    bucket.senders.add(msg.sender);
+    buckets.set(key, bucket);
+  }
+
+  const trend = [...buckets.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, bucket]) => ({ date, messages: bucket.messages, participants: bucket.senders.size }));
+
+  return { trend, trendUnit };
+}
+
+/**
+ * Compute analytics for a range
+ * `messages` can be the whole export: stats use the messages in `range`
+ * (all of them by default), the trend always uses every message
+ */
+export function computeAnalytics(messages: ParsedMessage[], range?: DateRange): ChatAnalytics {
+  const chatMessages = messages.filter(m => m.sender !== '__system__');
+  const dates = chatMessages.map(m => m.date).sort();
+  const selected: DateRange = range ?? { start: dates[0] ?? '', end: dates[dates.length - 1] ?? '' };
+
+  const inRange = (m: ParsedMessage): boolean => m.date >= selected.start && m.date <= selected.end;
+  const rangeMessages = chatMessages.filter(inRange);
+
+  const participants = new Map<string, ParticipantStats>();
+  const heatmap = Array.from({ length: 7 }, () => new Array<number>(24).fill(0));
+  const hourly = new Array<number>(24).fill(0);
+  let mediaMessages = 0;
+
+  for (const msg of rangeMessages) {
+    const stats = participants.get(msg.sender) ?? {
+      sender: msg.sender,
+      messages: 0,
+      media: 0,
+      words: 0,
+      firstDate: msg.date,
+      lastDate: msg.date
+    };
+    stats.messages++;
+    if (msg.isMedia) {
+      stats.media++;
+      mediaMessages++;
+    } else {
+      stats.words += msg.content.split(/\s+/).filter(Boolean).length;
+    }
+    if (msg.date < stats.firstDate) stats.firstDate = msg.date;
+    if (msg.date > stats.lastDate) stats.lastDate = msg.date;
+    participants.set(msg.sender, stats);
+
+    const hour = parseInt(msg.time.slice(0, 2), 10);
+    const weekday = new Date(`${msg.date}T00:00:00Z`).getUTCDay();
+    if (hour >= 0 && hour < 24 && !Number.isNaN(weekday)) {
+      heatmap[weekday][hour]++;
+      hourly[hour]++;
+    }
+  }
+
+  const topHours = hourly
+    .map((count, hour) => ({ hour, messages: count }))
+    .filter(h => h.messages > 0)
+    .sort((a, b) => b.messages - a.messages || a.hour - b.hour)
+    .slice(0, TOP_HOURS);
+
+  const longestThreads = findThreads(rangeMessages)
+    .sort((a, b) => b.messages - a.messages)
+    .slice(0, MAX_THREADS);
+
+  return {
+    range: selected,
+    totalMessages: rangeMessages.length,
+    mediaMessages,
+    mediaShare: rangeMessages.length > 0 ? mediaMessages / rangeMessages.length : 0,
+    participants: [...participants.values()].sort((a, b) => b.messages - a.messages),
+    heatmap,
+    hourly,
+    topHours,
+    longestThreads,
+    membership: parseMembershipEvents(messages.filter(inRange)),
+    ...buildTrend(chatMessages)
+  };
+}
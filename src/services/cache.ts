@@ -0,0 +1,300 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Content-addressed cache for model answers
+ *
+ * The key is a hash of the normalized request (prompts with the messages,
+ * model, limits), so the same day summarized with the same options is
+ * answered without calling the provider. Identical requests running at the
+ * same time share a single provider call.
+ *
+ * Backend selected by CACHE_BACKEND:
+ * - memory (default): LRU in the process, for dev-server.js
+ * - file: JSON files in CACHE_DIR, survives restarts
+ * - redis: any Redis with an Upstash-compatible REST API (REDIS_REST_URL,
+ *   REDIS_REST_TOKEN), shared by serverless instances
+ * - none: no caching
+ * Entries expire after CACHE_TTL_HOURS (default 24).
+ */
+
+export interface CacheBackend {
+  name: string;
+  get(key: string): Promise<string | undefined>;
+  set(key: string, value: string, ttlMs: number): Promise<void>;
+}
+
+/**
+ * Bump when the cached answers change shape, to ignore old entries
+ */
+const CACHE_VERSION = 1;
+const CACHE_TTL_MS = (Number(process.env.CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 500;
+
+const INFLIGHT = new Map<string, Promise<string>>();
+
+/**
+ * LRU cache in memory (Map keeps insertion order: oldest use first)
+ */
+export function createMemoryCache(maxEntries: number = DEFAULT_MAX_ENTRIES): CacheBackend {
+  const entries = new Map<string, { value: string; expiresAt: number }>();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      for (const oldest of entries.keys()) {
+        if (entries.size <= maxEntries) break;
+        entries.delete(oldest);
+      }
+    }
+  };
+}
+
+/**
+ * One JSON file per entry; expired files are removed when read
+ */
+export function createFileCache(dir: string): CacheBackend {
+  const fileFor = (key: string) => path.join(dir, `${key}.json`);
+
+  return {
+    name: 'file',
+
+    async get(key) {
+      let raw: string;
+      try {
+        raw = await readFile(fileFor(key), 'utf8');
+      } catch {
+        return undefined;
+      }
+
+      const entry = JSON.parse(raw) as { value: string; expiresAt: number };
+      if (entry.expiresAt <= Date.now()) {
+        await unlink(fileFor(key)).catch(() => {});
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      await mkdir(dir, { recursive: true });
+      // Write then rename, so readers never see a half-written file
+      const temp = `${fileFor(key)}.${process.pid}.tmp`;
+      await writeFile(temp, JSON.stringify({ value, expiresAt: Date.now() + ttlMs }));
+      await rename(temp, fileFor(key));
+    }
+  };
+}
+
+/**
+ * The Redis commands the cache, the limit counters (access.ts) and the
+ * jobs (jobs.ts) need (ioredis-style signature)
+ * set with 'NX' only writes a missing key and answers null otherwise.
+ */
+export interface RedisLikeClient {
+  get(key: string): Promise<string | null>;
+  set(key: string, value: string, mode: 'PX', ttlMs: number, condition?: 'NX'): Promise<unknown>;
+  del(key: string): Promise<unknown>;
+  incrby(key: string, amount: number): Promise<number>;
+}
+
+export function createRedisCache(client: RedisLikeClient, prefix: string = 'resumo:'): CacheBackend {
+  return {
+    name: 'redis',
+
+    async get(key) {
+      return (await client.get(prefix + key)) ?? undefined;
+    },
+
+    async set(key, value, ttlMs) {
+      await client.set(prefix + key, value, 'PX', ttlMs);
+    }
+  };
+}
+
+/**
+ * Minimal client for Redis REST APIs (Upstash and compatible):
+ * POST the command as a JSON array, the answer comes in { result }
+ */
+export function createRedisRestClient(url: string, token?: string): RedisLikeClient {
+  const command = async (args: Array<string | number>): Promise<unknown> => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify(args)
+    });
+    if (!response.ok) {
+      throw new Error(`Redis REST error ${response.status}`);
+    }
+    const data = await response.json() as { result?: unknown; error?: string };
+    if (data.error) throw new Error(`Redis REST error: ${data.error}`);
+    return data.result;
+  };
+
+  return {
+    async get(key) {
+      const result = await command(['GET', key]);
+      return typeof result === 'string' ? result : null;
+    },
+
+    set(key, value, mode, ttlMs, condition) {
+      return command(condition ? ['SET', key, value, mode, ttlMs, condition] : ['SET', key, value, mode, ttlMs]);
+    },
+
+    del(key) {
+      return command(['DEL', key]);
+    },
+
+    async incrby(key, amount) {
+      return Number(await command(['INCRBY', key, amount]));
+    }
+  };
+}
+
+/**
+ * Cache that never stores anything (CACHE_BACKEND=none)
+ */
+export function createNullCache(): CacheBackend {
+  return {
+    name: 'none',
+    async get() { return undefined; },
+    async set() {}
+  };
+}
+
+/**
+ * Build the cache configured by the environment
+ */
+export function createCacheFromEnv(env: NodeJS.ProcessEnv = process.env): CacheBackend {
+  const name = env.CACHE_BACKEND || 'memory';
+
+  switch (name) {
+    case 'memory':
+      return createMemoryCache(Number(env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES);
+    case 'file':
+      return createFileCache(env.CACHE_DIR || '.cache');
+    case 'redis':
+      if (!env.REDIS_REST_URL) {
+        throw new Error('REDIS_REST_URL is required when CACHE_BACKEND=redis');
+      }
+      return createRedisCache(createRedisRestClient(env.REDIS_REST_URL, env.REDIS_REST_TOKEN));
+    case 'none':
+      return createNullCache();
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${name}" (use memory, file, redis or none)`);
+  }
+}
+
+let cache: CacheBackend | null = null;
+
+/**
+ * Get the active cache (created from the environment on first use)
+ */
+export function getCache(): CacheBackend {
+  if (!cache) {
+    cache = createCacheFromEnv();
+  }
+  return cache;
+}
+
+/**
+ * Replace the active cache (tests, or null to re-read the environment)
+ */
+export function setCache(next: CacheBackend | null): void {
+  cache = next;
+}
+
+/**
+ * Same text whatever the line endings, trailing spaces or Unicode form
+ */
+function normalize(text: string): string {
+  return text.normalize('NFC').replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').trim();
+}
+
+/**
+ * Cache key for a request: hash of everything that shapes the answer
+ * (strings are normalized, objects hashed as JSON)
+ */
+export function cacheKey(parts: unknown[]): string {
+  const normalized = JSON.stringify([CACHE_VERSION, ...parts], (_, value) =>
+    typeof value === 'string' ? normalize(value) : value
+  );
+  return createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Cache failures never fail the request, they just cost a provider call
+ */
+async function readEntry(key: string): Promise<string | undefined> {
+  try {
+    return await getCache().get(key);
+  } catch (err) {
+    console.warn('Cache read failed:', err);
+    return undefined;
+  }
+}
+
+async function writeEntry(key: string, value: string): Promise<void> {
+  try {
+    await getCache().set(key, value, CACHE_TTL_MS);
+  } catch (err) {
+    console.warn('Cache write failed:', err);
+  }
+}
+
+/**
+ * Answer from the cache, or run the call and cache its content
+ * A request identical to one in flight waits for it instead of calling
+ * the provider again (if that one fails, this one makes its own call).
+ */
+export async function cachedCall<T extends { content: string }>(
+  key: string,
+  call: () => Promise<T>
+): Promise<{ hit: true; content: string } | { hit: false; result: T }> {
+  const pending = INFLIGHT.get(key);
+  if (pending) {
+    try {
+      return { hit: true, content: await pending };
+    } catch {
+      // Fall through and call the provider ourselves
+    }
+  }
+
+  let settle!: { resolve: (content: string) => void; reject: (err: unknown) => void };
+  const shared = new Promise<string>((resolve, reject) => { settle = { resolve, reject }; });
+  shared.catch(() => {});
+  INFLIGHT.set(key, shared);
+
+  try {
+    const stored = await readEntry(key);
+    if (stored !== undefined) {
+      settle.resolve(stored);
+      return { hit: true, content: stored };
+    }
+
+    const result = await call();
+    settle.resolve(result.content);
+    await writeEntry(key, result.content);
+    return { hit: false, result };
+  } catch (err) {
+    settle.reject(err);
+    throw err;
+  } finally {
+    if (INFLIGHT.get(key) === shared) INFLIGHT.delete(key);
+  }
+}
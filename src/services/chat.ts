@@ -0,0 +1,24 @@
+import type { UploadResponse } from '../types/index.js';
+import { parseAndIndex, groupMessagesByDate } from './parser.js';
+import { extractDateInfo, getDateStats } from './dateExtractor.js';
+
+/**
+ * Parse an export and build everything the client needs to pick a date
+ *
+ * Shared by /api/upload and the browser parser worker (compiled to
+ * public/lib by tsconfig.client.json), so both produce the same structure.
+ * Returns totalMessages = 0 if the content is not a WhatsApp export.
+ */
+export function analyzeChat(fileContent: string): UploadResponse {
+  const { messages, dateIndex, format } = parseAndIndex(fileContent);
+
+  // Build date info (most recent first)
+  const dates = extractDateInfo(messages, dateIndex);
+
+  return {
+    messagesByDate: groupMessagesByDate(messages),
+    dates,
+    format,
+    ...getDateStats(dates)
+  };
+}
@@ -1,11 +1,12 @@
-import type { WhatsAppMessage, DateInfo } from '../types/index.js';
+import type { ParsedMessage, DateInfo, DateRange } from '../types/index.js';
+import { detectChatFormat, parseMessageHeader } from './parser.js';
 
 /**
  * Extract date information from parsed messages
  * Optimized to get recent dates first
  */
 export function extractDateInfo(
-  messages: WhatsAppMessage[],
+  messages: ParsedMessage[],
   dateIndex: Map<string, number[]>
 ): DateInfo[] {
   const dateInfos: DateInfo[] = [];
@@ -47,6 +48,48 @@ export function getRecentDates(dateInfos: DateInfo[], count: number = 3): DateIn
   return dateInfos.slice(0, count);
 }
 
+/**
+ * Check if a value is a valid DateRange (YYYY-MM-DD, start <= end)
+ */
+export function isDateRange(value: unknown): value is DateRange {
+  if (!value || typeof value !== 'object') return false;
+  const { start, end } = value as Record<string, unknown>;
+  const isoDate = /^\d{4}-\d{2}-\d{2}$/;
+  return typeof start === 'string' && typeof end === 'string' &&
+    isoDate.test(start) && isoDate.test(end) && start <= end;
+}
+
+/**
+ * List every calendar day in a range (inclusive, ascending)
+ */
+export function getRangeDays(range: DateRange): string[] {
+  const days: string[] = [];
+  const current = new Date(`${range.start}T00:00:00Z`);
+  const end = new Date(`${range.end}T00:00:00Z`);
+
+  while (current <= end) {
+    days.push(current.toISOString().slice(0, 10));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return days;
+}
+
+/**
+ * Get the range covered by a list of messages
+ */
+export function getMessagesRange(messages: ParsedMessage[]): DateRange {
+  let start = '';
+  let end = '';
+
+  for (const msg of messages) {
+    if (!start || msg.date < start) start = msg.date;
+    if (!end || msg.date > end) end = msg.date;
+  }
+
+  return { start, end };
+}
+
 /**
  * Get date statistics
  */
@@ -81,13 +124,13 @@ export function getDateStats(dateInfos: DateInfo[]): {
  * This is faster than full parsing when you only need dates
  */
 export function quickDateScan(fileContent: string): string[] {
-  const dateRegex = /^(\d{2}\/\d{2}\/\d{4})/gm;
+  const format = detectChatFormat(fileContent);
+  if (!format) return [];
+
   const dates = new Set<string>();
-  
-  let match;
-  while ((match = dateRegex.exec(fileContent)) !== null) {
-    const [day, month, year] = match[1].split('/');
-    dates.add(`${year}-${month}-${day}`);
+  for (const line of fileContent.split('\n')) {
+    const header = parseMessageHeader(line, format);
+    if (header) dates.add(header.date);
   }
 
   return Array.from(dates).sort((a, b) => b.localeCompare(a));
@@ -101,16 +144,17 @@ export function scanRecentDates(
   fileContent: string, 
   maxDays: number = 3
 ): string[] {
+  const format = detectChatFormat(fileContent);
+  if (!format) return [];
+
   const lines = fileContent.split('\n');
   const dates = new Set<string>();
-  const dateRegex = /^(\d{2}\/\d{2}\/\d{4})/;
 
   // Scan from the end
   for (let i = lines.length - 1; i >= 0 && dates.size < maxDays; i--) {
-    const match = lines[i].match(dateRegex);
-    if (match) {
-      const [day, month, year] = match[1].split('/');
-      dates.add(`${year}-${month}-${day}`);
+    const header = parseMessageHeader(lines[i], format);
+    if (header) {
+      dates.add(header.date);
     }
   }
 
@@ -0,0 +1,399 @@
+import { mkdir, readdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import type { ModelType, OutputLanguage, ParsedMessage, PrivacyMode, SummaryLanguage, SummaryLevel } from '../types/index.js';
+import { parseAndIndex, getMessagesForDate } from './parser.js';
+import { chunkMessages, getChunkStats, formatChunkForAI, CHUNK_TOKENS } from './chunker.js';
+import { generateSummary, mergeSummaries, isSummaryLevel, isPrivacyMode, isModelType, DEFAULT_MODEL } from './groq.js';
+import { createRedactor } from './redaction.js';
+import { resolveLanguage, isOutputLanguage } from './language.js';
+import { messageText } from './retrieval.js';
+import { toMarkdownDocument, exportFileName } from './export.js';
+import type { ExportMeta } from './export.js';
+import { ProviderError } from './llm.js';
+
+/**
+ * Daily digests outside the browser (npm run digest)
+ *
+ * Reads an export (or every .txt in a folder), summarizes each day that is
+ * new or got new messages since the last run (or the days of a range) and
+ * writes one Markdown/JSON digest per day, optionally POSTing it to a
+ * webhook. What was summarized is kept in a state file next to the
+ * digests, so a cron job only pays for what changed. --dry-run prints the
+ * token estimates of each day without calling the model.
+ *
+ * Days go through the same pipeline as the web app: redaction, chunks
+ * (chunker.ts), a summary per chunk and a merge when there are several.
+ */
+
+export type DigestFormat = 'md' | 'json';
+
+export interface DigestOptions {
+  level: SummaryLevel;
+  privacy: PrivacyMode;
+  model: ModelType;
+  language: OutputLanguage;
+  since?: string;           // With until, the days to summarize (YYYY-MM-DD);
+  until?: string;           // neither: new or changed days
+  outDir: string;
+  formats: DigestFormat[];
+  webhookUrl?: string;
+  statePath: string;
+  dryRun: boolean;
+}
+
+/**
+ * One day's digest, as written to JSON and sent to the webhook
+ */
+export interface DailyDigest {
+  chatName: string;
+  date: string;
+  summary: string;
+  level: SummaryLevel;
+  privacy: PrivacyMode;
+  model: ModelType;
+  language: SummaryLanguage;
+  stats: {
+    totalMessages: number;
+    participants: number;
+    chunks: number;
+    tokensUsed: number;
+    cachedCalls: number;
+    processingTime: number;
+  };
+}
+
+export interface DayEstimate {
+  date: string;
+  totalMessages: number;
+  totalChunks: number;
+  estimatedTokens: number;
+}
+
+/**
+ * Message count of each day already summarized, per export file
+ */
+export type DigestState = Record<string, Record<string, number>>;
+
+const MAX_ATTEMPTS = 3;                   // Per model call
+const BASE_BACKOFF_MS = 2000;             // Doubles on each retry
+const MAX_WAIT_MS = 65 * 1000;
+const WEBHOOK_TIMEOUT_MS = 30 * 1000;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Retry rate limits, timeouts and outages, waiting what the provider asked for
+ */
+async function withRetries<T>(call: () => Promise<T>): Promise<T> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await call();
+    } catch (err) {
+      const retryable = err instanceof ProviderError && ['rate_limited', 'timeout', 'unavailable'].includes(err.kind);
+      if (!retryable || attempt >= MAX_ATTEMPTS) throw err;
+      await sleep(Math.min(err.retryAfterMs ?? BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_WAIT_MS));
+    }
+  }
+}
+
+/**
+ * Group name from the export's file name ("Conversa do WhatsApp com Família.txt"),
+ * like the web app
+ */
+export function chatNameFromFile(filePath: string): string {
+  return path.basename(filePath)
+    .replace(/\.txt$/i, '')
+    .replace(/^(Conversa do WhatsApp com|WhatsApp Chat with|WhatsApp Chat -|Chat de WhatsApp con)\s*/i, '')
+    .trim() || 'Conversa';
+}
+
+/**
+ * Exports in a folder (.txt files, by name)
+ */
+export async function findExports(dir: string): Promise<string[]> {
+  const entries = await readdir(dir, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile() && /\.txt$/i.test(entry.name))
+    .map(entry => path.join(dir, entry.name))
+    .sort();
+}
+
+/**
+ * Days to summarize: the range when there is one, otherwise the days not
+ * summarized yet or with a different message count (the last day of the
+ * previous export usually grew)
+ */
+export function selectDays(
+  counts: Map<string, number>,
+  summarized: Record<string, number> = {},
+  range: { since?: string; until?: string } = {}
+): string[] {
+  const dates = [...counts.keys()].sort();
+  if (range.since || range.until) {
+    return dates.filter(date => (!range.since || date >= range.since) && (!range.until || date <= range.until));
+  }
+  return dates.filter(date => summarized[date] !== counts.get(date));
+}
+
+/**
+ * Chunks and tokens a day would take, without calling the model
+ */
+export function estimateDay(date: string, messages: ParsedMessage[], model: ModelType): DayEstimate {
+  const { totalChunks, totalMessages, estimatedTokens } = getChunkStats(chunkMessages(messages, CHUNK_TOKENS[model]));
+  return { date, totalMessages, totalChunks, estimatedTokens };
+}
+
+/**
+ * Summarize one day: a summary per chunk, merged when there are several
+ */
+export async function summarizeDay(
+  chatName: string,
+  date: string,
+  messages: ParsedMessage[],
+  options: Pick<DigestOptions, 'level' | 'privacy' | 'model' | 'language'>
+): Promise<DailyDigest> {
+  const startTime = Date.now();
+  const { level, privacy, model } = options;
+  const includeNames = privacy !== 'anonymous';
+  const redactor = createRedactor();
+  const redacted = redactor.redactMessages(messages);
+  const language = resolveLanguage(options.language, redacted.map(messageText));
+  const range = { start: date, end: date };
+  const chunks = chunkMessages(redacted, CHUNK_TOKENS[model]);
+  let tokensUsed = 0;
+  let cachedCalls = 0;
+
+  const partials: string[] = [];
+  for (const [index, chunk] of chunks.entries()) {
+    const result = await withRetries(() => generateSummary(
+      formatChunkForAI(chunk, index, chunks.length, includeNames),
+      level,
+      privacy,
+      { isPartial: chunks.length > 1, model, range, language }
+    ));
+    tokensUsed += result.tokensUsed;
+    if (result.cached) cachedCalls++;
+    partials.push(result.summary);
+  }
+
+  let summary = partials[0] ?? '';
+  if (partials.length > 1) {
+    const merged = await withRetries(() => mergeSummaries(partials, level, privacy, { model, range, language }));
+    tokensUsed += merged.tokensUsed;
+    if (merged.cached) cachedCalls++;
+    summary = merged.summary;
+  }
+
+  return {
+    chatName,
+    date,
+    summary: redactor.restore(summary, includeNames),
+    level,
+    privacy,
+    model,
+    language,
+    stats: {
+      totalMessages: messages.length,
+      participants: new Set(messages.map(m => m.sender).filter(s => s !== '__system__')).size,
+      chunks: chunks.length,
+      tokensUsed,
+      cachedCalls,
+      processingTime: Date.now() - startTime
+    }
+  };
+}
+
+function exportMeta(digest: DailyDigest): ExportMeta {
+  return {
+    chatName: digest.chatName,
+    range: { start: digest.date, end: digest.date },
+    level: digest.level,
+    output: 'summary',
+    stats: digest.stats
+  };
+}
+
+/**
+ * Markdown document of a digest (same header as the web app's export)
+ */
+export function digestToMarkdown(digest: DailyDigest): string {
+  return toMarkdownDocument(digest.summary, exportMeta(digest));
+}
+
+/**
+ * Write a digest in each format, returns the files written
+ */
+export async function writeDigest(digest: DailyDigest, outDir: string, formats: DigestFormat[]): Promise<string[]> {
+  await mkdir(outDir, { recursive: true });
+  const files: string[] = [];
+  for (const format of formats) {
+    const file = path.join(outDir, exportFileName(exportMeta(digest), format));
+    await writeFile(file, format === 'md' ? digestToMarkdown(digest) : JSON.stringify(digest, null, 2) + '\n');
+    files.push(file);
+  }
+  return files;
+}
+
+/**
+ * POST a digest to a webhook: the digest fields plus "text" with the
+ * Markdown, which chat webhooks (Slack, Mattermost...) show as the message
+ */
+export async function postDigest(digest: DailyDigest, url: string): Promise<void> {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: digestToMarkdown(digest), ...digest }),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook answered ${response.status}`);
+  }
+}
+
+export async function loadState(statePath: string): Promise<DigestState> {
+  try {
+    return JSON.parse(await readFile(statePath, 'utf8')) as DigestState;
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === 'ENOENT') return {};
+    throw err;
+  }
+}
+
+async function saveState(statePath: string, state: DigestState): Promise<void> {
+  await mkdir(path.dirname(statePath), { recursive: true });
+  // Write then rename, so an interrupted run never leaves half a file
+  const temp = `${statePath}.${process.pid}.tmp`;
+  await writeFile(temp, JSON.stringify(state, null, 2) + '\n');
+  await rename(temp, statePath);
+}
+
+/**
+ * Digest one export: estimates only with dryRun, otherwise summarize,
+ * write, post and remember each selected day
+ */
+export async function runDigest(
+  filePath: string,
+  options: DigestOptions,
+  log: (line: string) => void = console.log
+): Promise<{ estimates: DayEstimate[]; digests: DailyDigest[] }> {
+  const chatName = chatNameFromFile(filePath);
+  const { messages, dateIndex } = parseAndIndex(await readFile(filePath, 'utf8'));
+  if (messages.length === 0) {
+    log(`${path.basename(filePath)}: not a WhatsApp export, skipped`);
+    return { estimates: [], digests: [] };
+  }
+
+  const key = path.resolve(filePath);
+  const state = await loadState(options.statePath);
+  const counts = new Map([...dateIndex].map(([date, indices]) => [date, indices.length]));
+  const days = selectDays(counts, state[key], options);
+  const dayMessages = (date: string) => getMessagesForDate(messages, dateIndex, date);
+
+  if (options.dryRun) {
+    const estimates = days.map(date => estimateDay(date, dayMessages(date), options.model));
+    for (const e of estimates) {
+      log(`${chatName} ${e.date}: ${e.totalMessages} messages, ${e.totalChunks} chunk(s), ~${e.estimatedTokens} input tokens`);
+    }
+    const total = estimates.reduce((sum, e) => sum + e.estimatedTokens, 0);
+    log(`${chatName}: ${estimates.length} day(s) to summarize, ~${total} input tokens (${options.model})`);
+    return { estimates, digests: [] };
+  }
+
+  if (days.length === 0) log(`${chatName}: nothing new`);
+
+  const digests: DailyDigest[] = [];
+  for (const date of days) {
+    const digest = await summarizeDay(chatName, date, dayMessages(date), options);
+    const files = await writeDigest(digest, options.outDir, options.formats);
+    if (options.webhookUrl) await postDigest(digest, options.webhookUrl);
+    log(`${chatName} ${date}: ${digest.stats.totalMessages} messages, ${digest.stats.tokensUsed} tokens -> ${files.join(', ') || 'webhook'}`);
+
+    // Saved after each day, so a failure later doesn't redo this one
+    state[key] = { ...state[key], [date]: counts.get(date) ?? 0 };
+    await saveState(options.statePath, state);
+    digests.push(digest);
+  }
+
+  return { estimates: [], digests };
+}
+
+export const DIGEST_USAGE = `Usage: npm run digest -- <export.txt | folder> [options]
+
+  --level 1-4            Detail level (default 3)
+  --privacy MODE         anonymous, smart (default) or with-names
+  --model MODEL          fast, balanced or powerful (default)
+  --language LANG        auto (default), pt, en or es
+  --since YYYY-MM-DD     Summarize the days of this range instead of
+  --until YYYY-MM-DD     the new ones
+  --out DIR              Where digests are written (default ./digests)
+  --format LIST          md, json or md,json (default md)
+  --webhook URL          POST each digest here (or DIGEST_WEBHOOK_URL)
+  --state FILE           Days already summarized (default <out>/.digest-state.json)
+  --watch                Keep running and digest files of the folder as they change
+  --dry-run              Print token estimates without calling the model`;
+
+/**
+ * Options from the command line (throws with what is wrong)
+ */
+export function parseDigestArgs(
+  args: string[],
+  env: NodeJS.ProcessEnv = process.env
+): { input: string; watch: boolean; options: DigestOptions } {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      level: { type: 'string', default: '3' },
+      privacy: { type: 'string', default: 'smart' },
+      model: { type: 'string', default: DEFAULT_MODEL },
+      language: { type: 'string', default: 'auto' },
+      since: { type: 'string' },
+      until: { type: 'string' },
+      out: { type: 'string', default: 'digests' },
+      format: { type: 'string', default: 'md' },
+      webhook: { type: 'string' },
+      state: { type: 'string' },
+      watch: { type: 'boolean', default: false },
+      'dry-run': { type: 'boolean', default: false }
+    }
+  });
+
+  if (positionals.length !== 1) throw new Error('Give one export file or folder');
+
+  const level = Number(values.level);
+  const formats = values.format.split(',').map(f => f.trim()).filter(Boolean);
+  const errors: string[] = [];
+  if (!isSummaryLevel(level)) errors.push('--level must be 1, 2, 3 or 4');
+  if (!isPrivacyMode(values.privacy)) errors.push('--privacy must be anonymous, smart or with-names');
+  if (!isModelType(values.model)) errors.push('--model must be fast, balanced or powerful');
+  if (!isOutputLanguage(values.language)) errors.push('--language must be auto, pt, en or es');
+  for (const name of ['since', 'until'] as const) {
+    const value = values[name];
+    if (value !== undefined && !DATE_REGEX.test(value)) errors.push(`--${name} must be YYYY-MM-DD`);
+  }
+  if (formats.some(f => f !== 'md' && f !== 'json')) errors.push('--format must be md, json or md,json');
+  if (errors.length) throw new Error(errors.join('\n'));
+
+  const outDir = path.resolve(values.out);
+  return {
+    input: positionals[0],
+    watch: values.watch,
+    options: {
+      level: level as SummaryLevel,
+      privacy: values.privacy as PrivacyMode,
+      model: values.model as ModelType,
+      language: values.language as OutputLanguage,
+      since: values.since,
+      until: values.until,
+      outDir,
+      formats: formats as DigestFormat[],
+      webhookUrl: values.webhook || env.DIGEST_WEBHOOK_URL || undefined,
+      statePath: values.state ? path.resolve(values.state) : path.join(outDir, '.digest-state.json'),
+      dryRun: values['dry-run']
+    }
+  };
+}
@@ -0,0 +1,120 @@
+import type { ServerResponse } from 'http';
+import type { ErrorCode, ErrorResponse } from '../types/index.js';
+import { ProviderError } from './llm.js';
+import { ExtractionError } from './groq.js';
+import { sendError } from './sse.js';
+import type { EventStream } from './sse.js';
+
+/**
+ * Error catalog shared by every API route
+ *
+ * Each failure has a stable code, an HTTP status and a default message
+ * (Portuguese, like the rest of the API). Clients should act on the code:
+ * the web app shows its own message for each one and retries the codes
+ * that can succeed later (rate limits, timeouts, unavailable provider).
+ */
+
+export const ERROR_CATALOG: Record<ErrorCode, { status: number; message: string }> = {
+  METHOD_NOT_ALLOWED: { status: 405, message: 'Método não permitido' },
+  NOT_FOUND: { status: 404, message: 'Rota não encontrada' },
+  INVALID_REQUEST: { status: 400, message: 'Requisição inválida' },
+  NO_FILE: { status: 400, message: 'Nenhum arquivo enviado' },
+  EMPTY_FILE: { status: 400, message: 'O arquivo está vazio' },
+  INVALID_FORMAT: { status: 400, message: 'O arquivo não é uma conversa exportada do WhatsApp' },
+  NO_MESSAGES: { status: 400, message: 'Nenhuma mensagem enviada' },
+  INVALID_TEMPLATE: { status: 400, message: 'Modelo de resumo inválido' },
+  PAYLOAD_TOO_LARGE: { status: 413, message: 'Conteúdo grande demais para uma requisição' },
+  UNSUPPORTED_MEDIA: { status: 415, message: 'Tipo de arquivo não suportado' },
+  MEDIA_TOO_LARGE: { status: 413, message: 'Arquivo muito grande' },
+  JOB_NOT_FOUND: { status: 404, message: 'Resumo não encontrado ou expirado' },
+  FORBIDDEN_ORIGIN: { status: 403, message: 'Origem não autorizada' },
+  TOO_MANY_REQUESTS: { status: 429, message: 'Muitas requisições. Aguarde um momento.' },
+  QUOTA_EXCEEDED: { status: 429, message: 'Cota diária de uso da IA esgotada' },
+  INVALID_API_KEY: { status: 401, message: 'Chave da Groq inválida' },
+  RATE_LIMITED: { status: 429, message: 'Limite de uso da IA atingido. Aguarde um momento.' },
+  PROVIDER_TIMEOUT: { status: 504, message: 'A IA demorou demais para responder' },
+  PROVIDER_UNAVAILABLE: { status: 503, message: 'Serviço de IA indisponível no momento' },
+  BAD_MODEL_RESPONSE: { status: 502, message: 'A IA retornou um formato inválido. Tente novamente.' },
+  PROCESSING_ERROR: { status: 500, message: 'Falha ao processar a requisição' }
+};
+
+/**
+ * An error to answer with: code, status and message from the catalog
+ * (the message can be more specific), plus what was wrong and how long
+ * to wait when known
+ */
+export class ApiError extends Error {
+  readonly status: number;
+  readonly details?: string[];
+  readonly retryAfterMs?: number;
+
+  constructor(
+    public readonly code: ErrorCode,
+    options: { message?: string; details?: string[]; retryAfterMs?: number } = {}
+  ) {
+    const { message = ERROR_CATALOG[code].message, details } = options;
+    super(details?.length ? `${message}: ${details.slice(0, 3).join('; ')}` : message);
+    this.name = 'ApiError';
+    this.status = ERROR_CATALOG[code].status;
+    this.details = details;
+    this.retryAfterMs = options.retryAfterMs;
+  }
+}
+
+/**
+ * What an error means for the client
+ * Provider failures map to their own codes; anything unexpected is a
+ * PROCESSING_ERROR with the route's message
+ */
+export function toApiError(err: unknown, fallbackMessage?: string): ApiError {
+  if (err instanceof ApiError) return err;
+  if (err instanceof ExtractionError) return new ApiError('BAD_MODEL_RESPONSE');
+
+  if (err instanceof ProviderError) {
+    switch (err.kind) {
+      case 'rate_limited':
+        return new ApiError('RATE_LIMITED', { retryAfterMs: err.retryAfterMs });
+      case 'too_large':
+        return new ApiError('PAYLOAD_TOO_LARGE', { message: 'Conteúdo grande demais para o modelo' });
+      case 'timeout':
+        return new ApiError('PROVIDER_TIMEOUT');
+      case 'bad_response':
+        return new ApiError('BAD_MODEL_RESPONSE');
+      case 'unauthorized':
+        return new ApiError('INVALID_API_KEY');
+      case 'unavailable':
+      case 'aborted':
+        return new ApiError('PROVIDER_UNAVAILABLE');
+    }
+  }
+
+  return new ApiError('PROCESSING_ERROR', { message: fallbackMessage });
+}
+
+/**
+ * Response body of an error
+ */
+export function errorBody(err: ApiError): ErrorResponse {
+  const body: ErrorResponse = { error: err.message, code: err.code };
+  if (err.details?.length) body.details = err.details;
+  if (err.retryAfterMs !== undefined) body.retryAfter = Math.ceil(err.retryAfterMs / 1000);
+  return body;
+}
+
+/**
+ * Answer with an error, as JSON or as an "error" event once a stream is open
+ * Limits and quotas also get a Retry-After header when it can still be sent
+ */
+export function sendApiError(
+  res: ServerResponse & { status(code: number): { json(body: unknown): unknown } },
+  stream: EventStream | null,
+  err: unknown,
+  fallbackMessage?: string
+): void {
+  const apiError = toApiError(err, fallbackMessage);
+  const body = errorBody(apiError);
+  if (body.retryAfter !== undefined && !stream) {
+    res.setHeader('Retry-After', String(body.retryAfter));
+  }
+  sendError(res, stream, apiError.status, body);
+}
@@ -0,0 +1,154 @@
+import type {
+  ParsedMessage,
+  ModelType,
+  SummaryLevel,
+  OutputMode,
+  DateRange,
+  SummaryEstimate,
+  EstimateMode
+} from '../types/index.js';
+import { CHUNK_TOKENS, splitIntoChunks } from './chunker.js';
+import { LEVEL_MAX_TOKENS, digestMaxTokens } from './templates.js';
+import { getRangeDays, getMessagesRange } from './dateExtractor.js';
+
+/**
+ * Pre-flight estimate of a summary: tokens, calls and time before anything
+ * is sent to the model
+ *
+ * Chunks are planned exactly like the job and the browser loop do
+ * (chunker.ts). Tokens are an upper bound: answers count at the full budget
+ * of the output mode, and JSON answers (structured, topics) as retried as
+ * often as groq.ts allows. Time assumes valid first answers and follows the
+ * free tier's tokens per minute: past the first minute's allowance, every
+ * call waits for the window.
+ * Runs in the browser too (public/lib), so nothing is uploaded to estimate.
+ */
+
+/**
+ * Groq free tier limits of each model tier (see GROQ_MODELS in llm.ts)
+ */
+export const FREE_TIER_LIMITS: Record<ModelType, { tokensPerMinute: number; tokensPerDay: number }> = {
+  fast: { tokensPerMinute: 6000, tokensPerDay: 500_000 },
+  balanced: { tokensPerMinute: 12000, tokensPerDay: 100_000 },
+  powerful: { tokensPerMinute: 30000, tokensPerDay: 500_000 }
+};
+
+/**
+ * Answer speed of each model tier, tokens per second
+ */
+const OUTPUT_TOKENS_PER_SECOND: Record<ModelType, number> = {
+  fast: 750,
+  balanced: 275,
+  powerful: 450
+};
+
+export const MAX_MERGE_INPUTS = 8;       // Partial summaries per merge call (jobs.ts)
+
+// Answer budgets of the JSON modes (groq.ts); a malformed answer is sent
+// back with its errors and asked again, up to MAX_EXTRACTION_ATTEMPTS times
+export const MAX_EXTRACTION_ATTEMPTS = 3;
+export const EXTRACTION_MAX_TOKENS = 1500;
+export const TOPICS_MAX_TOKENS = 4500;   // Grows with the topics found, up to this
+const RETRY_PROMPT_TOKENS = 60;          // The validation errors of a retry
+
+const PROMPT_TOKENS = 300;               // System prompt and instructions of a chunk call
+const MERGE_PROMPT_TOKENS = 450;         // ...and of a merge call, with the part headings
+const CALL_OVERHEAD_SECONDS = 1;         // Network, queueing and time to first token
+
+/**
+ * What to estimate: the model and level, as the summary would be asked
+ */
+export interface EstimateOptions {
+  model: ModelType;
+  level: SummaryLevel;
+  output?: OutputMode;
+  range?: DateRange;       // Defaults to the messages' dates
+  mode?: EstimateMode;
+}
+
+/**
+ * Inputs of each merge call for this many partial summaries, by round
+ * (the job's rounds: batches of MAX_MERGE_INPUTS, a batch of one goes
+ * to the next round as is)
+ */
+function mergeRounds(partials: number): number[][] {
+  const rounds: number[][] = [];
+  let round = partials;
+
+  while (round > 1) {
+    const batches: number[] = [];
+    for (let i = 0; i < round; i += MAX_MERGE_INPUTS) batches.push(Math.min(MAX_MERGE_INPUTS, round - i));
+    rounds.push(batches.filter(inputs => inputs > 1));
+    round = batches.length;
+  }
+
+  return rounds;
+}
+
+/**
+ * Estimate summarizing these messages with a model
+ * 'full' summarizes every chunk and merges them; 'quick' is a single call
+ * on an even sample (or the messages that fit the model's budget)
+ */
+export function estimateSummary(messages: ParsedMessage[], options: EstimateOptions): SummaryEstimate {
+  const { model, level, output = 'summary', mode = 'full' } = options;
+  const budget = CHUNK_TOKENS[model];
+  const chunks = splitIntoChunks(messages, budget);
+  const range = options.range ?? getMessagesRange(messages);
+  const days = range.start ? getRangeDays(range).length : 1;
+
+  // A single call answers for the whole range, partial chunks for their part
+  const answerTokens = output === 'structured' ? EXTRACTION_MAX_TOKENS
+    : output === 'topics' ? TOPICS_MAX_TOKENS
+    : LEVEL_MAX_TOKENS[level];
+  const finalTokens = days > 1 && output === 'summary' ? digestMaxTokens(answerTokens, days) : answerTokens;
+  const mergeTokens = days > 1 ? finalTokens : Math.round(answerTokens * 1.5);
+
+  const single = mode === 'quick' || chunks.length <= 1;
+  const calls: Array<{ input: number; output: number }> = [];
+  if (single) {
+    const tokens = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+    calls.push({ input: PROMPT_TOKENS + Math.min(tokens, budget), output: finalTokens });
+  } else {
+    for (const chunk of chunks) calls.push({ input: PROMPT_TOKENS + chunk.tokens, output: answerTokens });
+    // Structured output and topics are merged without the model
+    if (output === 'summary') {
+      mergeRounds(chunks.length).forEach((batches, round) => {
+        const partTokens = round === 0 ? answerTokens : mergeTokens;
+        for (const inputs of batches) {
+          calls.push({ input: MERGE_PROMPT_TOKENS + inputs * partTokens, output: mergeTokens });
+        }
+      });
+    }
+  }
+
+  // Every retry sends the conversation again, with the answers so far
+  const attempts = output === 'summary' ? 1 : MAX_EXTRACTION_ATTEMPTS;
+  const requests = calls.flatMap(call => Array.from({ length: attempts }, (_, retry) => ({
+    input: call.input + retry * (call.output + RETRY_PROMPT_TOKENS),
+    output: call.output
+  })));
+
+  const limits = FREE_TIER_LIMITS[model];
+  const inputTokens = requests.reduce((sum, request) => sum + request.input, 0);
+  const outputTokens = requests.reduce((sum, request) => sum + request.output, 0);
+  const largestCall = Math.max(...requests.map(request => request.input + request.output));
+  const chunkCalls = single ? 1 : chunks.length;
+
+  const expectedOutput = calls.reduce((sum, call) => sum + call.output, 0);
+  const expectedTotal = calls.reduce((sum, call) => sum + call.input, 0) + expectedOutput;
+  const answerSeconds = calls.length * CALL_OVERHEAD_SECONDS + expectedOutput / OUTPUT_TOKENS_PER_SECOND[model];
+  const waitSeconds = Math.max(0, expectedTotal - limits.tokensPerMinute) / limits.tokensPerMinute * 60;
+
+  return {
+    model,
+    mode,
+    messages: single && chunks.length > 1 ? Math.floor(messages.length / chunks.length) : messages.length,
+    chunks: chunkCalls,
+    merges: calls.length - chunkCalls,
+    inputTokens,
+    outputTokens,
+    seconds: Math.ceil(answerSeconds + waitSeconds),
+    fitsFreeTier: largestCall <= limits.tokensPerMinute && inputTokens + outputTokens <= limits.tokensPerDay
+  };
+}
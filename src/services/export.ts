@@ -0,0 +1,318 @@
+import type { DateRange, SummaryLevel, OutputMode } from '../types/index.js';
+import { toDisplayDate } from './parser.js';
+
+/**
+ * Exporting a summary: WhatsApp-formatted text, Markdown and standalone HTML
+ * (also printed to PDF by the browser)
+ *
+ * Summaries are markdown; each format converts it and adds a header with
+ * the group, period, level and stats. Compiled to public/lib for the
+ * result screen.
+ */
+
+/**
+ * What the header says about a summary
+ */
+export interface ExportMeta {
+  chatName?: string | null;
+  range: DateRange;
+  level: SummaryLevel;
+  output: OutputMode;
+  filter?: string | null;        // Search the summary was limited to
+  template?: string | null;      // Name of the summary template, if any
+  stats: {
+    totalMessages: number;
+    participants?: number;
+    chunks?: number;
+  };
+}
+
+/**
+ * WhatsApp refuses messages over 65536 characters; a margin is kept
+ */
+export const WHATSAPP_MAX_LENGTH = 65000;
+const PART_LABEL_LENGTH = 20;    // Room for "_(parte 1/3)_"
+
+const LEVEL_NAMES: Record<SummaryLevel, string> = { 1: 'Flash', 2: 'Resumido', 3: 'Padrão', 4: 'Completo' };
+const OUTPUT_NAMES: Record<OutputMode, string> = {
+  summary: 'Resumo',
+  structured: 'Decisões e tarefas',
+  topics: 'Resumo por assunto'
+};
+
+const HR_REGEX = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const HEADING_REGEX = /^(#{1,6})\s+(.*)$/;
+const BULLET_REGEX = /^(\s*)[-*+]\s+(.*)$/;
+const NUMBERED_REGEX = /^(\s*)(\d+)[.)]\s+(.*)$/;
+const TASK_REGEX = /^\[( |x|X)\]\s+/;
+
+function describeRange(range: DateRange): string {
+  return range.start === range.end
+    ? toDisplayDate(range.start)
+    : `${toDisplayDate(range.start)} a ${toDisplayDate(range.end)}`;
+}
+
+function exportTitle(meta: ExportMeta): string {
+  return meta.chatName ? `${OUTPUT_NAMES[meta.output]} — ${meta.chatName}` : OUTPUT_NAMES[meta.output];
+}
+
+/**
+ * Header fields, in order
+ */
+function headerFields(meta: ExportMeta): Array<[label: string, value: string]> {
+  const { totalMessages, participants, chunks } = meta.stats;
+  const fields: Array<[string, string]> = [['Período', describeRange(meta.range)]];
+  if (meta.filter) fields.push(['Busca', meta.filter]);
+  if (meta.template) fields.push(['Modelo', meta.template]);
+  if (meta.output !== 'structured') fields.push(['Nível', LEVEL_NAMES[meta.level]]);
+
+  const counts = [`${totalMessages} mensagens`];
+  if (participants) counts.push(`${participants} participantes`);
+  if (chunks && chunks > 1) counts.push(`${chunks} partes`);
+  fields.push(['Conversa', counts.join(', ')]);
+  return fields;
+}
+
+/**
+ * File name like "resumo-familia-2026-10-12-a-2026-10-19.md"
+ */
+export function exportFileName(meta: ExportMeta, extension: string): string {
+  const name = (meta.chatName ?? '')
+    .normalize('NFD').replace(/\p{M}/gu, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const dates = meta.range.start === meta.range.end ? meta.range.start : `${meta.range.start}-a-${meta.range.end}`;
+  return ['resumo', name, dates].filter(Boolean).join('-') + `.${extension}`;
+}
+
+/**
+ * Markdown file: header, then the summary as is
+ */
+export function toMarkdownDocument(markdown: string, meta: ExportMeta): string {
+  const fields = headerFields(meta).map(([label, value]) => `- **${label}:** ${value}`);
+  return `# ${exportTitle(meta)}\n\n${fields.join('\n')}\n\n---\n\n${markdown.trim()}\n`;
+}
+
+/**
+ * Inline markdown to WhatsApp: *bold*, _italic_, ~strike~, links as "text (url)"
+ */
+function whatsAppInline(text: string): string {
+  return text
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '$1 ($2)')
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '\u0000$2\u0000')
+    .replace(/(?<![\w*])\*(?=\S)([^*\n]+?)(?<=\S)\*(?![\w*])/g, '_$1_')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '~$1~')
+    .replace(/\u0000/g, '*');
+}
+
+/**
+ * Markdown to WhatsApp's own formatting
+ * Headings become bold lines, bullets "•", task boxes ☐/☑ and rules are
+ * dropped: what WhatsApp shows as-is instead of stray # and **.
+ */
+export function toWhatsAppText(markdown: string): string {
+  return markdown.split('\n').map(line => {
+    const heading = line.match(HEADING_REGEX);
+    if (heading) return `*${whatsAppInline(heading[2].replace(/\*\*|__/g, '')).trim()}*`;
+    if (HR_REGEX.test(line)) return '';
+
+    const bullet = line.match(BULLET_REGEX);
+    if (bullet) {
+      const [, indent, text] = bullet;
+      const task = text.match(TASK_REGEX);
+      const marker = task ? (task[1] === ' ' ? '☐' : '☑') : '•';
+      return `${indent}${marker} ${whatsAppInline(task ? text.slice(task[0].length) : text)}`;
+    }
+    return whatsAppInline(line);
+  }).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Cut a line longer than maxLength at spaces, so words and links stay
+ * whole (only a single word longer than that is cut)
+ */
+function cutLine(line: string, maxLength: number): string[] {
+  const pieces: string[] = [];
+  let rest = line;
+  while (rest.length > maxLength) {
+    const space = rest.lastIndexOf(' ', maxLength);
+    if (space > 0) {
+      pieces.push(rest.slice(0, space));
+      rest = rest.slice(space + 1);
+    } else {
+      pieces.push(rest.slice(0, maxLength));
+      rest = rest.slice(maxLength);
+    }
+  }
+  pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Split a text into pieces of at most maxLength, between paragraphs when
+ * possible, then between lines, then between words
+ */
+export function splitText(text: string, maxLength: number = WHATSAPP_MAX_LENGTH): string[] {
+  const parts: string[] = [];
+  let current = '';
+  const add = (piece: string, separator: string): void => {
+    if (!current) {
+      current = piece;
+    } else if (current.length + separator.length + piece.length <= maxLength) {
+      current += separator + piece;
+    } else {
+      parts.push(current);
+      current = piece;
+    }
+  };
+
+  for (const paragraph of text.split('\n\n')) {
+    if (paragraph.length <= maxLength) {
+      add(paragraph, '\n\n');
+      continue;
+    }
+    paragraph.split('\n').forEach((line, i) => {
+      cutLine(line, maxLength).forEach((piece, j) => add(piece, i === 0 && j === 0 ? '\n\n' : '\n'));
+    });
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * The summary as WhatsApp messages: header and text, split under the
+ * message limit and numbered when it takes more than one
+ */
+export function toWhatsAppMessages(markdown: string, meta: ExportMeta, maxLength: number = WHATSAPP_MAX_LENGTH): string[] {
+  const header = [
+    `*${exportTitle(meta)}*`,
+    ...headerFields(meta).map(([label, value]) => `_${label}:_ ${value}`)
+  ].join('\n');
+
+  const parts = splitText(`${header}\n\n${toWhatsAppText(markdown)}`, maxLength - PART_LABEL_LENGTH);
+  return parts.length === 1
+    ? parts
+    : parts.map((part, i) => `_(parte ${i + 1}/${parts.length})_\n${part}`);
+}
+
+function escapeHtml(text: string): string {
+  return text.replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c] as string);
+}
+
+/**
+ * Inline markdown to HTML; code and link addresses are set aside first so
+ * the emphasis rules can't reach into them
+ */
+function inlineHtml(text: string): string {
+  const kept: string[] = [];
+  const keep = (html: string): string => `\u0000${kept.push(html) - 1}\u0000`;
+  return escapeHtml(text.replace(/\u0000/g, ''))
+    .replace(/`([^`\n]+)`/g, (_, code: string) => keep(`<code>${code}</code>`))
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, (_, label: string, url: string) => `<a href="${keep(url)}">${label}</a>`)
+    .replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, (_, before: string, url: string) => before + keep(`<a href="${url}">${url}</a>`))
+    .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+    .replace(/(?<![\w*])([*_])(?=\S)([^*_\n]+?)(?<=\S)\1(?![\w*])/g, '<em>$2</em>')
+    .replace(/~~(?=\S)(.+?)(?<=\S)~~/g, '<del>$1</del>')
+    .replace(/\u0000(\d+)\u0000/g, (_, i: string) => kept[Number(i)]);
+}
+
+/**
+ * Markdown to HTML: headings, paragraphs, lists (with task boxes), rules
+ * and inline formatting; everything else is escaped
+ */
+export function markdownToHtml(markdown: string): string {
+  const html: string[] = [];
+  let paragraph: string[] = [];
+  let list: 'ul' | 'ol' | null = null;
+
+  const closeParagraph = (): void => {
+    if (paragraph.length) html.push(`<p>${paragraph.map(inlineHtml).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  const closeList = (): void => {
+    if (list) html.push(`</${list}>`);
+    list = null;
+  };
+
+  for (const line of markdown.split('\n')) {
+    const heading = line.match(HEADING_REGEX);
+    const bullet = line.match(BULLET_REGEX);
+    const numbered = line.match(NUMBERED_REGEX);
+
+    if (!line.trim() || heading || HR_REGEX.test(line)) {
+      closeParagraph();
+      closeList();
+      if (heading) html.push(`<h${heading[1].length}>${inlineHtml(heading[2])}</h${heading[1].length}>`);
+      else if (line.trim()) html.push('<hr>');
+    } else if (bullet || numbered) {
+      const type = bullet ? 'ul' : 'ol';
+      closeParagraph();
+      if (list !== type) {
+        closeList();
+        html.push(`<${type}>`);
+        list = type;
+      }
+      const text = bullet ? bullet[2] : numbered![3];
+      const task = text.match(TASK_REGEX);
+      html.push(task
+        ? `<li class="task">${task[1] === ' ' ? '☐' : '☑'} ${inlineHtml(text.slice(task[0].length))}</li>`
+        : `<li>${inlineHtml(text)}</li>`);
+    } else {
+      closeList();
+      paragraph.push(line.trim());
+    }
+  }
+  closeParagraph();
+  closeList();
+
+  return html.join('\n');
+}
+
+const DOCUMENT_CSS = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; line-height: 1.6;
+         color: #1f2328; max-width: 760px; margin: 2rem auto; padding: 0 1.25rem; }
+  header { border-bottom: 2px solid #25d366; margin-bottom: 1.5rem; }
+  h1 { font-size: 1.6rem; margin: 0 0 .5rem; }
+  h2 { font-size: 1.25rem; margin-top: 1.75rem; }
+  h3 { font-size: 1.05rem; }
+  .meta { list-style: none; padding: 0; color: #57606a; font-size: .9rem; }
+  li.task { list-style: none; margin-left: -1.25rem; }
+  a { color: #0969da; }
+  hr { border: 0; border-top: 1px solid #d0d7de; }
+  footer { margin-top: 2rem; color: #8c959f; font-size: .8rem; }
+  @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+`;
+
+/**
+ * Standalone HTML page (no external files), also used for the PDF
+ */
+export function toHtmlDocument(markdown: string, meta: ExportMeta): string {
+  const title = escapeHtml(exportTitle(meta));
+  const fields = headerFields(meta)
+    .map(([label, value]) => `<li><strong>${label}:</strong> ${escapeHtml(value)}</li>`)
+    .join('\n      ');
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>${DOCUMENT_CSS}</style>
+</head>
+<body>
+  <header>
+    <h1>${title}</h1>
+    <ul class="meta">
+      ${fields}
+    </ul>
+  </header>
+  <main>
+${markdownToHtml(markdown)}
+  </main>
+  <footer>Gerado pelo Resumo de Grupo WhatsApp</footer>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,254 @@
+import type { StructuredSummary, SourceRef, PrivacyMode, OutputMode } from '../types/index.js';
+import { toDisplayDate } from './parser.js';
+
+/**
+ * Field types accepted by the extraction schema
+ * Optional fields may be missing or null and are normalized to null
+ */
+type FieldType = 'string' | 'string?' | 'source';
+
+/**
+ * Schema of each list in the structured output
+ */
+const SCHEMA: Record<keyof StructuredSummary, Record<string, FieldType>> = {
+  decisions: { text: 'string', source: 'source' },
+  tasks: { task: 'string', owner: 'string?', due: 'string?', source: 'source' },
+  events: { title: 'string', date: 'string?', time: 'string?', place: 'string?', source: 'source' },
+  links: { url: 'string', description: 'string?', source: 'source' },
+  unansweredQuestions: { question: 'string', source: 'source' }
+};
+
+const LIST_KEYS = Object.keys(SCHEMA) as Array<keyof StructuredSummary>;
+
+/**
+ * Links the redactor put in place of URLs (redaction.ts), restored later
+ */
+const LINK_PLACEHOLDER_REGEX = /^\[link \d+\]$/;
+
+/**
+ * Check that a link is a web address (http or https)
+ * Anything else (javascript:, data:, file:...) would be unsafe in an href
+ */
+export function isWebUrl(value: string): boolean {
+  if (!/^https?:\/\//i.test(value)) return false;
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The link as a web address ("www." ones get https://), the redactor's
+ * placeholder as it is, or null for anything else
+ */
+function webLink(url: string): string | null {
+  if (LINK_PLACEHOLDER_REGEX.test(url)) return url;
+  const absolute = /^www\./i.test(url) ? `https://${url}` : url;
+  return isWebUrl(absolute) ? absolute : null;
+}
+
+/**
+ * System prompt for structured extraction (JSON mode)
+ */
+export const EXTRACTION_PROMPT = `Você é um assistente que extrai informações estruturadas de conversas de grupo do WhatsApp.
+Responda APENAS com um objeto JSON válido, sem texto antes ou depois, neste formato:
+{
+  "decisions": [{ "text": "...", "source": { "date": "AAAA-MM-DD" | null, "time": "HH:MM", "sender": "..." | null } }],
+  "tasks": [{ "task": "...", "owner": "..." | null, "due": "..." | null, "source": {...} }],
+  "events": [{ "title": "...", "date": "..." | null, "time": "..." | null, "place": "..." | null, "source": {...} }],
+  "links": [{ "url": "...", "description": "..." | null, "source": {...} }],
+  "unansweredQuestions": [{ "question": "...", "source": {...} }]
+}
+- decisions: o que o grupo decidiu ou combinou
+- tasks: tarefas atribuídas ou assumidas, com responsável e prazo SE mencionados
+- events: encontros, reuniões, festas e prazos com data/hora/local quando mencionados
+- links: URLs compartilhadas e do que se tratam
+- unansweredQuestions: perguntas que ninguém respondeu na conversa
+- source: horário [HH:MM] e remetente da mensagem de onde o item saiu; date só se a conversa tiver linhas "=== DD/MM/AAAA ==="
+Use listas vazias quando não houver itens. Não invente informações.`;
+
+/**
+ * Check if a value is a valid output mode
+ */
+export function isOutputMode(value: unknown): value is OutputMode {
+  return value === 'summary' || value === 'structured' || value === 'topics';
+}
+
+/**
+ * Extra instruction for sender fields, following the privacy mode
+ */
+export function extractionPrivacyNote(privacy: PrivacyMode): string {
+  return privacy === 'anonymous'
+    ? 'Use null em "sender" e "owner": NÃO inclua nomes de pessoas nem números de telefone.'
+    : 'Use o nome do remetente exatamente como aparece na conversa.';
+}
+
+/**
+ * Validate a single field, returning the normalized value or an error
+ */
+function validateField(
+  value: unknown,
+  type: FieldType,
+  path: string,
+  errors: string[]
+): string | null | SourceRef {
+  if (type === 'source') {
+    if (!value || typeof value !== 'object') {
+      errors.push(`${path} deve ser um objeto { date, time, sender }`);
+      return { date: null, time: '', sender: null };
+    }
+    const source = value as Record<string, unknown>;
+    return {
+      date: validateField(source.date, 'string?', `${path}.date`, errors) as string | null,
+      time: validateField(source.time, 'string', `${path}.time`, errors) as string,
+      sender: validateField(source.sender, 'string?', `${path}.sender`, errors) as string | null
+    };
+  }
+
+  if (type === 'string?' && (value === undefined || value === null || value === '')) {
+    return null;
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    errors.push(`${path} deve ser um texto não vazio`);
+    return '';
+  }
+  return value.trim();
+}
+
+/**
+ * Validate the model's JSON against the schema
+ * Returns the normalized summary, or the list of problems to send back
+ */
+export function validateStructuredSummary(
+  value: unknown
+): { ok: true; value: StructuredSummary } | { ok: false; errors: string[] } {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { ok: false, errors: ['a resposta deve ser um objeto JSON'] };
+  }
+
+  const input = value as Record<string, unknown>;
+  const errors: string[] = [];
+  const result = {} as Record<keyof StructuredSummary, unknown[]>;
+
+  for (const key of LIST_KEYS) {
+    const list = input[key] ?? [];
+    if (!Array.isArray(list)) {
+      errors.push(`${key} deve ser uma lista`);
+      continue;
+    }
+
+    const items = list.map((item, i) => {
+      const path = `${key}[${i}]`;
+      if (!item || typeof item !== 'object') {
+        errors.push(`${path} deve ser um objeto`);
+        return null;
+      }
+      const normalized: Record<string, unknown> = {};
+      for (const [field, type] of Object.entries(SCHEMA[key])) {
+        normalized[field] = validateField((item as Record<string, unknown>)[field], type, `${path}.${field}`, errors);
+      }
+      return normalized;
+    });
+
+    // Links that are not web addresses are dropped, not sent back to the model
+    // (invalid items already fail the whole summary)
+    result[key] = key !== 'links' ? items : items.flatMap(item => {
+      const url = webLink(String(item?.url ?? ''));
+      return url ? [{ ...item, url }] : [];
+    });
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, errors };
+  }
+  return { ok: true, value: result as unknown as StructuredSummary };
+}
+
+/**
+ * Parse raw model output (tolerates ```json fences) and validate it
+ */
+export function parseStructuredSummary(
+  raw: string
+): { ok: true; value: StructuredSummary } | { ok: false; errors: string[] } {
+  const json = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return validateStructuredSummary(JSON.parse(json));
+  } catch (err) {
+    return { ok: false, errors: [`JSON inválido: ${err instanceof Error ? err.message : String(err)}`] };
+  }
+}
+
+/**
+ * Merge extractions from several chunks, dropping exact duplicates
+ */
+export function mergeStructuredSummaries(parts: StructuredSummary[]): StructuredSummary {
+  const merged: StructuredSummary = {
+    decisions: [],
+    tasks: [],
+    events: [],
+    links: [],
+    unansweredQuestions: []
+  };
+
+  for (const key of LIST_KEYS) {
+    const seen = new Set<string>();
+    const items = parts.flatMap(part => part[key] as Array<{ source: SourceRef }>);
+
+    for (const item of items) {
+      const { source: _source, ...content } = item;
+      const fingerprint = JSON.stringify(content).toLowerCase();
+      if (seen.has(fingerprint)) continue;
+      seen.add(fingerprint);
+      (merged[key] as unknown[]).push(item);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Format a source reference like "(12/10/2026 14:03, Ana)"
+ */
+function formatSource(source: SourceRef): string {
+  const date = source.date && /^\d{4}-\d{2}-\d{2}$/.test(source.date) ? toDisplayDate(source.date) : source.date;
+  const when = date ? `${date} ${source.time}` : source.time;
+  return source.sender ? `(${when}, ${source.sender})` : `(${when})`;
+}
+
+/**
+ * Render a structured summary as markdown (for copy/share)
+ */
+export function structuredToMarkdown(structured: StructuredSummary): string {
+  const sections: string[] = [];
+
+  if (structured.decisions.length) {
+    sections.push('## Decisões\n' + structured.decisions
+      .map(d => `- ${d.text} ${formatSource(d.source)}`).join('\n'));
+  }
+  if (structured.tasks.length) {
+    sections.push('## Tarefas\n' + structured.tasks
+      .map(t => {
+        const details = [t.owner && `responsável: ${t.owner}`, t.due && `prazo: ${t.due}`].filter(Boolean);
+        return `- [ ] ${t.task}${details.length ? ` — ${details.join(', ')}` : ''} ${formatSource(t.source)}`;
+      }).join('\n'));
+  }
+  if (structured.events.length) {
+    sections.push('## Eventos\n' + structured.events
+      .map(e => {
+        const details = [e.date, e.time, e.place].filter(Boolean);
+        return `- ${e.title}${details.length ? ` — ${details.join(', ')}` : ''} ${formatSource(e.source)}`;
+      }).join('\n'));
+  }
+  if (structured.links.length) {
+    sections.push('## Links\n' + structured.links
+      .map(l => `- ${l.url}${l.description ? ` — ${l.description}` : ''} ${formatSource(l.source)}`).join('\n'));
+  }
+  if (structured.unansweredQuestions.length) {
+    sections.push('## Perguntas sem resposta\n' + structured.unansweredQuestions
+      .map(q => `- ${q.question} ${formatSource(q.source)}`).join('\n'));
+  }
+
+  return sections.length ? sections.join('\n\n') : 'Nenhuma decisão, tarefa ou evento encontrado.';
+}
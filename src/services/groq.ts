@@ -1,57 +1,41 @@
-import Groq from 'groq-sdk';
-import type { SummaryLevel, PrivacyMode, SummaryLevelConfig } from '../types/index.js';
-
-// Initialize Groq client
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
-
-// Model to use - Llama 3.1 8B is fast and free
-const MODEL = 'llama-3.1-8b-instant';
-
-/**
- * Summary level configurations with Portuguese prompts
- */
-const SUMMARY_CONFIGS: Record<SummaryLevel, SummaryLevelConfig> = {
-  1: {
-    name: 'Flash',
-    description: 'Resumo ultra-curto em 1-2 frases',
-    maxTokens: 100,
-    systemPrompt: `Você é um assistente que resume conversas de grupo do WhatsApp.
-Faça um resumo ULTRA-CURTO em apenas 1-2 frases.
-Mencione apenas os 2-3 tópicos principais discutidos.
-Seja direto e conciso. Não use listas ou formatação especial.`
-  },
-  2: {
-    name: 'Resumido',
-    description: 'Parágrafos curtos por assunto',
-    maxTokens: 300,
-    systemPrompt: `Você é um assistente que resume conversas de grupo do WhatsApp.
-Faça um resumo CURTO com parágrafos breves para cada assunto principal.
-Agrupe os tópicos relacionados.
-Use linguagem natural e fluida. Máximo 3-4 parágrafos curtos.`
-  },
-  3: {
-    name: 'Padrão',
-    description: 'Resumo completo com contexto',
-    maxTokens: 500,
-    systemPrompt: `Você é um assistente que resume conversas de grupo do WhatsApp.
-Faça um resumo DETALHADO cobrindo todos os assuntos importantes.
-Inclua contexto relevante para cada discussão.
-Organize por tópicos quando apropriado.
-Use formatação markdown com ## para títulos de seção se necessário.`
-  },
-  4: {
-    name: 'Completo',
-    description: 'Resumo detalhado com participantes',
-    maxTokens: 800,
-    systemPrompt: `Você é um assistente que resume conversas de grupo do WhatsApp.
-Faça um resumo COMPLETO e DETALHADO de toda a conversa.
-Inclua quem disse o quê quando for relevante.
-Destaque decisões tomadas, eventos importantes, e discussões significativas.
-Use formatação markdown com ## para seções e ** para destaques.
-Mencione os participantes mais ativos e suas contribuições principais.`
-  }
+import type { SummaryLevel, SummaryLanguage, PrivacyMode, ModelType, DateRange, StructuredSummary, AskTurn, ParsedMessage, TopicSummary } from '../types/index.js';
+import { toDisplayDate } from './parser.js';
+import { getRangeDays } from './dateExtractor.js';
+import { CHUNK_TOKENS } from './chunker.js';
+import { EXTRACTION_PROMPT, extractionPrivacyNote, parseStructuredSummary } from './extraction.js';
+import { TOPICS_PROMPT, segmentTopics, formatTopicsForAI, parseTopicTexts, buildTopics } from './topics.js';
+import { LEVEL_MAX_TOKENS, digestMaxTokens, getLevelTemplate, templateInstructions } from './templates.js';
+import type { ResolvedTemplate } from './templates.js';
+import { MAX_EXTRACTION_ATTEMPTS, EXTRACTION_MAX_TOKENS, TOPICS_MAX_TOKENS } from './estimate.js';
+import { DEFAULT_LANGUAGE, languageInstruction, digestHeadings } from './language.js';
+import { getProvider, ProviderError } from './llm.js';
+import type { ChatMessage, CompletionRequest, LLMProvider, RateLimitInfo } from './llm.js';
+import { cacheKey, cachedCall } from './cache.js';
+
+
+export const DEFAULT_MODEL: ModelType = 'powerful';
+
+// Questions: answer length and previous turns kept for follow-ups
+const ASK_MAX_TOKENS = 500;
+const ASK_HISTORY_TURNS = 3;
+
+// Summaries by topic: answer budget grows with the number of topics, up to
+// TOPICS_MAX_TOKENS (structured and topic budgets live in estimate.ts)
+const TOPICS_BASE_TOKENS = 100;
+
+/**
+ * Start of every summary prompt; the template (templates.ts) says what to write
+ */
+const SUMMARY_INTRO = 'Você é um assistente que resume conversas de grupo do WhatsApp.';
+
+/**
+ * Detail of each topic's summary, by level (output = 'topics')
+ */
+const TOPIC_DETAIL: Record<SummaryLevel, { instruction: string; tokensPerTopic: number }> = {
+  1: { instruction: 'Cada resumo tem UMA frase.', tokensPerTopic: 40 },
+  2: { instruction: 'Cada resumo tem 1-2 frases curtas.', tokensPerTopic: 80 },
+  3: { instruction: 'Cada resumo tem 2-4 frases, com o contexto relevante e o que ficou decidido.', tokensPerTopic: 140 },
+  4: { instruction: 'Cada resumo é detalhado (até 6 frases): quem disse o quê quando relevante, decisões e pendências.', tokensPerTopic: 220 }
 };
 
 /**
@@ -61,18 +45,137 @@ const PRIVACY_INSTRUCTIONS: Record<PrivacyMode, string> = {
   'anonymous': `
 IMPORTANTE: NÃO mencione nomes de pessoas ou números de telefone no resumo.
 Foque apenas nos ASSUNTOS discutidos, não em quem falou.
-Use termos genéricos como "o grupo discutiu", "foi mencionado", "alguém perguntou".`,
+Use termos genéricos como "o grupo discutiu", "foi mencionado", "alguém perguntou".
+Os participantes aparecem como "Participante N": não cite nem esses rótulos.`,
   
   'with-names': `
 Você pode mencionar os nomes das pessoas quando relevante para o contexto.
-Inclua quem disse ou fez o quê quando for importante para o entendimento.`,
+Inclua quem disse ou fez o quê quando for importante para o entendimento.
+Os participantes aparecem como "Participante N": ao citar alguém, use exatamente esse rótulo.`,
   
   'smart': `
 Mencione nomes APENAS quando a pessoa fez uma contribuição muito importante ou tomou uma decisão.
 Para conversas casuais, não mencione nomes.
-Evite mencionar números de telefone diretamente - se necessário, diga apenas "um participante".`
+Evite mencionar números de telefone diretamente - se necessário, diga apenas "um participante".
+Os participantes aparecem como "Participante N": ao citar alguém, use exatamente esse rótulo.`
 };
 
+/**
+ * How redaction.ts masks the conversation (appended to every prompt)
+ */
+const REDACTION_NOTE = `Dados pessoais aparecem mascarados ([telefone], [email], [cpf], [endereço]...): não tente reconstruí-los.
+Links aparecem como [link N]: ao citar um link, use exatamente esse rótulo.`;
+
+/**
+ * Streaming options shared by summary and merge requests
+ */
+export interface StreamOptions {
+  onToken?: (text: string) => void;   // Called with each piece of the answer
+  signal?: AbortSignal;
+  provider?: LLMProvider;   // Defaults to the active one (user keys, access.ts)
+}
+
+/**
+ * Extra options for a summary request
+ */
+export interface SummaryOptions extends StreamOptions {
+  isPartial?: boolean;
+  model?: ModelType;
+  range?: DateRange;        // Whole selection (multi-day turns on the digest)
+  template?: ResolvedTemplate;  // Defaults to the level's
+  language?: SummaryLanguage;
+}
+
+/**
+ * Check if a range covers more than one day
+ */
+function isMultiDay(range: DateRange | undefined): range is DateRange {
+  return Boolean(range && range.start !== range.end);
+}
+
+/**
+ * Describe a range for prompts, like "12/10/2026 a 19/10/2026"
+ */
+function describeRange(range: DateRange): string {
+  return range.start === range.end
+    ? toDisplayDate(range.start)
+    : `${toDisplayDate(range.start)} a ${toDisplayDate(range.end)}`;
+}
+
+/**
+ * Instructions for ranges spanning several days
+ */
+function rangeInstruction(range: DateRange, isPartial: boolean, language: SummaryLanguage): string {
+  if (isPartial) {
+    return `
+A conversa cobre vários dias; cada dia começa com uma linha "=== DD/MM/AAAA ===".
+Resuma separadamente cada dia presente nesta parte, com um título ## DD/MM/AAAA por dia.`;
+  }
+  const headings = digestHeadings(language);
+  return `
+A conversa cobre o período de ${describeRange(range)}; cada dia começa com uma linha "=== DD/MM/AAAA ===".
+Comece com "## ${headings.overview}" resumindo o período todo.
+Depois, em "## ${headings.dayByDay}", crie um título ### DD/MM/AAAA para cada dia com mensagens, em ordem cronológica.`;
+}
+
+/**
+ * Check if a value is a valid summary level
+ */
+export function isSummaryLevel(value: unknown): value is SummaryLevel {
+  return value === 1 || value === 2 || value === 3 || value === 4;
+}
+
+/**
+ * Check if a value is a valid privacy mode
+ */
+export function isPrivacyMode(value: unknown): value is PrivacyMode {
+  return typeof value === 'string' && Object.hasOwn(PRIVACY_INSTRUCTIONS, value);
+}
+
+/**
+ * Check if a value is a valid model tier
+ */
+export function isModelType(value: unknown): value is ModelType {
+  return typeof value === 'string' && Object.hasOwn(CHUNK_TOKENS, value);
+}
+
+/**
+ * Check if a provider error means we hit the TPM/RPM limit or sent too much
+ */
+export function isRateLimitError(err: unknown): boolean {
+  return err instanceof ProviderError && (err.kind === 'rate_limited' || err.kind === 'too_large');
+}
+
+/**
+ * Cache key of a request: provider, actual model, prompts and limits
+ */
+function requestKey(request: CompletionRequest, provider: LLMProvider): string {
+  const { model, messages, maxTokens, temperature, json = false } = request;
+  return cacheKey([provider.name, provider.resolveModel(model), messages, maxTokens, temperature, json]);
+}
+
+/**
+ * Run a completion through the cache (cache.ts); hits cost no tokens
+ * and are streamed as a single piece
+ */
+async function completeCached(
+  request: CompletionRequest,
+  provider: LLMProvider = getProvider()
+): Promise<{ content: string; tokensUsed: number; cached: boolean; rateLimit?: RateLimitInfo }> {
+  const answer = await cachedCall(requestKey(request, provider), () => provider.complete(request));
+
+  if (answer.hit) {
+    request.onToken?.(answer.content);
+    return { content: answer.content, tokensUsed: 0, cached: true };
+  }
+  return {
+    content: answer.result.content,
+    tokensUsed: answer.result.usage.totalTokens,
+    cached: false,
+    rateLimit: answer.result.rateLimit
+  };
+}
+
 /**
  * Generate a summary for a chunk of messages
  */
@@ -80,85 +183,302 @@ export async function generateSummary(
   messagesText: string,
   level: SummaryLevel,
   privacy: PrivacyMode,
-  isPartialChunk: boolean = false
-): Promise<{ summary: string; tokensUsed: number }> {
-  const config = SUMMARY_CONFIGS[level];
-  const privacyInstruction = PRIVACY_INSTRUCTIONS[privacy];
+  options: SummaryOptions = {}
+): Promise<{ summary: string; tokensUsed: number; cached: boolean; rateLimit?: RateLimitInfo }> {
+  const {
+    isPartial: isPartialChunk = false,
+    model = DEFAULT_MODEL,
+    range,
+    template = getLevelTemplate(level),
+    language = DEFAULT_LANGUAGE,
+    onToken,
+    signal,
+    provider
+  } = options;
+  const maxTokens = LEVEL_MAX_TOKENS[level];
+  const privacyInstruction = PRIVACY_INSTRUCTIONS[privacy] + '\n' + REDACTION_NOTE;
 
-  const systemPrompt = config.systemPrompt + '\n' + privacyInstruction;
+  let systemPrompt = SUMMARY_INTRO + '\n' + templateInstructions(template, level) + '\n' + privacyInstruction;
+  if (isMultiDay(range)) {
+    systemPrompt += '\n' + rangeInstruction(range, isPartialChunk, language);
+  }
+  systemPrompt += '\n' + languageInstruction(language);
   
   const userPrompt = isPartialChunk
     ? `Resuma esta PARTE da conversa do grupo:\n\n${messagesText}`
     : `Resuma esta conversa do grupo:\n\n${messagesText}`;
 
-  const completion = await groq.chat.completions.create({
-    model: MODEL,
+  const completion = await completeCached({
+    model,
     messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ],
-    max_tokens: config.maxTokens,
+    maxTokens: isMultiDay(range) && !isPartialChunk ? digestMaxTokens(maxTokens, getRangeDays(range).length) : maxTokens,
     temperature: 0.3, // Lower temperature for more consistent summaries
-  });
+    onToken,
+    signal
+  }, provider);
 
-  const summary = completion.choices[0]?.message?.content || '';
-  const tokensUsed = completion.usage?.total_tokens || 0;
-
-  return { summary, tokensUsed };
+  return {
+    summary: completion.content,
+    tokensUsed: completion.tokensUsed,
+    cached: completion.cached,
+    rateLimit: completion.rateLimit
+  };
 }
 
 /**
  * Merge multiple chunk summaries into a final summary
+ * With a multi-day range, produces an overall summary plus a day-by-day digest
+ * (partRanges tells which days each partial summary covers)
  */
 export async function mergeSummaries(
   partialSummaries: string[],
   level: SummaryLevel,
-  privacy: PrivacyMode
-): Promise<{ summary: string; tokensUsed: number }> {
-  const config = SUMMARY_CONFIGS[level];
-  const privacyInstruction = PRIVACY_INSTRUCTIONS[privacy];
+  privacy: PrivacyMode,
+  options: StreamOptions & {
+    model?: ModelType;
+    range?: DateRange;
+    partRanges?: DateRange[];
+    template?: ResolvedTemplate;
+    language?: SummaryLanguage;
+  } = {}
+): Promise<{ summary: string; tokensUsed: number; cached: boolean; rateLimit?: RateLimitInfo }> {
+  const {
+    model = DEFAULT_MODEL,
+    range,
+    partRanges,
+    template = getLevelTemplate(level),
+    language = DEFAULT_LANGUAGE,
+    onToken,
+    signal,
+    provider
+  } = options;
+  const maxTokens = LEVEL_MAX_TOKENS[level];
+  const instructions = templateInstructions(template, level);
+  const privacyInstruction = PRIVACY_INSTRUCTIONS[privacy] + '\n' + REDACTION_NOTE;
+  const headings = digestHeadings(language);
 
-  const systemPrompt = `Você é um assistente que consolida resumos parciais em um resumo final.
-${config.systemPrompt}
+  const systemPrompt = isMultiDay(range)
+    ? `Você é um assistente que consolida resumos parciais em um resumo final.
+${instructions}
+${privacyInstruction}
+
+Você receberá vários resumos parciais, cada um indicando os dias que cobre, do período de ${describeRange(range)}.
+Comece com "## ${headings.overview}" resumindo o período todo, sem redundâncias.
+Depois, em "## ${headings.dayByDay}", crie um título ### DD/MM/AAAA para cada dia, em ordem cronológica,
+juntando o que as partes disseram sobre aquele dia.
+${languageInstruction(language)}`
+    : `Você é um assistente que consolida resumos parciais em um resumo final.
+${instructions}
 ${privacyInstruction}
 
 Você receberá vários resumos parciais de diferentes partes de uma conversa.
-Combine-os em um único resumo coeso, removendo redundâncias e organizando por temas.`;
+Combine-os em um único resumo coeso, removendo redundâncias e organizando por temas.
+${languageInstruction(language)}`;
 
-  const userPrompt = `Combine estes resumos parciais em um resumo final:\n\n${partialSummaries.map((s, i) => `--- Parte ${i + 1} ---\n${s}`).join('\n\n')}`;
+  const parts = partialSummaries.map((s, i) => {
+    const partRange = partRanges?.[i];
+    const label = partRange ? ` (${describeRange(partRange)})` : '';
+    return `--- Parte ${i + 1}${label} ---\n${s}`;
+  });
 
-  const completion = await groq.chat.completions.create({
-    model: MODEL,
+  const userPrompt = `Combine estes ${partialSummaries.length} resumos parciais em um resumo final unificado:\n\n${parts.join('\n\n')}`;
+
+  const completion = await completeCached({
+    model,
     messages: [
       { role: 'system', content: systemPrompt },
       { role: 'user', content: userPrompt }
     ],
-    max_tokens: config.maxTokens * 1.5, // Allow more tokens for merged summary
+    // Allow more tokens for merged summary
+    maxTokens: isMultiDay(range) ? digestMaxTokens(maxTokens, getRangeDays(range).length) : Math.round(maxTokens * 1.5),
     temperature: 0.3,
-  });
+    onToken,
+    signal
+  }, provider);
+
+  return {
+    summary: completion.content,
+    tokensUsed: completion.tokensUsed,
+    cached: completion.cached,
+    rateLimit: completion.rateLimit
+  };
+}
 
-  const summary = completion.choices[0]?.message?.content || '';
-  const tokensUsed = completion.usage?.total_tokens || 0;
+/**
+ * Answer a question from retrieved excerpts, citing the messages used
+ * Citations are [DD/MM HH:MM, Participante N], or [DD/MM HH:MM] when
+ * anonymous, so retrieval.ts can find the messages again
+ */
+export async function answerQuestion(
+  question: string,
+  excerptsText: string,
+  privacy: PrivacyMode,
+  options: StreamOptions & { model?: ModelType; language?: SummaryLanguage; history?: AskTurn[] } = {}
+): Promise<{ answer: string; tokensUsed: number; cached: boolean; rateLimit?: RateLimitInfo }> {
+  const { model = DEFAULT_MODEL, language = DEFAULT_LANGUAGE, history = [], onToken, signal, provider } = options;
+  const citation = privacy === 'anonymous' ? '[DD/MM HH:MM]' : '[DD/MM HH:MM, Participante N]';
+
+  const systemPrompt = `Você é um assistente que responde perguntas sobre uma conversa de grupo do WhatsApp.
+Responda APENAS com base nos trechos da conversa fornecidos; os trechos são separados por [...].
+Se a resposta não estiver nos trechos, diga que não encontrou essa informação na conversa.
+Seja direto: responda primeiro, depois dê os detalhes necessários.
+Depois de cada afirmação, cite a mensagem que a sustenta no formato ${citation}, usando a data da linha "=== DD/MM/AAAA ===" acima dela. Várias citações: ${citation}; ${citation}.
+${PRIVACY_INSTRUCTIONS[privacy]}
+${REDACTION_NOTE}
+${languageInstruction(language)}`;
+
+  const turns: ChatMessage[] = history.slice(-ASK_HISTORY_TURNS).flatMap(turn => [
+    { role: 'user' as const, content: turn.question },
+    { role: 'assistant' as const, content: turn.answer }
+  ]);
+
+  const completion = await completeCached({
+    model,
+    messages: [
+      { role: 'system', content: systemPrompt },
+      ...turns,
+      { role: 'user', content: `Trechos da conversa:\n\n${excerptsText}\n\nPergunta: ${question}` }
+    ],
+    maxTokens: ASK_MAX_TOKENS,
+    temperature: 0.2,
+    onToken,
+    signal
+  }, provider);
 
-  return { summary, tokensUsed };
+  return {
+    answer: completion.content,
+    tokensUsed: completion.tokensUsed,
+    cached: completion.cached,
+    rateLimit: completion.rateLimit
+  };
 }
 
 /**
- * Get summary level configuration
+ * Thrown when the model keeps returning JSON that doesn't match the schema
  */
-export function getSummaryConfig(level: SummaryLevel): SummaryLevelConfig {
-  return SUMMARY_CONFIGS[level];
+export class ExtractionError extends Error {
+  constructor(public readonly errors: string[]) {
+    super(`Invalid structured output: ${errors.slice(0, 3).join('; ')}`);
+    this.name = 'ExtractionError';
+  }
+}
+
+/**
+ * Run a JSON completion, validated by parse
+ * Malformed or off-schema answers are retried with the validation errors;
+ * only a valid result is cached
+ */
+async function completeJson<T>(
+  messages: ChatMessage[],
+  request: Omit<CompletionRequest, 'messages' | 'json' | 'onToken'>,
+  parse: (raw: string) => { ok: true; value: T } | { ok: false; errors: string[] },
+  provider: LLMProvider = getProvider()
+): Promise<{ value: T; tokensUsed: number; attempts: number; cached: boolean; rateLimit?: RateLimitInfo }> {
+  const answer = await cachedCall(requestKey({ ...request, messages, json: true }, provider), async () => {
+    let tokensUsed = 0;
+    let lastErrors: string[] = [];
+
+    for (let attempt = 1; attempt <= MAX_EXTRACTION_ATTEMPTS; attempt++) {
+      const completion = await provider.complete({ ...request, json: true, messages: [...messages] });
+
+      const raw = completion.content;
+      tokensUsed += completion.usage.totalTokens;
+
+      const parsed = parse(raw);
+      if (parsed.ok) {
+        return {
+          content: JSON.stringify(parsed.value),
+          value: parsed.value,
+          tokensUsed,
+          attempts: attempt,
+          rateLimit: completion.rateLimit
+        };
+      }
+
+      // Show the model what was wrong and ask again
+      lastErrors = parsed.errors;
+      messages.push(
+        { role: 'assistant', content: raw },
+        { role: 'user', content: `A resposta não segue o formato pedido:\n- ${parsed.errors.slice(0, 10).join('\n- ')}\nResponda novamente apenas com o JSON corrigido.` }
+      );
+    }
+
+    throw new ExtractionError(lastErrors);
+  });
+
+  if (answer.hit) {
+    return { value: JSON.parse(answer.content) as T, tokensUsed: 0, attempts: 0, cached: true };
+  }
+  const { value, tokensUsed, attempts, rateLimit } = answer.result;
+  return { value, tokensUsed, attempts, cached: false, rateLimit };
 }
 
 /**
- * Get all summary level options (for UI)
+ * Extract decisions, tasks, events, links and unanswered questions as JSON
  */
-export function getSummaryOptions(): Array<{ level: SummaryLevel; name: string; description: string }> {
-  return [
-    { level: 1, ...SUMMARY_CONFIGS[1] },
-    { level: 2, ...SUMMARY_CONFIGS[2] },
-    { level: 3, ...SUMMARY_CONFIGS[3] },
-    { level: 4, ...SUMMARY_CONFIGS[4] }
+export async function extractStructured(
+  messagesText: string,
+  privacy: PrivacyMode,
+  options: { model?: ModelType; language?: SummaryLanguage; signal?: AbortSignal; provider?: LLMProvider } = {}
+): Promise<{ structured: StructuredSummary; tokensUsed: number; attempts: number; cached: boolean; rateLimit?: RateLimitInfo }> {
+  const { model = DEFAULT_MODEL, language = DEFAULT_LANGUAGE, signal, provider } = options;
+  const messages: ChatMessage[] = [
+    {
+      role: 'system',
+      content: [EXTRACTION_PROMPT, extractionPrivacyNote(privacy), REDACTION_NOTE, languageInstruction(language)].join('\n')
+    },
+    { role: 'user', content: `Extraia as informações desta conversa:\n\n${messagesText}` }
   ];
+
+  const { value, ...result } = await completeJson(
+    messages,
+    { model, maxTokens: EXTRACTION_MAX_TOKENS, temperature: 0.1, signal },
+    parseStructuredSummary,
+    provider
+  );
+  return { structured: value, ...result };
 }
 
+/**
+ * Split the messages into topics (topics.ts) and summarize each one
+ * Message positions in the topics refer to the messages given
+ */
+export async function summarizeTopics(
+  messages: ParsedMessage[],
+  level: SummaryLevel,
+  privacy: PrivacyMode,
+  options: { model?: ModelType; language?: SummaryLanguage; signal?: AbortSignal; provider?: LLMProvider } = {}
+): Promise<{ topics: TopicSummary[]; tokensUsed: number; cached: boolean; rateLimit?: RateLimitInfo }> {
+  const { model = DEFAULT_MODEL, language = DEFAULT_LANGUAGE, signal, provider } = options;
+  const includeNames = privacy !== 'anonymous';
+  const segments = segmentTopics(messages);
+  if (segments.length === 0) {
+    return { topics: [], tokensUsed: 0, cached: false };
+  }
+
+  const detail = TOPIC_DETAIL[level];
+  const prompt: ChatMessage[] = [
+    {
+      role: 'system',
+      content: [TOPICS_PROMPT, detail.instruction, PRIVACY_INSTRUCTIONS[privacy], REDACTION_NOTE, languageInstruction(language)].join('\n')
+    },
+    { role: 'user', content: `Resuma cada um dos ${segments.length} assuntos desta conversa:\n\n${formatTopicsForAI(messages, segments, includeNames)}` }
+  ];
+
+  const { value, tokensUsed, cached, rateLimit } = await completeJson(
+    prompt,
+    {
+      model,
+      maxTokens: Math.min(TOPICS_BASE_TOKENS + detail.tokensPerTopic * segments.length, TOPICS_MAX_TOKENS),
+      temperature: 0.3,
+      signal
+    },
+    raw => parseTopicTexts(raw, segments.length),
+    provider
+  );
+
+  return { topics: buildTopics(messages, segments, value, includeNames), tokensUsed, cached, rateLimit };
+}
@@ -0,0 +1,848 @@
+import type {
+  JobInfo, JobRequest, DateRange, ParsedMessage, ModelType, OutputMode, PrivacyMode, SummaryLevel,
+  SummaryLanguage, StructuredSummary, TopicSummary
+} from '../types/index.js';
+import { splitIntoChunks, formatChunkForAI, estimateTokens, CHUNK_TOKENS } from './chunker.js';
+import { generateSummary, mergeSummaries, extractStructured, summarizeTopics, DEFAULT_MODEL } from './groq.js';
+import { mergeStructuredSummaries, structuredToMarkdown } from './extraction.js';
+import { offsetTopics, topicsToMarkdown } from './topics.js';
+import { getMessagesRange } from './dateExtractor.js';
+import { createRedactor } from './redaction.js';
+import type { Redactor, RedactorSnapshot } from './redaction.js';
+import { messageText } from './retrieval.js';
+import { resolveTemplate, getLevelTemplate } from './templates.js';
+import type { ResolvedTemplate } from './templates.js';
+import { MAX_MERGE_INPUTS } from './estimate.js';
+import { resolveLanguage } from './language.js';
+import { ProviderError, getProvider } from './llm.js';
+import type { RateLimitInfo } from './llm.js';
+import { toApiError } from './errors.js';
+import type { AccessGrant, GrantTicket } from './access.js';
+import { createRedisRestClient } from './cache.js';
+import type { RedisLikeClient } from './cache.js';
+import { generateId } from './store.js';
+
+/**
+ * Server-side map-reduce pipeline
+ *
+ * A job chunks the messages (chunker.ts), summarizes the chunks with
+ * bounded concurrency, backs off using the provider's rate-limit headers,
+ * retries failed chunks and merges the partial summaries hierarchically
+ * when there are too many for one merge call. Messages are redacted once
+ * (redaction.ts), so pseudonyms match across chunks and merges; partials
+ * and the result are restored before being published.
+ *
+ * Everything a job needs to go on is saved in a JobStore after each step,
+ * so it can run in two ways (JOB_RUNNER):
+ * - background (default): the process that created it runs it to the end
+ *   (dev-server.js or any long-lived Node host)
+ * - requests (default on Vercel): the requests that follow the job (GET,
+ *   SSE) run it a slice of JOB_SLICE_SECONDS at a time, one at a time, so
+ *   it fits serverless time limits. It pauses while nobody follows it and
+ *   goes on when the app comes back.
+ * The store is selected by JOB_BACKEND:
+ * - memory (default): in the process
+ * - redis (default on Vercel): the REST Redis of the cache (REDIS_REST_URL,
+ *   REDIS_REST_TOKEN), shared by serverless instances
+ * Jobs are bound to the client that created it (access.ts clientId) and
+ * expire 30 minutes after their last change.
+ */
+
+/**
+ * A chunk ready for the model; the text is dropped once summarized
+ */
+interface ChunkState {
+  text: string;
+  messages?: ParsedMessage[];   // Topics only, they point into the messages
+  tokens: number;
+  range: DateRange;
+  offset: number;               // Position of the chunk's first message
+}
+
+/**
+ * Partial result of a chunk (or of an intermediate merge)
+ */
+interface PartialResult {
+  summary: string;
+  structured?: StructuredSummary;
+  topics?: TopicSummary[];
+  range: DateRange;
+}
+
+/**
+ * What a job needs to go on in another request
+ */
+interface JobState {
+  level: SummaryLevel;
+  privacy: PrivacyMode;
+  model: ModelType;
+  output: OutputMode;
+  template: ResolvedTemplate;
+  language: SummaryLanguage;
+  range: DateRange;
+  totalMessages: number;
+  participants: number;
+  chunks: ChunkState[];
+  partials: Array<PartialResult | null>;
+  merge?: { round: PartialResult[]; next: PartialResult[] };   // Merge round in progress
+  attempts: Record<string, number>;   // Failed attempts of the pending calls
+  gate: RateGateState;
+  tokensUsed: number;
+  merges: number;
+  cachedCalls: number;
+  redaction: RedactorSnapshot;
+  grant: GrantTicket;
+}
+
+export interface JobRecord {
+  job: JobInfo;
+  owner: string;
+  state: JobState;
+}
+
+export interface JobStore {
+  name: string;
+  get(id: string): Promise<JobRecord | undefined>;
+  /** Write the record; it expires ttlMs after its last write */
+  save(record: JobRecord, ttlMs: number): Promise<void>;
+  /** Mark a job cancelled, apart from the record so a runner's next save can't undo it */
+  cancel(id: string, ttlMs: number): Promise<void>;
+  isCancelled(id: string): Promise<boolean>;
+  /** Take the right to run the job for ttlMs; false while another request has it */
+  lock(id: string, ttlMs: number): Promise<boolean>;
+  unlock(id: string): Promise<void>;
+}
+
+/**
+ * Who pays for a job: the client it belongs to and the grant it runs on
+ * (access.ts; without one it runs on the default provider, uncounted)
+ */
+export interface JobOptions {
+  owner: string;
+  grant?: AccessGrant;
+}
+
+/**
+ * Time as the runner sees it (tests replace it to skip the waits)
+ */
+export interface JobClock {
+  now(): number;
+  sleep(ms: number): Promise<void>;
+}
+
+const LISTENERS = new Map<string, Set<(job: JobInfo) => void>>();
+
+const JOB_TTL = 30 * 60 * 1000;           // 30 minutes
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const MAX_ATTEMPTS = 3;                   // Per chunk/merge call
+const BASE_BACKOFF_MS = 2000;             // Doubles on each retry
+const MAX_WAIT_MS = 65 * 1000;            // Longest single rate-limit wait
+const CALL_TIMEOUT_MS = 60 * 1000;        // A call started in a slice may end after it
+
+const TERMINAL_STATUSES = new Set(['done', 'failed', 'cancelled']);
+
+const REAL_CLOCK: JobClock = {
+  now: () => Date.now(),
+  sleep: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+let clock = REAL_CLOCK;
+
+/**
+ * Replace the runner's clock (tests, or null for the real one)
+ */
+export function setJobClock(next: JobClock | null): void {
+  clock = next ?? REAL_CLOCK;
+}
+
+/**
+ * Records in the process, dropped when they expire
+ * Kept as JSON, like in Redis, so runners never share objects
+ */
+export function createMemoryJobStore(): JobStore {
+  const records = new Map<string, { json: string; expiresAt: number }>();
+  const cancelled = new Map<string, number>();
+  const locks = new Map<string, number>();
+
+  const live = <T extends { expiresAt: number } | number>(map: Map<string, T>, id: string): T | undefined => {
+    const entry = map.get(id);
+    if (entry === undefined) return undefined;
+    if ((typeof entry === 'number' ? entry : entry.expiresAt) > Date.now()) return entry;
+    map.delete(id);
+    return undefined;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(id) {
+      const entry = live(records, id);
+      return entry && JSON.parse(entry.json) as JobRecord;
+    },
+
+    async save(record, ttlMs) {
+      if (!records.has(record.job.id)) {
+        for (const id of records.keys()) {
+          live(records, id);
+          live(cancelled, id);
+          live(locks, id);
+        }
+      }
+      records.set(record.job.id, { json: JSON.stringify(record), expiresAt: Date.now() + ttlMs });
+    },
+
+    async cancel(id, ttlMs) {
+      cancelled.set(id, Date.now() + ttlMs);
+    },
+
+    async isCancelled(id) {
+      return live(cancelled, id) !== undefined;
+    },
+
+    async lock(id, ttlMs) {
+      if (live(locks, id) !== undefined) return false;
+      locks.set(id, Date.now() + ttlMs);
+      return true;
+    },
+
+    async unlock(id) {
+      locks.delete(id);
+    }
+  };
+}
+
+/**
+ * Records in Redis as JSON; the lock is a SET NX with expiry
+ */
+export function createRedisJobStore(client: RedisLikeClient, prefix: string = 'resumo:job:'): JobStore {
+  return {
+    name: 'redis',
+
+    async get(id) {
+      const json = await client.get(`${prefix}${id}`);
+      return json === null ? undefined : JSON.parse(json) as JobRecord;
+    },
+
+    async save(record, ttlMs) {
+      await client.set(`${prefix}${record.job.id}`, JSON.stringify(record), 'PX', ttlMs);
+    },
+
+    async cancel(id, ttlMs) {
+      await client.set(`${prefix}${id}:cancelled`, '1', 'PX', ttlMs);
+    },
+
+    async isCancelled(id) {
+      return await client.get(`${prefix}${id}:cancelled`) !== null;
+    },
+
+    async lock(id, ttlMs) {
+      return await client.set(`${prefix}${id}:lock`, '1', 'PX', ttlMs, 'NX') !== null;
+    },
+
+    async unlock(id) {
+      await client.del(`${prefix}${id}:lock`);
+    }
+  };
+}
+
+/**
+ * Build the job store configured by the environment
+ */
+export function createJobStoreFromEnv(env: NodeJS.ProcessEnv = process.env): JobStore {
+  const name = env.JOB_BACKEND || (env.VERCEL ? 'redis' : 'memory');
+
+  switch (name) {
+    case 'memory':
+      return createMemoryJobStore();
+    case 'redis':
+      if (!env.REDIS_REST_URL) {
+        throw new Error('REDIS_REST_URL is required when JOB_BACKEND=redis (the default on Vercel)');
+      }
+      return createRedisJobStore(createRedisRestClient(env.REDIS_REST_URL, env.REDIS_REST_TOKEN));
+    default:
+      throw new Error(`Unknown JOB_BACKEND "${name}" (use memory or redis)`);
+  }
+}
+
+let store: JobStore | null = null;
+
+/**
+ * Get the active job store (created from the environment on first use)
+ */
+export function getJobStore(): JobStore {
+  if (!store) {
+    store = createJobStoreFromEnv();
+  }
+  return store;
+}
+
+/**
+ * Replace the active job store (tests, or null to re-read the environment)
+ */
+export function setJobStore(next: JobStore | null): void {
+  store = next;
+}
+
+/**
+ * Whether jobs run in the background, or in the requests that follow them
+ */
+export function jobsRunInBackground(env: NodeJS.ProcessEnv = process.env): boolean {
+  const runner = env.JOB_RUNNER || (env.VERCEL ? 'requests' : 'background');
+  if (runner !== 'background' && runner !== 'requests') {
+    throw new Error(`Unknown JOB_RUNNER "${runner}" (use background or requests)`);
+  }
+  return runner === 'background';
+}
+
+/**
+ * How long a request runs a job before answering (JOB_RUNNER=requests)
+ */
+export function jobSliceMs(env: NodeJS.ProcessEnv = process.env): number {
+  return (Number(env.JOB_SLICE_SECONDS) || 8) * 1000;
+}
+
+/**
+ * Thrown inside the runner when the job was cancelled
+ */
+class JobCancelledError extends Error {}
+
+interface RateGateState {
+  info?: RateLimitInfo;
+  infoAt: number;
+  blockedUntil: number;
+}
+
+/**
+ * Tracks the provider's token budget from its rate-limit headers,
+ * so workers wait for the reset instead of hitting 429s
+ * The state is plain data, saved with the job.
+ */
+export function createRateGate(state: RateGateState = { infoAt: 0, blockedUntil: 0 }, now: () => number = Date.now) {
+  return {
+    report(rateLimit: RateLimitInfo | undefined): void {
+      if (!rateLimit) return;
+      state.info = { ...rateLimit };
+      state.infoAt = now();
+    },
+
+    block(ms: number): void {
+      state.blockedUntil = Math.max(state.blockedUntil, now() + ms);
+    },
+
+    /**
+     * How long to wait before sending ~estimatedTokens
+     * Reserves the tokens so concurrent workers don't all go at once
+     */
+    reserve(estimatedTokens: number): number {
+      const time = now();
+      let wait = state.blockedUntil - time;
+      const { info } = state;
+
+      if (info?.remainingTokens !== undefined) {
+        if (info.remainingTokens < estimatedTokens && info.resetTokensMs !== undefined) {
+          wait = Math.max(wait, state.infoAt + info.resetTokensMs - time);
+        }
+        info.remainingTokens -= estimatedTokens;
+      }
+
+      return Math.min(Math.max(wait, 0), MAX_WAIT_MS);
+    }
+  };
+}
+
+type RateGate = ReturnType<typeof createRateGate>;
+
+/**
+ * One request's turn at a job: until the deadline, or the end
+ */
+interface JobRun {
+  record: JobRecord;
+  grant: AccessGrant;
+  redactor: Redactor;
+  gate: RateGate;
+  deadline: number;
+  saving: Promise<void>;
+  saveQueued: boolean;
+}
+
+type JobChanges = Partial<Omit<JobInfo, 'progress'>> & { progress?: Partial<JobInfo['progress']> };
+
+/**
+ * Save the record after what is being saved now (at most one write waits)
+ */
+function save(run: JobRun): void {
+  if (run.saveQueued) return;
+  run.saveQueued = true;
+  const write = () => {
+    run.saveQueued = false;
+    run.record.state.grant = run.grant.ticket();
+    return getJobStore().save(run.record, JOB_TTL);
+  };
+  run.saving = run.saving.then(write, write);
+}
+
+/**
+ * Apply changes to a job, notify its subscribers and save it
+ * A finished job is left as it is (a cancel is not undone by late workers)
+ */
+function updateJob(run: JobRun, changes: JobChanges = {}): void {
+  const { job } = run.record;
+  if (isJobFinished(job)) return;
+  const { progress, ...rest } = changes;
+  Object.assign(job, rest, { updatedAt: clock.now() });
+  if (progress) Object.assign(job.progress, progress);
+
+  for (const listener of LISTENERS.get(job.id) ?? []) {
+    listener(job);
+  }
+  save(run);
+}
+
+/**
+ * Stop the runner once the job was cancelled
+ */
+async function throwIfCancelled(run: JobRun): Promise<void> {
+  if (run.record.job.status === 'cancelled' || await getJobStore().isCancelled(run.record.job.id)) {
+    throw new JobCancelledError();
+  }
+}
+
+/**
+ * Run a provider call with rate-limit waits and retries
+ * Resolves undefined when the slice ends first (the call is tried again later)
+ */
+async function withRetries<T extends { rateLimit?: RateLimitInfo }>(
+  run: JobRun,
+  key: string,
+  estimatedTokens: number,
+  call: () => Promise<T>
+): Promise<T | undefined> {
+  const { job, state } = run.record;
+
+  for (;;) {
+    const wait = run.gate.reserve(estimatedTokens);
+    if (wait > 0) {
+      updateJob(run, { progress: { waitingMs: wait } });
+      if (clock.now() + wait > run.deadline) return undefined;
+      await clock.sleep(wait);
+      updateJob(run, { progress: { waitingMs: 0 } });
+    }
+    await throwIfCancelled(run);
+
+    try {
+      const result = await call();
+      run.gate.report(result.rateLimit);
+      delete state.attempts[key];
+      return result;
+    } catch (err) {
+      const retryable = !(err instanceof ProviderError) ||
+        !['too_large', 'bad_response', 'unauthorized', 'aborted'].includes(err.kind);
+      const attempts = (state.attempts[key] ?? 0) + 1;
+      state.attempts[key] = attempts;
+      if (!retryable || attempts >= MAX_ATTEMPTS) throw err;
+
+      const backoff = BASE_BACKOFF_MS * 2 ** (attempts - 1);
+      run.gate.block(err instanceof ProviderError && err.retryAfterMs ? err.retryAfterMs : backoff);
+      updateJob(run, { progress: { retries: job.progress.retries + 1 } });
+    }
+  }
+}
+
+/**
+ * Count a call's tokens, for the stats and the client's budget
+ */
+async function count(run: JobRun, result: { tokensUsed: number; cached: boolean }): Promise<void> {
+  const { state } = run.record;
+  state.tokensUsed += result.tokensUsed;
+  if (result.cached) state.cachedCalls++;
+  await run.grant.charge(result.tokensUsed);
+}
+
+/**
+ * Range covered by several partials
+ */
+function unionRange(ranges: DateRange[]): DateRange {
+  return {
+    start: ranges.reduce((min, r) => (r.start < min ? r.start : min), ranges[0].start),
+    end: ranges.reduce((max, r) => (r.end > max ? r.end : max), ranges[0].end)
+  };
+}
+
+/**
+ * Summarize a chunk; false when the slice ended first
+ */
+async function summarizeChunk(run: JobRun, index: number): Promise<boolean> {
+  const { job, state } = run.record;
+  const chunk = state.chunks[index];
+  const { level, privacy, model, output, language } = state;
+  const includeNames = privacy !== 'anonymous';
+  const provider = run.grant.provider;
+  const key = `chunk:${index}`;
+
+  if (output === 'structured') {
+    const result = await withRetries(run, key, chunk.tokens, () => extractStructured(chunk.text, privacy, {
+      model,
+      language,
+      provider
+    }));
+    if (!result) return false;
+    await count(run, result);
+    state.partials[index] = { summary: '', structured: result.structured, range: chunk.range };
+    job.partials[index] = structuredToMarkdown(run.redactor.restoreStructured(result.structured, includeNames));
+  } else if (output === 'topics') {
+    // Chunks end at pauses, so topics rarely span two of them
+    const result = await withRetries(run, key, chunk.tokens, () => summarizeTopics(chunk.messages ?? [], level, privacy, {
+      model,
+      language,
+      provider
+    }));
+    if (!result) return false;
+    await count(run, result);
+    const topics = offsetTopics(result.topics, chunk.offset);
+    state.partials[index] = { summary: '', topics, range: chunk.range };
+    job.partials[index] = topicsToMarkdown(run.redactor.restoreTopics(topics, includeNames));
+  } else {
+    const result = await withRetries(run, key, chunk.tokens, () => generateSummary(chunk.text, level, privacy, {
+      isPartial: state.chunks.length > 1,
+      model,
+      range: state.range,
+      template: state.template,
+      language,
+      provider
+    }));
+    if (!result) return false;
+    await count(run, result);
+    state.partials[index] = { summary: result.summary, range: chunk.range };
+    job.partials[index] = run.redactor.restore(result.summary, includeNames);
+  }
+
+  // Done with its text; the saved job only keeps what is left to do
+  state.chunks[index] = { ...chunk, text: '', messages: undefined };
+  await throwIfCancelled(run);
+  updateJob(run, { progress: { completedChunks: job.progress.completedChunks + 1 } });
+  return true;
+}
+
+/**
+ * Map: summarize the chunks left with bounded concurrency
+ * True once every chunk is summarized
+ */
+async function mapChunks(run: JobRun): Promise<boolean> {
+  const { state } = run.record;
+  const pending = state.chunks.flatMap((_, i) => state.partials[i] ? [] : [i]);
+  let next = 0;
+  let paused = false;
+
+  const worker = async (): Promise<void> => {
+    while (!paused && next < pending.length) {
+      if (clock.now() >= run.deadline) {
+        paused = true;
+        return;
+      }
+      if (!await summarizeChunk(run, pending[next++])) paused = true;
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, pending.length) }, worker));
+
+  return state.partials.every(Boolean);
+}
+
+/**
+ * Reduce for summaries: merge in rounds of up to MAX_MERGE_INPUTS
+ * Resolves the final summary, or undefined when the slice ended first
+ */
+async function mergeRounds(run: JobRun): Promise<string | undefined> {
+  const { job, state } = run.record;
+  const { level, privacy, model, language, template } = state;
+
+  const startRound = (round: PartialResult[]) => {
+    state.merge = { round, next: [] };
+    if (round.length > 1) {
+      updateJob(run, { status: 'merging', progress: { mergeRound: job.progress.mergeRound + 1 } });
+    }
+    return state.merge;
+  };
+
+  let merge = state.merge ?? startRound(state.partials as PartialResult[]);
+
+  while (merge.round.length > 1) {
+    const start = merge.next.length * MAX_MERGE_INPUTS;
+    if (start >= merge.round.length) {
+      merge = startRound(merge.next);
+      continue;
+    }
+
+    await throwIfCancelled(run);
+    if (clock.now() >= run.deadline) return undefined;
+
+    const batch = merge.round.slice(start, start + MAX_MERGE_INPUTS);
+    if (batch.length === 1) {
+      merge.next.push(batch[0]);
+      continue;
+    }
+
+    const batchRange = unionRange(batch.map(p => p.range));
+    const isFinal = merge.round.length <= MAX_MERGE_INPUTS;
+    const estimatedTokens = estimateTokens(batch.map(p => p.summary).join('\n'));
+    const result = await withRetries(run, `merge:${job.progress.mergeRound}:${start}`, estimatedTokens, () => mergeSummaries(
+      batch.map(p => p.summary),
+      level,
+      privacy,
+      {
+        model,
+        range: isFinal ? state.range : batchRange,
+        partRanges: batch.map(p => p.range),
+        template,
+        language,
+        provider: run.grant.provider
+      }
+    ));
+    if (!result) return undefined;
+    await count(run, result);
+    state.merges++;
+    merge.next.push({ summary: result.summary, range: batchRange });
+    await throwIfCancelled(run);
+    save(run);
+  }
+
+  return merge.round[0]?.summary ?? '';
+}
+
+/**
+ * Run a job until it ends or the run's deadline passes
+ * Failures and cancels end the job and give back the unused reservation.
+ */
+async function runJob(run: JobRun): Promise<void> {
+  const { job, state } = run.record;
+  const includeNames = state.privacy !== 'anonymous';
+
+  try {
+    await throwIfCancelled(run);
+    updateJob(run, { status: job.status === 'queued' ? 'running' : job.status, progress: { waitingMs: 0 } });
+    if (!await mapChunks(run)) return;
+
+    // Reduce: structured output merges without the model, topics are
+    // concatenated, summaries are merged by the model
+    let summary: string | undefined;
+    let structured: StructuredSummary | undefined;
+    let topics: TopicSummary[] | undefined;
+
+    const partials = state.partials as PartialResult[];
+    if (state.output === 'structured') {
+      structured = mergeStructuredSummaries(partials.map(p => p.structured as StructuredSummary));
+      summary = structuredToMarkdown(structured);
+    } else if (state.output === 'topics') {
+      topics = partials.flatMap(p => p.topics ?? []);
+      summary = topicsToMarkdown(topics);
+    } else {
+      summary = await mergeRounds(run);
+      if (summary === undefined) return;
+    }
+
+    await throwIfCancelled(run);
+    updateJob(run, {
+      status: 'done',
+      result: {
+        summary: run.redactor.restore(summary, includeNames),
+        structured: structured && run.redactor.restoreStructured(structured, includeNames),
+        topics: topics && run.redactor.restoreTopics(topics, includeNames),
+        stats: {
+          totalMessages: state.totalMessages,
+          participants: state.participants,
+          tokensUsed: state.tokensUsed,
+          chunks: state.chunks.length,
+          merges: state.merges,
+          cachedCalls: state.cachedCalls,
+          processingTime: clock.now() - job.createdAt,
+          language: state.language,
+          range: state.range
+        }
+      }
+    });
+  } catch (err) {
+    if (err instanceof JobCancelledError) {
+      updateJob(run, { status: 'cancelled' });
+    } else {
+      console.error('Job error:', err);
+      const { message, code } = toApiError(err, 'Falha ao gerar resumo');
+      updateJob(run, { status: 'failed', error: message, errorCode: code });
+    }
+  } finally {
+    // What the estimate reserved and the job didn't use goes back when it ends
+    if (isJobFinished(job)) await run.grant.release();
+    save(run);
+    await run.saving;
+  }
+}
+
+/**
+ * Grant of a job started without one: the default provider, nothing counted
+ */
+function uncountedGrant(): AccessGrant {
+  return {
+    provider: getProvider(),
+    ownKey: false,
+    async charge() {},
+    async release() {},
+    ticket: () => ({ ownKey: false, budgets: [], reserved: 0 })
+  };
+}
+
+function startRun(record: JobRecord, grant: AccessGrant, deadline: number): JobRun {
+  return {
+    record,
+    grant,
+    redactor: createRedactor(record.state.redaction),
+    gate: createRateGate(record.state.gate, () => clock.now()),
+    deadline,
+    saving: Promise.resolve(),
+    saveQueued: false
+  };
+}
+
+/**
+ * Create a job; in the background runner it starts right away
+ */
+export async function createJob(request: JobRequest, options: JobOptions): Promise<JobInfo> {
+  const { level, privacy, model = DEFAULT_MODEL, output = 'summary', language = 'auto' } = request;
+  const resolved = resolveTemplate(request.template, level);   // Validated by api/jobs.ts
+  const redactor = createRedactor();
+  const messages = redactor.redactMessages(request.messages);
+  const range = request.range ?? getMessagesRange(request.messages);
+  const isMultiDay = range.start !== range.end;
+
+  const chunks = splitIntoChunks(messages, CHUNK_TOKENS[model]);
+  let offset = 0;
+  const chunkStates = chunks.map((chunk, index): ChunkState => {
+    const state: ChunkState = {
+      text: formatChunkForAI(chunk.messages, index, chunks.length, privacy !== 'anonymous', isMultiDay, chunk.context),
+      ...(output === 'topics' && { messages: chunk.messages }),
+      tokens: chunk.tokens,
+      range: getMessagesRange(chunk.messages),
+      offset
+    };
+    offset += chunk.messages.length;
+    return state;
+  });
+
+  const now = clock.now();
+  const grant = options.grant ?? uncountedGrant();
+  const record: JobRecord = {
+    owner: options.owner,
+    job: {
+      id: generateId(),
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      progress: { totalChunks: chunks.length, completedChunks: 0, retries: 0, mergeRound: 0, waitingMs: 0 },
+      partials: new Array(chunks.length).fill('')
+    },
+    state: {
+      level,
+      privacy,
+      model,
+      output,
+      template: resolved.ok ? resolved.value : getLevelTemplate(level),
+      language: resolveLanguage(language, request.messages.map(messageText)),
+      range,
+      totalMessages: messages.length,
+      participants: new Set(messages.map(m => m.sender).filter(s => s !== '__system__')).size,
+      chunks: chunkStates,
+      partials: new Array(chunks.length).fill(null),
+      attempts: {},
+      gate: { infoAt: 0, blockedUntil: 0 },
+      tokensUsed: 0,
+      merges: 0,
+      cachedCalls: 0,
+      redaction: redactor.snapshot(),
+      grant: grant.ticket()
+    }
+  };
+  await getJobStore().save(record, JOB_TTL);
+
+  if (jobsRunInBackground()) {
+    runJob(startRun(record, grant, Infinity)).catch(err => console.error('Job not saved:', err));
+  }
+  return record.job;
+}
+
+/**
+ * Get a job of this client (undefined for anyone else's)
+ */
+export async function getJob(id: string, owner: string): Promise<JobInfo | undefined> {
+  const jobs = getJobStore();
+  const record = await jobs.get(id);
+  if (!record || record.owner !== owner) return undefined;
+
+  // Cancelled while its runner was busy: the record is saved as it ends
+  if (!isJobFinished(record.job) && await jobs.isCancelled(id)) {
+    return { ...record.job, status: 'cancelled' };
+  }
+  return record.job;
+}
+
+/**
+ * Run a job of this client for about timeMs (JOB_RUNNER=requests)
+ * Another request already running it is left alone. grantFor resumes
+ * the grant the job was created with (access.ts resume).
+ */
+export async function advanceJob(
+  id: string,
+  owner: string,
+  options: { timeMs: number; grantFor?: (ticket: GrantTicket) => AccessGrant }
+): Promise<JobInfo | undefined> {
+  const deadline = clock.now() + options.timeMs;
+  const jobs = getJobStore();
+  const saved = await jobs.get(id);
+  if (!saved || saved.owner !== owner) return undefined;
+  // A job cancelled while nobody ran it still needs a run to end
+  if (isJobFinished(saved.job)) return saved.job;
+
+  const lockMs = options.timeMs + CALL_TIMEOUT_MS;
+  if (!await jobs.lock(id, lockMs)) return getJob(id, owner);
+
+  try {
+    // Read again: the request that had the lock may have moved it on
+    const record = await jobs.get(id);
+    if (!record || isJobFinished(record.job)) return getJob(id, owner);
+
+    const grant = options.grantFor ? options.grantFor(record.state.grant) : uncountedGrant();
+    await runJob(startRun(record, grant, deadline));
+    return getJob(id, owner);
+  } finally {
+    await jobs.unlock(id);
+  }
+}
+
+/**
+ * Check if a job won't change anymore
+ */
+export function isJobFinished(job: JobInfo): boolean {
+  return TERMINAL_STATUSES.has(job.status);
+}
+
+/**
+ * Cancel a job of this client (in-flight calls finish, nothing new starts)
+ */
+export async function cancelJob(id: string, owner: string): Promise<JobInfo | undefined> {
+  const job = await getJob(id, owner);
+  if (job && !isJobFinished(job)) {
+    await getJobStore().cancel(id, JOB_TTL);
+    return { ...job, status: 'cancelled' };
+  }
+  return job;
+}
+
+/**
+ * Listen to a job's updates in this process, returns the unsubscribe function
+ */
+export function subscribeToJob(id: string, listener: (job: JobInfo) => void): () => void {
+  const listeners = LISTENERS.get(id) ?? new Set();
+  listeners.add(listener);
+  LISTENERS.set(id, listeners);
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) LISTENERS.delete(id);
+  };
+}
@@ -0,0 +1,111 @@
+import type { OutputLanguage, SummaryLanguage } from '../types/index.js';
+
+/**
+ * Language of the summaries
+ *
+ * Prompts are written in Portuguese and end with an instruction to answer
+ * in the chosen language. With 'auto' the language of the chat is
+ * detected by counting common words of each language (accents ignored).
+ * Compiled to public/lib, so the browser picks one language for every
+ * chunk of a long summary.
+ */
+
+export const DEFAULT_LANGUAGE: SummaryLanguage = 'pt';
+
+const MIN_HITS = 5;          // Fewer common words than this: keep the default
+const MAX_WORDS = 20000;     // Enough to tell, even on huge exports
+
+/**
+ * Answer instruction and the headings the prompts ask for, by language
+ */
+const LANGUAGES: Record<SummaryLanguage, { instruction: string; overview: string; dayByDay: string }> = {
+  pt: {
+    instruction: 'Escreva toda a resposta em português brasileiro.',
+    overview: 'Visão geral',
+    dayByDay: 'Dia a dia'
+  },
+  en: {
+    instruction: 'Escreva toda a resposta em inglês, mesmo com as instruções em português. Write the whole answer in English.',
+    overview: 'Overview',
+    dayByDay: 'Day by day'
+  },
+  es: {
+    instruction: 'Escreva toda a resposta em espanhol, mesmo com as instruções em português. Escribe toda la respuesta en español.',
+    overview: 'Resumen general',
+    dayByDay: 'Día a día'
+  }
+};
+
+/**
+ * Words common in one language and rare in the others (without accents)
+ */
+const COMMON_WORDS: Record<SummaryLanguage, Set<string>> = {
+  pt: new Set([
+    'nao', 'voce', 'voces', 'vc', 'vcs', 'ta', 'tambem', 'entao', 'isso', 'muito', 'obrigado', 'obrigada',
+    'agora', 'ainda', 'tudo', 'bom', 'noite', 'pra', 'sim', 'uma', 'meu', 'minha', 'tem', 'vai',
+    'vou', 'ele', 'ela', 'das', 'ja', 'hoje', 'amanha'
+  ]),
+  en: new Set([
+    'the', 'and', 'you', 'is', 'are', 'to', 'it', 'that', 'this', 'for', 'with', 'what', 'have', 'not',
+    'just', 'thanks', 'was', 'will', 'can', 'we', 'they', 'my', 'your', 'of', 'in', 'on', 'be', 'at',
+    'if', 'good', 'morning', 'yes', 'today', 'tomorrow'
+  ]),
+  es: new Set([
+    'el', 'los', 'las', 'es', 'y', 'con', 'pero', 'muy', 'gracias', 'tambien', 'usted', 'ustedes', 'hay',
+    'esto', 'bueno', 'pues', 'yo', 'su', 'sus', 'del', 'al', 'una', 'mi', 'ahora', 'aca', 'hoy', 'manana',
+    'si', 'noches', 'vamos', 'donde'
+  ])
+};
+
+/**
+ * Check if a value is a valid output language
+ */
+export function isOutputLanguage(value: unknown): value is OutputLanguage {
+  return value === 'auto' || (typeof value === 'string' && Object.hasOwn(LANGUAGES, value));
+}
+
+/**
+ * Most likely language of some texts (Portuguese when unsure)
+ */
+export function detectLanguage(texts: string[]): SummaryLanguage {
+  const hits: Record<SummaryLanguage, number> = { pt: 0, en: 0, es: 0 };
+  const languages = Object.keys(COMMON_WORDS) as SummaryLanguage[];
+  let words = 0;
+
+  for (const text of texts) {
+    const found = text.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '').match(/\p{L}+/gu) ?? [];
+    for (const word of found) {
+      for (const language of languages) {
+        if (COMMON_WORDS[language].has(word)) hits[language]++;
+      }
+    }
+    words += found.length;
+    if (words >= MAX_WORDS) break;
+  }
+
+  const [best] = languages.sort((a, b) => hits[b] - hits[a]);
+  return hits[best] >= MIN_HITS ? best : DEFAULT_LANGUAGE;
+}
+
+/**
+ * The language to write in: the one chosen, or the texts' own with 'auto'
+ */
+export function resolveLanguage(language: OutputLanguage, texts: string[]): SummaryLanguage {
+  return language === 'auto' ? detectLanguage(texts) : language;
+}
+
+/**
+ * Instruction appended to the prompts
+ */
+export function languageInstruction(language: SummaryLanguage): string {
+  return LANGUAGES[language].instruction;
+}
+
+/**
+ * Section headings of multi-day digests
+ */
+export function digestHeadings(language: SummaryLanguage): { overview: string; dayByDay: string } {
+  const { overview, dayByDay } = LANGUAGES[language];
+  return { overview, dayByDay };
+}
+
@@ -0,0 +1,524 @@
+import Groq from 'groq-sdk';
+import type { ModelType } from '../types/index.js';
+
+/**
+ * LLM provider layer
+ *
+ * Every model call goes through an LLMProvider, selected by LLM_PROVIDER:
+ * - groq (default): Groq cloud, needs GROQ_API_KEY
+ * - openai: any OpenAI-compatible server (llama.cpp, Ollama, vLLM...),
+ *   configured with LLM_BASE_URL, LLM_API_KEY (optional) and LLM_MODEL
+ *   (or LLM_MODEL_FAST / LLM_MODEL_BALANCED / LLM_MODEL_POWERFUL);
+ *   LLM_EMBEDDING_MODEL turns on embeddings for /api/ask
+ * - mock: deterministic offline answers, for tests and CI
+ */
+
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant';
+  content: string;
+}
+
+export interface CompletionRequest {
+  model: ModelType;
+  messages: ChatMessage[];
+  maxTokens: number;
+  temperature: number;
+  json?: boolean;            // Ask for a JSON object response
+  onToken?: (text: string) => void;   // Stream the answer, called with each new piece
+  signal?: AbortSignal;      // Abort the request (client went away, user cancelled)
+}
+
+/**
+ * Rate-limit state reported by the provider (when it sends headers)
+ */
+export interface RateLimitInfo {
+  limitTokens?: number;
+  remainingTokens?: number;
+  remainingRequests?: number;
+  resetTokensMs?: number;
+  resetRequestsMs?: number;
+}
+
+export interface CompletionResult {
+  content: string;
+  model: string;             // Provider model id actually used
+  usage: {
+    promptTokens: number;
+    completionTokens: number;
+    totalTokens: number;
+  };
+  rateLimit?: RateLimitInfo;
+}
+
+export interface LLMProvider {
+  name: string;
+  resolveModel(model: ModelType): string;
+  complete(request: CompletionRequest): Promise<CompletionResult>;
+  /** One vector per text, when the provider has an embedding model */
+  embed?(texts: string[], signal?: AbortSignal): Promise<number[][]>;
+}
+
+/**
+ * Kinds of provider failures callers can react to
+ * rate_limited/too_large: wait or send less; timeout/unavailable: retry later;
+ * unauthorized: the API key was refused; aborted: the caller's signal fired,
+ * nothing to report
+ */
+export type ProviderErrorKind =
+  'rate_limited' | 'too_large' | 'timeout' | 'unavailable' | 'bad_response' | 'unauthorized' | 'aborted';
+
+/**
+ * Error thrown by every provider, whatever SDK or HTTP client it uses
+ */
+export class ProviderError extends Error {
+  constructor(
+    public readonly kind: ProviderErrorKind,
+    message: string,
+    public readonly status?: number,
+    public readonly retryAfterMs?: number
+  ) {
+    super(message);
+    this.name = 'ProviderError';
+  }
+}
+
+// Groq models - TESTED for Vercel 10s timeout
+// llama-4-scout is THE BEST: 250 msgs/chunk, 1.3s, 30K TPM!
+export const GROQ_MODELS: Record<ModelType, string> = {
+  fast: 'llama-3.1-8b-instant',                        // 6K TPM, 80 msgs
+  balanced: 'llama-3.3-70b-versatile',                 // 12K TPM, 120 msgs
+  powerful: 'meta-llama/llama-4-scout-17b-16e-instruct' // 30K TPM, 250 msgs - BEST!
+};
+
+/**
+ * Parse durations like "7.66s", "2m59.56s" or "250ms" (x-ratelimit-reset-*)
+ */
+function parseDuration(value: string | null | undefined): number | undefined {
+  if (!value) return undefined;
+  if (/^\d+(\.\d+)?$/.test(value)) return parseFloat(value) * 1000; // retry-after: seconds
+
+  let ms = 0;
+  let matched = false;
+  for (const [, amount, unit] of value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    const n = parseFloat(amount);
+    ms += unit === 'h' ? n * 3600000 : unit === 'm' ? n * 60000 : unit === 's' ? n * 1000 : n;
+    matched = true;
+  }
+  return matched ? Math.ceil(ms) : undefined;
+}
+
+function parseNumber(value: string | null | undefined): number | undefined {
+  const n = value ? Number(value) : NaN;
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * Read the x-ratelimit-* headers sent by Groq and most OpenAI-compatible servers
+ */
+export function parseRateLimitHeaders(get: (name: string) => string | null | undefined): RateLimitInfo | undefined {
+  const info: RateLimitInfo = {
+    limitTokens: parseNumber(get('x-ratelimit-limit-tokens')),
+    remainingTokens: parseNumber(get('x-ratelimit-remaining-tokens')),
+    remainingRequests: parseNumber(get('x-ratelimit-remaining-requests')),
+    resetTokensMs: parseDuration(get('x-ratelimit-reset-tokens')),
+    resetRequestsMs: parseDuration(get('x-ratelimit-reset-requests'))
+  };
+  return Object.values(info).some(v => v !== undefined) ? info : undefined;
+}
+
+/**
+ * Normalize OpenAI-style usage (also sent by Groq)
+ */
+function toUsage(usage?: { prompt_tokens?: number; completion_tokens?: number; total_tokens?: number } | null): CompletionResult['usage'] {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+  };
+}
+
+/**
+ * Yield the "data:" payloads of a text/event-stream body
+ */
+async function* readEventStream(body: ReadableStream<Uint8Array>): AsyncGenerator<string> {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = done ? '' : lines.pop() ?? '';
+    for (const line of lines) {
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+    if (done) return;
+  }
+}
+
+/**
+ * Map an HTTP status to a provider error
+ */
+export function errorFromStatus(
+  status: number | undefined,
+  message: string,
+  get: (name: string) => string | null | undefined
+): ProviderError {
+  const retryAfterMs = parseDuration(get('retry-after')) ?? parseDuration(get('x-ratelimit-reset-tokens'));
+  if (status === 429) return new ProviderError('rate_limited', message, status, retryAfterMs);
+  if (status === 413) return new ProviderError('too_large', message, status);
+  if (status === 408 || status === 504) return new ProviderError('timeout', message, status);
+  if (status === 401 || status === 403) return new ProviderError('unauthorized', message, status);
+  return new ProviderError('unavailable', message, status);
+}
+
+/**
+ * Groq cloud provider
+ */
+export function createGroqProvider(apiKey = process.env.GROQ_API_KEY): LLMProvider {
+  const client = new Groq({ apiKey });
+
+  return {
+    name: 'groq',
+    resolveModel: model => GROQ_MODELS[model],
+
+    async complete(request) {
+      const params = {
+        model: GROQ_MODELS[request.model],
+        messages: request.messages,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        ...(request.json ? { response_format: { type: 'json_object' as const } } : {})
+      };
+
+      try {
+        if (request.onToken) {
+          const { data: stream, response } = await client.chat.completions
+            .create({ ...params, stream: true }, { signal: request.signal })
+            .withResponse();
+
+          let content = '';
+          let model = params.model;
+          let usage;
+          for await (const chunk of stream) {
+            const text = chunk.choices[0]?.delta?.content;
+            if (text) {
+              content += text;
+              request.onToken(text);
+            }
+            model = chunk.model || model;
+            usage = chunk.x_groq?.usage ?? usage;
+          }
+
+          return {
+            content,
+            model,
+            usage: toUsage(usage),
+            rateLimit: parseRateLimitHeaders(name => response.headers.get(name))
+          };
+        }
+
+        const { data, response } = await client.chat.completions
+          .create(params, { signal: request.signal })
+          .withResponse();
+
+        return {
+          content: data.choices[0]?.message?.content || '',
+          model: data.model,
+          usage: toUsage(data.usage),
+          rateLimit: parseRateLimitHeaders(name => response.headers.get(name))
+        };
+      } catch (err) {
+        if (err instanceof Groq.APIUserAbortError) {
+          throw new ProviderError('aborted', err.message);
+        }
+        if (err instanceof Groq.APIConnectionTimeoutError) {
+          throw new ProviderError('timeout', err.message);
+        }
+        if (err instanceof Groq.APIError) {
+          const headers = err.headers || {};
+          throw errorFromStatus(err.status, err.message, name => headers[name]);
+        }
+        throw err;
+      }
+    }
+  };
+}
+
+/**
+ * Map a fetch failure (timeout, abort, network) to a provider error
+ */
+export function networkError(err: unknown): ProviderError {
+  if (err instanceof ProviderError) return err;
+  if (err instanceof Error && err.name === 'TimeoutError') {
+    return new ProviderError('timeout', err.message);
+  }
+  if (err instanceof Error && err.name === 'AbortError') {
+    return new ProviderError('aborted', err.message);
+  }
+  return new ProviderError('unavailable', err instanceof Error ? err.message : String(err));
+}
+
+/**
+ * OpenAI-compatible provider (self-hosted llama.cpp/Ollama/vLLM or any /v1 API)
+ */
+export function createOpenAICompatibleProvider(options: {
+  baseUrl: string;
+  apiKey?: string;
+  models: Record<ModelType, string>;
+  embeddingModel?: string;
+  timeoutMs?: number;
+}): LLMProvider {
+  const baseUrl = options.baseUrl.replace(/\/+$/, '');
+  const { embeddingModel } = options;
+
+  const embed = async (texts: string[], signal?: AbortSignal): Promise<number[][]> => {
+    const timeout = AbortSignal.timeout(options.timeoutMs ?? 60000);
+    let response: Response;
+    try {
+      response = await fetch(`${baseUrl}/embeddings`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {})
+        },
+        body: JSON.stringify({ model: embeddingModel, input: texts }),
+        signal: signal ? AbortSignal.any([timeout, signal]) : timeout
+      });
+    } catch (err) {
+      throw networkError(err);
+    }
+    if (!response.ok) {
+      throw errorFromStatus(response.status, `${response.status} ${await response.text()}`, name => response.headers.get(name));
+    }
+
+    const data = await response.json() as { data?: Array<{ index: number; embedding: number[] }> };
+    if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+      throw new ProviderError('bad_response', 'Embedding count does not match the input');
+    }
+    return [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding);
+  };
+
+  return {
+    name: 'openai',
+    resolveModel: model => options.models[model],
+    ...(embeddingModel ? { embed } : {}),
+
+    async complete(request) {
+      const timeout = AbortSignal.timeout(options.timeoutMs ?? 60000);
+      const stream = Boolean(request.onToken);
+      let response: Response;
+      try {
+        response = await fetch(`${baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {})
+          },
+          body: JSON.stringify({
+            model: options.models[request.model],
+            messages: request.messages,
+            max_tokens: request.maxTokens,
+            temperature: request.temperature,
+            ...(request.json ? { response_format: { type: 'json_object' } } : {}),
+            ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+          }),
+          signal: request.signal ? AbortSignal.any([timeout, request.signal]) : timeout
+        });
+      } catch (err) {
+        throw networkError(err);
+      }
+
+      const get = (name: string) => response.headers.get(name);
+      if (!response.ok) {
+        throw errorFromStatus(response.status, `${response.status} ${await response.text()}`, get);
+      }
+
+      if (stream && response.body) {
+        let content = '';
+        let model = options.models[request.model];
+        let usage;
+        try {
+          for await (const payload of readEventStream(response.body)) {
+            if (payload === '[DONE]') break;
+            const chunk = JSON.parse(payload) as {
+              model?: string;
+              choices?: Array<{ delta?: { content?: string } }>;
+              usage?: { prompt_tokens?: number; completion_tokens?: number; total_tokens?: number } | null;
+            };
+            const text = chunk.choices?.[0]?.delta?.content;
+            if (text) {
+              content += text;
+              request.onToken?.(text);
+            }
+            model = chunk.model || model;
+            usage = chunk.usage ?? usage;
+          }
+        } catch (err) {
+          throw err instanceof SyntaxError ? new ProviderError('bad_response', err.message) : networkError(err);
+        }
+        return { content, model, usage: toUsage(usage), rateLimit: parseRateLimitHeaders(get) };
+      }
+
+      const data = await response.json() as {
+        model?: string;
+        choices?: Array<{ message?: { content?: string } }>;
+        usage?: { prompt_tokens?: number; completion_tokens?: number; total_tokens?: number };
+      };
+      if (!Array.isArray(data.choices)) {
+        throw new ProviderError('bad_response', 'Response has no choices');
+      }
+
+      return {
+        content: data.choices[0]?.message?.content || '',
+        model: data.model || options.models[request.model],
+        usage: toUsage(data.usage),
+        rateLimit: parseRateLimitHeaders(get)
+      };
+    }
+  };
+}
+
+const MOCK_EMBEDDING_SIZE = 64;
+
+/**
+ * Bag of hashed words: texts sharing words get similar vectors
+ */
+function mockEmbedding(text: string): number[] {
+  const vector = new Array<number>(MOCK_EMBEDDING_SIZE).fill(0);
+  for (const word of text.toLowerCase().match(/\p{L}+/gu) ?? []) {
+    let hash = 0;
+    for (const char of word) hash = (hash * 31 + char.codePointAt(0)!) >>> 0;
+    vector[hash % MOCK_EMBEDDING_SIZE]++;
+  }
+  return vector;
+}
+
+/**
+ * Deterministic offline provider
+ * Answers are derived only from the request, so tests can assert on them.
+ * JSON requests get an empty structured result (links and [link N] found in the text are kept),
+ * or one "Assunto N (mock)" per topic when the conversation is split by topic;
+ * questions are answered citing the first excerpt.
+ */
+export function createMockProvider(options: {
+  respond?: (request: CompletionRequest) => string;
+  fail?: ProviderError;
+} = {}): LLMProvider & { calls: CompletionRequest[] } {
+  const calls: CompletionRequest[] = [];
+
+  const defaultRespond = (request: CompletionRequest): string => {
+    const input = request.messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+
+    if (request.json) {
+      const topics = input.split(/^=== Assunto (\d+) .*===$/m).slice(1);
+      if (topics.length > 0) {
+        return JSON.stringify({
+          topics: topics.flatMap((text, i) => i % 2 ? [] : [{
+            id: Number(text),
+            title: `Assunto ${text} (mock)`,
+            summary: `${topics[i + 1].split('\n').filter(line => /^\[\d{2}:\d{2}\]/.test(line)).length} mensagens resumidas.`
+          }])
+        });
+      }
+      const links = [...input.matchAll(/^\[(\d{2}:\d{2})\] (?:([^:\n]+): )?.*?(https?:\/\/\S+|\[link \d+\])/gm)]
+        .map(([, time, sender, url]) => ({ url, description: null, source: { date: null, time, sender: sender ?? null } }));
+      return JSON.stringify({ decisions: [], tasks: [], events: [], links, unansweredQuestions: [] });
+    }
+
+    const lines = input.split('\n').filter(line => /^\[\d{2}:\d{2}\]/.test(line));
+    if (/^Pergunta: /m.test(input)) {
+      const day = input.match(/^=== (\d{2}\/\d{2})\/\d{4} ===/m)?.[1];
+      const first = lines[0]?.match(/^\[(\d{2}:\d{2})\] (?:([^:\n]+): )?/);
+      const citation = day && first ? ` [${day} ${first[1]}${first[2] ? `, ${first[2]}` : ''}]` : '';
+      return `Resposta (mock) com base em ${lines.length} mensagens.${citation}`;
+    }
+    const parts = input.match(/^--- Parte \d+/gm)?.length ?? 0;
+    return parts > 0
+      ? `## Resumo (mock)\nCombinação de ${parts} resumos parciais.`
+      : `## Resumo (mock)\n${lines.length} mensagens resumidas.`;
+  };
+
+  return {
+    name: 'mock',
+    calls,
+    resolveModel: model => `mock-${model}`,
+
+    async embed(texts) {
+      return texts.map(mockEmbedding);
+    },
+
+    async complete(request) {
+      calls.push(request);
+      if (options.fail) throw options.fail;
+      if (request.signal?.aborted) throw new ProviderError('aborted', 'Request aborted');
+
+      const content = (options.respond ?? defaultRespond)(request);
+      if (request.onToken) {
+        for (const piece of content.match(/\S+\s*|\s+/g) ?? []) request.onToken(piece);
+      }
+      const promptTokens = Math.ceil(request.messages.reduce((sum, m) => sum + m.content.length, 0) / 4);
+      const completionTokens = Math.ceil(content.length / 4);
+
+      return {
+        content,
+        model: `mock-${request.model}`,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+      };
+    }
+  };
+}
+
+/**
+ * Build the provider configured by the environment
+ */
+export function createProviderFromEnv(env: NodeJS.ProcessEnv = process.env): LLMProvider {
+  const name = env.LLM_PROVIDER || 'groq';
+
+  switch (name) {
+    case 'groq':
+      return createGroqProvider(env.GROQ_API_KEY);
+    case 'openai': {
+      if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required when LLM_PROVIDER=openai');
+      }
+      const fallback = env.LLM_MODEL || 'llama3.1';
+      return createOpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        models: {
+          fast: env.LLM_MODEL_FAST || fallback,
+          balanced: env.LLM_MODEL_BALANCED || fallback,
+          powerful: env.LLM_MODEL_POWERFUL || fallback
+        },
+        embeddingModel: env.LLM_EMBEDDING_MODEL
+      });
+    }
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected groq, openai or mock)`);
+  }
+}
+
+// Provider in use, created on first use so callers can load .env first
+let provider: LLMProvider | null = null;
+
+/**
+ * Get the active provider
+ */
+export function getProvider(): LLMProvider {
+  if (!provider) {
+    provider = createProviderFromEnv();
+  }
+  return provider;
+}
+
+/**
+ * Replace the active provider (tests, or null to re-read the environment)
+ */
+export function setProvider(next: LLMProvider | null): void {
+  provider = next;
+}
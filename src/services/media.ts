@@ -0,0 +1,251 @@
+import { createHash } from 'node:crypto';
+import type { AttachmentKind } from '../types/index.js';
+import { ProviderError, errorFromStatus, networkError } from './llm.js';
+import { cacheKey, cachedCall } from './cache.js';
+
+/**
+ * Media layer: text out of the files sent in exports "with media"
+ *
+ * Voice notes are transcribed and images/documents have their text
+ * extracted, so the summary knows what was said instead of "[mídia]".
+ * Processor selected by MEDIA_PROVIDER:
+ * - none (default): media stays "[mídia]"
+ * - local: self-hostable services, each one optional
+ *   - MEDIA_TRANSCRIBE_URL: OpenAI-compatible /audio/transcriptions server
+ *     (whisper.cpp, faster-whisper-server, LocalAI...), with
+ *     MEDIA_TRANSCRIBE_MODEL and MEDIA_API_KEY (optional)
+ *   - MEDIA_TIKA_URL: Apache Tika server, for PDFs/Office documents and
+ *     image OCR (when Tika has Tesseract)
+ *   - MEDIA_LANGUAGE: language hint (default pt)
+ * - mock: deterministic offline text, for tests and CI
+ */
+
+export interface MediaFile {
+  fileName: string;
+  kind: AttachmentKind;
+  data: Uint8Array;
+}
+
+export interface MediaProcessor {
+  name: string;
+  kinds: AttachmentKind[];   // What it can read (empty = disabled)
+  extractText(file: MediaFile, signal?: AbortSignal): Promise<string>;
+}
+
+/**
+ * Long documents are cut: the summary only needs the gist
+ */
+export const MAX_MEDIA_TEXT_LENGTH = 4000;
+
+const MIME_TYPES: Record<string, string> = {
+  opus: 'audio/ogg', ogg: 'audio/ogg', m4a: 'audio/mp4', mp3: 'audio/mpeg',
+  aac: 'audio/aac', wav: 'audio/wav', amr: 'audio/amr',
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif',
+  webp: 'image/webp', heic: 'image/heic',
+  mp4: 'video/mp4', '3gp': 'video/3gpp', mov: 'video/quicktime', webm: 'video/webm',
+  pdf: 'application/pdf', txt: 'text/plain', csv: 'text/csv', rtf: 'application/rtf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ppt: 'application/vnd.ms-powerpoint',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text'
+};
+
+export function mimeTypeOf(fileName: string): string {
+  const extension = fileName.split('.').pop()?.toLowerCase() ?? '';
+  return MIME_TYPES[extension] ?? 'application/octet-stream';
+}
+
+/**
+ * Self-hosted services: a Whisper server for audio, Tika for the rest
+ */
+export function createLocalMediaProcessor(options: {
+  transcribeUrl?: string;
+  transcribeModel?: string;
+  apiKey?: string;
+  tikaUrl?: string;
+  language?: string;
+  timeoutMs?: number;
+}): MediaProcessor {
+  const transcribeUrl = options.transcribeUrl?.replace(/\/+$/, '');
+  const tikaUrl = options.tikaUrl?.replace(/\/+$/, '');
+  const language = options.language || 'pt';
+
+  const kinds: AttachmentKind[] = [
+    ...(transcribeUrl ? ['audio', 'video'] as const : []),
+    ...(tikaUrl ? ['image', 'document'] as const : [])
+  ];
+
+  const send = async (url: string, init: RequestInit, signal?: AbortSignal): Promise<Response> => {
+    const timeout = AbortSignal.timeout(options.timeoutMs ?? 60000);
+    let response: Response;
+    try {
+      response = await fetch(url, { ...init, signal: signal ? AbortSignal.any([timeout, signal]) : timeout });
+    } catch (err) {
+      throw networkError(err);
+    }
+    if (!response.ok) {
+      throw errorFromStatus(response.status, `${response.status} ${await response.text()}`, name => response.headers.get(name));
+    }
+    return response;
+  };
+
+  const transcribe = async (file: MediaFile, signal?: AbortSignal): Promise<string> => {
+    const form = new FormData();
+    form.append('file', new Blob([file.data], { type: mimeTypeOf(file.fileName) }), file.fileName);
+    form.append('model', options.transcribeModel || 'whisper-1');
+    form.append('language', language);
+    form.append('response_format', 'json');
+
+    const response = await send(`${transcribeUrl}/audio/transcriptions`, {
+      method: 'POST',
+      headers: options.apiKey ? { Authorization: `Bearer ${options.apiKey}` } : {},
+      body: form
+    }, signal);
+
+    const data = await response.json() as { text?: unknown };
+    if (typeof data.text !== 'string') {
+      throw new ProviderError('bad_response', 'Transcription has no text');
+    }
+    return data.text;
+  };
+
+  const extract = async (file: MediaFile, signal?: AbortSignal): Promise<string> => {
+    const response = await send(`${tikaUrl}/tika`, {
+      method: 'PUT',
+      headers: {
+        Accept: 'text/plain',
+        'Content-Type': mimeTypeOf(file.fileName),
+        // Tika language codes are Tesseract's (por, eng, spa...)
+        'X-Tika-OCRLanguage': language === 'pt' ? 'por' : language
+      },
+      body: file.data
+    }, signal);
+    return response.text();
+  };
+
+  return {
+    name: 'local',
+    kinds,
+
+    async extractText(file, signal) {
+      if (!kinds.includes(file.kind)) {
+        throw new ProviderError('unavailable', `No ${file.kind} service configured`);
+      }
+      return file.kind === 'audio' || file.kind === 'video'
+        ? transcribe(file, signal)
+        : extract(file, signal);
+    }
+  };
+}
+
+/**
+ * Deterministic offline processor (text derived from the file only)
+ */
+export function createMockMediaProcessor(): MediaProcessor & { calls: MediaFile[] } {
+  const calls: MediaFile[] = [];
+
+  return {
+    name: 'mock',
+    kinds: ['audio', 'video', 'image', 'document'],
+    calls,
+
+    async extractText(file, signal) {
+      calls.push(file);
+      if (signal?.aborted) throw new ProviderError('aborted', 'Request aborted');
+      return `Conteúdo simulado de ${file.fileName} (${file.data.length} bytes)`;
+    }
+  };
+}
+
+/**
+ * Processor that reads nothing (MEDIA_PROVIDER=none)
+ */
+export function createNullMediaProcessor(): MediaProcessor {
+  return {
+    name: 'none',
+    kinds: [],
+    async extractText() {
+      throw new ProviderError('unavailable', 'Media processing is disabled');
+    }
+  };
+}
+
+/**
+ * Build the processor configured by the environment
+ */
+export function createMediaProcessorFromEnv(env: NodeJS.ProcessEnv = process.env): MediaProcessor {
+  const name = env.MEDIA_PROVIDER || 'none';
+
+  switch (name) {
+    case 'none':
+      return createNullMediaProcessor();
+    case 'local':
+      if (!env.MEDIA_TRANSCRIBE_URL && !env.MEDIA_TIKA_URL) {
+        throw new Error('MEDIA_TRANSCRIBE_URL or MEDIA_TIKA_URL is required when MEDIA_PROVIDER=local');
+      }
+      return createLocalMediaProcessor({
+        transcribeUrl: env.MEDIA_TRANSCRIBE_URL,
+        transcribeModel: env.MEDIA_TRANSCRIBE_MODEL,
+        apiKey: env.MEDIA_API_KEY,
+        tikaUrl: env.MEDIA_TIKA_URL,
+        language: env.MEDIA_LANGUAGE
+      });
+    case 'mock':
+      return createMockMediaProcessor();
+    default:
+      throw new Error(`Unknown MEDIA_PROVIDER "${name}" (expected none, local or mock)`);
+  }
+}
+
+let processor: MediaProcessor | null = null;
+
+/**
+ * Get the active media processor
+ */
+export function getMediaProcessor(): MediaProcessor {
+  if (!processor) {
+    processor = createMediaProcessorFromEnv();
+  }
+  return processor;
+}
+
+/**
+ * Replace the active media processor (tests, or null to re-read the environment)
+ */
+export function setMediaProcessor(next: MediaProcessor | null): void {
+  processor = next;
+}
+
+/**
+ * Whitespace collapsed and long texts cut at MAX_MEDIA_TEXT_LENGTH
+ */
+function tidy(text: string): string {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  return clean.length > MAX_MEDIA_TEXT_LENGTH
+    ? clean.slice(0, MAX_MEDIA_TEXT_LENGTH).trimEnd() + '…'
+    : clean;
+}
+
+/**
+ * Text of a file, cached by its content: the same voice note in a new
+ * export of the chat is not transcribed again
+ */
+export async function extractMediaText(
+  file: MediaFile,
+  signal?: AbortSignal
+): Promise<{ text: string; cached: boolean }> {
+  const media = getMediaProcessor();
+  const digest = createHash('sha256').update(file.data).digest('hex');
+  const key = cacheKey(['media', media.name, file.kind, digest]);
+
+  const answer = await cachedCall(key, async () => ({
+    content: tidy(await media.extractText(file, signal))
+  }));
+
+  return answer.hit
+    ? { text: answer.content, cached: true }
+    : { text: answer.result.content, cached: false };
+}
@@ -1,34 +1,218 @@
-import type { WhatsAppMessage } from '../types/index.js';
+import type { WhatsAppMessage, ParsedMessage, MessagesByDate, ChatFormat, Attachment, AttachmentKind } from '../types/index.js';
 
 /**
- * Regex to match WhatsApp message format:
- * DD/MM/YYYY HH:MM - Sender: Message
- * 
+ * Regex to match the timestamp prefix of every WhatsApp export dialect:
+ * 19/10/2026 14:03 - Sender: Message        (Android, pt-BR)
+ * 10/19/26, 2:03 PM - Sender: Message       (Android, en-US)
+ * 19.10.26, 14:03 - Sender: Message         (Android, de-DE)
+ * [19/10/26, 14:03:22] Sender: Message      (iOS)
+ *
  * Groups:
- * 1: Date (DD/MM/YYYY)
- * 2: Time (HH:MM)
- * 3: Sender name
- * 4: Message content (first line)
+ * 1: Opening bracket (iOS only)
+ * 2, 4, 5: Date parts, in export order
+ * 3: Date separator
+ * 6-8: Hour, minutes, seconds (optional)
+ * 9: AM/PM marker (12h clocks only)
+ * 10/11: Prefix terminator ("]" on iOS, "-" on Android)
+ * 12: Rest of the line (sender + message, or system message)
+ */
+const HEADER_REGEX = /^(\[)?(\d{1,4})([./-])(\d{1,2})\3(\d{1,4})\.?,?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?(?:\s*([ap])\.?\s?m\.?)?(?:\s*(\])\s*|\s+(-)\s+)(.*)$/i;
+
+/**
+ * Sender and message after the timestamp prefix
+ * Lines without "Sender: " are system messages (like "fulano entrou no grupo")
+ */
+const SENDER_REGEX = /^([^:]+): (.*)$/;
+
+/**
+ * Direction marks, isolates and BOM that WhatsApp sprinkles around
+ * timestamps and media lines (mostly on iOS)
+ */
+const INVISIBLE_CHARS = /[\u200e\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+
+/**
+ * Narrow/regular no-break spaces used before AM/PM and in "~ Name"
+ */
+const SPECIAL_SPACES = /[\u00a0\u202f]/g;
+
+/**
+ * How many header lines to inspect when detecting the format
+ */
+const DETECTION_SAMPLE_SIZE = 1000;
+
+/**
+ * Raw pieces of a matched timestamp prefix
+ */
+interface HeaderMatch {
+  dateParts: [string, string, string];
+  separator: ChatFormat['dateSeparator'];
+  hour: number;
+  minutes: string;
+  seconds: string | undefined;
+  meridiem: 'a' | 'p' | undefined;
+  bracketed: boolean;
+  rest: string;
+}
+
+/**
+ * Remove invisible characters and normalize special spaces
+ */
+function normalizeLine(line: string): string {
+  return line.replace(INVISIBLE_CHARS, '').replace(SPECIAL_SPACES, ' ').replace(/\r$/, '');
+}
+
+/**
+ * Match a (normalized) line against the timestamp prefix
+ */
+function matchHeader(line: string): HeaderMatch | null {
+  const match = line.match(HEADER_REGEX);
+  if (!match) return null;
+
+  const [, bracket, a, separator, b, c, hour, minutes, seconds, meridiem, closeBracket, , rest] = match;
+
+  // "[date time - ..." or "date time] ..." are not valid prefixes
+  if (Boolean(bracket) !== Boolean(closeBracket)) return null;
+
+  return {
+    dateParts: [a, b, c],
+    separator: separator as ChatFormat['dateSeparator'],
+    hour: parseInt(hour, 10),
+    minutes,
+    seconds,
+    meridiem: meridiem?.toLowerCase() as 'a' | 'p' | undefined,
+    bracketed: Boolean(bracket),
+    rest
+  };
+}
+
+/**
+ * Split date parts into [year, month, day] according to the date order
  */
-const MESSAGE_REGEX = /^(\d{2}\/\d{2}\/\d{4}) (\d{2}:\d{2}) - ([^:]+): (.*)$/;
+function orderDateParts(
+  [a, b, c]: [string, string, string],
+  dateOrder: ChatFormat['dateOrder']
+): [number, number, number] {
+  switch (dateOrder) {
+    case 'YMD': return [parseInt(a, 10), parseInt(b, 10), parseInt(c, 10)];
+    case 'MDY': return [parseInt(c, 10), parseInt(a, 10), parseInt(b, 10)];
+    case 'DMY': return [parseInt(c, 10), parseInt(b, 10), parseInt(a, 10)];
+  }
+}
+
+/**
+ * Convert date parts to YYYY-MM-DD format
+ */
+function convertDate(dateParts: [string, string, string], format: ChatFormat): string {
+  let [year, month, day] = orderDateParts(dateParts, format.dateOrder);
+  if (year < 100) year += 2000;
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Convert 12h/24h time to HH:MM format
+ */
+function convertTime(header: HeaderMatch): string {
+  let hour = header.hour;
+  if (header.meridiem === 'p' && hour < 12) hour += 12;
+  if (header.meridiem === 'a' && hour === 12) hour = 0;
+  return `${String(hour).padStart(2, '0')}:${header.minutes}`;
+}
 
 /**
- * System message regex (no sender, like "fulano entrou no grupo")
+ * Count how many times consecutive dates go backwards under a date order
+ * Exports are chronological, so the right order has (almost) no inversions
  */
-const SYSTEM_MESSAGE_REGEX = /^(\d{2}\/\d{2}\/\d{4}) (\d{2}:\d{2}) - (.+)$/;
+function countInversions(headers: HeaderMatch[], dateOrder: ChatFormat['dateOrder']): number {
+  let inversions = 0;
+  let previous = -1;
+
+  for (const header of headers) {
+    const [year, month, day] = orderDateParts(header.dateParts, dateOrder);
+    const key = year * 10000 + month * 100 + day;
+    if (key < previous) inversions++;
+    previous = key;
+  }
+
+  return inversions;
+}
 
 /**
- * Convert DD/MM/YYYY to YYYY-MM-DD format
+ * Detect the export dialect from the first message headers
+ * Returns null if the content doesn't look like a WhatsApp export
  */
-function convertDate(brDate: string): string {
-  const [day, month, year] = brDate.split('/');
-  return `${year}-${month}-${day}`;
+export function detectChatFormat(fileContent: string): ChatFormat | null {
+  const headers: HeaderMatch[] = [];
+
+  for (const line of fileContent.split('\n')) {
+    const header = matchHeader(normalizeLine(line));
+    if (header) headers.push(header);
+    if (headers.length >= DETECTION_SAMPLE_SIZE) break;
+  }
+
+  if (headers.length === 0) return null;
+
+  const first = headers[0];
+  const bracketedCount = headers.filter(h => h.bracketed).length;
+  const clock = headers.some(h => h.meridiem) ? '12h' : '24h';
+
+  let dateOrder: ChatFormat['dateOrder'];
+  if (first.dateParts[0].length === 4) {
+    dateOrder = 'YMD';
+  } else {
+    const canBeDMY = headers.every(h => +h.dateParts[0] <= 31 && +h.dateParts[1] <= 12);
+    const canBeMDY = headers.every(h => +h.dateParts[0] <= 12 && +h.dateParts[1] <= 31);
+
+    if (canBeDMY && !canBeMDY) {
+      dateOrder = 'DMY';
+    } else if (canBeMDY && !canBeDMY) {
+      dateOrder = 'MDY';
+    } else {
+      // Ambiguous (every day <= 12): prefer the order that keeps the chat
+      // chronological, then fall back to the usual pairing with the clock
+      const dmyInversions = countInversions(headers, 'DMY');
+      const mdyInversions = countInversions(headers, 'MDY');
+      if (dmyInversions !== mdyInversions) {
+        dateOrder = dmyInversions < mdyInversions ? 'DMY' : 'MDY';
+      } else {
+        dateOrder = clock === '12h' ? 'MDY' : 'DMY';
+      }
+    }
+  }
+
+  const yearPart = dateOrder === 'YMD' ? first.dateParts[0] : first.dateParts[2];
+
+  return {
+    platform: bracketedCount > headers.length / 2 ? 'ios' : 'android',
+    dateOrder,
+    dateSeparator: first.separator,
+    yearDigits: yearPart.length === 4 ? 4 : 2,
+    clock,
+    hasSeconds: headers.some(h => h.seconds !== undefined)
+  };
+}
+
+/**
+ * Parse the timestamp prefix of a line with a known format
+ * Returns null for continuation lines
+ */
+export function parseMessageHeader(
+  line: string,
+  format: ChatFormat
+): { date: string; time: string; rest: string } | null {
+  const header = matchHeader(normalizeLine(line));
+  if (!header || header.separator !== format.dateSeparator) return null;
+
+  return {
+    date: convertDate(header.dateParts, format),
+    time: convertTime(header),
+    rest: header.rest
+  };
 }
 
 /**
  * Check if content is a media placeholder
  */
-function isMediaMessage(content: string): boolean {
+export function isMediaMessage(content: string): boolean {
   const mediaPatterns = [
     '<mídia oculta>',
     '<media omitted>',
@@ -36,77 +220,149 @@ function isMediaMessage(content: string): boolean {
     'vídeo ocultado',
     'áudio ocultado',
     'figurinha omitida',
-    'sticker omitted'
+    'sticker omitted',
+    'image omitted',
+    'video omitted',
+    'audio omitted',
+    'imagem omitida',
+    'vídeo omitido',
+    'áudio omitido',
+    '<attached:',
+    '<anexado:'
   ];
   const lowerContent = content.toLowerCase();
   return mediaPatterns.some(pattern => lowerContent.includes(pattern));
 }
 
+/**
+ * Attachment references in exports "with media"
+ * Android: "IMG-20261019-WA0001.jpg (arquivo anexado)", caption on the next lines
+ * iOS:     "<anexado: 00000012-PHOTO-2026-10-19-14-03-22.jpg>", documents
+ *          prefixed with their title ("Ata.pdf • 3 páginas <anexado: ...>")
+ */
+const ANDROID_ATTACHMENT_REGEX = /^(\S[^\n]*?\.\w{2,5}) \((?:arquivo anexado|file attached|archivo adjunto|fichier joint|file allegato|Datei angehängt)\)$/i;
+const IOS_ATTACHMENT_REGEX = /^[^\n]*<(?:anexado|attached|adjunto|allegato|angehängt|pièce jointe): ([^>\n]+)>$/i;
+
+const ATTACHMENT_EXTENSIONS: Record<Exclude<AttachmentKind, 'sticker' | 'other'>, string[]> = {
+  audio: ['opus', 'ogg', 'm4a', 'mp3', 'aac', 'wav', 'amr'],
+  image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic'],
+  video: ['mp4', '3gp', 'mov', 'mkv', 'webm'],
+  document: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'rtf', 'txt', 'csv']
+};
+
+/**
+ * Kind of an attached file, from the WhatsApp naming scheme and extension
+ */
+export function attachmentKind(fileName: string): AttachmentKind {
+  const name = fileName.toUpperCase();
+  if (name.startsWith('STK-') || name.includes('-STICKER-')) return 'sticker';
+  if (name.startsWith('PTT-') || name.startsWith('AUD-') || name.includes('-AUDIO-')) return 'audio';
+
+  const extension = fileName.split('.').pop()?.toLowerCase() ?? '';
+  for (const [kind, extensions] of Object.entries(ATTACHMENT_EXTENSIONS)) {
+    if (extensions.includes(extension)) return kind as AttachmentKind;
+  }
+  return 'other';
+}
+
+/**
+ * Find the attachment referenced by a message
+ * Returns null for plain messages and "<Mídia oculta>" placeholders
+ */
+export function parseAttachment(content: string): { attachment: Attachment; caption: string } | null {
+  const [firstLine, ...rest] = content.split('\n');
+  const match = firstLine.trim().match(ANDROID_ATTACHMENT_REGEX) ?? firstLine.trim().match(IOS_ATTACHMENT_REGEX);
+  if (!match) return null;
+
+  const fileName = match[1].trim();
+  return {
+    attachment: { fileName, kind: attachmentKind(fileName) },
+    caption: rest.join('\n').trim()
+  };
+}
+
+/**
+ * Move an attachment reference out of the content (the caption stays)
+ */
+function withAttachment(message: WhatsAppMessage): WhatsAppMessage {
+  if (message.sender === '__system__') return message;
+
+  const parsed = parseAttachment(message.content);
+  if (!parsed) return message;
+
+  return { ...message, content: parsed.caption, isMedia: true, attachment: parsed.attachment };
+}
+
 /**
  * Parse WhatsApp chat export file content
  * 
  * Handles:
  * - Multi-line messages
  * - System messages
- * - Media placeholders
- * - Different date formats
+ * - Media placeholders and attachment references (exports "with media")
+ * - Android and iOS exports in any date order, 12h/24h clock,
+ *   with or without seconds (auto-detected unless a format is given)
  */
-export function parseWhatsAppChat(fileContent: string): WhatsAppMessage[] {
-  const lines = fileContent.split('\n');
+export function parseWhatsAppChat(
+  fileContent: string,
+  format: ChatFormat | null = detectChatFormat(fileContent)
+): { messages: WhatsAppMessage[]; format: ChatFormat | null } {
   const messages: WhatsAppMessage[] = [];
+  if (!format) return { messages, format };
+
+  const lines = fileContent.split('\n');
   let currentMessage: WhatsAppMessage | null = null;
 
-  for (const line of lines) {
+  for (const rawLine of lines) {
+    const line = normalizeLine(rawLine);
+
     // Skip empty lines at the start
     if (!line.trim() && !currentMessage) continue;
 
-    // Try to match a new message
-    const messageMatch = line.match(MESSAGE_REGEX);
-    
-    if (messageMatch) {
+    const header = parseMessageHeader(line, format);
+
+    if (header) {
       // Save previous message if exists
       if (currentMessage) {
-        messages.push(currentMessage);
+        messages.push(withAttachment(currentMessage));
       }
 
-      const [, brDate, time, sender, content] = messageMatch;
-      currentMessage = {
-        date: convertDate(brDate),
-        time,
-        sender: sender.trim(),
-        content: content,
-        isMedia: isMediaMessage(content),
-        rawLine: line
-      };
-    } else {
-      // Check for system message (no sender)
-      const systemMatch = line.match(SYSTEM_MESSAGE_REGEX);
-      
-      if (systemMatch && !currentMessage) {
+      const senderMatch = header.rest.match(SENDER_REGEX);
+
+      if (senderMatch) {
+        const [, sender, content] = senderMatch;
+        currentMessage = {
+          date: header.date,
+          time: header.time,
+          sender: sender.trim(),
+          content: content,
+          isMedia: isMediaMessage(content),
+          rawLine: rawLine.replace(/\r$/, '')
+        };
+      } else {
         // System message like "Messages and calls are end-to-end encrypted"
-        const [, brDate, time, content] = systemMatch;
         currentMessage = {
-          date: convertDate(brDate),
-          time,
+          date: header.date,
+          time: header.time,
           sender: '__system__',
-          content: content,
+          content: header.rest,
           isMedia: false,
-          rawLine: line
+          rawLine: rawLine.replace(/\r$/, '')
         };
-      } else if (currentMessage && line.trim()) {
-        // Multi-line message continuation
-        currentMessage.content += '\n' + line;
-        currentMessage.rawLine += '\n' + line;
       }
+    } else if (currentMessage && line.trim()) {
+      // Multi-line message continuation
+      currentMessage.content += '\n' + line;
+      currentMessage.rawLine += '\n' + rawLine.replace(/\r$/, '');
     }
   }
 
   // Don't forget the last message
   if (currentMessage) {
-    messages.push(currentMessage);
+    messages.push(withAttachment(currentMessage));
   }
 
-  return messages;
+  return { messages, format };
 }
 
 /**
@@ -116,8 +372,9 @@ export function parseWhatsAppChat(fileContent: string): WhatsAppMessage[] {
 export function parseAndIndex(fileContent: string): {
   messages: WhatsAppMessage[];
   dateIndex: Map<string, number[]>;
+  format: ChatFormat | null;
 } {
-  const messages = parseWhatsAppChat(fileContent);
+  const { messages, format } = parseWhatsAppChat(fileContent);
   const dateIndex = new Map<string, number[]>();
 
   // Build date index
@@ -127,7 +384,7 @@ export function parseAndIndex(fileContent: string): {
     dateIndex.set(msg.date, indices);
   });
 
-  return { messages, dateIndex };
+  return { messages, dateIndex, format };
 }
 
 /**
@@ -143,25 +400,86 @@ export function getMessagesForDate(
   return indices.map(i => messages[i]);
 }
 
+/**
+ * Group messages by date for the client, dropping the raw export lines
+ */
+export function groupMessagesByDate(messages: WhatsAppMessage[]): MessagesByDate {
+  const messagesByDate: MessagesByDate = {};
+
+  for (const { rawLine: _rawLine, ...message } of messages) {
+    if (!messagesByDate[message.date]) {
+      messagesByDate[message.date] = [];
+    }
+    messagesByDate[message.date].push(message);
+  }
+
+  return messagesByDate;
+}
+
+/**
+ * Convert YYYY-MM-DD to DD/MM/YYYY (how dates are shown to the AI)
+ */
+export function toDisplayDate(isoDate: string): string {
+  const [year, month, day] = isoDate.split('-');
+  return `${day}/${month}/${year}`;
+}
+
+const ATTACHMENT_LABELS: Record<AttachmentKind, { name: string; withText: string }> = {
+  audio: { name: 'áudio', withText: 'áudio transcrito' },
+  image: { name: 'imagem', withText: 'texto da imagem' },
+  video: { name: 'vídeo', withText: 'fala do vídeo' },
+  document: { name: 'documento', withText: 'texto do documento' },
+  sticker: { name: 'figurinha', withText: 'figurinha' },
+  other: { name: 'arquivo', withText: 'conteúdo do arquivo' }
+};
+
+/**
+ * How a media message is shown to the AI: "[mídia]" for placeholders,
+ * the transcript / extracted text when the attachment was processed,
+ * followed by the caption
+ */
+function describeMedia(msg: ParsedMessage): string {
+  if (!msg.attachment) return '[mídia]';
+
+  const label = ATTACHMENT_LABELS[msg.attachment.kind] ?? ATTACHMENT_LABELS.other;
+  const text = msg.attachment.text?.replace(/\s+/g, ' ').trim();
+  const media = text ? `[${label.withText}: ${text}]` : `[${label.name}]`;
+  return msg.content ? `${media} ${msg.content}` : media;
+}
+
 /**
  * Format messages for AI summarization
+ * With showDates, a "=== DD/MM/YYYY ===" line opens each day so the
+ * model keeps day boundaries in multi-day ranges
  */
 export function formatMessagesForAI(
-  messages: WhatsAppMessage[],
-  includeNames: boolean = true
+  messages: ParsedMessage[],
+  includeNames: boolean = true,
+  showDates: boolean = false
 ): string {
-  return messages
-    .filter(msg => msg.sender !== '__system__') // Exclude system messages
-    .map(msg => {
-      if (msg.isMedia) {
-        return includeNames 
-          ? `[${msg.time}] ${msg.sender}: [mídia]`
-          : `[${msg.time}] [mídia]`;
-      }
-      return includeNames
+  const lines: string[] = [];
+  let currentDate = '';
+
+  for (const msg of messages) {
+    if (msg.sender === '__system__') continue; // Exclude system messages
+
+    if (showDates && msg.date !== currentDate) {
+      if (lines.length > 0) lines.push('');
+      lines.push(`=== ${toDisplayDate(msg.date)} ===`);
+      currentDate = msg.date;
+    }
+
+    if (msg.isMedia) {
+      const media = describeMedia(msg);
+      lines.push(includeNames 
+        ? `[${msg.time}] ${msg.sender}: ${media}`
+        : `[${msg.time}] ${media}`);
+    } else {
+      lines.push(includeNames
         ? `[${msg.time}] ${msg.sender}: ${msg.content}`
-        : `[${msg.time}] ${msg.content}`;
-    })
-    .join('\n');
-}
+        : `[${msg.time}] ${msg.content}`);
+    }
+  }
 
+  return lines.join('\n');
+}
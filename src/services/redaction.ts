@@ -0,0 +1,327 @@
+import type { ParsedMessage, StructuredSummary, TopicSummary } from '../types/index.js';
+
+/**
+ * Deterministic PII redaction, applied before anything reaches the LLM
+ *
+ * Senders become stable pseudonyms ("Participante 1", "Participante 2"... by
+ * first appearance) and so do their names and @mentions inside messages.
+ * Phones, emails, CPFs, CNPJs, card numbers, CEPs and street addresses are
+ * masked for good; URLs become "[link N]" so the summary can point to them.
+ * The redactor keeps the mapping, so the answer can be restored: links
+ * always, names only when the privacy mode allows them.
+ *
+ * Compiled to public/lib too: the web app redacts in the browser, so names
+ * don't even reach our server. Messages that are already pseudonymized
+ * keep their numbers, which makes redacting twice harmless.
+ */
+
+const PSEUDONYM_PREFIX = 'Participante';
+const PSEUDONYM_REGEX = /^Participante (\d+)$/;
+const RESTORE_NAME_REGEX = /Participante (\d+)(?!\d)/g;
+const RESTORE_LINK_REGEX = /\[link (\d+)\]/g;
+
+const MIN_FIRST_NAME_LENGTH = 3;    // Shorter first names match too many words
+
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"]+/gi;
+const EMAIL_REGEX = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu;
+const PHONE_MENTION_REGEX = /@\+?(\d[\d\s-]{6,}\d)/g;
+const NAME_MENTION_REGEX = /@(?!Participante \d)[\p{L}][\p{L}\p{M}\p{N}_.]*/gu;
+const CPF_REGEX = /(?<!\d)\d{3}\.\d{3}\.\d{3}-\d{2}(?!\d)/g;
+const CNPJ_REGEX = /(?<!\d)\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}(?!\d)/g;
+const CARD_REGEX = /(?<!\d)(?:\d{4}[ -]){3}\d{1,7}(?!\d)/g;
+const CEP_REGEX = /(?<!\d)\d{5}-\d{3}(?!\d)/g;
+const ADDRESS_REGEX = /\b(?:Rua|R\.|Avenida|Av\.|Travessa|Tv\.|Alameda|Al\.|Rodovia|Estrada|Praça)\s+[^,\n\d]{2,60}?,?\s*(?:n[º°o.]?\s*)?\d{1,5}\b/gu;
+
+/**
+ * Other digit runs: "+55 (11) 91234-5678", "(11) 1234-5678",
+ * "11 91234-5678", "11912345678", "52998224725"...
+ * Classified in maskNumber (CPF, CNPJ, card, phone or left alone)
+ */
+const NUMBER_REGEX = /(?<![\p{L}\p{N}_/.,])(?:\+\d[\d\s().-]{6,}\d|\(\d{2,3}\)\s?\d[\d\s.-]*\d|(?:\d{2}\s)?\d[\d.-]*\d)(?![\p{L}\p{N}_/])/gu;
+const THOUSANDS_REGEX = /^\d{1,3}(?:\.\d{3})+$/;
+const DATE_LIKE_REGEX = /^\d{1,4}[.-]\d{1,2}[.-]\d{1,4}$/;
+
+const MIN_PHONE_DIGITS = 8;
+const MAX_PHONE_DIGITS = 15;
+
+function escapeRegex(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function digitsOf(text: string): string {
+  return text.replace(/\D/g, '');
+}
+
+/**
+ * CPF check digits (11 digits, not all equal)
+ */
+function isValidCpf(digits: string): boolean {
+  if (digits.length !== 11 || /^(\d)\1+$/.test(digits)) return false;
+
+  for (const length of [9, 10]) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) sum += Number(digits[i]) * (length + 1 - i);
+    if ((sum * 10) % 11 % 10 !== Number(digits[length])) return false;
+  }
+  return true;
+}
+
+/**
+ * CNPJ check digits (14 digits, not all equal)
+ */
+function isValidCnpj(digits: string): boolean {
+  if (digits.length !== 14 || /^(\d)\1+$/.test(digits)) return false;
+
+  for (const length of [12, 13]) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      const weight = ((length - 1 - i) % 8) + 2;
+      sum += Number(digits[i]) * weight;
+    }
+    const check = sum % 11 < 2 ? 0 : 11 - (sum % 11);
+    if (check !== Number(digits[length])) return false;
+  }
+  return true;
+}
+
+/**
+ * Luhn checksum, used by payment cards
+ */
+function isLuhnValid(digits: string): boolean {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Mask a digit run according to what it looks like
+ * Amounts ("1.500.000") and dates ("19.10.2026") are left alone
+ */
+function maskNumber(match: string): string {
+  if (THOUSANDS_REGEX.test(match) || DATE_LIKE_REGEX.test(match)) return match;
+
+  const digits = digitsOf(match);
+  if (digits.length === 11 && isValidCpf(digits)) return '[cpf]';
+  if (digits.length === 14 && isValidCnpj(digits)) return '[cnpj]';
+  if (digits.length >= 13 && digits.length <= 19 && !match.startsWith('+') && isLuhnValid(digits)) return '[cartão]';
+  if (digits.length >= MIN_PHONE_DIGITS && digits.length <= MAX_PHONE_DIGITS) return '[telefone]';
+  return match;
+}
+
+/**
+ * Apply a function to every string inside a JSON-like value
+ */
+function mapStrings<T>(value: T, fn: (text: string) => string): T {
+  if (typeof value === 'string') return fn(value) as T;
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, fn)) as T;
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, mapStrings(item, fn)])
+    ) as T;
+  }
+  return value;
+}
+
+/**
+ * Redacts messages and restores the model's answer
+ * One redactor per summary (all chunks), so pseudonyms stay the same
+ */
+export interface Redactor {
+  /** Pseudonymize senders and mask content and attachment text (system messages keep their sender) */
+  redactMessages(messages: ParsedMessage[]): ParsedMessage[];
+  /** Know senders before their names show up in free text (e.g. partial summaries to merge) */
+  addSenders(senders: string[]): void;
+  /** Mask free text (e.g. partial summaries) with the names known so far */
+  redactText(text: string): string;
+  /** Put links back, and names too when withNames is set */
+  restore(text: string, withNames: boolean): string;
+  restoreStructured(structured: StructuredSummary, withNames: boolean): StructuredSummary;
+  restoreTopics(topics: TopicSummary[], withNames: boolean): TopicSummary[];
+  /** Pseudonym -> original sender */
+  pseudonyms(): Map<string, string>;
+  /** The mapping as plain data, to go on with createRedactor(snapshot) */
+  snapshot(): RedactorSnapshot;
+}
+
+/**
+ * A redactor's mapping (kept with a server job, or by the app while one runs)
+ */
+export interface RedactorSnapshot {
+  senders: Array<[string, string]>;   // Original -> pseudonym
+  links: string[];                    // URL of [link N] at N - 1
+}
+
+export function createRedactor(snapshot?: RedactorSnapshot): Redactor {
+  const bySender = new Map<string, string>();     // Original -> pseudonym
+  const byPseudonym = new Map<string, string>();  // Pseudonym -> original
+  const byPhone = new Map<string, string>();      // Digits of phone senders -> pseudonym
+  const links: string[] = [];
+  const linkIndex = new Map<string, number>();
+  const usedNumbers = new Set<number>();
+  let nextNumber = 1;
+  let namePattern: RegExp | null | undefined;   // undefined = rebuild
+  let nameReplacements = new Map<string, string>();
+
+  const assign = (sender: string, pseudonym: string): void => {
+    bySender.set(sender, pseudonym);
+    byPseudonym.set(pseudonym, sender);
+    const digits = digitsOf(sender);
+    if (digits.length >= MIN_PHONE_DIGITS && !/\p{L}/u.test(sender)) {
+      byPhone.set(digits, pseudonym);
+    }
+    namePattern = undefined;
+  };
+
+  const register = (senders: string[]): void => {
+    // Already pseudonymized senders keep their number
+    for (const sender of senders) {
+      const existing = PSEUDONYM_REGEX.exec(sender);
+      if (existing && !bySender.has(sender)) {
+        usedNumbers.add(Number(existing[1]));
+        assign(sender, sender);
+      }
+    }
+    for (const sender of senders) {
+      if (bySender.has(sender)) continue;
+      while (usedNumbers.has(nextNumber)) nextNumber++;
+      usedNumbers.add(nextNumber);
+      assign(sender, `${PSEUDONYM_PREFIX} ${nextNumber}`);
+    }
+  };
+
+  /**
+   * Full names, plus first names when no other participant shares them
+   */
+  const buildNamePattern = (): RegExp | null => {
+    const replacements = new Map<string, string>();
+    const firstNames = new Map<string, string[]>();
+
+    for (const [sender, pseudonym] of bySender) {
+      if (sender === pseudonym) continue;
+      replacements.set(sender, pseudonym);
+      const first = sender.split(/\s+/)[0];
+      if (first !== sender && first.length >= MIN_FIRST_NAME_LENGTH && /^\p{Lu}/u.test(first)) {
+        firstNames.set(first, [...(firstNames.get(first) ?? []), pseudonym]);
+      }
+    }
+    for (const [first, pseudonyms] of firstNames) {
+      if (pseudonyms.length === 1 && !replacements.has(first)) {
+        replacements.set(first, pseudonyms[0]);
+      }
+    }
+
+    nameReplacements = replacements;
+    if (replacements.size === 0) return null;
+
+    const alternatives = [...replacements.keys()]
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegex);
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'gu');
+  };
+
+  const linkPlaceholder = (url: string): string => {
+    let index = linkIndex.get(url);
+    if (index === undefined) {
+      links.push(url);
+      index = links.length;
+      linkIndex.set(url, index);
+    }
+    return `[link ${index}]`;
+  };
+
+  if (snapshot) {
+    for (const [sender, pseudonym] of snapshot.senders) {
+      const existing = PSEUDONYM_REGEX.exec(pseudonym);
+      if (existing) usedNumbers.add(Number(existing[1]));
+      assign(sender, pseudonym);
+    }
+    snapshot.links.forEach(linkPlaceholder);
+  }
+
+  const redactText = (text: string): string => {
+    if (namePattern === undefined) namePattern = buildNamePattern();
+
+    let result = text.replace(URL_REGEX, match => {
+      // Keep sentence punctuation out of the link
+      const url = match.replace(/[.,;:!?)]+$/, '');
+      return linkPlaceholder(url) + match.slice(url.length);
+    });
+    result = result.replace(EMAIL_REGEX, '[email]');
+    if (namePattern) {
+      result = result.replace(namePattern, name => nameReplacements.get(name) ?? name);
+    }
+    result = result.replace(PHONE_MENTION_REGEX, (_, number: string) => {
+      const digits = digitsOf(number);
+      for (const [phone, pseudonym] of byPhone) {
+        if (phone.endsWith(digits) || digits.endsWith(phone)) return `@${pseudonym}`;
+      }
+      return '[menção]';
+    });
+    result = result.replace(NAME_MENTION_REGEX, '[menção]');
+
+    return result
+      .replace(CNPJ_REGEX, '[cnpj]')
+      .replace(CPF_REGEX, '[cpf]')
+      .replace(CARD_REGEX, match => isLuhnValid(digitsOf(match)) ? '[cartão]' : match)
+      .replace(CEP_REGEX, '[cep]')
+      .replace(ADDRESS_REGEX, '[endereço]')
+      .replace(NUMBER_REGEX, maskNumber);
+  };
+
+  const restore = (text: string, withNames: boolean): string => {
+    let result = text.replace(RESTORE_LINK_REGEX, (match, index: string) => links[Number(index) - 1] ?? match);
+    if (withNames) {
+      result = result.replace(RESTORE_NAME_REGEX, match => byPseudonym.get(match) ?? match);
+    }
+    return result;
+  };
+
+  return {
+    redactMessages(messages) {
+      register([...new Set(messages.map(m => m.sender).filter(s => s !== '__system__'))]);
+      return messages.map(msg => ({
+        ...msg,
+        sender: bySender.get(msg.sender) ?? msg.sender,
+        content: redactText(msg.content),
+        ...(msg.attachment && {
+          attachment: {
+            ...msg.attachment,
+            // The file name carries dates and sometimes a document title
+            fileName: '',
+            ...(msg.attachment.text !== undefined && { text: redactText(msg.attachment.text) })
+          }
+        })
+      }));
+    },
+
+    addSenders(senders) {
+      register([...new Set(senders.filter(s => s !== '__system__'))]);
+    },
+
+    redactText,
+    restore,
+
+    restoreStructured(structured, withNames) {
+      return mapStrings(structured, text => restore(text, withNames));
+    },
+
+    restoreTopics(topics, withNames) {
+      return mapStrings(topics, text => restore(text, withNames));
+    },
+
+    pseudonyms() {
+      return new Map(byPseudonym);
+    },
+
+    snapshot() {
+      return { senders: [...bySender], links: [...links] };
+    }
+  };
+}
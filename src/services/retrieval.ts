@@ -0,0 +1,248 @@
+import type { ParsedMessage, AskCitation } from '../types/index.js';
+import { formatMessagesForAI } from './parser.js';
+import { estimateMessageTokens } from './chunker.js';
+import { ProviderError } from './llm.js';
+import type { LLMProvider } from './llm.js';
+
+/**
+ * Finding the messages that answer a question (api/ask.ts)
+ *
+ * Messages are ranked with BM25 over accent-folded, prefix-stemmed words
+ * (Portuguese stopwords left out). When the provider can embed text, a
+ * semantic ranking is fused in (reciprocal rank fusion), so a question
+ * about the "viagem" also finds the "passagens" and the "hotel". Each hit
+ * brings its neighbours, so the model reads the exchange around it.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'o', 'as', 'os', 'um', 'uma', 'uns', 'umas', 'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na',
+  'nos', 'nas', 'por', 'pelo', 'pela', 'para', 'pra', 'pro', 'com', 'sem', 'sobre', 'que', 'quem',
+  'qual', 'quais', 'quando', 'onde', 'como', 'porque', 'e', 'ou', 'mas', 'se', 'ja', 'nao', 'sim',
+  'eu', 'tu', 'ele', 'ela', 'voces', 'eles', 'elas', 'me', 'te', 'lhe', 'meu', 'minha', 'seu',
+  'sua', 'isso', 'isto', 'esse', 'essa', 'este', 'esta', 'aquele', 'aquela', 'foi', 'era', 'ser',
+  'ter', 'tem', 'tinha', 'vai', 'vou', 'ao', 'aos', 'mais', 'muito', 'tambem', 'so', 'ai', 'la',
+  'ne', 'tipo', 'entao', 'gente', 'pessoal', 'grupo', 'alguem', 'algum', 'alguma'
+]);
+
+const STEM_LENGTH = 5;            // "viagem"/"viagens", "reunião"/"reunir" share a stem
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const RRF_K = 60;                 // Usual reciprocal rank fusion constant
+const MAX_HITS = 15;
+const NEIGHBOURS = 2;             // Messages kept on each side of a hit
+const MAX_EMBEDDED_MESSAGES = 1000;
+const EMBEDDING_BATCH = 100;
+
+/**
+ * Searchable terms of a text: lowercase, no accents, no stopwords, stemmed
+ */
+export function searchTerms(text: string): string[] {
+  const words = text.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '').match(/[\p{L}\p{N}]+/gu) ?? [];
+  return words
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(word => word.slice(0, STEM_LENGTH));
+}
+
+/**
+ * What a message says, including its transcribed/extracted attachment
+ */
+export function messageText(msg: ParsedMessage): string {
+  return msg.attachment?.text ? `${msg.attachment.text} ${msg.content}`.trim() : msg.content;
+}
+
+/**
+ * Indices of the messages matching the query, best BM25 score first
+ */
+export function rankBM25(messages: ParsedMessage[], query: string): number[] {
+  const terms = new Set(searchTerms(query));
+  if (terms.size === 0) return [];
+
+  const documents = messages.map(msg => msg.sender === '__system__' ? [] : searchTerms(messageText(msg)));
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / Math.max(documents.length, 1) || 1;
+
+  const frequencies = new Map<string, number>();
+  const termCounts = documents.map(doc => {
+    const counts = new Map<string, number>();
+    for (const word of doc) {
+      if (terms.has(word)) counts.set(word, (counts.get(word) ?? 0) + 1);
+    }
+    for (const term of counts.keys()) frequencies.set(term, (frequencies.get(term) ?? 0) + 1);
+    return counts;
+  });
+
+  const scored: Array<{ index: number; score: number }> = [];
+  termCounts.forEach((counts, index) => {
+    let score = 0;
+    for (const [term, count] of counts) {
+      const frequency = frequencies.get(term) ?? 0;
+      const idf = Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5));
+      const lengthNorm = 1 - BM25_B + BM25_B * documents[index].length / averageLength;
+      score += idf * count * (BM25_K1 + 1) / (count + BM25_K1 * lengthNorm);
+    }
+    if (score > 0) scored.push({ index, score });
+  });
+
+  return scored.sort((a, b) => b.score - a.score || a.index - b.index).map(s => s.index);
+}
+
+function cosine(a: number[], b: number[]): number {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Indices of the candidates, most similar to the query first
+ */
+async function rankByEmbedding(
+  messages: ParsedMessage[],
+  candidates: number[],
+  query: string,
+  embed: NonNullable<LLMProvider['embed']>,
+  signal?: AbortSignal
+): Promise<number[]> {
+  const texts = candidates.map(i => messageText(messages[i]));
+  const [queryVector] = await embed([query], signal);
+
+  const vectors: number[][] = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH) {
+    vectors.push(...await embed(texts.slice(i, i + EMBEDDING_BATCH), signal));
+  }
+
+  return candidates
+    .map((index, i) => ({ index, similarity: cosine(queryVector, vectors[i]) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .map(c => c.index);
+}
+
+/**
+ * Reciprocal rank fusion: good positions in any ranking count
+ */
+function fuseRankings(rankings: number[][]): number[] {
+  const scores = new Map<number, number>();
+  for (const ranking of rankings) {
+    ranking.forEach((index, rank) => {
+      scores.set(index, (scores.get(index) ?? 0) + 1 / (RRF_K + rank + 1));
+    });
+  }
+  return [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([index]) => index);
+}
+
+/**
+ * Messages retrieved for a question
+ */
+export interface Retrieval {
+  excerpts: ParsedMessage[][];   // Runs of consecutive messages, in chronological order
+  hits: number;                  // Messages that matched the question
+  method: 'bm25' | 'hybrid';
+}
+
+/**
+ * Retrieve the messages that best answer the query, within a token budget
+ * Without any match, the latest messages are used (questions like "what
+ * happened at the end?" have no keywords to find)
+ */
+export async function retrieveMessages(
+  messages: ParsedMessage[],
+  query: string,
+  options: { maxTokens: number; provider?: LLMProvider; signal?: AbortSignal }
+): Promise<Retrieval> {
+  const { maxTokens, provider, signal } = options;
+  const keywordRanking = rankBM25(messages, query);
+  let ranking = keywordRanking;
+  let method: Retrieval['method'] = 'bm25';
+
+  if (provider?.embed) {
+    // Keyword hits first, then the latest messages
+    const matched = new Set(keywordRanking);
+    const candidates = [
+      ...keywordRanking,
+      ...messages.map((_, i) => i).reverse().filter(i => !matched.has(i))
+    ].filter(i => messages[i].sender !== '__system__' && messageText(messages[i])).slice(0, MAX_EMBEDDED_MESSAGES);
+
+    try {
+      const semanticRanking = await rankByEmbedding(messages, candidates, query, provider.embed, signal);
+      ranking = fuseRankings([keywordRanking, semanticRanking]);
+      method = 'hybrid';
+    } catch (err) {
+      if (err instanceof ProviderError && err.kind === 'aborted') throw err;
+      console.warn('Embeddings failed, using keyword search only:', err);
+    }
+  }
+
+  const hits = ranking.slice(0, MAX_HITS);
+  const selected = new Set<number>();
+  let tokens = 0;
+  const take = (index: number): boolean => {
+    if (selected.has(index)) return true;
+    const cost = estimateMessageTokens(messages[index]);
+    if (selected.size > 0 && tokens + cost > maxTokens) return false;
+    selected.add(index);
+    tokens += cost;
+    return true;
+  };
+
+  if (hits.length === 0) {
+    for (let i = messages.length - 1; i >= 0 && take(i); i--);
+  }
+  for (const hit of hits) {
+    if (!take(hit)) break;
+    for (let offset = 1; offset <= NEIGHBOURS; offset++) {
+      if (hit - offset >= 0) take(hit - offset);
+      if (hit + offset < messages.length) take(hit + offset);
+    }
+  }
+
+  const excerpts: ParsedMessage[][] = [];
+  let previous = -2;
+  for (const index of [...selected].sort((a, b) => a - b)) {
+    if (index !== previous + 1) excerpts.push([]);
+    excerpts[excerpts.length - 1].push(messages[index]);
+    previous = index;
+  }
+
+  return { excerpts, hits: keywordRanking.length, method };
+}
+
+/**
+ * Excerpts as the model reads them, separated by "[...]"
+ */
+export function formatExcerptsForAI(excerpts: ParsedMessage[][], includeNames: boolean): string {
+  return excerpts.map(excerpt => formatMessagesForAI(excerpt, includeNames, true)).join('\n\n[...]\n\n');
+}
+
+const CITATION_GROUP_REGEX = /\[([^\]\n]*\d{2}\/\d{2} \d{2}:\d{2}[^\]\n]*)\]/g;
+const CITATION_REGEX = /(\d{2})\/(\d{2}) (\d{2}:\d{2})(?:,\s*([^;\n]+))?/;
+
+/**
+ * Messages cited by the answer as [DD/MM HH:MM, Sender] (several in one
+ * bracket are separated by ";"), in the order they are cited
+ */
+export function findCitations(answer: string, excerpts: ParsedMessage[][], includeNames: boolean): AskCitation[] {
+  const messages = excerpts.flat();
+  const cited = new Set<ParsedMessage>();
+
+  for (const [, group] of answer.matchAll(CITATION_GROUP_REGEX)) {
+    for (const item of group.split(';')) {
+      const match = item.trim().match(CITATION_REGEX);
+      if (!match) continue;
+      const [, day, month, time, sender] = match;
+      const candidates = messages.filter(m => m.date.endsWith(`-${month}-${day}`) && m.time === time);
+      const message = candidates.find(m => m.sender === sender?.trim()) ?? candidates[0];
+      if (message) cited.add(message);
+    }
+  }
+
+  return [...cited].map(msg => ({
+    date: msg.date,
+    time: msg.time,
+    ...(includeNames ? { sender: msg.sender } : {}),
+    content: messageText(msg)
+  }));
+}
@@ -0,0 +1,160 @@
+import type { MessagesByDate } from '../types/index.js';
+
+/**
+ * Full-text search over a whole export
+ *
+ * An inverted index maps each word (lowercase, no accents) to the messages
+ * using it. Query words match as prefixes ("viag" finds "viagem" and
+ * "viagens") and all of them must match; "quoted text" must appear as
+ * typed, ignoring case and accents. Filters narrow by sender, dates,
+ * media and links.
+ *
+ * Compiled to public/lib and run in public/search-worker.js, so typing
+ * stays fast on 100k-message exports.
+ */
+
+export interface SearchFilters {
+  query?: string;
+  sender?: string;
+  start?: string;              // YYYY-MM-DD, inclusive
+  end?: string;
+  media?: 'any' | 'only' | 'none';
+  hasLink?: boolean;
+}
+
+/**
+ * A message of the export: messagesByDate[date][index]
+ */
+export interface MessagePosition {
+  date: string;
+  index: number;
+}
+
+export interface SearchResult {
+  total: number;
+  matches: MessagePosition[];  // Most recent first
+  terms: string[];             // Folded query words, to highlight the hits
+}
+
+export interface SearchIndex {
+  senders: string[];           // Alphabetical, for the sender filter
+  search(filters: SearchFilters): SearchResult;
+}
+
+const WORD_REGEX = /[\p{L}\p{N}]+/gu;
+const PHRASE_REGEX = /"([^"]+)"/g;
+const LINK_REGEX = /https?:\/\/|www\./i;
+
+/**
+ * Lowercase without accents, how the index stores words
+ */
+export function foldText(text: string): string {
+  return text.toLowerCase().normalize('NFD').replace(/\p{M}/gu, '');
+}
+
+function wordsOf(text: string): string[] {
+  return foldText(text).match(WORD_REGEX) ?? [];
+}
+
+/**
+ * First position in a sorted array whose value is >= target
+ */
+function lowerBound(sorted: string[], target: string): number {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < target) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+export function createSearchIndex(messagesByDate: MessagesByDate): SearchIndex {
+  // Messages get ids in chronological order
+  const positions: MessagePosition[] = [];
+  const texts: string[] = [];
+  const dates: string[] = [];
+  const senderIds: number[] = [];
+  const senderNames: string[] = [];
+  const senderIndex = new Map<string, number>();
+  const flags: number[] = [];   // 1 = media, 2 = link
+  const postings = new Map<string, number[]>();
+
+  for (const date of Object.keys(messagesByDate).sort()) {
+    messagesByDate[date].forEach((msg, index) => {
+      if (msg.sender === '__system__') return;
+
+      const id = positions.length;
+      const text = msg.attachment?.text ? `${msg.content} ${msg.attachment.text}` : msg.content;
+      positions.push({ date, index });
+      texts.push(foldText(text));
+      dates.push(date);
+
+      let senderId = senderIndex.get(msg.sender);
+      if (senderId === undefined) {
+        senderId = senderNames.length;
+        senderNames.push(msg.sender);
+        senderIndex.set(msg.sender, senderId);
+      }
+      senderIds.push(senderId);
+      flags.push((msg.isMedia ? 1 : 0) | (LINK_REGEX.test(text) ? 2 : 0));
+
+      for (const word of new Set(wordsOf(text))) {
+        const list = postings.get(word);
+        if (list) list.push(id);
+        else postings.set(word, [id]);
+      }
+    });
+  }
+
+  const vocabulary = [...postings.keys()].sort();
+
+  /**
+   * Ids of the messages with a word starting with the prefix
+   */
+  const matchPrefix = (prefix: string): Uint8Array => {
+    const marks = new Uint8Array(positions.length);
+    for (let i = lowerBound(vocabulary, prefix); i < vocabulary.length && vocabulary[i].startsWith(prefix); i++) {
+      for (const id of postings.get(vocabulary[i])!) marks[id] = 1;
+    }
+    return marks;
+  };
+
+  return {
+    senders: [...senderNames].sort((a, b) => a.localeCompare(b, 'pt-BR')),
+
+    search(filters) {
+      const query = filters.query ?? '';
+      const phrases = [...query.matchAll(PHRASE_REGEX)].map(([, phrase]) => foldText(phrase.trim())).filter(Boolean);
+      const terms = [...new Set(wordsOf(query))];
+      const senderId = filters.sender ? senderIndex.get(filters.sender) ?? -1 : undefined;
+
+      // Every word must match
+      let candidates: Uint8Array | null = null;
+      for (const term of terms) {
+        const marks = matchPrefix(term);
+        if (candidates) {
+          for (let id = 0; id < marks.length; id++) candidates[id] &= marks[id];
+        } else {
+          candidates = marks;
+        }
+      }
+
+      const matches: MessagePosition[] = [];
+      for (let id = positions.length - 1; id >= 0; id--) {
+        if (candidates && !candidates[id]) continue;
+        if (filters.start && dates[id] < filters.start) continue;
+        if (filters.end && dates[id] > filters.end) continue;
+        if (senderId !== undefined && senderIds[id] !== senderId) continue;
+        if (filters.media === 'only' && !(flags[id] & 1)) continue;
+        if (filters.media === 'none' && flags[id] & 1) continue;
+        if (filters.hasLink && !(flags[id] & 2)) continue;
+        if (phrases.some(phrase => !texts[id].includes(phrase))) continue;
+        matches.push(positions[id]);
+      }
+
+      return { total: matches.length, matches, terms };
+    }
+  };
+}
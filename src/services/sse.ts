@@ -0,0 +1,73 @@
+import type { IncomingHttpHeaders, ServerResponse } from 'http';
+
+/**
+ * Server-Sent Events helpers for the API routes
+ *
+ * Streams are opened on request with ?stream=1 or Accept: text/event-stream.
+ * Each event is a JSON payload, optionally named ("token", "done", "error").
+ */
+
+export interface EventStream {
+  send(data: unknown, event?: string): void;
+  close(): void;
+}
+
+/**
+ * Check if the client asked for a streamed response
+ */
+export function wantsEventStream(req: {
+  headers: IncomingHttpHeaders;
+  query?: Record<string, string | string[] | undefined>;
+}): boolean {
+  return req.query?.stream === '1' || (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Start an event stream on the response
+ */
+export function openEventStream(res: ServerResponse): EventStream {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  return {
+    send(data, event) {
+      if (res.writableEnded) return;
+      res.write(`${event ? `event: ${event}\n` : ''}data: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+/**
+ * Signal that fires when the client disconnects before the response is done
+ * (closed tab, cancel button), so the model call can be aborted
+ */
+export function abortOnDisconnect(res: ServerResponse): AbortSignal {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Send an error as JSON, or as an "error" event once a stream is open
+ */
+export function sendError(
+  res: ServerResponse & { status(code: number): { json(body: unknown): unknown } },
+  stream: EventStream | null,
+  status: number,
+  body: { error: string; code?: string }
+): void {
+  if (stream) {
+    stream.send({ ...body, status }, 'error');
+    stream.close();
+    return;
+  }
+  res.status(status).json(body);
+}
@@ -1,3 +1,4 @@
+import { randomUUID } from 'node:crypto';
 import type { ParsedChat } from '../types/index.js';
 
 /**
@@ -9,11 +10,10 @@ const STORE = new Map<string, ParsedChat>();
 const CLEANUP_INTERVAL = 30 * 60 * 1000; // 30 minutes
 
 /**
- * Generate a random ID for the chat
+ * Generate an unguessable ID for a chat or job
  */
 export function generateId(): string {
-  return Math.random().toString(36).substring(2, 15) + 
-         Math.random().toString(36).substring(2, 15);
+  return randomUUID();
 }
 
 /**
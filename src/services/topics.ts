@@ -0,0 +1,236 @@
+import type { ParsedMessage, TopicSummary } from '../types/index.js';
+import { formatMessagesForAI, toDisplayDate } from './parser.js';
+import { minutesBetween } from './chunker.js';
+import { searchTerms, messageText } from './retrieval.js';
+
+/**
+ * Topic segmentation (output = 'topics')
+ *
+ * Messages are first cut into runs of conversation: a new run starts on
+ * a new day, after a long pause, or after a shorter pause when the
+ * vocabulary changes. Quick replies and answers to a question stay with
+ * what they reply to. Runs of the same day that share keywords are then
+ * clustered into one topic (a subject picked up again after lunch), and
+ * stray runs of one or two messages join the topic before them.
+ *
+ * The model only writes a title and a summary per topic; times,
+ * participants and messages come from here, so the result view can show
+ * the original messages of each topic.
+ */
+
+const BURST_GAP_MINUTES = 2;        // Quick replies are never split
+const QUESTION_WINDOW_MINUTES = 60; // An answer this late still belongs to its question
+const TOPIC_SHIFT_WEIGHT = 20;      // Vocabulary change worth as much as a 20 min pause
+const TOPIC_CUT_SCORE = 25;         // Pause (min) + shift needed to start a new run
+const TOPIC_WINDOW = 5;             // Messages compared on each side of a cut
+const MIN_TOPIC_MESSAGES = 3;       // Smaller runs join the previous topic
+const MIN_SHARED_TERMS = 2;         // Runs clustered together share at least this...
+const RESUME_SIMILARITY = 0.4;      // ...and this share of the smaller run's keywords
+export const MAX_TOPICS = 20;       // Per request; the smallest topics are merged beyond it
+
+/**
+ * Format of the model's answer (JSON mode); the detail of each summary
+ * follows the level and its language the request (groq.ts)
+ */
+export const TOPICS_PROMPT = `Você é um assistente que resume conversas de grupo do WhatsApp.
+A conversa foi dividida em assuntos; cada assunto começa com uma linha "=== Assunto N (...) ===".
+Responda APENAS com um objeto JSON válido, sem texto antes ou depois, neste formato:
+{ "topics": [{ "id": 1, "title": "...", "summary": "..." }] }
+- Um item para CADA assunto, com o mesmo número em "id"
+- title: título curto (até 6 palavras) do que foi conversado
+- summary: resumo do assunto em texto corrido, sem markdown
+Não invente informações.`;
+
+function termSet(indexes: number[], terms: string[][]): Set<string> {
+  return new Set(indexes.flatMap(i => terms[i]));
+}
+
+function jaccard(a: Set<string>, b: Set<string>): number {
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return union > 0 ? shared / union : 1;
+}
+
+/**
+ * Whether the smaller set is mostly contained in the other
+ */
+function overlaps(a: Set<string>, b: Set<string>): boolean {
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared >= MIN_SHARED_TERMS && shared / Math.min(a.size, b.size) >= RESUME_SIMILARITY;
+}
+
+/**
+ * Whether order[i] starts a new run of conversation
+ */
+function startsRun(messages: ParsedMessage[], terms: string[][], order: number[], i: number): boolean {
+  const prev = messages[order[i - 1]];
+  const next = messages[order[i]];
+  if (prev.date !== next.date) return true;
+
+  const gap = minutesBetween(prev, next);
+  if (gap < BURST_GAP_MINUTES) return false;
+  if (prev.content.trim().endsWith('?') && prev.sender !== next.sender && gap < QUESTION_WINDOW_MINUTES) {
+    return false;
+  }
+
+  const before = termSet(order.slice(Math.max(0, i - TOPIC_WINDOW), i), terms);
+  const after = termSet(order.slice(i, i + TOPIC_WINDOW), terms);
+  return gap + (1 - jaccard(before, after)) * TOPIC_SHIFT_WEIGHT >= TOPIC_CUT_SCORE;
+}
+
+/**
+ * Group the messages by topic
+ * Returns the positions of each topic's messages, in chronological order,
+ * topics ordered by their first message. System messages are left out.
+ */
+export function segmentTopics(messages: ParsedMessage[], maxTopics: number = MAX_TOPICS): number[][] {
+  const order = messages.map((_, i) => i).filter(i => messages[i].sender !== '__system__');
+  const terms = messages.map(msg => msg.sender === '__system__' ? [] : searchTerms(messageText(msg)));
+
+  const runs: number[][] = [];
+  order.forEach((index, i) => {
+    if (i === 0 || startsRun(messages, terms, order, i)) runs.push([]);
+    runs[runs.length - 1].push(index);
+  });
+
+  type Topic = { date: string; indexes: number[]; terms: Set<string> };
+  const topics: Topic[] = [];
+  let previous: Topic | undefined;   // Topic of the last run
+  for (const run of runs) {
+    const date = messages[run[0]].date;
+    const runTerms = termSet(run, terms);
+
+    let target = topics.find(topic => topic.date === date && overlaps(runTerms, topic.terms));
+    if (!target && run.length < MIN_TOPIC_MESSAGES && previous?.date === date) target = previous;
+
+    if (target) {
+      target.indexes.push(...run);
+      for (const term of runTerms) target.terms.add(term);
+    } else {
+      target = { date, indexes: run, terms: runTerms };
+      topics.push(target);
+    }
+    previous = target;
+  }
+
+  // Too many for one answer: merge the smallest into a neighbour of the same day
+  while (topics.length > maxTopics) {
+    const candidates = topics
+      .map((topic, i) => ({ topic, i }))
+      .filter(({ i }) => topics[i - 1]?.date === topics[i].date || topics[i + 1]?.date === topics[i].date)
+      .sort((a, b) => a.topic.indexes.length - b.topic.indexes.length);
+    if (!candidates.length) break;
+
+    const { topic, i } = candidates[0];
+    const neighbour = topics[i - 1]?.date === topic.date ? topics[i - 1] : topics[i + 1];
+    neighbour.indexes = [...neighbour.indexes, ...topic.indexes].sort((a, b) => a - b);
+    topics.splice(i, 1);
+  }
+
+  return topics.map(topic => topic.indexes);
+}
+
+/**
+ * Topics as the model reads them, each under its own header
+ */
+export function formatTopicsForAI(messages: ParsedMessage[], topics: number[][], includeNames: boolean): string {
+  return topics.map((indexes, i) => {
+    const first = messages[indexes[0]];
+    const last = messages[indexes[indexes.length - 1]];
+    return `=== Assunto ${i + 1} (${toDisplayDate(first.date)} ${first.time}–${last.time}) ===\n` +
+      formatMessagesForAI(indexes.map(index => messages[index]), includeNames);
+  }).join('\n\n');
+}
+
+/**
+ * Parse the model's answer: a title and summary for each of the topicCount topics
+ */
+export function parseTopicTexts(
+  raw: string,
+  topicCount: number
+): { ok: true; value: Array<{ title: string; summary: string }> } | { ok: false; errors: string[] } {
+  const json = raw.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let value: unknown;
+  try {
+    value = JSON.parse(json);
+  } catch (err) {
+    return { ok: false, errors: [`JSON inválido: ${err instanceof Error ? err.message : String(err)}`] };
+  }
+
+  const list = (value as { topics?: unknown } | null)?.topics;
+  if (!Array.isArray(list)) {
+    return { ok: false, errors: ['a resposta deve ser um objeto com a lista "topics"'] };
+  }
+
+  const errors: string[] = [];
+  const texts = new Map<number, { title: string; summary: string }>();
+  list.forEach((item, i) => {
+    const { id, title, summary } = (item ?? {}) as Record<string, unknown>;
+    if (typeof id !== 'number' || !Number.isInteger(id) || id < 1 || id > topicCount) {
+      errors.push(`topics[${i}].id deve ser um número de 1 a ${topicCount}`);
+    } else if (typeof title !== 'string' || !title.trim() || typeof summary !== 'string' || !summary.trim()) {
+      errors.push(`topics[${i}] deve ter "title" e "summary" não vazios`);
+    } else {
+      texts.set(id, { title: title.trim(), summary: summary.trim() });
+    }
+  });
+  for (let id = 1; id <= topicCount; id++) {
+    if (!texts.has(id) && !errors.length) errors.push(`falta o assunto ${id}`);
+  }
+
+  if (errors.length > 0) {
+    return { ok: false, errors };
+  }
+  return { ok: true, value: Array.from({ length: topicCount }, (_, i) => texts.get(i + 1)!) };
+}
+
+/**
+ * Topics with their times, participants and messages
+ */
+export function buildTopics(
+  messages: ParsedMessage[],
+  topics: number[][],
+  texts: Array<{ title: string; summary: string }>,
+  includeNames: boolean
+): TopicSummary[] {
+  return topics.map((indexes, i) => {
+    const first = messages[indexes[0]];
+    const last = messages[indexes[indexes.length - 1]];
+    return {
+      ...texts[i],
+      date: first.date,
+      start: first.time,
+      end: last.time,
+      participants: includeNames ? [...new Set(indexes.map(index => messages[index].sender))] : [],
+      messages: indexes
+    };
+  });
+}
+
+/**
+ * Shift the message positions of topics found in a chunk starting at offset
+ */
+export function offsetTopics(topics: TopicSummary[], offset: number): TopicSummary[] {
+  return topics.map(topic => ({ ...topic, messages: topic.messages.map(index => index + offset) }));
+}
+
+/**
+ * Render topics as markdown (for copy/share)
+ */
+export function topicsToMarkdown(topics: TopicSummary[]): string {
+  if (!topics.length) return 'Nenhum assunto encontrado.';
+
+  return topics.map(topic => {
+    const count = `${topic.messages.length} ${topic.messages.length === 1 ? 'mensagem' : 'mensagens'}`;
+    const time = topic.start === topic.end ? topic.start : `${topic.start}–${topic.end}`;
+    const details = [`${toDisplayDate(topic.date)} ${time}`, count];
+    if (topic.participants.length) details.push(topic.participants.join(', '));
+    return `## ${topic.title}\n${details.join(' • ')}\n\n${topic.summary}`;
+  }).join('\n\n');
+}
@@ -0,0 +1,414 @@
+import type {
+  ParsedMessage,
+  Attachment,
+  AttachmentKind,
+  AskTurn,
+  DateRange,
+  EstimateMode,
+  JobRequest,
+  ModelType,
+  OutputLanguage,
+  OutputMode,
+  PrivacyMode,
+  StructuredSummary,
+  SummaryLevel
+} from '../types/index.js';
+import { ApiError } from './errors.js';
+import { isSummaryLevel, isPrivacyMode, isModelType, DEFAULT_MODEL } from './groq.js';
+import { isOutputMode, validateStructuredSummary } from './extraction.js';
+import { isOutputLanguage } from './language.js';
+import { isDateRange } from './dateExtractor.js';
+import { resolveTemplate } from './templates.js';
+import type { ResolvedTemplate } from './templates.js';
+import type { EstimateOptions } from './estimate.js';
+
+/**
+ * Request body validation, shared by the API routes
+ *
+ * Fields left out get their defaults; fields sent with a wrong value are
+ * rejected (INVALID_REQUEST, one detail per problem) instead of being
+ * silently replaced. Sizes are capped with PAYLOAD_TOO_LARGE. Parsers
+ * throw ApiError, which the routes answer with sendApiError.
+ */
+
+export const MAX_MESSAGES = 100_000;
+export const MAX_MESSAGE_LENGTH = 65_536;
+export const MAX_ATTACHMENT_TEXT_LENGTH = 8_192;  // Texts read from media are cut at 4000 (media.ts)
+export const MAX_SENDER_LENGTH = 200;
+export const MAX_SENDERS = 10_000;
+export const MAX_SUMMARIES = 200;
+export const MAX_SUMMARY_LENGTH = 20_000;
+export const MAX_QUESTION_LENGTH = 500;
+export const MAX_HISTORY_TURNS = 20;
+
+// Enough to fix a request, without answering with the whole body
+const MAX_DETAILS = 10;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^\d{2}:\d{2}$/;
+const ATTACHMENT_KINDS = new Set<AttachmentKind>(['audio', 'image', 'video', 'document', 'sticker', 'other']);
+
+type Body = Record<string, unknown>;
+
+export interface SummarizeParams {
+  messages: ParsedMessage[];
+  context: ParsedMessage[];
+  level: SummaryLevel;
+  privacy: PrivacyMode;
+  model: ModelType;
+  output: OutputMode;
+  language: OutputLanguage;
+  template: ResolvedTemplate;
+  isPartial: boolean;
+  range?: DateRange;
+}
+
+export type MergeParams =
+  | { output: 'structured'; extractions: StructuredSummary[] }
+  | {
+      output: 'summary' | 'topics';
+      summaries: string[];
+      level: SummaryLevel;
+      privacy: PrivacyMode;
+      language: OutputLanguage;
+      template: ResolvedTemplate;
+      range?: DateRange;
+      ranges?: DateRange[];
+      senders: string[];
+    };
+
+export interface AskParams {
+  question: string;
+  messages: ParsedMessage[];
+  privacy: PrivacyMode;
+  model: ModelType;
+  language: OutputLanguage;
+  history: AskTurn[];
+}
+
+export interface EstimateParams extends EstimateOptions {
+  messages: ParsedMessage[];
+  output: OutputMode;
+  mode: EstimateMode;
+}
+
+function isObject(value: unknown): value is Record<string, unknown> {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function invalid(details: string[]): ApiError {
+  return new ApiError('INVALID_REQUEST', { details: details.slice(0, MAX_DETAILS) });
+}
+
+function tooLarge(detail: string): ApiError {
+  return new ApiError('PAYLOAD_TOO_LARGE', { details: [detail] });
+}
+
+/**
+ * The body as an object (JSON bodies only)
+ */
+function requireBody(value: unknown): Body {
+  if (!isObject(value)) throw invalid(['o corpo deve ser um objeto JSON']);
+  return value;
+}
+
+/**
+ * Optional field: the fallback when absent (undefined or null), the value
+ * when valid, otherwise a problem is recorded
+ */
+function optional<T>(
+  body: Body,
+  key: string,
+  isValid: (value: unknown) => value is T,
+  fallback: T,
+  expected: string,
+  errors: string[]
+): T {
+  const value = body[key];
+  if (value === undefined || value === null) return fallback;
+  if (isValid(value)) return value;
+  errors.push(`${key}: ${expected}`);
+  return fallback;
+}
+
+function isBoolean(value: unknown): value is boolean {
+  return typeof value === 'boolean';
+}
+
+function isEstimateMode(value: unknown): value is EstimateMode {
+  return value === 'full' || value === 'quick';
+}
+
+/**
+ * Problems of one message, with its path ("messages[3].time")
+ */
+function messageErrors(value: unknown, path: string): string[] {
+  if (!isObject(value)) return [`${path}: deve ser um objeto`];
+
+  const { date, time, sender, content, isMedia, attachment } = value;
+  const errors: string[] = [];
+  if (typeof date !== 'string' || !DATE_REGEX.test(date)) errors.push(`${path}.date: deve ser AAAA-MM-DD`);
+  if (typeof time !== 'string' || !TIME_REGEX.test(time)) errors.push(`${path}.time: deve ser HH:MM`);
+  if (typeof sender !== 'string' || sender.length > MAX_SENDER_LENGTH) {
+    errors.push(`${path}.sender: texto de até ${MAX_SENDER_LENGTH} caracteres`);
+  }
+  if (typeof content !== 'string') errors.push(`${path}.content: deve ser um texto`);
+  if (typeof isMedia !== 'boolean') errors.push(`${path}.isMedia: deve ser true ou false`);
+  if (attachment !== undefined && (
+    !isObject(attachment) ||
+    typeof attachment.fileName !== 'string' ||
+    !ATTACHMENT_KINDS.has(attachment.kind as AttachmentKind) ||
+    (attachment.text !== undefined && typeof attachment.text !== 'string')
+  )) {
+    errors.push(`${path}.attachment: deve ter "fileName" e "kind"`);
+  }
+  return errors;
+}
+
+/**
+ * A validated message, without fields the API doesn't know
+ */
+function normalizeMessage(value: Record<string, unknown>): ParsedMessage {
+  const message: ParsedMessage = {
+    date: value.date as string,
+    time: value.time as string,
+    sender: value.sender as string,
+    content: value.content as string,
+    isMedia: value.isMedia as boolean
+  };
+  if (isObject(value.attachment)) {
+    const { fileName, kind, text } = value.attachment as unknown as Attachment;
+    message.attachment = text === undefined ? { fileName, kind } : { fileName, kind, text };
+  }
+  return message;
+}
+
+/**
+ * A list of messages; `required` lists can't be absent or empty (NO_MESSAGES)
+ */
+function parseMessages(value: unknown, key: string, required: boolean): ParsedMessage[] {
+  if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) {
+    if (required) throw new ApiError('NO_MESSAGES');
+    return [];
+  }
+  if (!Array.isArray(value)) throw invalid([`${key}: deve ser uma lista de mensagens`]);
+  if (value.length > MAX_MESSAGES) {
+    throw tooLarge(`${key}: no máximo ${MAX_MESSAGES} mensagens por requisição`);
+  }
+
+  const errors: string[] = [];
+  for (let i = 0; i < value.length && errors.length < MAX_DETAILS; i++) {
+    errors.push(...messageErrors(value[i], `${key}[${i}]`));
+  }
+  if (errors.length > 0) throw invalid(errors);
+
+  const long = value.findIndex(m => (m.content as string).length > MAX_MESSAGE_LENGTH);
+  if (long !== -1) {
+    throw tooLarge(`${key}[${long}].content: no máximo ${MAX_MESSAGE_LENGTH} caracteres`);
+  }
+  const longText = value.findIndex(m => ((m.attachment as Attachment | undefined)?.text?.length ?? 0) > MAX_ATTACHMENT_TEXT_LENGTH);
+  if (longText !== -1) {
+    throw tooLarge(`${key}[${longText}].attachment.text: no máximo ${MAX_ATTACHMENT_TEXT_LENGTH} caracteres`);
+  }
+  return value.map(normalizeMessage);
+}
+
+/**
+ * The template of a summary (its errors keep the INVALID_TEMPLATE code)
+ */
+function parseTemplate(ref: unknown, level: SummaryLevel): ResolvedTemplate {
+  const resolved = resolveTemplate(ref, level);
+  if (!resolved.ok) throw new ApiError('INVALID_TEMPLATE', { details: resolved.errors });
+  return resolved.value;
+}
+
+/**
+ * Options shared by summaries, merges and jobs
+ */
+function parseSummaryOptions(body: Body, errors: string[]) {
+  return {
+    level: optional(body, 'level', isSummaryLevel, 3, 'deve ser 1, 2, 3 ou 4', errors),
+    privacy: optional(body, 'privacy', isPrivacyMode, 'smart', 'deve ser "anonymous", "with-names" ou "smart"', errors),
+    output: optional(body, 'output', isOutputMode, 'summary', 'deve ser "summary", "structured" ou "topics"', errors),
+    language: optional(body, 'language', isOutputLanguage, 'auto', 'deve ser "auto", "pt", "en" ou "es"', errors),
+    range: optional<DateRange | undefined>(body, 'range', isDateRange, undefined, 'deve ter "start" e "end" (AAAA-MM-DD)', errors)
+  };
+}
+
+function parseModel(body: Body, errors: string[]): ModelType {
+  return optional(body, 'model', isModelType, DEFAULT_MODEL, 'deve ser "fast", "balanced" ou "powerful"', errors);
+}
+
+/**
+ * POST /api/summarize
+ */
+export function parseSummarizeRequest(value: unknown): SummarizeParams {
+  const body = requireBody(value);
+  const errors: string[] = [];
+  const options = parseSummaryOptions(body, errors);
+  const model = parseModel(body, errors);
+  const isPartial = optional(body, 'isPartial', isBoolean, false, 'deve ser true ou false', errors);
+  if (errors.length > 0) throw invalid(errors);
+
+  const messages = parseMessages(body.messages, 'messages', true);
+  const context = parseMessages(body.context, 'context', false);
+  if (messages.length + context.length > MAX_MESSAGES) {
+    throw tooLarge(`no máximo ${MAX_MESSAGES} mensagens por requisição, contexto incluído`);
+  }
+
+  // Templates only shape free-form summaries
+  const template = parseTemplate(options.output === 'summary' ? body.template : undefined, options.level);
+  return { ...options, messages, context, model, template, isPartial };
+}
+
+/**
+ * POST /api/merge
+ * Structured output merges `extractions`, the others `summaries`
+ */
+export function parseMergeRequest(value: unknown): MergeParams {
+  const body = requireBody(value);
+  const errors: string[] = [];
+  const options = parseSummaryOptions(body, errors);
+  const ranges = body.ranges ?? undefined;
+  if (ranges !== undefined && (!Array.isArray(ranges) || !ranges.every(isDateRange))) {
+    errors.push('ranges: deve ser uma lista de períodos com "start" e "end" (AAAA-MM-DD)');
+  }
+  const senders = body.senders ?? [];
+  if (!Array.isArray(senders) || senders.length > MAX_SENDERS ||
+      !senders.every(sender => typeof sender === 'string' && sender.length <= MAX_SENDER_LENGTH)) {
+    errors.push(`senders: lista de até ${MAX_SENDERS} nomes de até ${MAX_SENDER_LENGTH} caracteres`);
+  }
+  if (errors.length > 0) throw invalid(errors);
+
+  const list = options.output === 'structured' ? body.extractions : body.summaries;
+  const key = options.output === 'structured' ? 'extractions' : 'summaries';
+  if (!Array.isArray(list) || list.length === 0) {
+    throw invalid([`${key}: deve ser uma lista com pelo menos um item`]);
+  }
+  if (list.length > MAX_SUMMARIES) throw tooLarge(`${key}: no máximo ${MAX_SUMMARIES} itens`);
+
+  if (options.output === 'structured') {
+    const extractions: StructuredSummary[] = [];
+    list.forEach((item, i) => {
+      const validated = validateStructuredSummary(item);
+      if (validated.ok) extractions.push(validated.value);
+      else errors.push(...validated.errors.map(error => `extractions[${i}]: ${error}`));
+    });
+    if (errors.length > 0) throw invalid(errors);
+    return { output: 'structured', extractions };
+  }
+
+  list.forEach((summary, i) => {
+    if (typeof summary !== 'string') errors.push(`summaries[${i}]: deve ser um texto`);
+  });
+  if (errors.length > 0) throw invalid(errors);
+  const long = list.findIndex(summary => summary.length > MAX_SUMMARY_LENGTH);
+  if (long !== -1) throw tooLarge(`summaries[${long}]: no máximo ${MAX_SUMMARY_LENGTH} caracteres`);
+
+  return {
+    ...options,
+    output: options.output,
+    summaries: list as string[],
+    template: parseTemplate(body.template, options.level),
+    ranges: ranges as DateRange[] | undefined,
+    senders: senders as string[]
+  };
+}
+
+/**
+ * POST /api/jobs
+ * The template is checked here; the job resolves it again when it runs
+ */
+export function parseJobRequest(value: unknown): JobRequest {
+  const body = requireBody(value);
+  const errors: string[] = [];
+  const options = parseSummaryOptions(body, errors);
+  const model = parseModel(body, errors);
+  if (errors.length > 0) throw invalid(errors);
+
+  const messages = parseMessages(body.messages, 'messages', true);
+  const template = options.output === 'summary' ? body.template ?? undefined : undefined;
+  parseTemplate(template, options.level);
+  return { ...options, messages, model, template: template as JobRequest['template'] };
+}
+
+/**
+ * POST /api/ask
+ */
+export function parseAskRequest(value: unknown): AskParams {
+  const body = requireBody(value);
+  const errors: string[] = [];
+  const privacy = optional(body, 'privacy', isPrivacyMode, 'smart', 'deve ser "anonymous", "with-names" ou "smart"', errors);
+  const model = parseModel(body, errors);
+  const language = optional(body, 'language', isOutputLanguage, 'auto', 'deve ser "auto", "pt", "en" ou "es"', errors);
+
+  const { question } = body;
+  if (typeof question !== 'string' || !question.trim()) {
+    errors.push('question: deve ser um texto');
+  } else if (question.length > MAX_QUESTION_LENGTH) {
+    throw tooLarge(`question: no máximo ${MAX_QUESTION_LENGTH} caracteres`);
+  }
+
+  const history = body.history ?? [];
+  if (!Array.isArray(history)) {
+    errors.push('history: deve ser uma lista de perguntas e respostas');
+  } else {
+    history.forEach((turn, i) => {
+      if (!isObject(turn) || typeof turn.question !== 'string' || typeof turn.answer !== 'string') {
+        errors.push(`history[${i}]: deve ter "question" e "answer"`);
+      }
+    });
+  }
+  if (errors.length > 0) throw invalid(errors);
+
+  const turns = history as AskTurn[];
+  if (turns.length > MAX_HISTORY_TURNS) throw tooLarge(`history: no máximo ${MAX_HISTORY_TURNS} perguntas anteriores`);
+  if (turns.some(turn => turn.question.length + turn.answer.length > MAX_SUMMARY_LENGTH)) {
+    throw tooLarge(`history: no máximo ${MAX_SUMMARY_LENGTH} caracteres por pergunta e resposta`);
+  }
+
+  return {
+    question: (question as string).trim(),
+    messages: parseMessages(body.messages, 'messages', true),
+    privacy,
+    model,
+    language,
+    history: turns.map(({ question, answer }) => ({ question, answer }))
+  };
+}
+
+/**
+ * POST /api/analytics
+ */
+export function parseAnalyticsRequest(value: unknown): { messages: ParsedMessage[]; range?: DateRange } {
+  const body = requireBody(value);
+  const errors: string[] = [];
+  const range = optional<DateRange | undefined>(body, 'range', isDateRange, undefined, 'deve ter "start" e "end" (AAAA-MM-DD)', errors);
+  if (errors.length > 0) throw invalid(errors);
+  return { messages: parseMessages(body.messages, 'messages', true), range };
+}
+
+/**
+ * POST /api/estimate
+ */
+export function parseEstimateRequest(value: unknown): EstimateParams {
+  const body = requireBody(value);
+  const errors: string[] = [];
+  const { level, output, range } = parseSummaryOptions(body, errors);
+  const model = parseModel(body, errors);
+  const mode = optional<EstimateMode>(body, 'mode', isEstimateMode, 'full', 'deve ser "full" ou "quick"', errors);
+  if (errors.length > 0) throw invalid(errors);
+  return { messages: parseMessages(body.messages, 'messages', true), level, model, output, range, mode };
+}
+
+/**
+ * POST /api/media (size and kind are checked by the route)
+ */
+export function parseMediaRequest(value: unknown): { fileName: string; data: string } {
+  const body = requireBody(value);
+  const { fileName, data } = body;
+  if (typeof fileName !== 'string' || !fileName || typeof data !== 'string' || !data) {
+    throw new ApiError('NO_FILE', { details: ['envie "fileName" e "data" (base64)'] });
+  }
+  return { fileName, data };
+}
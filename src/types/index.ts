@@ -6,10 +6,49 @@ export interface WhatsAppMessage {
   time: string;        // Format: HH:MM
   sender: string;      // Contact name or phone number
   content: string;     // Message content
-  isMedia: boolean;    // True if message is "<Mídia oculta>"
+  isMedia: boolean;    // True if message is "<Mídia oculta>" or an attachment
+  attachment?: Attachment; // File sent with the message (exports "with media")
   rawLine: string;     // Original line from file
 }
 
+export type AttachmentKind = 'audio' | 'image' | 'video' | 'document' | 'sticker' | 'other';
+
+/**
+ * File referenced by a message, e.g. "PTT-20261019-WA0003.opus (arquivo anexado)"
+ * The content of the message keeps only the caption, if any.
+ */
+export interface Attachment {
+  fileName: string;    // Name of the file inside the ZIP export
+  kind: AttachmentKind;
+  text?: string;       // Transcript / extracted text, filled by the media pipeline
+}
+
+/**
+ * Message as exchanged with the client (without the raw export line)
+ */
+export type ParsedMessage = Omit<WhatsAppMessage, 'rawLine'>;
+
+/**
+ * Parsed messages grouped by date (YYYY-MM-DD)
+ */
+export interface MessagesByDate {
+  [date: string]: ParsedMessage[];
+}
+
+/**
+ * Export dialect detected from the message headers
+ * Android: "19/10/2026 14:03 - Sender: text"
+ * iOS:     "[19/10/26, 14:03:22] Sender: text"
+ */
+export interface ChatFormat {
+  platform: 'android' | 'ios';   // iOS exports wrap the timestamp in [brackets]
+  dateOrder: 'DMY' | 'MDY' | 'YMD';
+  dateSeparator: '/' | '.' | '-';
+  yearDigits: 2 | 4;
+  clock: '12h' | '24h';
+  hasSeconds: boolean;
+}
+
 /**
  * Information about messages for a specific date
  */
@@ -28,6 +67,7 @@ export interface ParsedChat {
   messages: WhatsAppMessage[];
   dateIndex: Map<string, number[]>; // date -> array of message indices
   dates: DateInfo[];
+  format: ChatFormat | null;
   uploadedAt: number;    // Timestamp for cleanup
 }
 
@@ -35,8 +75,9 @@ export interface ParsedChat {
  * Upload API response
  */
 export interface UploadResponse {
-  id: string;
-  recentDates: DateInfo[];
+  messagesByDate: MessagesByDate;
+  dates: DateInfo[];
+  format: ChatFormat | null;
   totalDays: number;
   oldestDate: string;
   newestDate: string;
@@ -50,14 +91,118 @@ export interface DatesResponse {
   dates: DateInfo[];
 }
 
+/**
+ * Inclusive date range (YYYY-MM-DD), start === end for a single day
+ */
+export interface DateRange {
+  start: string;
+  end: string;
+}
+
+/**
+ * Output modes
+ * summary = free-form markdown, structured = JSON with decisions/tasks/events,
+ * topics = one summary per topic found in the conversation (topics.ts)
+ */
+export type OutputMode = 'summary' | 'structured' | 'topics';
+
 /**
  * Summary request body
  */
 export interface SummarizeRequest {
-  id: string;
-  date: string;
+  messages: ParsedMessage[];
+  level: SummaryLevel;
+  privacy: PrivacyMode;
+  model?: ModelType;
+  output?: OutputMode;
+  language?: OutputLanguage;
+  template?: TemplateRef;   // Summaries only; defaults to the level's
+  isPartial?: boolean;
+  range?: DateRange;        // Whole selection; defaults to the messages' dates
+  context?: ParsedMessage[];  // Previous messages for continuity (not summarized)
+}
+
+/**
+ * Merge request body
+ * Structured output merges `extractions` instead of `summaries`
+ */
+export interface MergeRequest {
+  summaries: string[];
   level: SummaryLevel;
   privacy: PrivacyMode;
+  output?: OutputMode;
+  language?: OutputLanguage;
+  template?: TemplateRef;
+  extractions?: StructuredSummary[];
+  range?: DateRange;        // Whole selection
+  ranges?: DateRange[];     // Dates covered by each partial summary
+  senders?: string[];       // Participants, so their names in the summaries are pseudonymized too
+}
+
+/**
+ * Message an extracted item came from
+ */
+export interface SourceRef {
+  date: string | null;     // YYYY-MM-DD, when the chat spans several days
+  time: string;            // HH:MM
+  sender: string | null;   // null in anonymous mode
+}
+
+export interface ExtractedDecision {
+  text: string;
+  source: SourceRef;
+}
+
+export interface ExtractedTask {
+  task: string;
+  owner: string | null;
+  due: string | null;      // As mentioned in the chat ("sexta", "20/10")
+  source: SourceRef;
+}
+
+export interface ExtractedEvent {
+  title: string;
+  date: string | null;
+  time: string | null;
+  place: string | null;
+  source: SourceRef;
+}
+
+export interface ExtractedLink {
+  url: string;
+  description: string | null;
+  source: SourceRef;
+}
+
+export interface ExtractedQuestion {
+  question: string;
+  source: SourceRef;
+}
+
+/**
+ * Structured extraction result (output = 'structured')
+ */
+export interface StructuredSummary {
+  decisions: ExtractedDecision[];
+  tasks: ExtractedTask[];
+  events: ExtractedEvent[];
+  links: ExtractedLink[];
+  unansweredQuestions: ExtractedQuestion[];
+}
+
+/**
+ * A topic of the conversation, summarized on its own (output = 'topics')
+ * Topics never cross days; a topic picked up again later the same day
+ * keeps all its messages.
+ */
+export interface TopicSummary {
+  title: string;
+  summary: string;
+  date: string;            // YYYY-MM-DD
+  start: string;           // HH:MM of the first message
+  end: string;             // HH:MM of the last message
+  participants: string[];  // Empty in anonymous mode
+  messages: number[];      // Positions of its messages in the messages sent
 }
 
 /**
@@ -74,35 +219,319 @@ export type SummaryLevel = 1 | 2 | 3 | 4;
  */
 export type PrivacyMode = 'anonymous' | 'with-names' | 'smart';
 
+/**
+ * Model tiers available to the client
+ * fast = llama-3.1-8b-instant, balanced = llama-3.3-70b, powerful = llama-4-scout
+ */
+export type ModelType = 'fast' | 'balanced' | 'powerful';
+
+/**
+ * Language the summary is written in (language.ts)
+ * 'auto' follows the language of the chat
+ */
+export type SummaryLanguage = 'pt' | 'en' | 'es';
+export type OutputLanguage = 'auto' | SummaryLanguage;
+
+/**
+ * What a summary covers and how it is laid out (templates.ts)
+ * The level still sets its length
+ */
+export interface SummaryTemplate {
+  id: string;
+  name: string;
+  instructions: string;
+}
+
+/**
+ * Template of a request: a built-in id, or a template created by the user
+ * (kept in the browser and sent whole)
+ */
+export type TemplateRef = string | SummaryTemplate;
+
 /**
  * Summary API response
  */
 export interface SummarizeResponse {
   summary: string;
+  structured?: StructuredSummary;   // Only with output = 'structured'
+  topics?: TopicSummary[];          // Only with output = 'topics'
   stats: {
     totalMessages: number;
+    originalCount: number;
     participants: number;
     tokensUsed: number;
-    chunks: number;
     processingTime: number;
+    wasLimited: boolean;
+    droppedMessages: number;  // Messages over the token budget, left out
+    maxTokens: number;
+    model: ModelType;
+    language: SummaryLanguage;
+    range: DateRange;
+    cached: boolean;          // Answered from the server cache, no tokens spent
   };
 }
 
 /**
- * Summary level configuration
+ * Merge API response
  */
-export interface SummaryLevelConfig {
-  name: string;
-  description: string;
-  maxTokens: number;
-  systemPrompt: string;
+export interface MergeResponse {
+  summary: string;
+  structured?: StructuredSummary;
+  stats: {
+    tokensUsed: number;
+    cached: boolean;
+  };
+}
+
+/**
+ * A previous question and answer, for follow-ups
+ * (answers as the model wrote them, still pseudonymized)
+ */
+export interface AskTurn {
+  question: string;
+  answer: string;
 }
 
 /**
- * Error response
+ * Question about the selected messages
+ */
+export interface AskRequest {
+  question: string;
+  messages: ParsedMessage[];
+  privacy?: PrivacyMode;
+  model?: ModelType;
+  language?: OutputLanguage;  // Of the answer; 'auto' (default) follows the chat
+  history?: AskTurn[];
+}
+
+/**
+ * Message supporting an answer (no sender in anonymous mode)
+ */
+export interface AskCitation {
+  date: string;
+  time: string;
+  sender?: string;
+  content: string;
+}
+
+/**
+ * Ask API response
+ */
+export interface AskResponse {
+  answer: string;
+  citations: AskCitation[];
+  stats: {
+    totalMessages: number;
+    retrieved: number;     // Messages sent to the model
+    hits: number;          // Messages matching the question's words
+    method: 'bm25' | 'hybrid';
+    tokensUsed: number;
+    cached: boolean;
+    processingTime: number;
+  };
+}
+
+/**
+ * How a summary is run: every chunk and the merges ('full') or one call
+ * on a sample of the messages ('quick')
+ */
+export type EstimateMode = 'full' | 'quick';
+
+/**
+ * Estimate request body: the summary request it is for
+ */
+export interface EstimateRequest {
+  messages: ParsedMessage[];
+  level?: SummaryLevel;
+  model?: ModelType;
+  output?: OutputMode;
+  range?: DateRange;
+  mode?: EstimateMode;
+}
+
+/**
+ * Estimate API response (src/services/estimate.ts)
+ * Tokens and time are upper bounds: every answer at its full budget
+ */
+export interface SummaryEstimate {
+  model: ModelType;
+  mode: EstimateMode;
+  messages: number;        // Messages read (a sample in quick mode)
+  chunks: number;          // Chunk calls
+  merges: number;          // Merge calls, in rounds
+  inputTokens: number;
+  outputTokens: number;
+  seconds: number;         // Expected time, waits for the tokens-per-minute limit included
+  fitsFreeTier: boolean;   // Every call within the model's free TPM, the job within its daily tokens
+}
+
+/**
+ * Media API request: an attachment from the ZIP export
+ */
+export interface MediaRequest {
+  fileName: string;
+  data: string;          // File content, base64
+}
+
+/**
+ * Media API response
+ */
+export interface MediaResponse {
+  text: string;          // Transcript / extracted text
+  kind: AttachmentKind;
+  cached: boolean;
+}
+
+/**
+ * What the server can read (GET /api/media)
+ */
+export interface MediaInfoResponse {
+  backend: string;
+  kinds: AttachmentKind[];   // Empty when media processing is disabled
+  maxBytes: number;
+}
+
+/**
+ * Stable error codes of the API (catalog in src/services/errors.ts)
+ */
+export type ErrorCode =
+  | 'METHOD_NOT_ALLOWED'
+  | 'NOT_FOUND'
+  | 'INVALID_REQUEST'
+  | 'NO_FILE'
+  | 'EMPTY_FILE'
+  | 'INVALID_FORMAT'
+  | 'NO_MESSAGES'
+  | 'INVALID_TEMPLATE'
+  | 'PAYLOAD_TOO_LARGE'
+  | 'UNSUPPORTED_MEDIA'
+  | 'MEDIA_TOO_LARGE'
+  | 'JOB_NOT_FOUND'
+  | 'FORBIDDEN_ORIGIN'
+  | 'TOO_MANY_REQUESTS'
+  | 'QUOTA_EXCEEDED'
+  | 'INVALID_API_KEY'
+  | 'RATE_LIMITED'
+  | 'PROVIDER_TIMEOUT'
+  | 'PROVIDER_UNAVAILABLE'
+  | 'BAD_MODEL_RESPONSE'
+  | 'PROCESSING_ERROR';
+
+/**
+ * Error response (also the payload of "error" events, with the status)
  */
 export interface ErrorResponse {
   error: string;
-  code: string;
+  code: ErrorCode;
+  details?: string[];    // What was wrong with the request
+  retryAfter?: number;   // Seconds to wait before trying again (limits and quotas)
+}
+
+/**
+ * Summarization job states (server-side map-reduce pipeline)
+ */
+export type JobStatus = 'queued' | 'running' | 'merging' | 'done' | 'failed' | 'cancelled';
+
+/**
+ * Create job request body (POST /api/jobs)
+ */
+export interface JobRequest {
+  messages: ParsedMessage[];
+  level: SummaryLevel;
+  privacy: PrivacyMode;
+  model?: ModelType;
+  output?: OutputMode;
+  language?: OutputLanguage;
+  template?: TemplateRef;
+  range?: DateRange;
+}
+
+/**
+ * Job state as returned by GET /api/jobs?id=...
+ */
+export interface JobInfo {
+  id: string;
+  status: JobStatus;
+  createdAt: number;
+  updatedAt: number;
+  progress: {
+    totalChunks: number;
+    completedChunks: number;
+    retries: number;
+    mergeRound: number;       // 0 while summarizing chunks
+    waitingMs: number;        // > 0 while backing off for rate limits
+  };
+  partials: string[];         // Finished chunk summaries by chunk index ('' while pending)
+  result?: {
+    summary: string;
+    structured?: StructuredSummary;
+    topics?: TopicSummary[];
+    stats: {
+      totalMessages: number;
+      participants: number;
+      tokensUsed: number;
+      chunks: number;
+      merges: number;
+      cachedCalls: number;    // Chunk/merge calls answered from the cache
+      processingTime: number;
+      language: SummaryLanguage;
+      range: DateRange;
+    };
+  };
+  error?: string;
+  errorCode?: ErrorCode;
 }
 
+/**
+ * Activity of one participant in the analyzed range
+ */
+export interface ParticipantStats {
+  sender: string;
+  messages: number;
+  media: number;
+  words: number;
+  firstDate: string;          // YYYY-MM-DD
+  lastDate: string;
+}
+
+/**
+ * A run of messages without long pauses (one conversation)
+ */
+export interface ThreadStats {
+  date: string;
+  start: string;              // HH:MM
+  end: string;
+  messages: number;
+  participants: number;
+  preview: string;            // First text message
+}
+
+/**
+ * Someone joining or leaving, from the export's system messages
+ */
+export interface MembershipEvent {
+  date: string;
+  time: string;
+  type: 'joined' | 'left';
+  name: string;
+  by: string | null;          // Admin who added/removed them, if any
+}
+
+/**
+ * Analytics for a range (trend covers every message given)
+ * POST /api/analytics
+ */
+export interface ChatAnalytics {
+  range: DateRange;
+  totalMessages: number;
+  mediaMessages: number;
+  mediaShare: number;         // 0..1
+  participants: ParticipantStats[];     // Most active first
+  heatmap: number[][];        // [weekday 0 = Sunday][hour] -> messages
+  hourly: number[];           // Messages per hour of day (24)
+  topHours: Array<{ hour: number; messages: number }>;
+  longestThreads: ThreadStats[];
+  membership: MembershipEvent[];
+  trend: Array<{ date: string; messages: number; participants: number }>;
+  trendUnit: 'day' | 'week';  // Weeks (starting Monday) for long exports
+}
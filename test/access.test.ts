@@ -0,0 +1,291 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockProvider, setProvider } from '../src/services/llm.js';
+import { ApiError } from '../src/services/errors.js';
+import type { RedisLikeClient } from '../src/services/cache.js';
+import {
+  createAccessGuard,
+  createAccessGuardFromEnv,
+  createMemoryLimitStore,
+  createNullLimitStore,
+  createRedisLimitStore,
+  isAllowedOrigin,
+  clientIp
+} from '../src/services/access.js';
+import type { AccessLimits, LimitStore } from '../src/services/access.js';
+import { createRequest } from './helpers.js';
+
+const LIMITS: AccessLimits = {
+  allowedOrigins: [],
+  requestsPerMinute: 3,
+  ipRequestsPerMinute: 5,
+  dailyTokens: 1000,
+  ipDailyTokens: 1500,
+  totalDailyTokens: Infinity,
+  sessionsPerIp: 2,
+  trustedProxies: 1,
+  allowUserKeys: true
+};
+
+const SESSION_A = 'aaaaaaaa-1111-2222-3333-444444444444';
+const SESSION_B = 'bbbbbbbb-1111-2222-3333-444444444444';
+const USER_KEY = `gsk_${'x'.repeat(52)}`;
+
+function request(headers: Record<string, string> = {}) {
+  return createRequest({ headers: { 'x-forwarded-for': '203.0.113.7', ...headers } });
+}
+
+/**
+ * Assert that admitting throws an ApiError with this code
+ */
+async function assertRefused(admit: Promise<unknown>, code: string): Promise<ApiError> {
+  let error: unknown;
+  await admit.catch(err => { error = err; });
+  assert.ok(error instanceof ApiError, `expected ${code}`);
+  assert.equal(error.code, code);
+  return error;
+}
+
+describe('createAccessGuard', () => {
+  let store: LimitStore;
+  let time: number;
+
+  beforeEach(() => {
+    setProvider(createMockProvider());
+    store = createMemoryLimitStore();
+    time = Date.UTC(2026, 9, 19, 12, 0, 30);
+  });
+
+  const guard = (limits: Partial<AccessLimits> = {}, userProvider = createMockProvider()) =>
+    createAccessGuard({ store, limits: { ...LIMITS, ...limits }, userProvider: () => userProvider, now: () => time });
+
+  it('limits requests per minute until the next window', async () => {
+    const access = guard();
+    for (let i = 0; i < 3; i++) await access.admit(request({ 'x-session-id': SESSION_A }));
+
+    const err = await assertRefused(access.admit(request({ 'x-session-id': SESSION_A })), 'TOO_MANY_REQUESTS');
+    assert.equal(err.retryAfterMs, 30000);
+
+    time += 30000;
+    await access.admit(request({ 'x-session-id': SESSION_A }));
+  });
+
+  it('counts sessions apart, up to the IP limit', async () => {
+    const access = guard();
+    for (let i = 0; i < 3; i++) await access.admit(request({ 'x-session-id': SESSION_A }));
+    await access.admit(request({ 'x-session-id': SESSION_B }));
+    await access.admit(request({ 'x-session-id': SESSION_B }));
+    await assertRefused(access.admit(request({ 'x-session-id': SESSION_B })), 'TOO_MANY_REQUESTS');
+  });
+
+  it('falls back to the IP for missing or malformed sessions', async () => {
+    const access = guard();
+    for (let i = 0; i < 3; i++) await access.admit(request({ 'x-session-id': i % 2 ? 'curto' : '' }));
+    await assertRefused(access.admit(request()), 'TOO_MANY_REQUESTS');
+  });
+
+  it('refuses requests over the daily budget', async () => {
+    const access = guard();
+    const grant = await access.admit(request({ 'x-session-id': SESSION_A }), { tokens: 600 });
+    assert.equal(grant.ownKey, false);
+    await grant.charge(700);
+
+    const err = await assertRefused(access.admit(request({ 'x-session-id': SESSION_A }), { tokens: 400 }), 'QUOTA_EXCEEDED');
+    assert.equal(err.retryAfterMs, 12 * 60 * 60 * 1000 - 30000);
+    await (await access.admit(request({ 'x-session-id': SESSION_A }), { tokens: 300 })).release();
+
+    // Another session on the same IP still has its own budget, within the IP's
+    await access.admit(request({ 'x-session-id': SESSION_B }), { tokens: 800 });
+    await assertRefused(access.admit(request({ 'x-session-id': SESSION_B }), { tokens: 900 }), 'QUOTA_EXCEEDED');
+  });
+
+  it('counts only the first sessions of an IP apart', async () => {
+    const access = guard();
+    const sessions = ['c', 'd', 'e', 'f'].map(letter => `${letter.repeat(8)}-1111-2222-3333-444444444444`);
+    await access.admit(request({ 'x-session-id': sessions[0] }), { tokens: 400 });
+    await access.admit(request({ 'x-session-id': sessions[1] }), { tokens: 400 });
+
+    // Later sessions of the same IP share the IP's own limits, however many are made up
+    await access.admit(request({ 'x-session-id': sessions[2] }), { tokens: 100 });
+    await assertRefused(access.admit(request({ 'x-session-id': sessions[3] })), 'TOO_MANY_REQUESTS');
+    time += 60000;
+    await assertRefused(access.admit(request({ 'x-session-id': sessions[3] }), { tokens: 150 }), 'QUOTA_EXCEEDED');
+    assert.equal(await store.get('tokens:ip:203.0.113.7:2026-10-19'), 900);
+
+    // The first ones keep theirs
+    await access.admit(request({ 'x-session-id': sessions[0] }), { tokens: 500 });
+  });
+
+  it('reserves the estimate so concurrent requests cannot overshoot', async () => {
+    const access = guard();
+    const admitted = await Promise.allSettled([1, 2, 3].map(() => access.admit(request({ 'x-session-id': SESSION_A }), { tokens: 400 })));
+    assert.deepEqual(admitted.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+    assert.equal(await store.get(`tokens:session:${SESSION_A}:2026-10-19`), 800);
+
+    // Real usage comes out of the reservation; release gives the rest back
+    const [first, second] = admitted.map(result => result.status === 'fulfilled' ? result.value : null);
+    await first!.charge(100);
+    await first!.release();
+    await second!.charge(500);
+    await second!.release();
+    await second!.release();
+    assert.equal(await store.get(`tokens:session:${SESSION_A}:2026-10-19`), 600);
+  });
+
+  it('shares the total budget between everyone', async () => {
+    const access = guard({ totalDailyTokens: 500 });
+    await (await access.admit(request({ 'x-forwarded-for': '198.51.100.1' }), { tokens: 100 })).charge(450);
+    await assertRefused(access.admit(request({ 'x-forwarded-for': '198.51.100.2' }), { tokens: 100 }), 'QUOTA_EXCEEDED');
+  });
+
+  it('refuses a request over a whole budget even when nothing is counted', async () => {
+    const access = createAccessGuard({ store: createNullLimitStore(), limits: { ...LIMITS, dailyTokens: 0 } });
+    await access.admit(request());
+    await assertRefused(access.admit(request(), { tokens: 1 }), 'QUOTA_EXCEEDED');
+  });
+
+  it('runs on the user key without charging the budget', async () => {
+    const userProvider = createMockProvider();
+    const access = guard({ dailyTokens: 0 }, userProvider);
+    await assertRefused(access.admit(request(), { tokens: 100 }), 'QUOTA_EXCEEDED');
+
+    const grant = await access.admit(request({ 'x-groq-key': USER_KEY }), { tokens: 100 });
+    assert.equal(grant.ownKey, true);
+    assert.equal(grant.provider, userProvider);
+    await grant.charge(5000);
+    assert.equal(await store.get('tokens:ip:203.0.113.7:2026-10-19'), 0);
+  });
+
+  it('checks user keys', async () => {
+    await assertRefused(guard().admit(request({ 'x-groq-key': 'minha-chave' })), 'INVALID_API_KEY');
+    const err = await assertRefused(guard({ allowUserKeys: false }).admit(request({ 'x-groq-key': USER_KEY })), 'INVALID_API_KEY');
+    assert.equal(err.message, 'Este servidor não aceita chaves próprias');
+  });
+
+  it('refuses origins out of the allowlist', async () => {
+    const access = guard({ allowedOrigins: ['https://resumo.exemplo.com'] });
+    await access.admit(request({ origin: 'https://resumo.exemplo.com' }));
+    await access.admit(request({ origin: 'http://localhost:3000', host: 'localhost:3000' }));
+    await access.admit(request());
+    await assertRefused(access.admit(request({ origin: 'https://outro.exemplo.com' })), 'FORBIDDEN_ORIGIN');
+    assert.throws(() => access.checkOrigin(request({ origin: 'null' })), ApiError);
+  });
+
+  it('lets requests through when the store fails', async () => {
+    const broken: LimitStore = {
+      name: 'broken',
+      increment: () => Promise.reject(new Error('down')),
+      get: () => Promise.reject(new Error('down'))
+    };
+    const access = createAccessGuard({ store: broken, limits: { ...LIMITS, requestsPerMinute: 0 } });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const grant = await access.admit(request(), { tokens: 100 });
+      await grant.charge(100);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
+
+describe('limit stores', () => {
+  it('expires memory counters', async () => {
+    const store = createMemoryLimitStore();
+    assert.equal(await store.increment('a', 2, 1000), 2);
+    assert.equal(await store.increment('a', 3, 1000), 5);
+    assert.equal(await store.increment('b', 1, 0), 1);
+    assert.equal(await store.get('a'), 5);
+    assert.equal(await store.get('b'), 0);
+  });
+
+  it('drops the oldest memory counters past the limit', async () => {
+    const store = createMemoryLimitStore(2);
+    await store.increment('a', 1, 1000);
+    await store.increment('b', 1, 1000);
+    await store.increment('a', 1, 1000);
+    await store.increment('c', 1, 1000);
+    assert.equal(await store.get('a'), 0);
+    assert.equal(await store.get('b'), 1);
+    assert.equal(await store.get('c'), 1);
+  });
+
+  it('creates each Redis counter with its expiry before adding to it', async () => {
+    const values = new Map<string, number>();
+    const commands: string[] = [];
+    const client: RedisLikeClient = {
+      async get(key) { return values.has(key) ? String(values.get(key)) : null; },
+      async set(key, value, mode, ttlMs, condition) {
+        commands.push(`SET ${key} ${value} ${mode} ${ttlMs} ${condition}`);
+        if (condition === 'NX' && values.has(key)) return null;
+        values.set(key, Number(value));
+        return 'OK';
+      },
+      async incrby(key, amount) {
+        commands.push(`INCRBY ${key} ${amount}`);
+        assert.ok(values.has(key), 'counter without an expiry');
+        values.set(key, values.get(key)! + amount);
+        return values.get(key)!;
+      },
+      async del() { return 0; }
+    };
+
+    const store = createRedisLimitStore(client);
+    assert.equal(await store.increment('rpm:ip:1', 1, 60000), 1);
+    assert.equal(await store.increment('rpm:ip:1', 2, 60000), 3);
+    assert.equal(await store.get('rpm:ip:1'), 3);
+    assert.equal(await store.get('rpm:ip:2'), 0);
+    assert.deepEqual(commands, [
+      'SET resumo:limit:rpm:ip:1 0 PX 60000 NX',
+      'INCRBY resumo:limit:rpm:ip:1 1',
+      'SET resumo:limit:rpm:ip:1 0 PX 60000 NX',
+      'INCRBY resumo:limit:rpm:ip:1 2'
+    ]);
+  });
+});
+
+describe('createAccessGuardFromEnv', () => {
+  it('reads limits, keeping 0 and defaulting empty values', () => {
+    const { limits } = createAccessGuardFromEnv({
+      ALLOWED_ORIGINS: 'https://a.exemplo.com/, https://b.exemplo.com',
+      RATE_LIMIT_PER_MINUTE: '',
+      DAILY_TOKEN_BUDGET: '0',
+      LLM_PROVIDER: 'groq'
+    });
+    assert.deepEqual(limits.allowedOrigins, ['https://a.exemplo.com', 'https://b.exemplo.com']);
+    assert.equal(limits.requestsPerMinute, 30);
+    assert.equal(limits.dailyTokens, 0);
+    assert.equal(limits.totalDailyTokens, 1000000);
+    assert.equal(limits.trustedProxies, 0);
+    assert.equal(limits.allowUserKeys, true);
+  });
+
+  it('trusts the proxy Vercel puts in front', () => {
+    assert.equal(createAccessGuardFromEnv({ VERCEL: '1' }).limits.trustedProxies, 1);
+    assert.equal(createAccessGuardFromEnv({ VERCEL: '1', TRUST_PROXY: '2' }).limits.trustedProxies, 2);
+  });
+
+  it('only takes user keys for Groq', () => {
+    assert.equal(createAccessGuardFromEnv({ LLM_PROVIDER: 'openai' }).limits.allowUserKeys, false);
+    assert.equal(createAccessGuardFromEnv({ ALLOW_USER_KEYS: 'false' }).limits.allowUserKeys, false);
+  });
+
+  it('rejects invalid limits and backends', () => {
+    assert.throws(() => createAccessGuardFromEnv({ DAILY_TOKEN_BUDGET: '10k' }), /DAILY_TOKEN_BUDGET/);
+    assert.throws(() => createAccessGuardFromEnv({ RATE_LIMIT_BACKEND: 'redis' }), /REDIS_REST_URL/);
+  });
+});
+
+describe('request helpers', () => {
+  it('matches origins and finds the client IP', () => {
+    assert.equal(isAllowedOrigin('https://x.exemplo.com', 'api.exemplo.com', []), true);
+    assert.equal(isAllowedOrigin('https://x.exemplo.com/', 'api.exemplo.com', ['https://x.exemplo.com']), true);
+    assert.equal(isAllowedOrigin('https://y.exemplo.com', 'api.exemplo.com', ['https://x.exemplo.com']), false);
+    const forwarded = createRequest({ headers: { 'x-forwarded-for': '198.51.100.9, 203.0.113.7, 10.0.0.1' } });
+    assert.equal(clientIp(forwarded), 'unknown');
+    assert.equal(clientIp(forwarded, 1), '10.0.0.1');
+    assert.equal(clientIp(forwarded, 2), '203.0.113.7');
+    assert.equal(clientIp(forwarded, 5), '198.51.100.9');
+    assert.equal(clientIp(createRequest(), 1), 'unknown');
+  });
+});
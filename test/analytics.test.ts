@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { ChatAnalytics, ParsedMessage } from '../src/types/index.js';
+import { computeAnalytics, findThreads, parseMembershipEvents } from '../src/services/analytics.js';
+import analyticsHandler from '../api/analytics.js';
+import { createRequest, createResponse } from './helpers.js';
+
+function message(date: string, time: string, sender: string, content: string, isMedia = false): ParsedMessage {
+  return { date, time, sender, content, isMedia };
+}
+
+// Sunday 18 and Monday 19 of October 2026
+const messages: ParsedMessage[] = [
+  message('2026-10-18', '08:55', '__system__', 'Ana adicionou Bia e Caio'),
+  message('2026-10-18', '09:00', 'Ana', 'Bom dia, pessoal'),
+  message('2026-10-18', '09:10', 'Bia', 'Bom dia! Tudo certo para sábado?'),
+  message('2026-10-18', '09:15', 'Ana', '<Mídia oculta>', true),
+  message('2026-10-18', '21:00', 'Caio', 'Cheguei agora'),
+  message('2026-10-19', '09:30', 'Ana', 'Alguém viu a lista?'),
+  message('2026-10-19', '09:40', '__system__', 'Caio saiu'),
+  message('2026-10-19', '09:45', 'Bia', '<Mídia oculta>', true)
+];
+
+describe('computeAnalytics', () => {
+  const analytics = computeAnalytics(messages);
+
+  it('counts messages without the system ones', () => {
+    assert.deepEqual(analytics.range, { start: '2026-10-18', end: '2026-10-19' });
+    assert.equal(analytics.totalMessages, 6);
+    assert.equal(analytics.mediaMessages, 2);
+    assert.equal(analytics.mediaShare, 2 / 6);
+  });
+
+  it('gives per-participant stats, most active first, without words from media', () => {
+    assert.deepEqual(analytics.participants, [
+      { sender: 'Ana', messages: 3, media: 1, words: 7, firstDate: '2026-10-18', lastDate: '2026-10-19' },
+      { sender: 'Bia', messages: 2, media: 1, words: 6, firstDate: '2026-10-18', lastDate: '2026-10-19' },
+      { sender: 'Caio', messages: 1, media: 0, words: 2, firstDate: '2026-10-18', lastDate: '2026-10-18' }
+    ]);
+  });
+
+  it('counts messages per hour and per weekday', () => {
+    assert.equal(analytics.hourly[9], 5);
+    assert.equal(analytics.hourly[21], 1);
+    assert.equal(analytics.hourly[8], 0);
+    assert.equal(analytics.hourly.reduce((a, b) => a + b, 0), 6);
+    assert.deepEqual(analytics.topHours, [{ hour: 9, messages: 5 }, { hour: 21, messages: 1 }]);
+
+    assert.equal(analytics.heatmap[0][9], 3);
+    assert.equal(analytics.heatmap[0][21], 1);
+    assert.equal(analytics.heatmap[1][9], 2);
+  });
+
+  it('counts messages and participants per day', () => {
+    assert.equal(analytics.trendUnit, 'day');
+    assert.deepEqual(analytics.trend, [
+      { date: '2026-10-18', messages: 4, participants: 3 },
+      { date: '2026-10-19', messages: 2, participants: 2 }
+    ]);
+  });
+
+  it('keeps the stats to the range, but not the trend', () => {
+    const day = computeAnalytics(messages, { start: '2026-10-19', end: '2026-10-19' });
+    assert.equal(day.totalMessages, 2);
+    assert.deepEqual(day.participants.map(p => p.sender), ['Ana', 'Bia']);
+    assert.deepEqual(day.membership, [{ date: '2026-10-19', time: '09:40', type: 'left', name: 'Caio', by: null }]);
+    assert.equal(day.trend.length, 2);
+  });
+
+  it('groups long exports by week', () => {
+    const long = Array.from({ length: 150 }, (_, i) => {
+      const date = new Date(Date.UTC(2026, 0, 1 + i)).toISOString().slice(0, 10);
+      return message(date, '12:00', 'Ana', 'oi');
+    });
+    const { trend, trendUnit } = computeAnalytics(long);
+    assert.equal(trendUnit, 'week');
+    // 1 Jan 2026 is a Thursday: its week starts on Monday 29 Dec 2025
+    assert.deepEqual(trend[0], { date: '2025-12-29', messages: 4, participants: 1 });
+  });
+});
+
+describe('findThreads', () => {
+  it('starts a new thread after a 30-minute pause', () => {
+    const threads = findThreads(messages.filter(m => m.sender !== '__system__'));
+    assert.deepEqual(threads.map(t => [t.date, t.start, t.end, t.messages, t.participants]), [
+      ['2026-10-18', '09:00', '09:15', 3, 2],
+      ['2026-10-18', '21:00', '21:00', 1, 1],
+      ['2026-10-19', '09:30', '09:45', 2, 2]
+    ]);
+    assert.equal(threads[0].preview, 'Bom dia, pessoal');
+  });
+});
+
+describe('parseMembershipEvents', () => {
+  it('reads who joined and left, and who added them', () => {
+    assert.deepEqual(parseMembershipEvents(messages), [
+      { date: '2026-10-18', time: '08:55', type: 'joined', name: 'Bia', by: 'Ana' },
+      { date: '2026-10-18', time: '08:55', type: 'joined', name: 'Caio', by: 'Ana' },
+      { date: '2026-10-19', time: '09:40', type: 'left', name: 'Caio', by: null }
+    ]);
+  });
+});
+
+describe('POST /api/analytics', () => {
+  it('answers with the same analytics as the browser', async () => {
+    const res = createResponse();
+    await analyticsHandler(createRequest({ body: { messages, range: { start: '2026-10-18', end: '2026-10-18' } } }), res);
+    assert.equal(res.statusCode, 200);
+
+    const body = res.body as ChatAnalytics;
+    assert.deepEqual(body, computeAnalytics(messages, { start: '2026-10-18', end: '2026-10-18' }));
+    assert.equal(body.totalMessages, 4);
+  });
+
+  it('rejects a bad range and other methods', async () => {
+    const bad = createResponse();
+    await analyticsHandler(createRequest({ body: { messages, range: { start: 'ontem' } } }), bad);
+    assert.equal(bad.statusCode, 400);
+    assert.equal((bad.body as { code: string }).code, 'INVALID_REQUEST');
+
+    const get = createResponse();
+    await analyticsHandler(createRequest({ method: 'GET' }), get);
+    assert.equal(get.statusCode, 405);
+  });
+});
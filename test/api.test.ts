@@ -0,0 +1,447 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'node:fs';
+import type { AddressInfo } from 'node:net';
+import type { Server } from 'node:http';
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import type { ErrorResponse, ParsedMessage, SummarizeResponse, UploadResponse } from '../src/types/index.js';
+import { ProviderError, createMockProvider } from '../src/services/llm.js';
+import { createAccessGuard, createMemoryLimitStore, setAccessGuard } from '../src/services/access.js';
+import type { AccessLimits } from '../src/services/access.js';
+import uploadHandler from '../api/upload.js';
+import summarizeHandler from '../api/summarize.js';
+import mergeHandler from '../api/merge.js';
+import { createApp } from '../dev-server.js';
+import {
+  readFixture,
+  fixtureMessages,
+  useMockProvider,
+  createRequest,
+  createUploadRequest,
+  createResponse
+} from './helpers.js';
+
+type Handler = (req: VercelRequest, res: VercelResponse) => Promise<void>;
+
+/**
+ * Status and body of a handler called directly, like Vercel does
+ */
+async function callHandler(handler: Handler, req: VercelRequest): Promise<{ status: number; body: unknown }> {
+  const res = createResponse();
+  await handler(req, res);
+  return { status: res.statusCode, body: res.body };
+}
+
+const messages: ParsedMessage[] = fixtureMessages('android-pt-br.txt');
+const firstDay = messages.filter(m => m.date === '2025-06-08');
+
+describe('POST /api/upload', () => {
+  it('answers preflight requests', async () => {
+    const res = createResponse();
+    await uploadHandler(createRequest({ method: 'OPTIONS' }), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['access-control-allow-origin'], '*');
+  });
+
+  it('rejects other methods', async () => {
+    const res = createResponse();
+    await uploadHandler(createRequest({ method: 'GET' }), res);
+    assert.equal(res.statusCode, 405);
+    assert.deepEqual(res.body, { error: 'Método não permitido', code: 'METHOD_NOT_ALLOWED' });
+  });
+
+  it('parses an uploaded export', async () => {
+    const res = createResponse();
+    await uploadHandler(createUploadRequest('conversa.txt', readFixture('android-pt-br.txt')), res);
+    assert.equal(res.statusCode, 200);
+
+    const body = res.body as UploadResponse;
+    assert.equal(body.totalMessages, 11);
+    assert.equal(body.totalDays, 2);
+    assert.equal(body.format?.platform, 'android');
+    assert.deepEqual(body.dates.map(d => d.date), ['2025-06-09', '2025-06-08']);
+    assert.equal(body.messagesByDate['2025-06-08'].length, 8);
+  });
+
+  it('asks for a file', async () => {
+    const res = createResponse();
+    await uploadHandler(createUploadRequest(null, 'sem arquivo'), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal((res.body as { code: string }).code, 'NO_FILE');
+  });
+
+  it('rejects blank files', async () => {
+    const res = createResponse();
+    await uploadHandler(createUploadRequest('vazio.txt', '\n  \n'), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal((res.body as { code: string }).code, 'EMPTY_FILE');
+  });
+
+  it('rejects files that are not exports', async () => {
+    const res = createResponse();
+    await uploadHandler(createUploadRequest('notas.txt', readFixture('corrupt.txt')), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal((res.body as { code: string }).code, 'INVALID_FORMAT');
+  });
+});
+
+describe('POST /api/summarize', () => {
+  let provider: ReturnType<typeof useMockProvider>;
+
+  beforeEach(() => {
+    provider = useMockProvider();
+  });
+
+  it('rejects other methods and empty requests', async () => {
+    const getRes = createResponse();
+    await summarizeHandler(createRequest({ method: 'GET' }), getRes);
+    assert.equal(getRes.statusCode, 405);
+
+    const emptyRes = createResponse();
+    await summarizeHandler(createRequest({ body: { messages: [] } }), emptyRes);
+    assert.equal(emptyRes.statusCode, 400);
+    assert.equal((emptyRes.body as ErrorResponse).code, 'NO_MESSAGES');
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it('rejects invalid fields instead of replacing them', async () => {
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages, level: 7, privacy: 'secreto' } }), res);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+      error: 'Requisição inválida: level: deve ser 1, 2, 3 ou 4; privacy: deve ser "anonymous", "with-names" ou "smart"',
+      code: 'INVALID_REQUEST',
+      details: ['level: deve ser 1, 2, 3 ou 4', 'privacy: deve ser "anonymous", "with-names" ou "smart"']
+    });
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it('summarizes messages', async () => {
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages: firstDay, level: 2 } }), res);
+    assert.equal(res.statusCode, 200);
+
+    const { summary, stats } = res.body as SummarizeResponse;
+    assert.equal(summary, '## Resumo (mock)\n6 mensagens resumidas.');
+    assert.equal(stats.totalMessages, 8);
+    assert.equal(stats.participants, 4);
+    assert.equal(stats.language, 'pt');
+    assert.equal(stats.wasLimited, false);
+    assert.deepEqual(stats.range, { start: '2025-06-08', end: '2025-06-08' });
+    assert.equal(provider.calls[0].maxTokens, 300);
+  });
+
+  it('never sends names, phones, emails or links to the provider', async () => {
+    await summarizeHandler(createRequest({ body: { messages, privacy: 'with-names' } }), createResponse());
+    await summarizeHandler(createRequest({ body: { messages, output: 'structured' } }), createResponse());
+    await summarizeHandler(createRequest({ body: { messages, output: 'topics' } }), createResponse());
+    assert.equal(provider.calls.length, 3);
+
+    const sent = JSON.stringify(provider.calls.map(call => call.messages));
+    for (const secret of ['João', 'Maria', 'Pedro', 'Carla', 'Costa', '91234-5678', 'ana.costa@example.com', 'fotos.example.com']) {
+      assert.ok(!sent.includes(secret), `"${secret}" reached the provider`);
+    }
+  });
+
+  it('restores links and names in the answer', async () => {
+    provider = useMockProvider({ respond: () => 'Participante 4 mandou as fotos: [link 1]' });
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages: firstDay, privacy: 'with-names' } }), res);
+    assert.equal((res.body as SummarizeResponse).summary, 'Ana Costa mandou as fotos: https://fotos.example.com/festa');
+  });
+
+  it('returns structured results and topics', async () => {
+    const structuredRes = createResponse();
+    await summarizeHandler(createRequest({ body: { messages: firstDay, output: 'structured' } }), structuredRes);
+    const { structured } = structuredRes.body as SummarizeResponse;
+    assert.deepEqual(structured?.links.map(link => link.url), ['https://fotos.example.com/festa']);
+
+    const topicsRes = createResponse();
+    await summarizeHandler(createRequest({ body: { messages, output: 'topics' } }), topicsRes);
+    const { topics } = topicsRes.body as SummarizeResponse;
+    assert.deepEqual(topics?.map(topic => topic.date), ['2025-06-08', '2025-06-09']);
+  });
+
+  it('streams tokens, then the full response', async () => {
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages: firstDay }, query: { stream: '1' } }), res);
+    assert.equal(res.headers['content-type'], 'text/event-stream');
+
+    const events = res.events();
+    const tokens = events.filter(e => e.event === 'token').map(e => (e.data as { text: string }).text);
+    const done = events[events.length - 1];
+    assert.ok(tokens.length > 1);
+    assert.equal(done.event, 'done');
+    assert.equal(tokens.join(''), (done.data as SummarizeResponse).summary);
+  });
+
+  it('uses the language and template asked for', async () => {
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages: fixtureMessages('ios-en-us.txt'), template: 'ata' } }), res);
+    assert.equal((res.body as SummarizeResponse).stats.language, 'en');
+    assert.match(provider.calls[0].messages[0].content, /ata de reunião/);
+    assert.match(provider.calls[0].messages[0].content, /Write the whole answer in English\.$/);
+  });
+
+  it('rejects invalid templates', async () => {
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages, template: 'inexistente' } }), res);
+    assert.equal(res.statusCode, 400);
+    assert.equal((res.body as ErrorResponse).error, 'Modelo de resumo inválido: modelo "inexistente" não existe');
+    assert.equal((res.body as ErrorResponse).code, 'INVALID_TEMPLATE');
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it('reports rate limits with the time to wait', async () => {
+    useMockProvider({ fail: new ProviderError('rate_limited', 'Rate limit reached', 429, 2500) });
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages } }), res);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['retry-after'], '3');
+    assert.equal((res.body as ErrorResponse).code, 'RATE_LIMITED');
+    assert.equal((res.body as ErrorResponse).retryAfter, 3);
+  });
+
+  it('reports rate limits inside an open stream', async () => {
+    useMockProvider({ fail: new ProviderError('rate_limited', 'Rate limit reached') });
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages }, headers: { accept: 'text/event-stream' } }), res);
+    assert.deepEqual(res.events(), [{
+      event: 'error',
+      data: { error: 'Limite de uso da IA atingido. Aguarde um momento.', code: 'RATE_LIMITED', status: 429 }
+    }]);
+  });
+
+  it('reports malformed extractions', async () => {
+    useMockProvider({ respond: () => 'não é JSON' });
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages, output: 'structured' } }), res);
+    assert.equal(res.statusCode, 502);
+    assert.equal((res.body as ErrorResponse).code, 'BAD_MODEL_RESPONSE');
+  });
+
+  it('reports provider timeouts', async () => {
+    useMockProvider({ fail: new ProviderError('timeout', 'Request timed out') });
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages } }), res);
+    assert.equal(res.statusCode, 504);
+    assert.equal((res.body as ErrorResponse).code, 'PROVIDER_TIMEOUT');
+  });
+});
+
+describe('POST /api/merge', () => {
+  let provider: ReturnType<typeof useMockProvider>;
+
+  beforeEach(() => {
+    provider = useMockProvider();
+  });
+
+  it('merges partial summaries', async () => {
+    const res = createResponse();
+    await mergeHandler(createRequest({ body: { summaries: ['Parte um.', 'Parte dois.'], level: 3 } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal((res.body as { summary: string }).summary, '## Resumo (mock)\nCombinação de 2 resumos parciais.');
+    assert.equal(provider.calls[0].maxTokens, 750);
+  });
+
+  it('pseudonymizes the senders sent along before merging', async () => {
+    const summaries = ['João Silva pediu o bolo; Maria vai trazer.', 'Ana Costa mandou fotos em https://fotos.example.com/festa'];
+    const senders = ['João Silva', 'Maria Santos', 'Ana Costa'];
+    provider = useMockProvider({ respond: () => 'Participante 1 e Participante 3 combinaram a festa.' });
+    const res = createResponse();
+    await mergeHandler(createRequest({ body: { summaries, senders, privacy: 'with-names' } }), res);
+    assert.equal((res.body as { summary: string }).summary, 'João Silva e Ana Costa combinaram a festa.');
+
+    const sent = JSON.stringify(provider.calls.map(call => call.messages));
+    for (const secret of ['João', 'Maria', 'Costa', 'fotos.example.com']) {
+      assert.ok(!sent.includes(secret), `"${secret}" reached the provider`);
+    }
+  });
+
+  it('merges structured results without the model', async () => {
+    const part = { decisions: [], tasks: [], events: [], links: [], unansweredQuestions: [] };
+    const res = createResponse();
+    await mergeHandler(createRequest({ body: { output: 'structured', extractions: [part, part] } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it('rejects empty and invalid requests', async () => {
+    for (const body of [{}, { summaries: [] }, { summaries: ['a'], template: { id: 'x' } }, { output: 'structured', extractions: [{ decisions: 'nenhuma' }] }]) {
+      const res = createResponse();
+      await mergeHandler(createRequest({ body }), res);
+      assert.equal(res.statusCode, 400, JSON.stringify(body));
+      assert.ok((res.body as ErrorResponse).code, JSON.stringify(body));
+    }
+    assert.equal(provider.calls.length, 0);
+  });
+});
+
+describe('access limits', () => {
+  const limits: AccessLimits = {
+    allowedOrigins: ['https://resumo.exemplo.com'],
+    requestsPerMinute: 2,
+    ipRequestsPerMinute: 10,
+    dailyTokens: 20,
+    ipDailyTokens: 100,
+    totalDailyTokens: Infinity,
+    sessionsPerIp: 4,
+    trustedProxies: 0,
+    allowUserKeys: true
+  };
+  let provider: ReturnType<typeof useMockProvider>;
+  let userProvider: ReturnType<typeof createMockProvider>;
+  let userKeys: string[];
+
+  beforeEach(() => {
+    provider = useMockProvider();
+    userProvider = createMockProvider();
+    userKeys = [];
+    setAccessGuard(createAccessGuard({
+      store: createMemoryLimitStore(),
+      limits,
+      userProvider: key => {
+        userKeys.push(key);
+        return userProvider;
+      }
+    }));
+  });
+
+  after(() => {
+    setAccessGuard(null);
+  });
+
+  it('refuses requests over the daily budget before calling the model', async () => {
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages } }), res);
+    assert.equal(res.statusCode, 429);
+    assert.equal((res.body as ErrorResponse).code, 'QUOTA_EXCEEDED');
+    assert.ok(Number(res.headers['retry-after']) > 0);
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it('summarizes with the user key, outside the budget', async () => {
+    const key = `gsk_${'k'.repeat(52)}`;
+    const res = createResponse();
+    await summarizeHandler(createRequest({ body: { messages }, headers: { 'x-groq-key': key } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(userKeys, [key]);
+    assert.equal(userProvider.calls.length, 1);
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it('limits requests per minute', async () => {
+    const body = { summaries: ['Um.', 'Dois.'] };
+    // Own key, so the budget doesn't run out first
+    const headers = { 'x-session-id': 'aaaaaaaa-1111-2222-3333-444444444444', 'x-groq-key': `gsk_${'k'.repeat(52)}` };
+    for (const expected of [200, 200, 429]) {
+      const res = createResponse();
+      await mergeHandler(createRequest({ body, headers }), res);
+      assert.equal(res.statusCode, expected);
+    }
+  });
+
+  it('answers only allowed origins', async () => {
+    const allowed = createResponse();
+    await uploadHandler(createRequest({ method: 'OPTIONS', headers: { origin: 'https://resumo.exemplo.com' } }), allowed);
+    assert.equal(allowed.headers['access-control-allow-origin'], 'https://resumo.exemplo.com');
+    assert.match(String(allowed.headers['access-control-allow-headers']), /X-Groq-Key/);
+
+    const other = createResponse();
+    await summarizeHandler(createRequest({ body: { messages }, headers: { origin: 'https://outro.exemplo.com' } }), other);
+    assert.equal(other.statusCode, 403);
+    assert.equal((other.body as ErrorResponse).code, 'FORBIDDEN_ORIGIN');
+    assert.equal(other.headers['access-control-allow-origin'], undefined);
+  });
+});
+
+describe('dev server', () => {
+  let server: Server;
+  let baseUrl: string;
+
+  /**
+   * Status and body of the same request through the dev server
+   */
+  async function callServer(route: string, init: RequestInit): Promise<{ status: number; body: unknown }> {
+    const response = await fetch(`${baseUrl}/api/${route}`, init);
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : undefined };
+  }
+
+  before(async () => {
+    useMockProvider();
+    server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+  });
+
+  after(() => {
+    server.close();
+  });
+
+  it('mounts every route in api/', async () => {
+    const routes = readdirSync(new URL('../api/', import.meta.url)).map(file => file.replace(/\.ts$/, ''));
+    for (const route of routes) {
+      const response = await fetch(`${baseUrl}/api/${route}`, { method: 'OPTIONS' });
+      assert.equal(response.status, 200, `/api/${route}`);
+      assert.equal(response.headers.get('access-control-allow-origin'), '*', `/api/${route}`);
+    }
+
+    const missing = await fetch(`${baseUrl}/api/inexistente`, { method: 'POST' });
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json() as ErrorResponse).code, 'NOT_FOUND');
+  });
+
+  it('answers malformed JSON bodies with a code', async () => {
+    const response = await fetch(`${baseUrl}/api/summarize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"messages": ['
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json() as ErrorResponse).code, 'INVALID_REQUEST');
+  });
+
+  it('answers uploads like the Vercel handler', async () => {
+    for (const [fixture, status] of [['ios-en-us.txt', 200], ['corrupt.txt', 400]] as const) {
+      const form = new FormData();
+      form.append('file', new Blob([readFixture(fixture)]), 'chat.txt');
+      const served = await callServer('upload', { method: 'POST', body: form });
+      assert.equal(served.status, status, fixture);
+      assert.deepEqual(served, await callHandler(uploadHandler, createUploadRequest('chat.txt', readFixture(fixture))), fixture);
+    }
+  });
+
+  it('answers invalid requests like the Vercel handlers', async () => {
+    const cases: Array<[string, Handler, string, unknown]> = [
+      ['upload', uploadHandler, 'GET', undefined],
+      ['summarize', summarizeHandler, 'POST', { messages: [] }],
+      ['merge', mergeHandler, 'POST', { summaries: [] }],
+      ['merge', mergeHandler, 'PUT', { summaries: ['a'] }]
+    ];
+    for (const [route, handler, method, body] of cases) {
+      const served = await callServer(route, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      assert.deepEqual(served, await callHandler(handler, createRequest({ method, body })), `${method} /api/${route}`);
+    }
+  });
+
+  it('runs the handlers like Vercel (multipart and JSON bodies)', async () => {
+    const form = new FormData();
+    form.append('file', new Blob([readFixture('ios-en-us.txt')]), 'chat.txt');
+    const upload = await fetch(`${baseUrl}/api/upload`, { method: 'POST', body: form });
+    assert.equal(upload.status, 200);
+    const { messagesByDate } = await upload.json() as UploadResponse;
+
+    const summarize = await fetch(`${baseUrl}/api/summarize`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ messages: messagesByDate['2026-10-19'] })
+    });
+    assert.equal(summarize.status, 200);
+    assert.equal((await summarize.json() as SummarizeResponse).stats.totalMessages, 5);
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  cacheKey,
+  cachedCall,
+  createCacheFromEnv,
+  createFileCache,
+  createMemoryCache,
+  createNullCache,
+  createRedisCache,
+  setCache
+} from '../src/services/cache.js';
+import type { RedisLikeClient } from '../src/services/cache.js';
+
+/**
+ * Promise resolved from the outside, to hold a provider call in flight
+ */
+function deferred<T>() {
+  let resolve!: (value: T) => void;
+  let reject!: (err: unknown) => void;
+  const promise = new Promise<T>((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+describe('cache backends', () => {
+  it('memory cache returns what was stored until it expires', async () => {
+    const cache = createMemoryCache();
+    await cache.set('a', 'um', 60_000);
+    await cache.set('b', 'dois', -1);
+
+    assert.equal(await cache.get('a'), 'um');
+    assert.equal(await cache.get('b'), undefined);
+    assert.equal(await cache.get('c'), undefined);
+  });
+
+  it('memory cache drops the least recently used entry', async () => {
+    const cache = createMemoryCache(2);
+    await cache.set('a', '1', 60_000);
+    await cache.set('b', '2', 60_000);
+    await cache.get('a');
+    await cache.set('c', '3', 60_000);
+
+    assert.equal(await cache.get('a'), '1');
+    assert.equal(await cache.get('b'), undefined);
+    assert.equal(await cache.get('c'), '3');
+  });
+
+  describe('file cache', () => {
+    let dir: string;
+
+    before(async () => {
+      dir = await mkdtemp(path.join(tmpdir(), 'resumo-cache-'));
+    });
+
+    after(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('keeps entries across instances and forgets expired ones', async () => {
+      await createFileCache(dir).set('a', 'um', 60_000);
+      await createFileCache(dir).set('b', 'dois', -1);
+
+      const cache = createFileCache(dir);
+      assert.equal(await cache.get('a'), 'um');
+      assert.equal(await cache.get('b'), undefined);
+      assert.equal(await cache.get('c'), undefined);
+    });
+  });
+
+  it('redis cache prefixes keys and sets the expiry', async () => {
+    const calls: unknown[][] = [];
+    const store = new Map<string, string>();
+    const client: RedisLikeClient = {
+      async get(key) { return store.get(key) ?? null; },
+      async set(key, value, mode, ttlMs) {
+        calls.push([key, mode, ttlMs]);
+        store.set(key, value);
+      },
+      async incrby() { return 0; },
+      async del() { return 0; }
+    };
+
+    const cache = createRedisCache(client, 'test:');
+    await cache.set('a', 'um', 1000);
+
+    assert.deepEqual(calls, [['test:a', 'PX', 1000]]);
+    assert.equal(await cache.get('a'), 'um');
+    assert.equal(await cache.get('b'), undefined);
+  });
+
+  it('null cache never stores anything', async () => {
+    const cache = createNullCache();
+    await cache.set('a', 'um', 60_000);
+    assert.equal(await cache.get('a'), undefined);
+  });
+
+  it('picks the backend from the environment', () => {
+    assert.equal(createCacheFromEnv({}).name, 'memory');
+    assert.equal(createCacheFromEnv({ CACHE_BACKEND: 'none' }).name, 'none');
+    assert.equal(createCacheFromEnv({ CACHE_BACKEND: 'file' }).name, 'file');
+    assert.throws(() => createCacheFromEnv({ CACHE_BACKEND: 'redis' }), /REDIS_REST_URL/);
+    assert.throws(() => createCacheFromEnv({ CACHE_BACKEND: 'disk' }), /Unknown CACHE_BACKEND/);
+  });
+});
+
+describe('cacheKey', () => {
+  it('ignores line endings, trailing spaces and Unicode form', () => {
+    assert.equal(
+      cacheKey(['resumo', 'Olá\r\nmundo  \n']),
+      cacheKey(['resumo', 'Olá\nmundo'])
+    );
+  });
+
+  it('changes with anything that shapes the answer', () => {
+    const base = cacheKey(['resumo', 'texto', { model: 'a', maxTokens: 100 }]);
+    assert.notEqual(base, cacheKey(['resumo', 'texto', { model: 'b', maxTokens: 100 }]));
+    assert.notEqual(base, cacheKey(['resumo', 'texto', { model: 'a', maxTokens: 200 }]));
+    assert.notEqual(base, cacheKey(['topicos', 'texto', { model: 'a', maxTokens: 100 }]));
+  });
+});
+
+describe('cachedCall', () => {
+  beforeEach(() => {
+    setCache(createMemoryCache());
+  });
+
+  after(() => {
+    setCache(null);
+  });
+
+  it('calls the provider once and answers repeats from the cache', async () => {
+    let calls = 0;
+    const call = async () => { calls++; return { content: 'resumo', tokens: 10 }; };
+
+    const first = await cachedCall('k', call);
+    const second = await cachedCall('k', call);
+
+    assert.deepEqual(first, { hit: false, result: { content: 'resumo', tokens: 10 } });
+    assert.deepEqual(second, { hit: true, content: 'resumo' });
+    assert.equal(calls, 1);
+  });
+
+  it('shares one provider call between identical requests in flight', async () => {
+    setCache(createNullCache());
+    const pending = deferred<{ content: string }>();
+    let calls = 0;
+    const call = () => { calls++; return pending.promise; };
+
+    const results = Promise.all([cachedCall('k', call), cachedCall('k', call), cachedCall('k', call)]);
+    await new Promise(resolve => setImmediate(resolve));
+    pending.resolve({ content: 'resumo' });
+
+    assert.deepEqual(await results, [
+      { hit: false, result: { content: 'resumo' } },
+      { hit: true, content: 'resumo' },
+      { hit: true, content: 'resumo' }
+    ]);
+    assert.equal(calls, 1);
+  });
+
+  it('does not share calls between different keys', async () => {
+    let calls = 0;
+    const call = async () => { calls++; return { content: `resumo ${calls}` }; };
+
+    await Promise.all([cachedCall('a', call), cachedCall('b', call)]);
+    assert.equal(calls, 2);
+  });
+
+  it('makes its own call when the one in flight fails', async () => {
+    const pending = deferred<{ content: string }>();
+    let calls = 0;
+    const failing = () => { calls++; return pending.promise; };
+    const working = async () => { calls++; return { content: 'resumo' }; };
+
+    const first = cachedCall('k', failing);
+    const second = cachedCall('k', working);
+    await new Promise(resolve => setImmediate(resolve));
+    pending.reject(new Error('rate limited'));
+
+    await assert.rejects(first, /rate limited/);
+    assert.deepEqual(await second, { hit: false, result: { content: 'resumo' } });
+    assert.equal(calls, 2);
+  });
+
+  it('keeps answering when the cache backend fails', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    setCache({
+      name: 'broken',
+      async get() { throw new Error('down'); },
+      async set() { throw new Error('down'); }
+    });
+
+    const result = await cachedCall('k', async () => ({ content: 'resumo' }));
+    assert.deepEqual(result, { hit: false, result: { content: 'resumo' } });
+  });
+});
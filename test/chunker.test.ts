@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { ParsedMessage } from '../src/types/index.js';
+import { parseWhatsAppChat } from '../src/services/parser.js';
+import {
+  estimateTokens,
+  estimateMessageTokens,
+  splitIntoChunks,
+  chunkMessages,
+  takeWithinBudget,
+  needsChunking,
+  formatChunkForAI
+} from '../src/services/chunker.js';
+import { fixtureMessages, generateExport } from './helpers.js';
+
+function message(date: string, time: string, content: string, sender = 'Ana'): ParsedMessage {
+  return { date, time, sender, content, isMedia: false };
+}
+
+describe('estimateTokens', () => {
+  // Token counts of the Llama 3 tokenizer, without the begin/end tokens
+  const counted: Array<[string, number]> = [
+    ['[08:02] Ana Costa: Bom dia, gente! Alguém já confirmou o salão pra festa de sábado?', 28],
+    ['[08:05] João Silva: Confirmei ontem, ficou R$ 450,00 com a decoração inclusa', 31],
+    ['[08:06] Maria Santos: Aaah que ótimo!!! 🎉🎉', 22],
+    ['[08:06] Pedro Oliveira: kkkkkkkkkkkk finalmente', 17],
+    ['[08:10] Ana Costa: Então cada um paga R$ 37,50, manda o pix pra 11 98765-4321', 34],
+    ['[08:20] Ana Costa: Lembrando: a reunião da escola foi remarcada para 19/10/2026 às 14:30', 36],
+    ['[08:25] Maria Santos: Sala 12, bloco B. O link do formulário é https://forms.exemplo.com.br/reuniao?id=98213&turma=5A', 41],
+    ['[08:30] Pedro Oliveira: Obrigado! Vou tentar sair mais cedo do trabalho, mas não prometo nada...', 30],
+    ['[09:03] Maria Santos: Alguém tem o telefone do encanador? O cano da cozinha estourou de novo 😩😩', 34],
+    ['[09:05] Pedro Oliveira: Tenho sim, é o Seu Zé: (11) 3456-7890. Fala que fui eu que indiquei', 39],
+    ['[09:40] Ana Costa: hahahahaha o Zé é ótimo, resolveu aqui em casa em meia hora', 29],
+    ['[11:30] Pedro Oliveira: Esse grupo tá parecendo condomínio kkkk', 21],
+    ['[12:00] João Silva: Almoço na casa da vó domingo, confirmem até quinta-feira por favor ❤️', 29],
+    ['[15:20] Maria Santos: Parabéns pro aniversariante do dia!!! 🎂🥳🎈 Muitas felicidades, saúde e paz', 39],
+    ['[19:00] Ana Costa: Good evening everyone, the meeting moved to Thursday at 7pm.', 22],
+    ['Pix de R$ 1.234,56 para 11 98765-4321 em 19/10/2026 às 14:30', 32],
+    ['kkkkkkkkkkkkkkkkkkk hahahahaha rsrsrsrs', 18],
+    ['Informação, reunião, amanhã, não, é, você, órgão, coração, pão de açúcar', 30]
+  ];
+
+  it('never undercounts chat lines, and stays close to the real count', () => {
+    for (const [text, tokens] of counted) {
+      const estimate = estimateTokens(text);
+      assert.ok(estimate >= tokens, `${estimate} < ${tokens}: ${text}`);
+      assert.ok(estimate <= tokens * 1.5, `${estimate} > 1.5 × ${tokens}: ${text}`);
+    }
+    const estimated = counted.reduce((sum, [text]) => sum + estimateTokens(text), 0);
+    const real = counted.reduce((sum, [, tokens]) => sum + tokens, 0);
+    assert.ok(estimated <= real * 1.3, `${estimated} tokens estimated for ${real}`);
+  });
+
+  it('counts accented words and emojis higher', () => {
+    assert.ok(estimateTokens('informação') > estimateTokens('informacao'));
+    assert.ok(estimateTokens('🎉🎉') >= 4);
+  });
+
+  it('is zero for empty text', () => {
+    assert.equal(estimateTokens(''), 0);
+  });
+});
+
+describe('splitIntoChunks', () => {
+  const messages = parseWhatsAppChat(generateExport(20, 60)).messages.map(({ rawLine: _rawLine, ...m }) => m);
+
+  it('keeps every message exactly once, in order', () => {
+    const chunks = chunkMessages(messages, 1000);
+    assert.ok(chunks.length > 1);
+    assert.deepEqual(chunks.flat(), messages);
+  });
+
+  it('respects the budget, context included', () => {
+    for (const chunk of splitIntoChunks(messages, 1000)) {
+      assert.ok(chunk.tokens <= 1000, `chunk of ${chunk.tokens} tokens`);
+      const counted = [...chunk.context, ...chunk.messages].reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+      assert.equal(chunk.tokens, counted);
+    }
+  });
+
+  it('cuts at day changes and long pauses rather than mid-conversation', () => {
+    const chunks = chunkMessages(messages, 1000);
+    for (const chunk of chunks.slice(0, -1)) {
+      const last = chunk[chunk.length - 1];
+      const next = messages[messages.indexOf(last) + 1];
+      const pause = last.date !== next.date || Number(next.time.slice(0, 2)) - Number(last.time.slice(0, 2)) >= 2;
+      assert.ok(pause, `cut between ${last.date} ${last.time} and ${next.date} ${next.time}`);
+    }
+  });
+
+  it('repeats the previous messages as context only when cut mid-conversation', () => {
+    const burst = Array.from({ length: 40 }, (_, i) =>
+      message('2025-06-08', `09:${String(i).padStart(2, '0')}`, `Mensagem número ${i} da mesma conversa sobre o churrasco`));
+    const chunks = splitIntoChunks(burst, 500);
+    assert.ok(chunks.length > 1);
+    assert.equal(chunks[0].context.length, 0);
+    assert.ok(chunks.slice(1).every(chunk => chunk.context.length > 0));
+
+    const dayChunks = splitIntoChunks(messages, 1000);
+    assert.ok(dayChunks.filter(chunk => chunk.context.length === 0).length > 1);
+  });
+
+  it('gives an oversized message a chunk of its own', () => {
+    const big = message('2025-06-08', '09:01', 'palavra '.repeat(500));
+    const chunks = chunkMessages([message('2025-06-08', '09:00', 'oi'), big, message('2025-06-08', '09:02', 'tchau')], 100);
+    assert.deepEqual(chunks.map(chunk => chunk.length), [1, 1, 1]);
+  });
+
+  it('handles no messages', () => {
+    assert.deepEqual(splitIntoChunks([], 1000), []);
+  });
+
+  it('splits huge exports under every budget', () => {
+    const huge = parseWhatsAppChat(generateExport(100, 200)).messages;
+    const chunks = chunkMessages(huge, 8000);
+    assert.equal(chunks.reduce((sum, chunk) => sum + chunk.length, 0), huge.length);
+  });
+});
+
+describe('takeWithinBudget', () => {
+  const messages = fixtureMessages('android-pt-br.txt');
+
+  it('takes the first messages that fit', () => {
+    const { messages: taken, tokens } = takeWithinBudget(messages, 150);
+    assert.ok(taken.length > 1 && taken.length < messages.length);
+    assert.ok(tokens <= 150);
+    assert.deepEqual(taken, messages.slice(0, taken.length));
+  });
+
+  it('always takes at least one message', () => {
+    assert.equal(takeWithinBudget(messages, 1).messages.length, 1);
+  });
+
+  it('agrees with needsChunking', () => {
+    const total = messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+    assert.equal(needsChunking(messages, total), false);
+    assert.equal(needsChunking(messages, total - 1), true);
+  });
+});
+
+describe('formatChunkForAI', () => {
+  it('labels parts and marks the context', () => {
+    const [first, second] = fixtureMessages('ios-en-us.txt').slice(0, 2);
+    const text = formatChunkForAI([second], 1, 3, true, false, [first]);
+    assert.equal(text, '[Parte 2 de 3]\n\n' +
+      'Contexto (mensagens anteriores, já resumidas, NÃO resuma):\n' +
+      '[09:15] Alice Johnson: Good morning everyone!\n---\n\n' +
+      '[09:16] Bob Smith: Morning! Is the meeting still at 3?');
+  });
+});
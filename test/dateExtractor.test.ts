@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseAndIndex } from '../src/services/parser.js';
+import {
+  extractDateInfo,
+  getDateStats,
+  getRangeDays,
+  getMessagesRange,
+  isDateRange,
+  quickDateScan,
+  scanRecentDates
+} from '../src/services/dateExtractor.js';
+import { readFixture, fixtureMessages, generateExport } from './helpers.js';
+
+describe('extractDateInfo', () => {
+  const { messages, dateIndex } = parseAndIndex(readFixture('android-pt-br.txt'));
+  const dates = extractDateInfo(messages, dateIndex);
+
+  it('lists dates most recent first', () => {
+    assert.deepEqual(dates.map(d => d.date), ['2025-06-09', '2025-06-08']);
+  });
+
+  it('counts messages (system included) and participants (system excluded)', () => {
+    assert.deepEqual(dates.map(d => [d.messageCount, d.participants]), [[3, 2], [8, 4]]);
+  });
+
+  it('previews the first text message, cut at 50 characters', () => {
+    assert.equal(dates[0].preview, 'Oi! Obrigada por me adicionar');
+    const long = parseAndIndex(`08/06/2025 09:00 - Ana: ${'a'.repeat(60)}`);
+    assert.equal(extractDateInfo(long.messages, long.dateIndex)[0].preview, `${'a'.repeat(50)}...`);
+  });
+
+  it('skips media and system messages in the preview', () => {
+    const chat = parseAndIndex('08/06/2025 09:00 - Ana entrou\n08/06/2025 09:01 - Ana: <Mídia oculta>\n08/06/2025 09:02 - Ana: Oi');
+    assert.equal(extractDateInfo(chat.messages, chat.dateIndex)[0].preview, 'Oi');
+  });
+
+  it('sums up the dates', () => {
+    assert.deepEqual(getDateStats(dates), {
+      totalDays: 2,
+      oldestDate: '2025-06-08',
+      newestDate: '2025-06-09',
+      totalMessages: 11
+    });
+    assert.deepEqual(getDateStats([]), { totalDays: 0, oldestDate: '', newestDate: '', totalMessages: 0 });
+  });
+});
+
+describe('date ranges', () => {
+  it('validates ranges', () => {
+    assert.ok(isDateRange({ start: '2025-06-08', end: '2025-06-09' }));
+    assert.ok(isDateRange({ start: '2025-06-08', end: '2025-06-08' }));
+    assert.ok(!isDateRange({ start: '2025-06-09', end: '2025-06-08' }));
+    assert.ok(!isDateRange({ start: '08/06/2025', end: '09/06/2025' }));
+    assert.ok(!isDateRange(null));
+  });
+
+  it('lists every day of a range, across months', () => {
+    assert.deepEqual(getRangeDays({ start: '2024-02-28', end: '2024-03-01' }), ['2024-02-28', '2024-02-29', '2024-03-01']);
+  });
+
+  it('finds the range of some messages', () => {
+    assert.deepEqual(getMessagesRange(fixtureMessages('ios-en-us.txt')), { start: '2026-10-19', end: '2026-10-20' });
+    assert.deepEqual(getMessagesRange([]), { start: '', end: '' });
+  });
+});
+
+describe('scanning raw exports', () => {
+  it('finds every date without parsing messages', () => {
+    assert.deepEqual(quickDateScan(readFixture('ios-en-us.txt')), ['2026-10-20', '2026-10-19']);
+  });
+
+  it('reads only the most recent days from the end of the file', () => {
+    const content = generateExport(30, 50);
+    assert.deepEqual(scanRecentDates(content), ['2025-01-30', '2025-01-29', '2025-01-28']);
+    assert.deepEqual(scanRecentDates(content, 1), ['2025-01-30']);
+  });
+
+  it('returns nothing for files that are not exports', () => {
+    assert.deepEqual(scanRecentDates(readFixture('corrupt.txt')), []);
+    assert.deepEqual(quickDateScan(readFixture('empty.txt')), []);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { mkdtemp, readFile, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  runDigest,
+  selectDays,
+  estimateDay,
+  chatNameFromFile,
+  parseDigestArgs
+} from '../src/services/digest.js';
+import type { DailyDigest, DigestOptions } from '../src/services/digest.js';
+import { readFixture, fixtureMessages, useMockProvider } from './helpers.js';
+
+describe('selectDays', () => {
+  const counts = new Map([['2025-06-08', 8], ['2025-06-09', 3], ['2025-06-10', 5]]);
+
+  it('takes new days and days that got messages', () => {
+    assert.deepEqual(selectDays(counts), ['2025-06-08', '2025-06-09', '2025-06-10']);
+    assert.deepEqual(selectDays(counts, { '2025-06-08': 8, '2025-06-09': 2 }), ['2025-06-09', '2025-06-10']);
+  });
+
+  it('takes every day of a range, summarized or not', () => {
+    assert.deepEqual(selectDays(counts, { '2025-06-09': 3 }, { since: '2025-06-09' }), ['2025-06-09', '2025-06-10']);
+    assert.deepEqual(selectDays(counts, {}, { until: '2025-06-08' }), ['2025-06-08']);
+  });
+});
+
+describe('digest helpers', () => {
+  it('names the chat after the export file', () => {
+    assert.equal(chatNameFromFile('/exports/Conversa do WhatsApp com Família.txt'), 'Família');
+    assert.equal(chatNameFromFile('WhatsApp Chat with Team.txt'), 'Team');
+  });
+
+  it('estimates a day with the chunker', () => {
+    const estimate = estimateDay('2025-06-08', fixtureMessages('android-pt-br.txt'), 'fast');
+    assert.equal(estimate.totalMessages, 11);
+    assert.equal(estimate.totalChunks, 1);
+    assert.ok(estimate.estimatedTokens > 0);
+  });
+
+  it('reads the command line', () => {
+    const { input, options } = parseDigestArgs(['chat.txt', '--level', '2', '--format', 'md,json', '--out', '/tmp/d'], {
+      DIGEST_WEBHOOK_URL: 'http://localhost/hook'
+    });
+    assert.equal(input, 'chat.txt');
+    assert.equal(options.level, 2);
+    assert.deepEqual(options.formats, ['md', 'json']);
+    assert.equal(options.webhookUrl, 'http://localhost/hook');
+    assert.equal(options.statePath, path.join('/tmp/d', '.digest-state.json'));
+    assert.equal(options.dryRun, false);
+
+    assert.throws(() => parseDigestArgs(['chat.txt', '--level', '5', '--since', 'ontem']), /--level[\s\S]*--since/);
+    assert.throws(() => parseDigestArgs([]), /export file or folder/);
+  });
+});
+
+describe('runDigest', () => {
+  let dir: string;
+  let file: string;
+  let options: DigestOptions;
+  const lines: string[] = [];
+  const log = (line: string) => { lines.push(line); };
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'digest-'));
+    file = path.join(dir, 'Conversa do WhatsApp com Família.txt');
+    await writeFile(file, readFixture('android-pt-br.txt'));
+    options = {
+      level: 3,
+      privacy: 'smart',
+      model: 'powerful',
+      language: 'auto',
+      outDir: path.join(dir, 'out'),
+      formats: ['md', 'json'],
+      statePath: path.join(dir, 'out', '.digest-state.json'),
+      dryRun: false
+    };
+    lines.length = 0;
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('only estimates on a dry run', async () => {
+    const provider = useMockProvider();
+    const { estimates, digests } = await runDigest(file, { ...options, dryRun: true }, log);
+    assert.deepEqual(estimates.map(e => e.date), ['2025-06-08', '2025-06-09']);
+    assert.equal(digests.length, 0);
+    assert.equal(provider.calls.length, 0);
+    assert.match(lines.at(-1) ?? '', /2 day\(s\) to summarize/);
+  });
+
+  it('writes one digest per day and skips them next time', async () => {
+    const provider = useMockProvider();
+    const { digests } = await runDigest(file, options, log);
+    assert.deepEqual(digests.map(d => d.date), ['2025-06-08', '2025-06-09']);
+    assert.equal(provider.calls.length, 2);
+
+    const files = (await readdir(options.outDir)).sort();
+    assert.ok(files.includes('resumo-familia-2025-06-08.md'));
+    assert.ok(files.includes('resumo-familia-2025-06-09.json'));
+    const markdown = await readFile(path.join(options.outDir, 'resumo-familia-2025-06-08.md'), 'utf8');
+    assert.match(markdown, /^# Resumo — Família\n/);
+    assert.match(markdown, /## Resumo \(mock\)/);
+
+    assert.equal((await runDigest(file, options, log)).digests.length, 0);
+    assert.equal(provider.calls.length, 2);
+
+    // The export grew: only the changed day is summarized again
+    await writeFile(file, readFixture('android-pt-br.txt') + '\n09/06/2025 21:00 - Ana Costa: Boa noite!');
+    assert.deepEqual((await runDigest(file, options, log)).digests.map(d => d.date), ['2025-06-09']);
+  });
+
+  it('posts digests to the webhook', async () => {
+    useMockProvider();
+    const received: Array<DailyDigest & { text: string }> = [];
+    const server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.end('ok');
+      });
+    });
+    server.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    try {
+      const webhookUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/hook`;
+      await runDigest(file, { ...options, formats: [], webhookUrl, since: '2025-06-09' }, log);
+    } finally {
+      server.close();
+    }
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].date, '2025-06-09');
+    assert.equal(received[0].chatName, 'Família');
+    assert.match(received[0].text, /Período:\*\* 09\/06\/2025/);
+  });
+});
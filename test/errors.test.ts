@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderError } from '../src/services/llm.js';
+import { ExtractionError } from '../src/services/groq.js';
+import { ApiError, ERROR_CATALOG, toApiError, errorBody } from '../src/services/errors.js';
+
+describe('ApiError', () => {
+  it('takes status and message from the catalog', () => {
+    const err = new ApiError('JOB_NOT_FOUND');
+    assert.equal(err.status, 404);
+    assert.equal(err.message, ERROR_CATALOG.JOB_NOT_FOUND.message);
+  });
+
+  it('appends the first details to the message', () => {
+    const err = new ApiError('INVALID_REQUEST', { details: ['a', 'b', 'c', 'd'] });
+    assert.equal(err.message, 'Requisição inválida: a; b; c');
+    assert.deepEqual(errorBody(err).details, ['a', 'b', 'c', 'd']);
+  });
+});
+
+describe('toApiError', () => {
+  it('maps provider failures to their codes', () => {
+    const cases: Array<[ProviderError, string, number]> = [
+      [new ProviderError('rate_limited', 'x', 429, 1200), 'RATE_LIMITED', 429],
+      [new ProviderError('too_large', 'x', 413), 'PAYLOAD_TOO_LARGE', 413],
+      [new ProviderError('timeout', 'x'), 'PROVIDER_TIMEOUT', 504],
+      [new ProviderError('unavailable', 'x', 500), 'PROVIDER_UNAVAILABLE', 503],
+      [new ProviderError('bad_response', 'x'), 'BAD_MODEL_RESPONSE', 502],
+      [new ProviderError('unauthorized', 'x', 401), 'INVALID_API_KEY', 401]
+    ];
+    for (const [err, code, status] of cases) {
+      const apiError = toApiError(err);
+      assert.equal(apiError.code, code);
+      assert.equal(apiError.status, status);
+    }
+  });
+
+  it('says how long to wait after a rate limit, in seconds', () => {
+    const body = errorBody(toApiError(new ProviderError('rate_limited', 'x', 429, 1200)));
+    assert.equal(body.retryAfter, 2);
+    assert.equal(errorBody(toApiError(new ProviderError('rate_limited', 'x', 429))).retryAfter, undefined);
+  });
+
+  it('treats malformed extractions as bad model responses', () => {
+    assert.equal(toApiError(new ExtractionError(['decisions deve ser uma lista'])).code, 'BAD_MODEL_RESPONSE');
+  });
+
+  it('hides unexpected errors behind the route message', () => {
+    const body = errorBody(toApiError(new TypeError('x is undefined'), 'Falha ao gerar resumo'));
+    assert.deepEqual(body, { error: 'Falha ao gerar resumo', code: 'PROCESSING_ERROR' });
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { ParsedMessage } from '../src/types/index.js';
+import {
+  estimateSummary,
+  FREE_TIER_LIMITS,
+  EXTRACTION_MAX_TOKENS,
+  TOPICS_MAX_TOKENS,
+  MAX_EXTRACTION_ATTEMPTS
+} from '../src/services/estimate.js';
+import { splitIntoChunks, CHUNK_TOKENS } from '../src/services/chunker.js';
+import { parseWhatsAppChat } from '../src/services/parser.js';
+import { createJob } from '../src/services/jobs.js';
+import estimateHandler from '../api/estimate.js';
+import { fixtureMessages, generateExport, useMockProvider, createRequest, createResponse, waitForJob } from './helpers.js';
+
+function exportMessages(days: number, perDay: number): ParsedMessage[] {
+  return parseWhatsAppChat(generateExport(days, perDay)).messages.map(({ rawLine: _rawLine, ...m }) => m);
+}
+
+const firstDay = fixtureMessages('android-pt-br.txt').filter(m => m.date === '2025-06-08');
+const month = exportMessages(30, 80);
+
+describe('estimateSummary', () => {
+  it('answers a small day with one call', () => {
+    const estimate = estimateSummary(firstDay, { model: 'powerful', level: 3 });
+    assert.equal(estimate.chunks, 1);
+    assert.equal(estimate.merges, 0);
+    assert.equal(estimate.messages, firstDay.length);
+    assert.equal(estimate.outputTokens, 500);
+    assert.equal(estimate.fitsFreeTier, true);
+  });
+
+  it('plans the chunks and merge rounds of the job', () => {
+    const estimate = estimateSummary(month, { model: 'fast', level: 2 });
+    const chunks = splitIntoChunks(month, CHUNK_TOKENS.fast).length;
+    assert.equal(estimate.chunks, chunks);
+    assert.ok(chunks > 8, 'needs more than one merge round');
+    assert.equal(estimate.merges, Math.ceil(chunks / 8) + 1);
+    assert.ok(estimate.inputTokens > chunks * CHUNK_TOKENS.fast * 0.5);
+  });
+
+  it('takes longer on models with fewer tokens per minute', () => {
+    const fast = estimateSummary(month, { model: 'fast', level: 3 });
+    const powerful = estimateSummary(month, { model: 'powerful', level: 3 });
+    assert.ok(powerful.chunks < fast.chunks);
+    assert.ok(powerful.seconds < fast.seconds);
+    // Waits for the rate limit dominate: at least the minutes of tokens past the first
+    const total = fast.inputTokens + fast.outputTokens;
+    assert.ok(fast.seconds >= (total / FREE_TIER_LIMITS.fast.tokensPerMinute - 1) * 60);
+  });
+
+  it('estimates quick mode as one call on a sample', () => {
+    const quick = estimateSummary(month, { model: 'balanced', level: 3, mode: 'quick' });
+    const chunks = splitIntoChunks(month, CHUNK_TOKENS.balanced).length;
+    assert.equal(quick.chunks, 1);
+    assert.equal(quick.merges, 0);
+    assert.equal(quick.messages, Math.floor(month.length / chunks));
+    assert.ok(quick.inputTokens <= CHUNK_TOKENS.balanced + 300);
+    // A month's digest gets room for its days
+    assert.equal(quick.outputTokens, 2000);
+  });
+
+  it('merges structured output and topics without the model', () => {
+    const estimate = estimateSummary(month, { model: 'fast', level: 3, output: 'structured' });
+    assert.equal(estimate.merges, 0);
+  });
+
+  it('counts the answer budget and retries of the JSON modes', () => {
+    const summary = estimateSummary(firstDay, { model: 'powerful', level: 3 });
+    const structured = estimateSummary(firstDay, { model: 'powerful', level: 3, output: 'structured' });
+    const topics = estimateSummary(firstDay, { model: 'powerful', level: 3, output: 'topics' });
+    assert.equal(structured.outputTokens, EXTRACTION_MAX_TOKENS * MAX_EXTRACTION_ATTEMPTS);
+    assert.equal(topics.outputTokens, TOPICS_MAX_TOKENS * MAX_EXTRACTION_ATTEMPTS);
+
+    // Retries send the conversation again, with the answers so far
+    const input = summary.inputTokens;
+    assert.equal(structured.inputTokens, 3 * input + 3 * (EXTRACTION_MAX_TOKENS + 60));
+
+    // Time assumes the first answer is valid: 1s to start, 1500 tokens at 450/s
+    assert.equal(structured.seconds, 5);
+  });
+
+  it('tells when the topics of a chunk are past the free tier', () => {
+    assert.equal(estimateSummary(month, { model: 'fast', level: 3, output: 'topics' }).fitsFreeTier, false);
+    assert.equal(estimateSummary(month, { model: 'powerful', level: 3, output: 'topics' }).fitsFreeTier, true);
+  });
+
+  it('tells when a job is past the free tier', () => {
+    const big = exportMessages(50, 250);
+    assert.equal(estimateSummary(big, { model: 'balanced', level: 3 }).fitsFreeTier, false);
+    assert.equal(estimateSummary(big, { model: 'powerful', level: 3 }).fitsFreeTier, true);
+    // One merge call of 8 long partials is more than the small model's TPM
+    assert.equal(estimateSummary(month, { model: 'fast', level: 4 }).fitsFreeTier, false);
+  });
+
+  it('matches the calls of a job', async () => {
+    useMockProvider();
+    const estimate = estimateSummary(month, { model: 'fast', level: 3 });
+    const job = await createJob(
+      { messages: month, level: 3, privacy: 'smart', model: 'fast', output: 'summary', language: 'pt' },
+      { owner: 'test' }
+    );
+    const done = await waitForJob(job.id, 'test');
+    assert.equal(done.status, 'done');
+    assert.equal(done.result?.stats.chunks, estimate.chunks);
+    assert.equal(done.result?.stats.merges, estimate.merges);
+  });
+});
+
+describe('POST /api/estimate', () => {
+  it('estimates without calling the model', async () => {
+    const provider = useMockProvider();
+    const res = createResponse();
+    await estimateHandler(createRequest({ body: { messages: month, model: 'fast', level: 2 } }), res);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, estimateSummary(month, { model: 'fast', level: 2 }));
+    assert.equal(provider.calls.length, 0);
+  });
+
+  it('rejects invalid options', async () => {
+    const res = createResponse();
+    await estimateHandler(createRequest({ body: { messages: firstDay, mode: 'rapido', model: 'gpt' } }), res);
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual((res.body as { details: string[] }).details, [
+      'model: deve ser "fast", "balanced" ou "powerful"',
+      'mode: deve ser "full" ou "quick"'
+    ]);
+  });
+});
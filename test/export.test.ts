@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  exportFileName,
+  markdownToHtml,
+  splitText,
+  toHtmlDocument,
+  toWhatsAppMessages,
+  toWhatsAppText
+} from '../src/services/export.js';
+import type { ExportMeta } from '../src/services/export.js';
+
+const meta: ExportMeta = {
+  chatName: 'Família Silva',
+  range: { start: '2026-10-12', end: '2026-10-19' },
+  level: 3,
+  output: 'summary',
+  stats: { totalMessages: 120, participants: 5, chunks: 2 }
+};
+
+describe('toWhatsAppText', () => {
+  it('uses WhatsApp formatting instead of markdown', () => {
+    const markdown = [
+      '## **Resumo** da semana',
+      '',
+      '- **Ana** vai levar o *bolo*',
+      '- [ ] Comprar ~~velas~~ balões',
+      '- [x] Reservar o salão',
+      '',
+      '---',
+      '',
+      'Fotos em [álbum](https://fotos.exemplo.com/festa)'
+    ].join('\n');
+
+    assert.equal(toWhatsAppText(markdown), [
+      '*Resumo da semana*',
+      '',
+      '• *Ana* vai levar o _bolo_',
+      '☐ Comprar ~velas~ balões',
+      '☑ Reservar o salão',
+      '',
+      'Fotos em álbum (https://fotos.exemplo.com/festa)'
+    ].join('\n'));
+  });
+});
+
+describe('splitText', () => {
+  it('keeps a text that fits in one piece', () => {
+    assert.deepEqual(splitText('um\n\ndois', 20), ['um\n\ndois']);
+  });
+
+  it('splits between paragraphs first', () => {
+    assert.deepEqual(splitText('primeiro parágrafo\n\nsegundo parágrafo', 25), ['primeiro parágrafo', 'segundo parágrafo']);
+  });
+
+  it('stays under the limit without cutting words or links', () => {
+    const link = 'https://fotos.exemplo.com/album/festa-de-aniversario';
+    const text = Array.from({ length: 40 }, (_, i) => `palavra${i} ${i % 7 === 0 ? link : 'outra'}`).join(' ');
+    const words = new Set(text.split(' '));
+    const parts = splitText(text, 80);
+
+    assert.ok(parts.length > 1);
+    for (const part of parts) {
+      assert.ok(part.length <= 80, `${part.length} characters`);
+      for (const word of part.split(/\s+/)) assert.ok(words.has(word), `"${word}" was cut`);
+    }
+    assert.equal(parts.join(' ').replace(/\n/g, ' '), text);
+  });
+
+  it('cuts a single word longer than the limit', () => {
+    assert.deepEqual(splitText('a'.repeat(25), 10), ['a'.repeat(10), 'a'.repeat(10), 'a'.repeat(5)]);
+  });
+});
+
+describe('toWhatsAppMessages', () => {
+  it('puts the header in the first message and numbers the parts', () => {
+    const paragraphs = Array.from({ length: 30 }, (_, i) => `Parágrafo ${i} com algumas palavras para ocupar espaço.`);
+    const messages = toWhatsAppMessages(paragraphs.join('\n\n'), meta, 300);
+
+    assert.ok(messages.length > 1);
+    assert.ok(messages[0].startsWith(`_(parte 1/${messages.length})_\n*Resumo — Família Silva*\n_Período:_ 12/10/2026 a 19/10/2026`));
+    for (const message of messages) assert.ok(message.length <= 300);
+  });
+});
+
+describe('markdownToHtml', () => {
+  it('escapes the text around the formatting', () => {
+    assert.equal(
+      markdownToHtml('# Festa <script>alert(1)</script>\n\n**"Ana" & Bia** <img src=x onerror=alert(1)>'),
+      '<h1>Festa &lt;script&gt;alert(1)&lt;/script&gt;</h1>\n' +
+      '<p><strong>&quot;Ana&quot; &amp; Bia</strong> &lt;img src=x onerror=alert(1)&gt;</p>'
+    );
+  });
+
+  it('links only http(s) addresses', () => {
+    const html = markdownToHtml('[clique](javascript:alert(1)) [dados](data:text/html,x) [site](https://exemplo.com) www.exemplo.com');
+    assert.equal(
+      html,
+      '<p>[clique](javascript:alert(1)) [dados](data:text/html,x) <a href="https://exemplo.com">site</a> www.exemplo.com</p>'
+    );
+  });
+
+  it('keeps addresses out of the emphasis rules', () => {
+    assert.equal(
+      markdownToHtml('veja https://exemplo.com/_a_/b e [foto](https://exemplo.com/**b**) e `https://x.com`'),
+      '<p>veja <a href="https://exemplo.com/_a_/b">https://exemplo.com/_a_/b</a> e ' +
+      '<a href="https://exemplo.com/**b**">foto</a> e <code>https://x.com</code></p>'
+    );
+  });
+
+  it('escapes quotes inside link addresses', () => {
+    assert.equal(
+      markdownToHtml('https://exemplo.com/"onmouseover="alert(1)'),
+      '<p><a href="https://exemplo.com/&quot;onmouseover=&quot;alert(1">https://exemplo.com/&quot;onmouseover=&quot;alert(1</a>)</p>'
+    );
+  });
+
+  it('renders lists, task boxes and rules', () => {
+    assert.equal(
+      markdownToHtml('- um\n- [x] feito\n1. primeiro\n\n---\ntexto\nlinha'),
+      '<ul>\n<li>um</li>\n<li class="task">☑ feito</li>\n</ul>\n<ol>\n<li>primeiro</li>\n</ol>\n<hr>\n<p>texto<br>linha</p>'
+    );
+  });
+});
+
+describe('export documents', () => {
+  it('names the file after the group and the period', () => {
+    assert.equal(exportFileName(meta, 'md'), 'resumo-familia-silva-2026-10-12-a-2026-10-19.md');
+    assert.equal(exportFileName({ ...meta, chatName: null, range: { start: '2026-10-19', end: '2026-10-19' } }, 'html'), 'resumo-2026-10-19.html');
+  });
+
+  it('escapes the group name in the HTML header', () => {
+    const html = toHtmlDocument('Texto', { ...meta, chatName: '<b>Grupo</b>' });
+    assert.ok(html.includes('<title>Resumo — &lt;b&gt;Grupo&lt;/b&gt;</title>'));
+    assert.ok(!html.includes('<b>Grupo</b>'));
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isWebUrl, parseStructuredSummary, validateStructuredSummary } from '../src/services/extraction.js';
+import { parseMergeRequest } from '../src/services/validation.js';
+
+const source = { date: null, time: '10:02', sender: 'Ana' };
+
+function link(url: string) {
+  return { url, description: 'convite', source };
+}
+
+describe('validateStructuredSummary', () => {
+  it('normalizes missing lists and optional fields', () => {
+    const result = validateStructuredSummary({ tasks: [{ task: ' Levar o bolo ', owner: '', source }] });
+    assert.deepEqual(result, {
+      ok: true,
+      value: {
+        decisions: [],
+        tasks: [{ task: 'Levar o bolo', owner: null, due: null, source }],
+        events: [],
+        links: [],
+        unansweredQuestions: []
+      }
+    });
+  });
+
+  it('lists every problem to send back to the model', () => {
+    const result = validateStructuredSummary({ decisions: 'nenhuma', tasks: [{ owner: 'Ana' }] });
+    assert.deepEqual(result, {
+      ok: false,
+      errors: [
+        'decisions deve ser uma lista',
+        'tasks[0].task deve ser um texto não vazio',
+        'tasks[0].source deve ser um objeto { date, time, sender }'
+      ]
+    });
+  });
+
+  it('keeps only http(s) links', () => {
+    const result = parseStructuredSummary(JSON.stringify({
+      links: [
+        link('https://exemplo.com/festa'),
+        link('javascript:alert(document.cookie)'),
+        link('JavaScript:alert(1)'),
+        link('data:text/html,<script>alert(1)</script>'),
+        link('http://exemplo.com'),
+        link('www.exemplo.com/fotos'),
+        link('[link 2]')
+      ]
+    }));
+
+    assert.ok(result.ok);
+    assert.deepEqual(result.value.links.map(l => l.url), [
+      'https://exemplo.com/festa',
+      'http://exemplo.com',
+      'https://www.exemplo.com/fotos',
+      '[link 2]'
+    ]);
+  });
+
+  it('drops javascript: links sent back for merging', () => {
+    const part = { links: [link('javascript:alert(1)'), link('https://exemplo.com')] };
+    const params = parseMergeRequest({ output: 'structured', extractions: [part] });
+
+    assert.equal(params.output, 'structured');
+    assert.deepEqual(params.output === 'structured' && params.extractions[0].links.map(l => l.url), ['https://exemplo.com']);
+  });
+});
+
+describe('isWebUrl', () => {
+  it('accepts only well-formed http and https addresses', () => {
+    assert.equal(isWebUrl('https://exemplo.com/a?b=1'), true);
+    assert.equal(isWebUrl('HTTP://EXEMPLO.COM'), true);
+    assert.equal(isWebUrl('javascript:alert(1)'), false);
+    assert.equal(isWebUrl(' javascript:alert(1)'), false);
+    assert.equal(isWebUrl('//exemplo.com'), false);
+    assert.equal(isWebUrl('exemplo.com'), false);
+    assert.equal(isWebUrl('https://'), false);
+  });
+});
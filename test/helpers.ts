@@ -0,0 +1,228 @@
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { PassThrough } from 'node:stream';
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import type { JobInfo, ParsedMessage } from '../src/types/index.js';
+import { parseWhatsAppChat } from '../src/services/parser.js';
+import { createMockProvider, setProvider } from '../src/services/llm.js';
+import type { CompletionRequest } from '../src/services/llm.js';
+import { createNullCache, setCache } from '../src/services/cache.js';
+import { setAccessGuard } from '../src/services/access.js';
+import { getJob, isJobFinished } from '../src/services/jobs.js';
+
+/**
+ * Shared helpers for the test suite (node:test, run with tsx)
+ *
+ * - fixtures: sample exports in test/fixtures
+ * - mock VercelRequest / VercelResponse to call the api/ handlers directly
+ * - a stubbed LLM (the mock provider, with the cache turned off)
+ * - golden files in test/golden, rewritten with UPDATE_GOLDEN=1
+ */
+
+const FIXTURES_DIR = new URL('./fixtures/', import.meta.url);
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+
+/**
+ * Content of a fixture export
+ */
+export function readFixture(name: string): string {
+  return readFileSync(new URL(name, FIXTURES_DIR), 'utf-8');
+}
+
+/**
+ * Parsed messages of a fixture, without the raw export lines
+ */
+export function fixtureMessages(name: string): ParsedMessage[] {
+  return parseWhatsAppChat(readFixture(name)).messages.map(({ rawLine: _rawLine, ...message }) => message);
+}
+
+/**
+ * A long generated export: `days` days of `perDay` messages, with a
+ * change of subject and a long pause in the middle of each day
+ */
+export function generateExport(days: number, perDay: number): string {
+  const senders = ['Ana Costa', 'João Silva', 'Maria Santos', 'Pedro Oliveira'];
+  const subjects = ['festa de sábado no salão', 'projeto do trabalho para sexta'];
+  const lines: string[] = [];
+
+  for (let day = 0; day < days; day++) {
+    const date = new Date(Date.UTC(2025, 0, 1 + day));
+    const dateText = `${String(date.getUTCDate()).padStart(2, '0')}/${String(date.getUTCMonth() + 1).padStart(2, '0')}/${date.getUTCFullYear()}`;
+    for (let i = 0; i < perDay; i++) {
+      const half = i < perDay / 2 ? 0 : 1;
+      const minutes = 8 * 60 + i + half * 120;
+      const time = `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+      lines.push(`${dateText} ${time} - ${senders[i % senders.length]}: Mensagem ${i} sobre ${subjects[half]}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Turn off the summary cache and answer with the mock provider
+ * (or a custom answer); the calls it receives are kept in .calls.
+ * The access guard starts over, with fresh rate limits and budgets.
+ */
+export function useMockProvider(options: Parameters<typeof createMockProvider>[0] = {}): ReturnType<typeof createMockProvider> {
+  const provider = createMockProvider(options);
+  setProvider(provider);
+  setCache(createNullCache());
+  setAccessGuard(null);
+  return provider;
+}
+
+/**
+ * Wait until a job running in the background won't change anymore
+ */
+export async function waitForJob(id: string, owner: string): Promise<JobInfo> {
+  for (;;) {
+    const job = await getJob(id, owner);
+    assert.ok(job, `job ${id} not found`);
+    if (isJobFinished(job)) return job;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * A JSON request as the handlers receive it
+ */
+export function createRequest(options: {
+  method?: string;
+  body?: unknown;
+  query?: Record<string, string>;
+  headers?: Record<string, string>;
+} = {}): VercelRequest {
+  const { method = 'POST', body, query = {}, headers = {} } = options;
+  return { method, body, query, headers, url: '/api/test' } as unknown as VercelRequest;
+}
+
+/**
+ * A multipart/form-data upload of one file, as a readable stream for formidable
+ */
+export function createUploadRequest(fileName: string | null, content: string): VercelRequest {
+  const boundary = '----resumo-test-boundary';
+  const parts = fileName === null
+    ? [`--${boundary}\r\nContent-Disposition: form-data; name="note"\r\n\r\n${content}\r\n`]
+    : [`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fileName}"\r\nContent-Type: text/plain\r\n\r\n${content}\r\n`];
+  const body = Buffer.from(`${parts.join('')}--${boundary}--\r\n`);
+
+  const stream = new PassThrough();
+  Object.assign(stream, {
+    method: 'POST',
+    url: '/api/upload',
+    query: {},
+    headers: {
+      'content-type': `multipart/form-data; boundary=${boundary}`,
+      'content-length': String(body.length)
+    }
+  });
+  stream.end(body);
+  return stream as unknown as VercelRequest;
+}
+
+/**
+ * What a handler sent back
+ */
+export interface MockResponse extends VercelResponse {
+  statusCode: number;
+  headers: Record<string, string>;
+  body: unknown;
+  /** Raw chunks written to the response (event streams) */
+  chunks: string[];
+  /** Server-Sent Events written so far */
+  events(): Array<{ event: string | null; data: unknown }>;
+}
+
+/**
+ * A response that records the status, headers, JSON body and streamed events
+ */
+export function createResponse(): MockResponse {
+  const res = new EventEmitter() as EventEmitter & Record<string, unknown>;
+
+  Object.assign(res, {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    headersSent: false,
+    writableEnded: false,
+    writableFinished: false,
+
+    setHeader(name: string, value: string | number | string[]) {
+      (res.headers as Record<string, string>)[name.toLowerCase()] = String(value);
+      return res;
+    },
+    getHeader(name: string) {
+      return (res.headers as Record<string, string>)[name.toLowerCase()];
+    },
+    status(code: number) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body: unknown) {
+      (res.headers as Record<string, string>)['content-type'] ??= 'application/json';
+      res.body = body;
+      return (res.end as () => unknown)();
+    },
+    send(body: unknown) {
+      res.body = body;
+      return (res.end as () => unknown)();
+    },
+    writeHead(code: number, headers: Record<string, string> = {}) {
+      res.statusCode = code;
+      for (const [name, value] of Object.entries(headers)) {
+        (res.headers as Record<string, string>)[name.toLowerCase()] = value;
+      }
+      res.headersSent = true;
+      return res;
+    },
+    write(chunk: string | Buffer) {
+      res.headersSent = true;
+      (res.chunks as string[]).push(String(chunk));
+      return true;
+    },
+    end(chunk?: string | Buffer) {
+      if (res.writableEnded) return res;
+      if (chunk !== undefined) (res.chunks as string[]).push(String(chunk));
+      res.headersSent = true;
+      res.writableEnded = true;
+      res.writableFinished = true;
+      res.emit('finish');
+      res.emit('close');
+      return res;
+    },
+    events() {
+      return (res.chunks as string[]).join('').split('\n\n').filter(Boolean).map(block => {
+        const event = block.match(/^event: (.*)$/m)?.[1] ?? null;
+        const data = block.match(/^data: (.*)$/m)?.[1];
+        return { event, data: data === undefined ? null : JSON.parse(data) };
+      });
+    }
+  });
+
+  return res as unknown as MockResponse;
+}
+
+/**
+ * A model request as plain text, for golden files
+ */
+export function renderRequest(request: CompletionRequest): string {
+  const options = `model: ${request.model}, maxTokens: ${request.maxTokens}, temperature: ${request.temperature}` +
+    (request.json ? ', json' : '');
+  const messages = request.messages.map(message => `--- ${message.role} ---\n${message.content}`);
+  return `${options}\n${messages.join('\n')}\n`;
+}
+
+/**
+ * Compare a text with test/golden/<name>.txt
+ * Missing files are written; UPDATE_GOLDEN=1 rewrites them all
+ */
+export function assertGolden(name: string, actual: string): void {
+  const file = new URL(`${name}.txt`, GOLDEN_DIR);
+  if (process.env.UPDATE_GOLDEN === '1' || !existsSync(file)) {
+    writeFileSync(file, actual);
+    return;
+  }
+  assert.equal(actual, readFileSync(file, 'utf-8'), `${name} changed (run with UPDATE_GOLDEN=1 if intended)`);
+}
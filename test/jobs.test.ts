@@ -0,0 +1,336 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProviderError } from '../src/services/llm.js';
+import type { CompletionRequest } from '../src/services/llm.js';
+import type { RedisLikeClient } from '../src/services/cache.js';
+import type { JobInfo, JobStatus } from '../src/types/index.js';
+import { parseWhatsAppChat } from '../src/services/parser.js';
+import {
+  createJob,
+  getJob,
+  advanceJob,
+  cancelJob,
+  subscribeToJob,
+  createJobStoreFromEnv,
+  createRedisJobStore,
+  jobsRunInBackground,
+  createRateGate,
+  setJobClock
+} from '../src/services/jobs.js';
+import jobsHandler from '../api/jobs.js';
+import { fixtureMessages, generateExport, useMockProvider, createRequest, createResponse, waitForJob } from './helpers.js';
+
+const OWNER = 'session:test';
+const SESSION = 'aaaaaaaa-1111-2222-3333-444444444444';
+const OTHER_SESSION = 'bbbbbbbb-1111-2222-3333-444444444444';
+
+/**
+ * Whether a provider call merges partial summaries
+ */
+function isMerge(request: CompletionRequest): boolean {
+  return request.messages.some(m => /^--- Parte \d+/m.test(m.content));
+}
+
+describe('jobs', () => {
+  const messages = fixtureMessages('android-pt-br.txt');
+  // 12 chunks, more than one round of merges
+  const longMessages = parseWhatsAppChat(generateExport(12, 200)).messages;
+
+  it('never sends names, phones, emails or links to the provider', async () => {
+    const provider = useMockProvider();
+    const { id } = await createJob({ messages, level: 3, privacy: 'with-names' }, { owner: OWNER });
+    const job = await waitForJob(id, OWNER);
+    assert.equal(job.status, 'done');
+    assert.ok(provider.calls.length > 0);
+
+    const sent = JSON.stringify(provider.calls.map(call => call.messages));
+    for (const secret of ['João', 'Maria', 'Pedro', 'Carla', 'Costa', '91234-5678', 'ana.costa@example.com', 'fotos.example.com']) {
+      assert.ok(!sent.includes(secret), `"${secret}" reached the provider`);
+    }
+  });
+
+  it('stops before merging when cancelled during the last chunk', async () => {
+    let id = '';
+    const provider = useMockProvider({
+      respond: () => {
+        if (provider.calls.length === 12) void cancelJob(id, OWNER);
+        return 'Resumo parcial.';
+      }
+    });
+    const statuses: JobStatus[] = [];
+    ({ id } = await createJob({ messages: longMessages, level: 3, privacy: 'anonymous' }, { owner: OWNER }));
+    subscribeToJob(id, update => statuses.push(update.status));
+
+    const job = await waitForJob(id, OWNER);
+    assert.equal(job.progress.totalChunks, 12);
+    assert.equal(job.status, 'cancelled');
+    assert.equal(provider.calls.filter(isMerge).length, 0);
+    assert.deepEqual([...new Set(statuses)], ['running', 'cancelled']);
+  });
+
+  it('stays cancelled when cancelled during the last merge of a round', async () => {
+    let id = '';
+    // 12 chunks: two merges in the first round, then the final one
+    const provider = useMockProvider({
+      respond: () => {
+        if (provider.calls.filter(isMerge).length === 2) void cancelJob(id, OWNER);
+        return 'Resumo.';
+      }
+    });
+    const statuses: JobStatus[] = [];
+    ({ id } = await createJob({ messages: longMessages, level: 3, privacy: 'anonymous' }, { owner: OWNER }));
+    subscribeToJob(id, update => statuses.push(update.status));
+
+    const job = await waitForJob(id, OWNER);
+    assert.equal(job.progress.totalChunks, 12);
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.result, undefined);
+    assert.equal(provider.calls.filter(isMerge).length, 2);
+    assert.equal(statuses.at(-1), 'cancelled');
+    assert.ok(!statuses.includes('done'));
+  });
+
+  it('runs to the end when nobody cancels', async () => {
+    const provider = useMockProvider();
+    const { id } = await createJob({ messages: longMessages, level: 3, privacy: 'anonymous' }, { owner: OWNER });
+    const job = await waitForJob(id, OWNER);
+    assert.equal(job.status, 'done');
+    assert.equal(job.result?.stats.merges, provider.calls.filter(isMerge).length);
+    assert.ok(job.progress.mergeRound >= 2);
+  });
+
+  it('belongs to the client that created it', async () => {
+    useMockProvider();
+    const { id } = await createJob({ messages, level: 3, privacy: 'smart' }, { owner: OWNER });
+    assert.match(id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+
+    assert.equal(await getJob(id, 'session:other'), undefined);
+    assert.equal(await cancelJob(id, 'session:other'), undefined);
+    assert.equal((await waitForJob(id, OWNER)).status, 'done');
+  });
+});
+
+describe('jobs run by the requests that follow them', () => {
+  const longMessages = parseWhatsAppChat(generateExport(12, 200)).messages;
+
+  afterEach(() => {
+    delete process.env.JOB_RUNNER;
+    setJobClock(null);
+  });
+
+  it('does nothing until followed, then goes on slice by slice', async () => {
+    process.env.JOB_RUNNER = 'requests';
+    // Each call takes 3 s of the runner's time, so a slice of 8 s fits a few
+    let now = 0;
+    setJobClock({ now: () => now, sleep: async ms => { now += ms; } });
+    const provider = useMockProvider({
+      respond: () => {
+        now += 3000;
+        return 'Resumo.';
+      }
+    });
+
+    const { id } = await createJob({ messages: longMessages, level: 3, privacy: 'anonymous' }, { owner: OWNER });
+    assert.equal(provider.calls.length, 0);
+
+    let job: JobInfo | undefined;
+    let slices = 0;
+    do {
+      job = await advanceJob(id, OWNER, { timeMs: 8000 });
+      slices++;
+      assert.ok(slices < 20, 'the job does not move on');
+    } while (job && job.status !== 'done');
+
+    assert.ok(slices > 3);
+    assert.equal(job?.progress.completedChunks, 12);
+    assert.equal(job?.result?.stats.chunks, 12);
+    // Every chunk and merge ran once, although the job went through many requests
+    assert.equal(provider.calls.length, 12 + (job?.result?.stats.merges ?? 0));
+  });
+
+  it('is followed through the API by its own session only', async () => {
+    process.env.JOB_RUNNER = 'requests';
+    const provider = useMockProvider();
+    const headers = { 'x-session-id': SESSION };
+
+    const created = createResponse();
+    await jobsHandler(createRequest({ headers, body: { messages: fixtureMessages('android-pt-br.txt'), level: 3, privacy: 'smart' } }), created);
+    assert.equal(created.statusCode, 202);
+    const { id } = created.body as JobInfo;
+    assert.equal(provider.calls.length, 0);
+
+    const stranger = createResponse();
+    await jobsHandler(createRequest({ method: 'GET', query: { id }, headers: { 'x-session-id': OTHER_SESSION } }), stranger);
+    assert.equal(stranger.statusCode, 404);
+    assert.equal(provider.calls.length, 0);
+
+    const followed = createResponse();
+    await jobsHandler(createRequest({ method: 'GET', query: { id }, headers }), followed);
+    assert.equal(followed.statusCode, 200);
+    assert.equal((followed.body as JobInfo).status, 'done');
+    assert.ok(provider.calls.length > 0);
+  });
+
+  it('streams the slice it runs, then closes', async () => {
+    process.env.JOB_RUNNER = 'requests';
+    useMockProvider();
+    const headers = { 'x-session-id': SESSION };
+    const created = createResponse();
+    await jobsHandler(createRequest({ headers, body: { messages: fixtureMessages('android-pt-br.txt'), level: 3, privacy: 'smart' } }), created);
+    const { id } = created.body as JobInfo;
+
+    const res = createResponse();
+    await jobsHandler(createRequest({ method: 'GET', query: { id, stream: '1' }, headers }), res);
+    const updates = res.events().map(e => (e.data as JobInfo).status);
+    assert.equal(updates[0], 'queued');
+    assert.equal(updates.at(-1), 'done');
+    assert.ok(res.writableEnded);
+  });
+
+  it('cancels a job nobody is running', async () => {
+    process.env.JOB_RUNNER = 'requests';
+    const provider = useMockProvider();
+    const headers = { 'x-session-id': SESSION };
+    const created = createResponse();
+    await jobsHandler(createRequest({ headers, body: { messages: fixtureMessages('android-pt-br.txt'), level: 3, privacy: 'smart' } }), created);
+    const { id } = created.body as JobInfo;
+
+    const stranger = createResponse();
+    await jobsHandler(createRequest({ method: 'DELETE', query: { id }, headers: { 'x-session-id': OTHER_SESSION } }), stranger);
+    assert.equal(stranger.statusCode, 404);
+
+    const res = createResponse();
+    await jobsHandler(createRequest({ method: 'DELETE', query: { id }, headers }), res);
+    assert.equal((res.body as JobInfo).status, 'cancelled');
+
+    const followed = createResponse();
+    await jobsHandler(createRequest({ method: 'GET', query: { id }, headers }), followed);
+    assert.equal((followed.body as JobInfo).status, 'cancelled');
+    assert.equal(provider.calls.length, 0);
+  });
+});
+
+describe('rate gate', () => {
+  it('spaces calls by the tokens left until the reset', () => {
+    let now = 1000;
+    const gate = createRateGate(undefined, () => now);
+    gate.report({ remainingTokens: 7000, resetTokensMs: 6000 });
+
+    assert.equal(gate.reserve(3000), 0);
+    assert.equal(gate.reserve(3000), 0);
+    // The first two went over the budget: wait for the reset
+    assert.equal(gate.reserve(3000), 6000);
+    now += 4000;
+    assert.equal(gate.reserve(3000), 2000);
+  });
+
+  it('waits while blocked, up to a cap', () => {
+    let now = 0;
+    const gate = createRateGate(undefined, () => now);
+    gate.block(7000);
+    gate.block(1000);
+    assert.equal(gate.reserve(100), 7000);
+    now += 7000;
+    assert.equal(gate.reserve(100), 0);
+
+    gate.block(10 * 60_000);
+    assert.equal(gate.reserve(100), 65_000);
+  });
+});
+
+describe('job retries', () => {
+  const messages = fixtureMessages('android-pt-br.txt');
+  let sleeps: number[];
+
+  beforeEach(() => {
+    sleeps = [];
+    let now = 0;
+    setJobClock({ now: () => now, sleep: async ms => { sleeps.push(ms); now += ms; } });
+  });
+
+  afterEach(() => {
+    setJobClock(null);
+  });
+
+  it('waits as long as the provider asks after a 429', async () => {
+    let failed = false;
+    const provider = useMockProvider({
+      respond: () => {
+        if (!failed) {
+          failed = true;
+          throw new ProviderError('rate_limited', 'Rate limit', 429, 7000);
+        }
+        return 'Resumo.';
+      }
+    });
+    const { id } = await createJob({ messages, level: 3, privacy: 'smart' }, { owner: OWNER });
+    const job = await waitForJob(id, OWNER);
+
+    assert.equal(job.status, 'done');
+    assert.equal(job.progress.retries, 1);
+    assert.equal(provider.calls.length, 2);
+    assert.deepEqual(sleeps, [7000]);
+  });
+
+  it('backs off and gives up after three attempts', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const provider = useMockProvider({ fail: new ProviderError('unavailable', 'Indisponível', 503) });
+    const { id } = await createJob({ messages, level: 3, privacy: 'smart' }, { owner: OWNER });
+    const job = await waitForJob(id, OWNER);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.errorCode, 'PROVIDER_UNAVAILABLE');
+    assert.equal(provider.calls.length, 3);
+    assert.deepEqual(sleeps, [2000, 4000]);
+  });
+
+  it('does not retry an answer in the wrong format', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const provider = useMockProvider({ fail: new ProviderError('bad_response', 'JSON inválido') });
+    const { id } = await createJob({ messages, level: 3, privacy: 'smart' }, { owner: OWNER });
+    const job = await waitForJob(id, OWNER);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.errorCode, 'BAD_MODEL_RESPONSE');
+    assert.equal(provider.calls.length, 1);
+    assert.deepEqual(sleeps, []);
+  });
+});
+
+describe('job configuration', () => {
+  it('runs in requests with Redis on Vercel, in the background elsewhere', () => {
+    assert.equal(jobsRunInBackground({}), true);
+    assert.equal(jobsRunInBackground({ VERCEL: '1' }), false);
+    assert.equal(jobsRunInBackground({ VERCEL: '1', JOB_RUNNER: 'background' }), true);
+    assert.throws(() => jobsRunInBackground({ JOB_RUNNER: 'cron' }), /Unknown JOB_RUNNER/);
+
+    assert.equal(createJobStoreFromEnv({}).name, 'memory');
+    assert.equal(createJobStoreFromEnv({ VERCEL: '1', REDIS_REST_URL: 'https://redis.example.com' }).name, 'redis');
+    assert.throws(() => createJobStoreFromEnv({ VERCEL: '1' }), /REDIS_REST_URL/);
+  });
+
+  it('keeps jobs in Redis with an exclusive lock', async () => {
+    const values = new Map<string, string>();
+    const client: RedisLikeClient = {
+      async get(key) { return values.get(key) ?? null; },
+      async set(key, value, _mode, _ttlMs, condition) {
+        if (condition === 'NX' && values.has(key)) return null;
+        values.set(key, value);
+        return 'OK';
+      },
+      async del(key) { return values.delete(key) ? 1 : 0; },
+      async incrby() { return 0; }
+    };
+    const jobs = createRedisJobStore(client);
+
+    assert.equal(await jobs.lock('a', 1000), true);
+    assert.equal(await jobs.lock('a', 1000), false);
+    await jobs.unlock('a');
+    assert.equal(await jobs.lock('a', 1000), true);
+
+    assert.equal(await jobs.isCancelled('a'), false);
+    await jobs.cancel('a', 1000);
+    assert.equal(await jobs.isCancelled('a'), true);
+    assert.equal(await jobs.get('b'), undefined);
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ProviderError,
+  createOpenAICompatibleProvider,
+  createProviderFromEnv,
+  errorFromStatus,
+  parseRateLimitHeaders
+} from '../src/services/llm.js';
+import type { CompletionRequest } from '../src/services/llm.js';
+
+const models = { fast: 'small', balanced: 'medium', powerful: 'large' };
+const request: CompletionRequest = { model: 'fast', messages: [], maxTokens: 10, temperature: 0 };
+
+function headers(values: Record<string, string>) {
+  return (name: string) => values[name] ?? null;
+}
+
+/**
+ * text/event-stream body sent in the given pieces, as a server would flush them
+ */
+function eventStream(pieces: string[]): ReadableStream<Uint8Array> {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      for (const piece of pieces) controller.enqueue(encoder.encode(piece));
+      controller.close();
+    }
+  });
+}
+
+describe('parseRateLimitHeaders', () => {
+  it('reads the limits and reset durations', () => {
+    const info = parseRateLimitHeaders(headers({
+      'x-ratelimit-limit-tokens': '30000',
+      'x-ratelimit-remaining-tokens': '1200',
+      'x-ratelimit-remaining-requests': '14',
+      'x-ratelimit-reset-tokens': '2m59.56s',
+      'x-ratelimit-reset-requests': '250ms'
+    }));
+    assert.deepEqual(info, {
+      limitTokens: 30000,
+      remainingTokens: 1200,
+      remainingRequests: 14,
+      resetTokensMs: 179560,
+      resetRequestsMs: 250
+    });
+  });
+
+  it('is undefined without any of the headers', () => {
+    assert.equal(parseRateLimitHeaders(headers({ 'x-ratelimit-remaining-tokens': 'muitos' })), undefined);
+  });
+});
+
+describe('errorFromStatus', () => {
+  it('maps statuses to error kinds', () => {
+    const none = headers({});
+    assert.equal(errorFromStatus(413, 'x', none).kind, 'too_large');
+    assert.equal(errorFromStatus(408, 'x', none).kind, 'timeout');
+    assert.equal(errorFromStatus(504, 'x', none).kind, 'timeout');
+    assert.equal(errorFromStatus(401, 'x', none).kind, 'unauthorized');
+    assert.equal(errorFromStatus(403, 'x', none).kind, 'unauthorized');
+    assert.equal(errorFromStatus(500, 'x', none).kind, 'unavailable');
+    assert.equal(errorFromStatus(undefined, 'x', none).kind, 'unavailable');
+  });
+
+  it('takes the wait of a 429 from retry-after, or else the token reset', () => {
+    const err = errorFromStatus(429, 'x', headers({ 'retry-after': '7', 'x-ratelimit-reset-tokens': '1s' }));
+    assert.equal(err.kind, 'rate_limited');
+    assert.equal(err.retryAfterMs, 7000);
+    assert.equal(errorFromStatus(429, 'x', headers({ 'x-ratelimit-reset-tokens': '1.5s' })).retryAfterMs, 1500);
+  });
+});
+
+describe('createOpenAICompatibleProvider', () => {
+  const provider = createOpenAICompatibleProvider({ baseUrl: 'http://llm.local/v1/', apiKey: 'segredo', models });
+
+  it('posts a chat completion and reads the answer, usage and limits', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => Response.json(
+      { model: 'medium-v2', choices: [{ message: { content: 'Resumo.' } }], usage: { prompt_tokens: 10, completion_tokens: 3, total_tokens: 13 } },
+      { headers: { 'x-ratelimit-remaining-tokens': '500' } }
+    ));
+
+    const result = await provider.complete({ model: 'balanced', messages: [{ role: 'user', content: 'Oi' }], maxTokens: 100, temperature: 0.2, json: true });
+
+    assert.deepEqual(result, {
+      content: 'Resumo.',
+      model: 'medium-v2',
+      usage: { promptTokens: 10, completionTokens: 3, totalTokens: 13 },
+      rateLimit: { limitTokens: undefined, remainingTokens: 500, remainingRequests: undefined, resetTokensMs: undefined, resetRequestsMs: undefined }
+    });
+
+    const [url, init] = fetch.mock.calls[0].arguments as [string, RequestInit];
+    assert.equal(url, 'http://llm.local/v1/chat/completions');
+    assert.equal((init.headers as Record<string, string>).Authorization, 'Bearer segredo');
+    assert.deepEqual(JSON.parse(String(init.body)), {
+      model: 'medium',
+      messages: [{ role: 'user', content: 'Oi' }],
+      max_tokens: 100,
+      temperature: 0.2,
+      response_format: { type: 'json_object' }
+    });
+  });
+
+  it('streams tokens, also when events arrive split', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(eventStream([
+      'data: {"choices":[{"delta":{"content":"Bom "}}]}\n\n',
+      'data: {"choices":[{"delta":{"con',
+      'tent":"dia"}}]}\n\ndata: {"choices":[],"usage":{"total_tokens":7}}\n\n',
+      'data: [DONE]\n\n'
+    ]), { headers: { 'Content-Type': 'text/event-stream' } }));
+
+    const tokens: string[] = [];
+    const result = await provider.complete({ ...request, onToken: text => tokens.push(text) });
+
+    assert.deepEqual(tokens, ['Bom ', 'dia']);
+    assert.equal(result.content, 'Bom dia');
+    assert.equal(result.model, 'small');
+    assert.equal(result.usage.totalTokens, 7);
+  });
+
+  it('fails with bad_response on a broken stream or an answer without choices', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response(eventStream(['data: {"choices":\n\n'])));
+    await assert.rejects(
+      provider.complete({ ...request, onToken: () => {} }),
+      (err: unknown) => err instanceof ProviderError && err.kind === 'bad_response'
+    );
+
+    t.mock.method(globalThis, 'fetch', async () => Response.json({ error: 'nada' }));
+    await assert.rejects(
+      provider.complete(request),
+      (err: unknown) => err instanceof ProviderError && err.kind === 'bad_response'
+    );
+  });
+
+  it('turns HTTP and network failures into provider errors', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('slow down', { status: 429, headers: { 'retry-after': '3' } }));
+    await assert.rejects(
+      provider.complete(request),
+      (err: unknown) => err instanceof ProviderError && err.kind === 'rate_limited' && err.retryAfterMs === 3000 && /slow down/.test(err.message)
+    );
+
+    t.mock.method(globalThis, 'fetch', async () => { throw new TypeError('fetch failed'); });
+    await assert.rejects(
+      provider.complete(request),
+      (err: unknown) => err instanceof ProviderError && err.kind === 'unavailable'
+    );
+  });
+
+  it('embeds texts in input order when an embedding model is set', async (t) => {
+    const embedding = createOpenAICompatibleProvider({ baseUrl: 'http://llm.local/v1', models, embeddingModel: 'nomic' });
+    t.mock.method(globalThis, 'fetch', async () => Response.json({
+      data: [{ index: 1, embedding: [0, 1] }, { index: 0, embedding: [1, 0] }]
+    }));
+
+    assert.equal(provider.embed, undefined);
+    assert.deepEqual(await embedding.embed?.(['a', 'b']), [[1, 0], [0, 1]]);
+    await assert.rejects(
+      embedding.embed!(['a', 'b', 'c']),
+      (err: unknown) => err instanceof ProviderError && err.kind === 'bad_response'
+    );
+  });
+});
+
+describe('createProviderFromEnv', () => {
+  it('picks the provider and its models from the environment', () => {
+    assert.equal(createProviderFromEnv({ GROQ_API_KEY: 'gsk_test' }).name, 'groq');
+    assert.equal(createProviderFromEnv({ LLM_PROVIDER: 'mock' }).name, 'mock');
+
+    const openai = createProviderFromEnv({ LLM_PROVIDER: 'openai', LLM_BASE_URL: 'http://llm.local/v1', LLM_MODEL: 'llama3.1', LLM_MODEL_POWERFUL: 'qwen' });
+    assert.equal(openai.name, 'openai');
+    assert.equal(openai.resolveModel('fast'), 'llama3.1');
+    assert.equal(openai.resolveModel('powerful'), 'qwen');
+    assert.equal(openai.embed, undefined);
+
+    assert.throws(() => createProviderFromEnv({ LLM_PROVIDER: 'openai' }), /LLM_BASE_URL/);
+    assert.throws(() => createProviderFromEnv({ LLM_PROVIDER: 'claude' }), /Unknown LLM_PROVIDER/);
+  });
+});
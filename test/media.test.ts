@@ -0,0 +1,193 @@
+import { describe, it, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import type { MediaInfoResponse, MediaResponse } from '../src/types/index.js';
+import { ProviderError } from '../src/services/llm.js';
+import { createMemoryCache, setCache } from '../src/services/cache.js';
+import {
+  MAX_MEDIA_TEXT_LENGTH,
+  createLocalMediaProcessor,
+  createMediaProcessorFromEnv,
+  createMockMediaProcessor,
+  createNullMediaProcessor,
+  extractMediaText,
+  mimeTypeOf,
+  setMediaProcessor
+} from '../src/services/media.js';
+import type { MediaProcessor } from '../src/services/media.js';
+import mediaHandler from '../api/media.js';
+import { createRequest, createResponse, useMockProvider } from './helpers.js';
+
+const audio = { fileName: 'PTT-20261019-WA0001.opus', kind: 'audio' as const, data: new Uint8Array([1, 2, 3]) };
+const pdf = { fileName: 'Ata.PDF', kind: 'document' as const, data: new Uint8Array([4, 5]) };
+
+/**
+ * Processor answering with a fixed text, counting its calls
+ */
+function fixedProcessor(text: string): MediaProcessor & { calls: number } {
+  return {
+    name: 'fixed',
+    kinds: ['audio', 'document'],
+    calls: 0,
+    async extractText() {
+      this.calls++;
+      return text;
+    }
+  };
+}
+
+describe('mimeTypeOf', () => {
+  it('goes by the extension, in any case', () => {
+    assert.equal(mimeTypeOf('PTT-20261019-WA0001.opus'), 'audio/ogg');
+    assert.equal(mimeTypeOf('Ata.PDF'), 'application/pdf');
+    assert.equal(mimeTypeOf('sem-extensao'), 'application/octet-stream');
+  });
+});
+
+describe('createLocalMediaProcessor', () => {
+  const local = createLocalMediaProcessor({
+    transcribeUrl: 'http://whisper.local/v1/',
+    apiKey: 'segredo',
+    tikaUrl: 'http://tika.local:9998'
+  });
+
+  it('reads only the kinds it has a service for', async () => {
+    assert.deepEqual(local.kinds, ['audio', 'video', 'image', 'document']);
+
+    const audioOnly = createLocalMediaProcessor({ transcribeUrl: 'http://whisper.local/v1' });
+    assert.deepEqual(audioOnly.kinds, ['audio', 'video']);
+    await assert.rejects(audioOnly.extractText(pdf), (err: unknown) => err instanceof ProviderError && err.kind === 'unavailable');
+  });
+
+  it('sends audio to the transcription service', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => Response.json({ text: 'Chego às 8' }));
+
+    assert.equal(await local.extractText(audio), 'Chego às 8');
+
+    const [url, init] = fetch.mock.calls[0].arguments as [string, RequestInit];
+    assert.equal(url, 'http://whisper.local/v1/audio/transcriptions');
+    assert.equal(init.method, 'POST');
+    assert.deepEqual(init.headers, { Authorization: 'Bearer segredo' });
+    const form = init.body as FormData;
+    assert.equal(form.get('language'), 'pt');
+    assert.equal((form.get('file') as File).name, audio.fileName);
+    assert.equal((form.get('file') as File).type, 'audio/ogg');
+  });
+
+  it('sends documents and images to Tika with the OCR language', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => new Response('Ata da reunião'));
+
+    assert.equal(await local.extractText(pdf), 'Ata da reunião');
+
+    const [url, init] = fetch.mock.calls[0].arguments as [string, RequestInit];
+    assert.equal(url, 'http://tika.local:9998/tika');
+    assert.equal(init.method, 'PUT');
+    assert.equal((init.headers as Record<string, string>)['Content-Type'], 'application/pdf');
+    assert.equal((init.headers as Record<string, string>)['X-Tika-OCRLanguage'], 'por');
+  });
+
+  it('turns service failures into provider errors', async (t) => {
+    t.mock.method(globalThis, 'fetch', async () => new Response('ocupado', { status: 503 }));
+    await assert.rejects(local.extractText(pdf), (err: unknown) => err instanceof ProviderError && err.kind === 'unavailable');
+
+    t.mock.method(globalThis, 'fetch', async () => Response.json({ segments: [] }));
+    await assert.rejects(local.extractText(audio), (err: unknown) => err instanceof ProviderError && err.kind === 'bad_response');
+  });
+});
+
+describe('createMediaProcessorFromEnv', () => {
+  it('picks the processor from the environment', () => {
+    assert.equal(createMediaProcessorFromEnv({}).name, 'none');
+    assert.equal(createMediaProcessorFromEnv({ MEDIA_PROVIDER: 'mock' }).name, 'mock');
+    assert.deepEqual(createMediaProcessorFromEnv({ MEDIA_PROVIDER: 'local', MEDIA_TIKA_URL: 'http://tika.local' }).kinds, ['image', 'document']);
+    assert.throws(() => createMediaProcessorFromEnv({ MEDIA_PROVIDER: 'local' }), /MEDIA_TRANSCRIBE_URL/);
+    assert.throws(() => createMediaProcessorFromEnv({ MEDIA_PROVIDER: 'cloud' }), /Unknown MEDIA_PROVIDER/);
+  });
+});
+
+describe('extractMediaText', () => {
+  beforeEach(() => {
+    setCache(createMemoryCache());
+  });
+
+  after(() => {
+    setCache(null);
+    setMediaProcessor(null);
+  });
+
+  it('collapses whitespace and cuts long texts', async () => {
+    setMediaProcessor(fixedProcessor(`  Ata\n\n da   reunião ${'x'.repeat(MAX_MEDIA_TEXT_LENGTH)}`));
+    const { text } = await extractMediaText(pdf);
+    assert.ok(text.startsWith('Ata da reunião x'));
+    assert.equal(text.length, MAX_MEDIA_TEXT_LENGTH + 1);
+    assert.ok(text.endsWith('…'));
+  });
+
+  it('reads the same file once', async () => {
+    const processor = fixedProcessor('Chego às 8');
+    setMediaProcessor(processor);
+
+    assert.deepEqual(await extractMediaText(audio), { text: 'Chego às 8', cached: false });
+    assert.deepEqual(await extractMediaText({ ...audio, fileName: 'outro-nome.opus' }), { text: 'Chego às 8', cached: true });
+    assert.deepEqual(await extractMediaText({ ...audio, data: new Uint8Array([9]) }), { text: 'Chego às 8', cached: false });
+    assert.equal(processor.calls, 2);
+  });
+});
+
+describe('/api/media', () => {
+  beforeEach(() => {
+    useMockProvider();
+  });
+
+  after(() => {
+    setMediaProcessor(null);
+  });
+
+  it('says which kinds of files it reads', async () => {
+    setMediaProcessor(createNullMediaProcessor());
+    const res = createResponse();
+    await mediaHandler(createRequest({ method: 'GET' }), res);
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body as MediaInfoResponse, { backend: 'none', kinds: [], maxBytes: 3 * 1024 * 1024 });
+  });
+
+  it('reads a base64 file', async () => {
+    const processor = createMockMediaProcessor();
+    setMediaProcessor(processor);
+    const res = createResponse();
+    await mediaHandler(createRequest({ body: { fileName: audio.fileName, data: Buffer.from('áudio').toString('base64') } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body as MediaResponse, {
+      text: `Conteúdo simulado de ${audio.fileName} (6 bytes)`,
+      kind: 'audio',
+      cached: false
+    });
+    assert.equal(processor.calls[0].kind, 'audio');
+  });
+
+  it('rejects missing files, kinds it cannot read and large files', async () => {
+    setMediaProcessor(createMockMediaProcessor());
+    const cases: Array<[unknown, number, string]> = [
+      [{ fileName: 'nota.opus' }, 400, 'NO_FILE'],
+      [{ fileName: 'contato.vcf', data: 'AAAA' }, 415, 'UNSUPPORTED_MEDIA'],
+      [{ fileName: 'video.mp4', data: Buffer.alloc(3 * 1024 * 1024 + 1).toString('base64') }, 413, 'MEDIA_TOO_LARGE']
+    ];
+    for (const [body, status, code] of cases) {
+      const res = createResponse();
+      await mediaHandler(createRequest({ body }), res);
+      assert.equal(res.statusCode, status, code);
+      assert.equal((res.body as { code: string }).code, code);
+    }
+
+    setMediaProcessor(createNullMediaProcessor());
+    const res = createResponse();
+    await mediaHandler(createRequest({ body: { fileName: audio.fileName, data: 'AAAA' } }), res);
+    assert.equal(res.statusCode, 415);
+  });
+
+  it('rejects other methods', async () => {
+    const res = createResponse();
+    await mediaHandler(createRequest({ method: 'PUT' }), res);
+    assert.equal(res.statusCode, 405);
+  });
+});
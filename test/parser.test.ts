@@ -0,0 +1,196 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectChatFormat,
+  parseWhatsAppChat,
+  parseAndIndex,
+  parseAttachment,
+  isMediaMessage,
+  groupMessagesByDate,
+  formatMessagesForAI
+} from '../src/services/parser.js';
+import { readFixture, fixtureMessages, generateExport } from './helpers.js';
+
+describe('detectChatFormat', () => {
+  it('detects Android pt-BR exports', () => {
+    assert.deepEqual(detectChatFormat(readFixture('android-pt-br.txt')), {
+      platform: 'android',
+      dateOrder: 'DMY',
+      dateSeparator: '/',
+      yearDigits: 4,
+      clock: '24h',
+      hasSeconds: false
+    });
+  });
+
+  it('detects iOS en-US exports (brackets, seconds, 12h clock, invisible marks)', () => {
+    assert.deepEqual(detectChatFormat(readFixture('ios-en-us.txt')), {
+      platform: 'ios',
+      dateOrder: 'MDY',
+      dateSeparator: '/',
+      yearDigits: 2,
+      clock: '12h',
+      hasSeconds: true
+    });
+  });
+
+  it('detects dotted dates', () => {
+    const format = detectChatFormat('19.10.26, 14:03 - Anna: Hallo\n20.10.26, 08:00 - Ben: Morgen');
+    assert.equal(format?.dateSeparator, '.');
+    assert.equal(format?.dateOrder, 'DMY');
+  });
+
+  it('detects year-first dates', () => {
+    const format = detectChatFormat('2026-10-19 14:03 - Anna: Hallo');
+    assert.equal(format?.dateOrder, 'YMD');
+    assert.equal(format?.dateSeparator, '-');
+  });
+
+  it('orders ambiguous dates so the chat stays chronological', () => {
+    const format = detectChatFormat('01/02/2026 10:00 - Ana: Oi\n02/02/2026 10:00 - Bia: Oi\n01/03/2026 10:00 - Ana: Oi');
+    assert.equal(format?.dateOrder, 'DMY');
+  });
+
+  it('returns null for files that are not exports', () => {
+    assert.equal(detectChatFormat(readFixture('corrupt.txt')), null);
+    assert.equal(detectChatFormat(readFixture('empty.txt')), null);
+  });
+});
+
+describe('parseWhatsAppChat', () => {
+  it('parses senders, dates and times', () => {
+    const [first] = fixtureMessages('android-pt-br.txt').filter(m => m.sender !== '__system__');
+    assert.deepEqual(first, {
+      date: '2025-06-08',
+      time: '09:00',
+      sender: 'João Silva',
+      content: 'Bom dia pessoal!',
+      isMedia: false
+    });
+  });
+
+  it('joins multi-line messages and skips blank lines inside them', () => {
+    const list = fixtureMessages('android-pt-br.txt').find(m => m.content.startsWith('Lista'));
+    assert.equal(list?.content, 'Lista do que falta:\n- bolo\n- bebidas\n- decoração');
+  });
+
+  it('keeps the raw export lines without carriage returns', () => {
+    const { messages } = parseWhatsAppChat(readFixture('android-pt-br.txt'));
+    assert.ok(messages.every(m => !m.rawLine.includes('\r')));
+    assert.equal(messages[3].rawLine.split('\n').length, 4);
+  });
+
+  it('marks system messages', () => {
+    const system = fixtureMessages('android-pt-br.txt').filter(m => m.sender === '__system__');
+    assert.deepEqual(system.map(m => m.content), [
+      'As mensagens e as chamadas são protegidas com a criptografia de ponta a ponta. Somente as pessoas que fazem parte da conversa podem ler, ouvir e compartilhar esse conteúdo.',
+      'Ana Costa criou o grupo "Festa de sábado"',
+      'Maria Santos adicionou Carla Souza'
+    ]);
+  });
+
+  it('flags media placeholders and attachments, keeping captions', () => {
+    const media = fixtureMessages('android-pt-br.txt').filter(m => m.isMedia);
+    assert.equal(media.length, 2);
+    assert.equal(media[0].content, '<Mídia oculta>');
+    assert.equal(media[0].attachment, undefined);
+    assert.deepEqual(media[1].attachment, { fileName: 'IMG-20250608-WA0001.jpg', kind: 'image' });
+    assert.equal(media[1].content, 'Olha a decoração que comprei');
+  });
+
+  it('converts 12h times, including midnight and noon', () => {
+    const times = fixtureMessages('ios-en-us.txt').map(m => `${m.date} ${m.time}`);
+    assert.deepEqual(times, [
+      '2026-10-19 09:15',
+      '2026-10-19 09:16',
+      '2026-10-19 09:17',
+      '2026-10-19 12:30',
+      '2026-10-19 12:31',
+      '2026-10-20 00:05'
+    ]);
+  });
+
+  it('reads iOS senders and media lines behind invisible marks', () => {
+    const messages = fixtureMessages('ios-en-us.txt');
+    assert.equal(messages[0].sender, 'Alice Johnson');
+    assert.equal(messages[2].content, 'Yes, in the usual room.\nBring the slides please.');
+    assert.equal(messages[3].isMedia, true);
+    assert.deepEqual(messages[4].attachment, { fileName: '00000012-PHOTO-2026-10-19-12-31-10.jpg', kind: 'image' });
+    assert.equal(messages[4].content, '');
+  });
+
+  it('returns no messages for empty and corrupt files', () => {
+    assert.deepEqual(parseWhatsAppChat(readFixture('empty.txt')), { messages: [], format: null });
+    assert.deepEqual(parseWhatsAppChat(readFixture('corrupt.txt')), { messages: [], format: null });
+  });
+
+  it('ignores lines before the first message', () => {
+    const { messages } = parseWhatsAppChat('texto solto\n\n08/06/2025 09:00 - Ana: Oi');
+    assert.equal(messages.length, 1);
+    assert.equal(messages[0].content, 'Oi');
+  });
+
+  it('parses huge exports without losing messages', () => {
+    const { messages } = parseWhatsAppChat(generateExport(100, 200));
+    assert.equal(messages.length, 20000);
+    assert.equal(messages[0].date, '2025-01-01');
+    assert.equal(messages[messages.length - 1].date, '2025-04-10');
+  });
+});
+
+describe('parseAndIndex', () => {
+  it('indexes message positions by date', () => {
+    const { messages, dateIndex } = parseAndIndex(readFixture('android-pt-br.txt'));
+    assert.deepEqual([...dateIndex.keys()], ['2025-06-08', '2025-06-09']);
+    assert.deepEqual(dateIndex.get('2025-06-09'), [8, 9, 10]);
+    assert.ok(dateIndex.get('2025-06-08')!.every(i => messages[i].date === '2025-06-08'));
+  });
+});
+
+describe('attachments', () => {
+  it('parses Android and iOS attachment references', () => {
+    assert.deepEqual(parseAttachment('PTT-20261019-WA0003.opus (arquivo anexado)'), {
+      attachment: { fileName: 'PTT-20261019-WA0003.opus', kind: 'audio' },
+      caption: ''
+    });
+    assert.deepEqual(parseAttachment('Ata.pdf • 3 páginas <anexado: 00000020-Ata.pdf>\nLeiam antes'), {
+      attachment: { fileName: '00000020-Ata.pdf', kind: 'document' },
+      caption: 'Leiam antes'
+    });
+    assert.equal(parseAttachment('<Mídia oculta>'), null);
+  });
+
+  it('recognizes media placeholders in several languages', () => {
+    assert.ok(isMediaMessage('<Media omitted>'));
+    assert.ok(isMediaMessage('áudio ocultado'));
+    assert.ok(!isMediaMessage('mandei a mídia ontem'));
+  });
+});
+
+describe('formatMessagesForAI', () => {
+  const messages = fixtureMessages('android-pt-br.txt');
+
+  it('drops system messages and describes media', () => {
+    const text = formatMessagesForAI(messages, true);
+    assert.ok(!text.includes('criptografia'));
+    assert.ok(text.includes('[09:02] Pedro Oliveira: [mídia]'));
+    assert.ok(text.includes('[09:03] Pedro Oliveira: [imagem] Olha a decoração que comprei'));
+  });
+
+  it('leaves names out when anonymous', () => {
+    assert.ok(formatMessagesForAI(messages, false).split('\n').every(line => !line.includes('Silva')));
+  });
+
+  it('opens each day with its date when asked', () => {
+    const lines = formatMessagesForAI(messages, true, true).split('\n');
+    assert.deepEqual(lines.filter(line => line.startsWith('===')), ['=== 08/06/2025 ===', '=== 09/06/2025 ===']);
+  });
+});
+
+describe('groupMessagesByDate', () => {
+  it('groups messages without their raw lines', () => {
+    const grouped = groupMessagesByDate(parseWhatsAppChat(readFixture('android-pt-br.txt')).messages);
+    assert.deepEqual(Object.keys(grouped), ['2025-06-08', '2025-06-09']);
+    assert.ok(Object.values(grouped).flat().every(m => !('rawLine' in m)));
+  });
+});
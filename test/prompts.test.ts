@@ -0,0 +1,131 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import type { ParsedMessage } from '../src/types/index.js';
+import { formatMessagesForAI } from '../src/services/parser.js';
+import { createRedactor } from '../src/services/redaction.js';
+import { resolveTemplate, getLevelTemplate } from '../src/services/templates.js';
+import type { ResolvedTemplate } from '../src/services/templates.js';
+import {
+  generateSummary,
+  mergeSummaries,
+  extractStructured,
+  summarizeTopics,
+  answerQuestion,
+  ExtractionError
+} from '../src/services/groq.js';
+import { fixtureMessages, useMockProvider, renderRequest, assertGolden } from './helpers.js';
+
+/**
+ * Golden files for every prompt sent to the model (test/golden)
+ * A prompt change shows up as a diff of the golden file; update them
+ * with UPDATE_GOLDEN=1 npm test once the change is intended.
+ */
+
+// Messages as the handlers send them: redacted first
+const messages: ParsedMessage[] = createRedactor().redactMessages(fixtureMessages('android-pt-br.txt'));
+const firstDay = messages.filter(m => m.date === '2025-06-08');
+const range = { start: '2025-06-08', end: '2025-06-09' };
+
+function template(ref: unknown, level: 1 | 2 | 3 | 4): ResolvedTemplate {
+  const resolved = resolveTemplate(ref, level);
+  assert.ok(resolved.ok);
+  return resolved.value;
+}
+
+let provider: ReturnType<typeof useMockProvider>;
+
+beforeEach(() => {
+  provider = useMockProvider();
+});
+
+function lastPrompt(): string {
+  return renderRequest(provider.calls[provider.calls.length - 1]);
+}
+
+describe('summary prompts', () => {
+  it('sends redacted messages only', () => {
+    const text = formatMessagesForAI(messages, true, true);
+    for (const secret of ['João', 'Maria', 'Santos', '91234-5678', 'ana.costa@example.com', 'fotos.example.com']) {
+      assert.ok(!text.includes(secret), `"${secret}" reached the prompt`);
+    }
+  });
+
+  for (const level of [1, 2, 3, 4] as const) {
+    it(`level ${level}, one day`, async () => {
+      await generateSummary(formatMessagesForAI(firstDay, true), level, 'smart', { template: getLevelTemplate(level) });
+      assertGolden(`summary-level-${level}`, lastPrompt());
+    });
+  }
+
+  it('multi-day digest, with names', async () => {
+    await generateSummary(formatMessagesForAI(messages, true, true), 3, 'with-names', { range });
+    assertGolden('summary-multi-day', lastPrompt());
+  });
+
+  it('partial chunk of a range, anonymous', async () => {
+    await generateSummary(formatMessagesForAI(firstDay, false, true), 2, 'anonymous', { range, isPartial: true });
+    assertGolden('summary-partial-anonymous', lastPrompt());
+  });
+
+  it('preset template in English', async () => {
+    await generateSummary(formatMessagesForAI(firstDay, true), 2, 'smart', { template: template('ata', 2), language: 'en' });
+    assertGolden('summary-preset-en', lastPrompt());
+  });
+
+  it('custom template, quoted', async () => {
+    const custom = template({ id: 'meu-teste', name: 'Só tarefas', instructions: 'Liste apenas as tarefas combinadas.' }, 4);
+    await generateSummary(formatMessagesForAI(firstDay, true), 4, 'smart', { template: custom, language: 'es' });
+    assertGolden('summary-custom-template', lastPrompt());
+  });
+});
+
+describe('merge prompts', () => {
+  it('one day', async () => {
+    await mergeSummaries(['Primeira parte.', 'Segunda parte.'], 3, 'smart');
+    assertGolden('merge', lastPrompt());
+  });
+
+  it('multi-day digest with part ranges', async () => {
+    await mergeSummaries(['Sábado.', 'Domingo.'], 3, 'smart', {
+      range,
+      partRanges: [{ start: '2025-06-08', end: '2025-06-08' }, { start: '2025-06-09', end: '2025-06-09' }]
+    });
+    assertGolden('merge-multi-day', lastPrompt());
+  });
+});
+
+describe('JSON prompts', () => {
+  it('structured extraction', async () => {
+    await extractStructured(formatMessagesForAI(firstDay, true), 'smart');
+    assertGolden('structured', lastPrompt());
+  });
+
+  it('asks again with the validation errors', async () => {
+    provider = useMockProvider({ respond: () => '{"decisions": "nenhuma"}' });
+    await assert.rejects(extractStructured(formatMessagesForAI(firstDay, true), 'smart'), ExtractionError);
+    assert.equal(provider.calls.length, 3);
+    const retry = provider.calls[1].messages;
+    assert.equal(retry[retry.length - 2].role, 'assistant');
+    assert.match(retry[retry.length - 1].content, /^A resposta não segue o formato pedido:/);
+  });
+
+  it('summary by topic', async () => {
+    const { topics } = await summarizeTopics(messages, 3, 'smart');
+    assert.ok(topics.length > 0);
+    assertGolden('topics', lastPrompt());
+  });
+
+  it('question with history', async () => {
+    await answerQuestion('Quem leva o bolo?', formatMessagesForAI(firstDay, true, true), 'smart', {
+      history: [{ question: 'Quando é a festa?', answer: 'Sábado às 20h [09/06 10:02, Participante 1].' }]
+    });
+    assertGolden('ask', lastPrompt());
+  });
+
+  it('question answered in the language asked for', async () => {
+    await answerQuestion('Who brings the cake?', formatMessagesForAI(firstDay, true, true), 'smart', { language: 'en' });
+    const system = provider.calls[0].messages[0].content;
+    assert.match(system, /Write the whole answer in English\.$/);
+    assert.doesNotMatch(system, /português brasileiro/);
+  });
+});
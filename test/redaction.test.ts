@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { ParsedMessage } from '../src/types/index.js';
+import { createRedactor } from '../src/services/redaction.js';
+
+function message(sender: string, content: string, time = '09:00'): ParsedMessage {
+  return { date: '2025-06-08', time, sender, content, isMedia: false };
+}
+
+describe('createRedactor', () => {
+  it('gives senders stable pseudonyms by first appearance', () => {
+    const redactor = createRedactor();
+    const first = redactor.redactMessages([message('João Silva', 'Oi'), message('Maria Santos', 'Oi'), message('João Silva', 'Tudo bem?')]);
+    assert.deepEqual(first.map(m => m.sender), ['Participante 1', 'Participante 2', 'Participante 1']);
+
+    // Later chunks keep the numbers and add new senders after them
+    const second = redactor.redactMessages([message('Carla Souza', 'Cheguei'), message('Maria Santos', 'Bem-vinda')]);
+    assert.deepEqual(second.map(m => m.sender), ['Participante 3', 'Participante 2']);
+  });
+
+  it('replaces names and mentions inside messages', () => {
+    const [, redacted] = createRedactor().redactMessages([
+      message('João Silva', 'Oi'),
+      message('Maria Santos', 'João, fala com @Maria e com @Fulano')
+    ]);
+    assert.equal(redacted.content, 'Participante 1, fala com @Participante 2 e com [menção]');
+  });
+
+  it('maps phone senders and their mentions to the same pseudonym', () => {
+    const [redacted] = createRedactor().redactMessages([message('+55 11 98888-7777', '@5511988887777 sou eu')]);
+    assert.equal(redacted.sender, 'Participante 1');
+    assert.equal(redacted.content, '@Participante 1 sou eu');
+  });
+
+  it('masks phones, emails, documents, cards, CEPs and addresses', () => {
+    const [redacted] = createRedactor().redactMessages([message('Ana', [
+      'liga 11 91234-5678 ou ana@example.com',
+      'CPF 529.982.247-25, CNPJ 11.222.333/0001-81',
+      'cartão 4111 1111 1111 1111, CEP 01310-100, Rua Augusta, 1500'
+    ].join('\n'))]);
+    assert.equal(redacted.content, [
+      'liga [telefone] ou [email]',
+      'CPF [cpf], CNPJ [cnpj]',
+      'cartão [cartão], CEP [cep], [endereço]'
+    ].join('\n'));
+  });
+
+  it('leaves amounts and dates alone', () => {
+    const [redacted] = createRedactor().redactMessages([message('Ana', 'Custou 1.500.000 em 19.10.2026')]);
+    assert.equal(redacted.content, 'Custou 1.500.000 em 19.10.2026');
+  });
+
+  it('keeps system messages as system messages', () => {
+    const redactor = createRedactor();
+    const [, system] = redactor.redactMessages([message('João Silva', 'Oi'), message('__system__', 'João Silva saiu')]);
+    assert.equal(system.sender, '__system__');
+    assert.equal(system.content, 'Participante 1 saiu');
+  });
+
+  it('redacts free text with the names known so far', () => {
+    const redactor = createRedactor();
+    redactor.redactMessages([message('João Silva', 'Oi'), message('Maria Santos', 'Oi')]);
+    assert.equal(redactor.redactText('João e Maria Santos decidiram'), 'Participante 1 e Participante 2 decidiram');
+  });
+
+  it('knows senders registered before any message', () => {
+    const redactor = createRedactor();
+    redactor.addSenders(['João Silva', '__system__', 'Maria Santos', 'João Silva']);
+    assert.equal(redactor.redactText('João combinou com Maria Santos'), 'Participante 1 combinou com Participante 2');
+
+    const [redacted] = redactor.redactMessages([message('Maria Santos', 'Oi')]);
+    assert.equal(redacted.sender, 'Participante 2');
+  });
+
+  it('restores links always and names only when allowed', () => {
+    const redactor = createRedactor();
+    const [redacted] = redactor.redactMessages([message('João Silva', 'Fotos: https://fotos.example.com/festa.')]);
+    assert.equal(redacted.content, 'Fotos: [link 1].');
+
+    const answer = 'Participante 1 mandou [link 1]';
+    assert.equal(redactor.restore(answer, true), 'João Silva mandou https://fotos.example.com/festa');
+    assert.equal(redactor.restore(answer, false), 'Participante 1 mandou https://fotos.example.com/festa');
+    assert.deepEqual(redactor.pseudonyms(), new Map([['Participante 1', 'João Silva']]));
+  });
+
+  it('restores every text of a structured summary', () => {
+    const redactor = createRedactor();
+    redactor.redactMessages([message('João Silva', 'https://a.example.com')]);
+    const structured = redactor.restoreStructured({
+      decisions: [{ text: 'Participante 1 decidiu', source: { date: null, time: '09:00', sender: 'Participante 1' } }],
+      tasks: [],
+      events: [],
+      links: [{ url: '[link 1]', description: null, source: { date: null, time: '09:00', sender: 'Participante 1' } }],
+      unansweredQuestions: []
+    }, true);
+    assert.equal(structured.decisions[0].text, 'João Silva decidiu');
+    assert.equal(structured.links[0].url, 'https://a.example.com');
+  });
+
+  it('is harmless to run twice', () => {
+    const once = createRedactor().redactMessages([message('João Silva', 'Oi Maria'), message('Maria Santos', 'liga 11 91234-5678')]);
+    const twice = createRedactor().redactMessages(once);
+    assert.deepEqual(twice, once);
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { ParsedMessage } from '../src/types/index.js';
+import { ProviderError, createMockProvider } from '../src/services/llm.js';
+import type { LLMProvider } from '../src/services/llm.js';
+import {
+  findCitations,
+  formatExcerptsForAI,
+  messageText,
+  rankBM25,
+  retrieveMessages,
+  searchTerms
+} from '../src/services/retrieval.js';
+
+function message(time: string, sender: string, content: string, date = '2026-10-19'): ParsedMessage {
+  return { date, time, sender, content, isMedia: false };
+}
+
+const messages: ParsedMessage[] = [
+  message('08:00', 'Ana', 'Bom dia, pessoal'),
+  message('08:05', 'Bia', 'A viagem para a praia está confirmada'),
+  message('08:10', 'Caio', 'Comprei as passagens'),
+  message('08:20', 'Ana', 'O hotel fica perto da praia'),
+  message('08:30', '__system__', 'Caio mudou o nome do grupo para viagem praia'),
+  message('09:00', 'Bia', 'Alguém sabe da reunião da escola?'),
+  message('09:05', 'Caio', 'A reunião é amanhã às 19h'),
+  message('09:10', 'Ana', 'Viagens longas cansam, mas a viagem vale a pena, viagem boa'),
+  message('09:30', 'Bia', 'Até mais')
+];
+
+describe('searchTerms', () => {
+  it('folds accents, drops stopwords and keeps a prefix stem', () => {
+    assert.deepEqual(searchTerms('Quando é a REUNIÃO das viagens?'), ['reuni', 'viage']);
+  });
+});
+
+describe('rankBM25', () => {
+  it('ranks by matching terms, rarer and repeated ones first', () => {
+    // "viagem" appears in two messages, "hotel" only in one
+    assert.deepEqual(rankBM25(messages, 'viagem'), [7, 1]);
+    assert.deepEqual(rankBM25(messages, 'hotel da viagem')[0], 3);
+    // Both terms beat one term repeated
+    assert.deepEqual(rankBM25(messages, 'praia viagem'), [1, 7, 3]);
+  });
+
+  it('ignores system messages and queries made only of stopwords', () => {
+    assert.ok(!rankBM25(messages, 'grupo viagem praia').includes(4));
+    assert.deepEqual(rankBM25(messages, 'quem vai com a gente?'), []);
+  });
+
+  it('searches the text of attachments', () => {
+    const withAudio = [...messages, {
+      ...message('10:00', 'Ana', '<anexado: audio.opus>'),
+      attachment: { fileName: 'audio.opus', kind: 'audio' as const, text: 'o churrasco será no sábado' }
+    }];
+    assert.deepEqual(rankBM25(withAudio, 'churrasco'), [9]);
+    assert.equal(messageText(withAudio[9]), 'o churrasco será no sábado <anexado: audio.opus>');
+  });
+});
+
+describe('retrieveMessages', () => {
+  it('brings each hit with its neighbours, in chronological runs', async () => {
+    const retrieval = await retrieveMessages(messages, 'hotel', { maxTokens: 10_000 });
+    assert.equal(retrieval.method, 'bm25');
+    assert.equal(retrieval.hits, 1);
+    assert.deepEqual(retrieval.excerpts, [messages.slice(1, 6)]);
+  });
+
+  it('stops adding messages at the token budget, keeping the best hit', async () => {
+    const retrieval = await retrieveMessages(messages, 'reuniao amanha', { maxTokens: 1 });
+    assert.deepEqual(retrieval.excerpts, [[messages[6]]]);
+  });
+
+  it('uses the latest messages when nothing matches', async () => {
+    const retrieval = await retrieveMessages(messages, 'futebol', { maxTokens: 30 });
+    assert.equal(retrieval.hits, 0);
+    const retrieved = retrieval.excerpts.flat();
+    assert.equal(retrieved.at(-1), messages.at(-1));
+    assert.ok(retrieved.length < messages.length);
+  });
+
+  it('fuses in the semantic ranking when the provider embeds', async () => {
+    const provider = createMockProvider();
+    const retrieval = await retrieveMessages(messages, 'passagens compradas', { maxTokens: 10_000, provider });
+    assert.equal(retrieval.method, 'hybrid');
+    assert.ok(retrieval.excerpts.flat().includes(messages[2]));
+  });
+
+  it('falls back to keywords when embedding fails', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const provider: LLMProvider = {
+      ...createMockProvider(),
+      async embed() { throw new ProviderError('unavailable', 'down'); }
+    };
+    const retrieval = await retrieveMessages(messages, 'hotel', { maxTokens: 10_000, provider });
+    assert.equal(retrieval.method, 'bm25');
+    assert.deepEqual(retrieval.excerpts, [messages.slice(1, 6)]);
+  });
+});
+
+describe('citations', () => {
+  const excerpts = [messages.slice(1, 4), messages.slice(5, 7)];
+
+  it('separates excerpts for the model', () => {
+    const text = formatExcerptsForAI(excerpts, true);
+    assert.equal(text.split('\n\n[...]\n\n').length, 2);
+  });
+
+  it('finds the cited messages, by sender when two share a minute', () => {
+    const shared = [[message('08:05', 'Ana', 'Eu também'), ...excerpts[0]], excerpts[1]];
+    const citations = findCitations('Está confirmada [19/10 08:05, Bia]; reunião às 19h [19/10 09:05, Caio; 19/10 09:00].', shared, true);
+    assert.deepEqual(citations.map(c => [c.time, c.sender]), [['08:05', 'Bia'], ['09:05', 'Caio'], ['09:00', 'Bia']]);
+  });
+
+  it('leaves senders out when anonymous and ignores unknown messages', () => {
+    const citations = findCitations('Sim [19/10 08:10] e [20/10 08:10]', excerpts, false);
+    assert.deepEqual(citations, [{ date: '2026-10-19', time: '08:10', content: 'Comprei as passagens' }]);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { MessagesByDate, ParsedMessage } from '../src/types/index.js';
+import { createSearchIndex, foldText } from '../src/services/search.js';
+
+function message(date: string, time: string, sender: string, content: string, extra: Partial<ParsedMessage> = {}): ParsedMessage {
+  return { date, time, sender, content, isMedia: false, ...extra };
+}
+
+const messagesByDate: MessagesByDate = {
+  '2026-10-18': [
+    message('2026-10-18', '09:00', 'Ana', 'Quem vai na viagem para a praia?'),
+    message('2026-10-18', '09:05', '__system__', 'Bia entrou usando o link de convite'),
+    message('2026-10-18', '09:10', 'Bia', 'Eu vou! Já comprei as passagens de ônibus'),
+    message('2026-10-18', '09:20', 'Caio', '<Mídia oculta>', { isMedia: true })
+  ],
+  '2026-10-19': [
+    message('2026-10-19', '10:00', 'Ana', 'Fotos da viagem: https://fotos.exemplo.com/praia'),
+    message('2026-10-19', '10:30', 'Caio', 'Reunião da escola amanhã às 19h'),
+    message('2026-10-19', '11:00', 'Bia', 'Viagens de ônibus cansam', {
+      attachment: { fileName: 'bilhete.pdf', kind: 'document', text: 'Bilhete para Ubatuba' }
+    })
+  ]
+};
+
+const index = createSearchIndex(messagesByDate);
+
+function positions(query: string, filters = {}) {
+  return index.search({ query, ...filters }).matches.map(m => `${m.date}#${m.index}`);
+}
+
+describe('foldText', () => {
+  it('lowercases and removes accents', () => {
+    assert.equal(foldText('Reunião ÀS Três'), 'reuniao as tres');
+  });
+});
+
+describe('createSearchIndex', () => {
+  it('lists the senders alphabetically, without system messages', () => {
+    assert.deepEqual(index.senders, ['Ana', 'Bia', 'Caio']);
+  });
+
+  it('matches words as prefixes, ignoring case and accents', () => {
+    assert.deepEqual(positions('viag'), ['2026-10-19#2', '2026-10-19#0', '2026-10-18#0']);
+    assert.deepEqual(positions('ONIBUS'), ['2026-10-19#2', '2026-10-18#2']);
+    assert.deepEqual(positions('reuniao'), ['2026-10-19#1']);
+  });
+
+  it('needs every word to match', () => {
+    assert.deepEqual(positions('viagem praia'), ['2026-10-19#0', '2026-10-18#0']);
+    assert.deepEqual(positions('viagem escola'), []);
+  });
+
+  it('finds quoted text only as typed', () => {
+    assert.deepEqual(positions('"viagens de onibus"'), ['2026-10-19#2']);
+    assert.deepEqual(positions('"onibus de viagens"'), []);
+  });
+
+  it('searches the text read from attachments', () => {
+    assert.deepEqual(positions('ubatuba'), ['2026-10-19#2']);
+  });
+
+  it('never finds system messages', () => {
+    assert.deepEqual(positions('convite'), []);
+    assert.equal(index.search({}).total, 6);
+  });
+
+  it('returns the most recent messages first, with the folded terms', () => {
+    const result = index.search({ query: 'Viagem  viagem Praia' });
+    assert.deepEqual(result.terms, ['viagem', 'praia']);
+    assert.equal(result.total, 2);
+    assert.deepEqual(result.matches, [{ date: '2026-10-19', index: 0 }, { date: '2026-10-18', index: 0 }]);
+  });
+
+  it('filters by sender, dates, media and links', () => {
+    assert.deepEqual(positions('', { sender: 'Bia' }), ['2026-10-19#2', '2026-10-18#2']);
+    assert.deepEqual(positions('', { sender: 'Davi' }), []);
+    assert.deepEqual(positions('viag', { start: '2026-10-19' }), ['2026-10-19#2', '2026-10-19#0']);
+    assert.deepEqual(positions('viag', { end: '2026-10-18' }), ['2026-10-18#0']);
+    assert.deepEqual(positions('', { media: 'only' }), ['2026-10-18#3']);
+    assert.equal(index.search({ media: 'none' }).total, 5);
+    assert.deepEqual(positions('', { hasLink: true }), ['2026-10-19#0']);
+  });
+
+  it('indexes 100k messages and answers queries in bounded time', () => {
+    const words = ['viagem', 'praia', 'reunião', 'escola', 'bolo', 'festa', 'amanhã', 'ônibus', 'pagamento', 'churrasco', 'futebol', 'prova'];
+    const large: MessagesByDate = {};
+    let n = 0;
+    for (let day = 0; day < 1000; day++) {
+      const date = new Date(Date.UTC(2024, 0, 1 + day)).toISOString().slice(0, 10);
+      large[date] = Array.from({ length: 100 }, () => {
+        const content = `${words[n % 12]} ${words[(n * 7) % 12]} mensagem ${n}`;
+        return message(date, '10:00', `Pessoa ${n++ % 50}`, content);
+      });
+    }
+
+    let start = performance.now();
+    const big = createSearchIndex(large);
+    // Generous limits: about 10x what a laptop takes, to catch quadratic slips
+    assert.ok(performance.now() - start < 8000, 'index took too long');
+
+    for (const filters of [{ query: 'viag' }, { query: 'praia onib' }, { query: '"onibus praia"' }, { query: 'mensagem', sender: 'Pessoa 7' }]) {
+      start = performance.now();
+      const result = big.search(filters);
+      assert.ok(performance.now() - start < 1000, `"${filters.query}" took too long`);
+      assert.ok(result.total > 0, `"${filters.query}" found nothing`);
+    }
+  });
+});
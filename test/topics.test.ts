@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import type { ParsedMessage } from '../src/types/index.js';
+import {
+  buildTopics,
+  offsetTopics,
+  parseTopicTexts,
+  segmentTopics,
+  topicsToMarkdown
+} from '../src/services/topics.js';
+
+function message(date: string, time: string, sender: string, content: string): ParsedMessage {
+  return { date, time, sender, content, isMedia: false };
+}
+
+const messages: ParsedMessage[] = [
+  message('2026-10-18', '08:00', 'Ana', 'Vamos marcar o churrasco de sábado na casa do Caio'),
+  message('2026-10-18', '08:01', 'Bia', 'Churrasco no sábado combina, levo carne'),
+  message('2026-10-18', '08:03', 'Caio', 'Casa liberada para o churrasco, tragam carne'),
+  message('2026-10-18', '10:00', 'Ana', 'Alguém viu o resultado da prova de matemática?'),
+  message('2026-10-18', '10:40', 'Bia', 'Saiu hoje, tirei nota boa na prova'),
+  message('2026-10-18', '10:42', 'Caio', 'Prova de matemática difícil, nota baixa'),
+  message('2026-10-18', '13:00', 'Bia', 'Sobre o churrasco: sábado tem carne e carvão na casa'),
+  message('2026-10-18', '13:01', 'Caio', 'Carvão eu compro para o churrasco'),
+  message('2026-10-18', '13:02', 'Ana', 'Fechado, churrasco confirmado'),
+  message('2026-10-19', '08:59', '__system__', 'Davi entrou usando o link de convite'),
+  message('2026-10-19', '09:00', 'Ana', 'Bom dia'),
+  message('2026-10-19', '09:01', 'Davi', 'Bom dia, gente')
+];
+
+describe('segmentTopics', () => {
+  it('splits by day and pause, and gathers a subject picked up again', () => {
+    assert.deepEqual(segmentTopics(messages), [
+      [0, 1, 2, 6, 7, 8],
+      [3, 4, 5],
+      [10, 11]
+    ]);
+  });
+
+  it('keeps a late answer with its question', () => {
+    const topics = segmentTopics(messages);
+    assert.ok(topics.some(topic => topic.includes(3) && topic.includes(4)));
+  });
+
+  it('leaves system messages out', () => {
+    assert.ok(!segmentTopics(messages).flat().includes(9));
+    assert.deepEqual(segmentTopics([messages[9]]), []);
+  });
+
+  it('joins a short run to the previous topic of the same day', () => {
+    const short = [...messages.slice(0, 3), message('2026-10-18', '11:00', 'Davi', 'Alguém tem o telefone do pintor')];
+    assert.deepEqual(segmentTopics(short), [[0, 1, 2, 3]]);
+  });
+
+  it('merges the smallest topics into a neighbour of the same day beyond the maximum', () => {
+    assert.deepEqual(segmentTopics(messages, 2), [
+      [0, 1, 2, 3, 4, 5, 6, 7, 8],
+      [10, 11]
+    ]);
+    // Never across days
+    assert.equal(segmentTopics(messages, 1).length, 2);
+  });
+});
+
+describe('parseTopicTexts', () => {
+  it('reads a title and summary for each topic, in id order', () => {
+    const raw = '```json\n{"topics":[{"id":2,"title":"Prova","summary":"Notas."},{"id":1,"title":" Churrasco ","summary":"Sábado."}]}\n```';
+    assert.deepEqual(parseTopicTexts(raw, 2), {
+      ok: true,
+      value: [{ title: 'Churrasco', summary: 'Sábado.' }, { title: 'Prova', summary: 'Notas.' }]
+    });
+  });
+
+  it('rejects missing topics, bad ids and empty texts', () => {
+    assert.deepEqual(parseTopicTexts('{"topics":[{"id":1,"title":"A","summary":"B"}]}', 2), { ok: false, errors: ['falta o assunto 2'] });
+    assert.deepEqual(parseTopicTexts('{"topics":[{"id":3,"title":"A","summary":"B"},{"id":1,"title":"","summary":"B"}]}', 2), {
+      ok: false,
+      errors: ['topics[0].id deve ser um número de 1 a 2', 'topics[1] deve ter "title" e "summary" não vazios']
+    });
+    assert.equal(parseTopicTexts('[]', 1).ok, false);
+    assert.equal(parseTopicTexts('não é json', 1).ok, false);
+  });
+});
+
+describe('buildTopics', () => {
+  const topics = segmentTopics(messages);
+  const texts = [
+    { title: 'Churrasco', summary: 'Sábado na casa do Caio.' },
+    { title: 'Prova', summary: 'Notas de matemática.' },
+    { title: 'Bom dia', summary: 'Cumprimentos.' }
+  ];
+
+  it('gives each topic its times and participants', () => {
+    const [first, , last] = buildTopics(messages, topics, texts, true);
+    assert.deepEqual(first, { ...texts[0], date: '2026-10-18', start: '08:00', end: '13:02', participants: ['Ana', 'Bia', 'Caio'], messages: [0, 1, 2, 6, 7, 8] });
+    assert.deepEqual(last.participants, ['Ana', 'Davi']);
+    assert.deepEqual(buildTopics(messages, topics, texts, false)[0].participants, []);
+  });
+
+  it('shifts positions found in a later chunk', () => {
+    const [topic] = offsetTopics(buildTopics(messages, topics, texts, true), 100);
+    assert.deepEqual(topic.messages, [100, 101, 102, 106, 107, 108]);
+  });
+
+  it('renders as markdown', () => {
+    const markdown = topicsToMarkdown(buildTopics(messages, topics, texts, true).slice(1));
+    assert.equal(markdown, [
+      '## Prova',
+      '18/10/2026 10:00–10:42 • 3 mensagens • Ana, Bia, Caio',
+      '',
+      'Notas de matemática.',
+      '',
+      '## Bom dia',
+      '19/10/2026 09:00–09:01 • 2 mensagens • Ana, Davi',
+      '',
+      'Cumprimentos.'
+    ].join('\n'));
+    assert.equal(topicsToMarkdown([]), 'Nenhum assunto encontrado.');
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ApiError } from '../src/services/errors.js';
+import {
+  parseSummarizeRequest,
+  parseMergeRequest,
+  parseJobRequest,
+  parseAskRequest,
+  parseAnalyticsRequest,
+  parseMediaRequest,
+  MAX_ATTACHMENT_TEXT_LENGTH,
+  MAX_MESSAGE_LENGTH,
+  MAX_QUESTION_LENGTH,
+  MAX_SUMMARIES
+} from '../src/services/validation.js';
+import { fixtureMessages } from './helpers.js';
+
+const messages = fixtureMessages('android-pt-br.txt');
+
+/**
+ * Assert that parsing throws an ApiError with this code (and these details)
+ */
+function assertRejects(parse: () => unknown, code: string, details?: string[]): void {
+  assert.throws(parse, (err: unknown) => {
+    assert.ok(err instanceof ApiError);
+    assert.equal(err.code, code);
+    if (details) assert.deepEqual(err.details, details);
+    return true;
+  });
+}
+
+describe('parseSummarizeRequest', () => {
+  it('fills in the defaults', () => {
+    const params = parseSummarizeRequest({ messages });
+    assert.equal(params.level, 3);
+    assert.equal(params.privacy, 'smart');
+    assert.equal(params.model, 'powerful');
+    assert.equal(params.output, 'summary');
+    assert.equal(params.language, 'auto');
+    assert.equal(params.template.id, 'padrao');
+    assert.equal(params.isPartial, false);
+    assert.deepEqual(params.context, []);
+    assert.equal(params.range, undefined);
+  });
+
+  it('treats null like an absent field', () => {
+    assert.equal(parseSummarizeRequest({ messages, template: null, range: null, context: null }).template.id, 'padrao');
+  });
+
+  it('keeps only the fields of a message', () => {
+    const [first] = parseSummarizeRequest({ messages: [{ ...messages[0], rawLine: 'x', extra: true }] }).messages;
+    assert.deepEqual(first, messages[0]);
+    const withAttachment = parseSummarizeRequest({ messages }).messages.find(m => m.attachment);
+    assert.deepEqual(withAttachment?.attachment, { fileName: 'IMG-20250608-WA0001.jpg', kind: 'image' });
+  });
+
+  it('asks for messages', () => {
+    assertRejects(() => parseSummarizeRequest({}), 'NO_MESSAGES');
+    assertRejects(() => parseSummarizeRequest({ messages: [] }), 'NO_MESSAGES');
+  });
+
+  it('rejects bodies that are not objects', () => {
+    for (const body of [undefined, null, 'texto', [messages[0]]]) {
+      assertRejects(() => parseSummarizeRequest(body), 'INVALID_REQUEST');
+    }
+  });
+
+  it('points at malformed messages', () => {
+    const broken = [messages[0], { ...messages[1], date: '08/06/2025', isMedia: 'não' }, 'oi'];
+    assertRejects(() => parseSummarizeRequest({ messages: broken }), 'INVALID_REQUEST', [
+      'messages[1].date: deve ser AAAA-MM-DD',
+      'messages[1].isMedia: deve ser true ou false',
+      'messages[2]: deve ser um objeto'
+    ]);
+    assertRejects(() => parseSummarizeRequest({ messages: 'oi' }), 'INVALID_REQUEST');
+    assertRejects(
+      () => parseSummarizeRequest({ messages, context: [{ ...messages[0], attachment: { fileName: 'a.jpg', kind: 'foto' } }] }),
+      'INVALID_REQUEST',
+      ['context[0].attachment: deve ter "fileName" e "kind"']
+    );
+  });
+
+  it('rejects invalid options', () => {
+    assertRejects(
+      () => parseSummarizeRequest({ messages, model: 'gpt', output: 'pdf', isPartial: 'sim', range: { start: '2025-06-09', end: '2025-06-08' } }),
+      'INVALID_REQUEST',
+      [
+        'output: deve ser "summary", "structured" ou "topics"',
+        'range: deve ter "start" e "end" (AAAA-MM-DD)',
+        'model: deve ser "fast", "balanced" ou "powerful"',
+        'isPartial: deve ser true ou false'
+      ]
+    );
+  });
+
+  it('checks templates of summaries only', () => {
+    assertRejects(() => parseSummarizeRequest({ messages, template: 'inexistente' }), 'INVALID_TEMPLATE', ['modelo "inexistente" não existe']);
+    assert.equal(parseSummarizeRequest({ messages, template: 'inexistente', output: 'topics' }).template.id, 'padrao');
+  });
+
+  it('caps message sizes', () => {
+    const long = { ...messages[0], content: 'a'.repeat(MAX_MESSAGE_LENGTH + 1) };
+    assertRejects(() => parseSummarizeRequest({ messages: [long] }), 'PAYLOAD_TOO_LARGE');
+
+    const attachment = { fileName: 'PTT-20250608-WA0001.opus', kind: 'audio', text: 'a'.repeat(MAX_ATTACHMENT_TEXT_LENGTH) };
+    assert.equal(parseSummarizeRequest({ messages: [{ ...messages[0], attachment }] }).messages[0].attachment?.text?.length, MAX_ATTACHMENT_TEXT_LENGTH);
+    assertRejects(
+      () => parseSummarizeRequest({ messages, context: [{ ...messages[0], attachment: { ...attachment, text: `${attachment.text}a` } }] }),
+      'PAYLOAD_TOO_LARGE',
+      [`context[0].attachment.text: no máximo ${MAX_ATTACHMENT_TEXT_LENGTH} caracteres`]
+    );
+  });
+});
+
+describe('parseMergeRequest', () => {
+  it('takes summaries, or extractions for structured output', () => {
+    const params = parseMergeRequest({ summaries: ['Um.', 'Dois.'], level: 2, ranges: [{ start: '2025-06-08', end: '2025-06-08' }] });
+    assert.ok(params.output !== 'structured');
+    assert.deepEqual(params.summaries, ['Um.', 'Dois.']);
+    assert.equal(params.template.id, 'resumido');
+    assert.deepEqual(params.senders, []);
+
+    const withSenders = parseMergeRequest({ summaries: ['Um.'], senders: ['Ana Costa'] });
+    assert.ok(withSenders.output !== 'structured');
+    assert.deepEqual(withSenders.senders, ['Ana Costa']);
+
+    const part = { decisions: [], tasks: [], events: [], links: [], unansweredQuestions: [] };
+    const structured = parseMergeRequest({ output: 'structured', extractions: [part], summaries: 'ignorado' });
+    assert.equal(structured.output, 'structured');
+  });
+
+  it('rejects empty, malformed and oversized lists', () => {
+    assertRejects(() => parseMergeRequest({}), 'INVALID_REQUEST', ['summaries: deve ser uma lista com pelo menos um item']);
+    assertRejects(() => parseMergeRequest({ summaries: ['a', 2] }), 'INVALID_REQUEST', ['summaries[1]: deve ser um texto']);
+    assertRejects(() => parseMergeRequest({ summaries: ['a'], ranges: [{ start: 'ontem' }] }), 'INVALID_REQUEST');
+    assertRejects(() => parseMergeRequest({ summaries: ['a'], senders: 'Ana' }), 'INVALID_REQUEST');
+    assertRejects(() => parseMergeRequest({ summaries: ['a'], senders: ['Ana', 7] }), 'INVALID_REQUEST');
+    assertRejects(() => parseMergeRequest({ output: 'structured', extractions: [{ decisions: 'nenhuma' }] }), 'INVALID_REQUEST', [
+      'extractions[0]: decisions deve ser uma lista'
+    ]);
+    assertRejects(() => parseMergeRequest({ summaries: Array(MAX_SUMMARIES + 1).fill('a') }), 'PAYLOAD_TOO_LARGE');
+  });
+});
+
+describe('parseJobRequest', () => {
+  it('keeps the template reference for the job', () => {
+    const request = parseJobRequest({ messages, template: 'ata', level: 1 });
+    assert.equal(request.template, 'ata');
+    assert.equal(request.level, 1);
+    assertRejects(() => parseJobRequest({ messages, template: { id: 'x' } }), 'INVALID_TEMPLATE');
+  });
+});
+
+describe('parseAskRequest', () => {
+  it('trims the question and keeps the history', () => {
+    const history = [{ question: 'Quando?', answer: 'Sábado.' }];
+    const params = parseAskRequest({ question: '  Quem leva o bolo? ', messages, history });
+    assert.equal(params.question, 'Quem leva o bolo?');
+    assert.deepEqual(params.history, history);
+  });
+
+  it('rejects missing, long and malformed fields', () => {
+    assertRejects(() => parseAskRequest({ question: ' ', messages }), 'INVALID_REQUEST', ['question: deve ser um texto']);
+    assertRejects(() => parseAskRequest({ question: 'a'.repeat(MAX_QUESTION_LENGTH + 1), messages }), 'PAYLOAD_TOO_LARGE');
+    assertRejects(() => parseAskRequest({ question: 'Quando?', messages, history: [{ question: 'x' }] }), 'INVALID_REQUEST');
+    assertRejects(() => parseAskRequest({ question: 'Quando?' }), 'NO_MESSAGES');
+  });
+});
+
+describe('other routes', () => {
+  it('validates analytics and media bodies', () => {
+    assert.deepEqual(parseAnalyticsRequest({ messages, range: { start: '2025-06-08', end: '2025-06-08' } }).range, {
+      start: '2025-06-08',
+      end: '2025-06-08'
+    });
+    assertRejects(() => parseAnalyticsRequest({ messages: [] }), 'NO_MESSAGES');
+    assert.deepEqual(parseMediaRequest({ fileName: 'a.jpg', data: 'AAAA' }), { fileName: 'a.jpg', data: 'AAAA' });
+    assertRejects(() => parseMediaRequest({ fileName: 'a.jpg' }), 'NO_FILE');
+  });
+});